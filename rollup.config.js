@@ -51,6 +51,7 @@ const baseConfig = {
 const externalDependencies = [
   /@babel/,
   '@braintree/sanitize-url',
+  'blueimp-load-image',
   '@fortawesome/free-regular-svg-icons',
   '@fortawesome/react-fontawesome',
   'custom-event',
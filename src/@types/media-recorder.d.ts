@@ -0,0 +1,35 @@
+// MediaRecorder is missing from the DOM types of the TypeScript version in use
+
+interface BlobEvent extends Event {
+  readonly data: Blob;
+}
+
+interface MediaRecorderOptions {
+  audioBitsPerSecond?: number;
+  mimeType?: string;
+}
+
+type RecordingState = 'inactive' | 'paused' | 'recording';
+
+interface MediaRecorder extends EventTarget {
+  readonly mimeType: string;
+  readonly state: RecordingState;
+  readonly stream: MediaStream;
+  ondataavailable: ((event: BlobEvent) => void) | null;
+  onerror: ((event: Event) => void) | null;
+  onstop: ((event: Event) => void) | null;
+  pause(): void;
+  resume(): void;
+  start(timeslice?: number): void;
+  stop(): void;
+}
+
+declare var MediaRecorder: {
+  prototype: MediaRecorder;
+  new (stream: MediaStream, options?: MediaRecorderOptions): MediaRecorder;
+  isTypeSupported(type: string): boolean;
+};
+
+interface Window {
+  MediaRecorder?: typeof MediaRecorder;
+}
@@ -1,27 +1,85 @@
 // @ts-check
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, {
+  useState,
+  useRef,
+  useEffect,
+  useCallback,
+  useContext,
+} from 'react';
+import { TranslationContext } from '../../context';
+import { formatDuration } from '../../utils';
+import Waveform from './Waveform';
 
 const progressUpdateInterval = 500;
+// the playback speeds of voice messages, switched between in this order
+const playbackRates = [1, 1.5, 2];
+
+const PlayIcon = () => (
+  <svg
+    width="40"
+    height="40"
+    viewBox="0 0 64 64"
+    xmlns="http://www.w3.org/2000/svg"
+  >
+    <path
+      d="M32 58c14.36 0 26-11.64 26-26S46.36 6 32 6 6 17.64 6 32s11.64 26 26 26zm0 6C14.327 64 0 49.673 0 32 0 14.327 14.327 0 32 0c17.673 0 32 14.327 32 32 0 17.673-14.327 32-32 32zm13.237-28.412L26.135 45.625a3.27 3.27 0 0 1-4.426-1.4 3.319 3.319 0 0 1-.372-1.47L21 23.36c-.032-1.823 1.41-3.327 3.222-3.358a3.263 3.263 0 0 1 1.473.322l19.438 9.36a3.311 3.311 0 0 1 .103 5.905z"
+      fillRule="nonzero"
+    />
+  </svg>
+);
+
+const PauseIcon = () => (
+  <svg
+    width="40"
+    height="40"
+    viewBox="0 0 64 64"
+    xmlns="http://www.w3.org/2000/svg"
+  >
+    <path
+      d="M32 58.215c14.478 0 26.215-11.737 26.215-26.215S46.478 5.785 32 5.785 5.785 17.522 5.785 32 17.522 58.215 32 58.215zM32 64C14.327 64 0 49.673 0 32 0 14.327 14.327 0 32 0c17.673 0 32 14.327 32 32 0 17.673-14.327 32-32 32zm-7.412-45.56h2.892a2.17 2.17 0 0 1 2.17 2.17v23.865a2.17 2.17 0 0 1-2.17 2.17h-2.892a2.17 2.17 0 0 1-2.17-2.17V20.61a2.17 2.17 0 0 1 2.17-2.17zm12.293 0h2.893a2.17 2.17 0 0 1 2.17 2.17v23.865a2.17 2.17 0 0 1-2.17 2.17h-2.893a2.17 2.17 0 0 1-2.17-2.17V20.61a2.17 2.17 0 0 1 2.17-2.17z"
+      fillRule="nonzero"
+    />
+  </svg>
+);
+
 /**
- * Audio attachment with play/pause button and progress bar
+ * Audio attachment with play/pause button and progress bar.
+ * Voice messages, which have `waveform_data`, are rendered with their waveform to seek them and a playback speed button.
  * @param {import("types").AudioProps} props
  */
 const Audio = ({ og }) => {
+  const { t } = useContext(TranslationContext);
   const audioRef = useRef(/** @type {HTMLAudioElement | null} */ (null));
   const [isPlaying, setIsPlaying] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [totalDuration, setTotalDuration] = useState(og.duration || 0);
+  const [playbackRate, setPlaybackRate] = useState(playbackRates[0]);
+
+  // the recordings of some browsers have no duration in their metadata, their attachment has it
+  const getDuration = useCallback(
+    /** @param {HTMLAudioElement} audio */
+    (audio) => {
+      const { duration } = audio;
+      return Number.isFinite(duration) ? duration : og.duration || 0;
+    },
+    [og.duration],
+  );
 
   const updateProgress = useCallback(() => {
     if (audioRef.current !== null) {
       const position = audioRef.current.currentTime;
-      const { duration } = audioRef.current;
-      const currentProgress = (100 / duration) * position;
-      setProgress(currentProgress);
+      const duration = getDuration(audioRef.current);
+      setCurrentTime(position);
+      if (duration) {
+        const currentProgress = Math.min((100 / duration) * position, 100);
+        setProgress(currentProgress);
+      }
       if (position === duration) {
         setIsPlaying(false);
       }
     }
-  }, [audioRef]);
+  }, [audioRef, getDuration]);
 
   useEffect(() => {
     if (audioRef.current !== null) {
@@ -35,8 +93,81 @@ const Audio = ({ og }) => {
     return () => {};
   }, [isPlaying, updateProgress]);
 
+  useEffect(() => {
+    if (audioRef.current !== null) audioRef.current.playbackRate = playbackRate;
+  }, [playbackRate]);
+
+  const seek = useCallback(
+    /** @param {number} position share of the audio to seek to, from 0 to 1 */
+    (position) => {
+      if (audioRef.current === null) return;
+      const duration = getDuration(audioRef.current);
+      if (!duration) return;
+      audioRef.current.currentTime = position * duration;
+      setCurrentTime(position * duration);
+      setProgress(position * 100);
+    },
+    [getDuration],
+  );
+
+  const switchPlaybackRate = useCallback(() => {
+    setPlaybackRate(
+      (rate) =>
+        playbackRates[(playbackRates.indexOf(rate) + 1) % playbackRates.length],
+    );
+  }, []);
+
   const { asset_url, image_url, title, description, text } = og;
 
+  if (og.waveform_data?.length) {
+    return (
+      <div className="str-chat__audio str-chat__audio--voice-message">
+        <audio
+          onEnded={() => {
+            setIsPlaying(false);
+            setProgress(100);
+          }}
+          onLoadedMetadata={(event) =>
+            setTotalDuration(getDuration(event.currentTarget))
+          }
+          ref={audioRef}
+        >
+          <source
+            src={asset_url}
+            type={og.mime_type || 'audio/mp3'}
+            data-testid="audio-source"
+          />
+        </audio>
+        <button
+          aria-label={isPlaying ? t('Pause') : t('Play')}
+          className="str-chat__audio__play-button"
+          data-testid={isPlaying ? 'pause-audio' : 'play-audio'}
+          onClick={() => setIsPlaying(!isPlaying)}
+          type="button"
+        >
+          {isPlaying ? <PauseIcon /> : <PlayIcon />}
+        </button>
+        <Waveform
+          onSeek={seek}
+          progress={progress / 100}
+          waveform={og.waveform_data}
+        />
+        <span className="str-chat__audio__time" data-testid="audio-time">
+          {formatDuration(currentTime)} / {formatDuration(totalDuration)}
+        </span>
+        <button
+          aria-label={t('Playback speed')}
+          className="str-chat__audio__playback-rate"
+          data-testid="playback-rate"
+          onClick={switchPlaybackRate}
+          type="button"
+        >
+          {playbackRate}x
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="str-chat__audio">
       <div className="str-chat__audio__wrapper">
@@ -51,17 +182,7 @@ const Audio = ({ og }) => {
                 className="str-chat__audio__image--button"
                 data-testid="play-audio"
               >
-                <svg
-                  width="40"
-                  height="40"
-                  viewBox="0 0 64 64"
-                  xmlns="http://www.w3.org/2000/svg"
-                >
-                  <path
-                    d="M32 58c14.36 0 26-11.64 26-26S46.36 6 32 6 6 17.64 6 32s11.64 26 26 26zm0 6C14.327 64 0 49.673 0 32 0 14.327 14.327 0 32 0c17.673 0 32 14.327 32 32 0 17.673-14.327 32-32 32zm13.237-28.412L26.135 45.625a3.27 3.27 0 0 1-4.426-1.4 3.319 3.319 0 0 1-.372-1.47L21 23.36c-.032-1.823 1.41-3.327 3.222-3.358a3.263 3.263 0 0 1 1.473.322l19.438 9.36a3.311 3.311 0 0 1 .103 5.905z"
-                    fillRule="nonzero"
-                  />
-                </svg>
+                <PlayIcon />
               </div>
             ) : (
               <div
@@ -69,17 +190,7 @@ const Audio = ({ og }) => {
                 className="str-chat__audio__image--button"
                 data-testid="pause-audio"
               >
-                <svg
-                  width="40"
-                  height="40"
-                  viewBox="0 0 64 64"
-                  xmlns="http://www.w3.org/2000/svg"
-                >
-                  <path
-                    d="M32 58.215c14.478 0 26.215-11.737 26.215-26.215S46.478 5.785 32 5.785 5.785 17.522 5.785 32 17.522 58.215 32 58.215zM32 64C14.327 64 0 49.673 0 32 0 14.327 14.327 0 32 0c17.673 0 32 14.327 32 32 0 17.673-14.327 32-32 32zm-7.412-45.56h2.892a2.17 2.17 0 0 1 2.17 2.17v23.865a2.17 2.17 0 0 1-2.17 2.17h-2.892a2.17 2.17 0 0 1-2.17-2.17V20.61a2.17 2.17 0 0 1 2.17-2.17zm12.293 0h2.893a2.17 2.17 0 0 1 2.17 2.17v23.865a2.17 2.17 0 0 1-2.17 2.17h-2.893a2.17 2.17 0 0 1-2.17-2.17V20.61a2.17 2.17 0 0 1 2.17-2.17z"
-                    fillRule="nonzero"
-                  />
-                </svg>
+                <PauseIcon />
               </div>
             )}
           </div>
@@ -0,0 +1,87 @@
+// @ts-check
+import React, { useCallback, useContext } from 'react';
+import PropTypes from 'prop-types';
+import { TranslationContext } from '../../context';
+
+// the share of the audio skipped with the arrow keys
+const keyboardSeekStep = 0.05;
+
+/**
+ * Waveform - renders the amplitudes of an audio as bars, the played ones highlighted.
+ * It seeks the audio when it is clicked, or with the arrow keys, if `onSeek` is set.
+ * @type {React.FC<import('types').WaveformProps>}
+ */
+const Waveform = ({ onSeek, progress = 0, waveform }) => {
+  const { t } = useContext(TranslationContext);
+
+  const handleClick = useCallback(
+    /** @param {React.MouseEvent<HTMLDivElement>} event */
+    (event) => {
+      if (!onSeek) return;
+      const { left, width } = event.currentTarget.getBoundingClientRect();
+      if (!width) return;
+      onSeek(Math.min(Math.max((event.clientX - left) / width, 0), 1));
+    },
+    [onSeek],
+  );
+
+  const handleKeyDown = useCallback(
+    /** @param {React.KeyboardEvent<HTMLDivElement>} event */
+    (event) => {
+      if (!onSeek) return;
+      if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        event.preventDefault();
+        const step =
+          event.key === 'ArrowLeft' ? -keyboardSeekStep : keyboardSeekStep;
+        onSeek(Math.min(Math.max(progress + step, 0), 1));
+      }
+    },
+    [onSeek, progress],
+  );
+
+  const percentage = Math.round(progress * 100);
+
+  return (
+    <div
+      className={`str-chat__waveform ${
+        onSeek ? 'str-chat__waveform--seekable' : ''
+      }`}
+      data-testid="waveform"
+      {...(onSeek
+        ? {
+            'aria-label': t('Audio progress'),
+            'aria-valuemax': 100,
+            'aria-valuemin': 0,
+            'aria-valuenow': percentage,
+            onClick: handleClick,
+            onKeyDown: handleKeyDown,
+            role: 'slider',
+            tabIndex: 0,
+          }
+        : null)}
+    >
+      {waveform.map((amplitude, i) => (
+        <div
+          className={`str-chat__waveform__bar ${
+            (i + 1) / waveform.length <= progress
+              ? 'str-chat__waveform__bar--played'
+              : ''
+          }`}
+          key={i}
+          style={{ height: `${Math.max(amplitude, 0.05) * 100}%` }}
+        />
+      ))}
+    </div>
+  );
+};
+
+Waveform.propTypes = {
+  /** Amplitudes of the audio, from 0 to 1 */
+  waveform: PropTypes.arrayOf(PropTypes.number.isRequired).isRequired,
+  /** Share of the audio which has been played, from 0 to 1 */
+  progress: PropTypes.number,
+  /** Called with the share of the audio to seek to, from 0 to 1 */
+  onSeek: PropTypes.func,
+};
+
+export default React.memo(Waveform);
@@ -120,4 +120,84 @@ describe('Audio', () => {
       expect(getByTestId('audio-progress')).toHaveStyle({ width: '50%' });
     });
   });
+
+  describe('voice message', () => {
+    const voiceMessage = generateAudioAttachment({
+      duration: 80,
+      mime_type: 'audio/webm',
+      waveform_data: [0.2, 0.5, 1, 0.5],
+    });
+
+    it('should render the waveform instead of the title and description', () => {
+      const { getByTestId, queryByText } = renderComponent({
+        og: voiceMessage,
+      });
+
+      expect(queryByText(voiceMessage.title)).not.toBeInTheDocument();
+      expect(getByTestId('waveform').children).toHaveLength(4);
+      expect(getByTestId('audio-source')).toHaveAttribute('type', 'audio/webm');
+      expect(getByTestId('audio-time')).toHaveTextContent('0:00 / 1:20');
+    });
+
+    it('should play and pause the voice message', () => {
+      const { getByLabelText, getByTestId } = renderComponent({
+        og: voiceMessage,
+      });
+
+      fireEvent.click(getByLabelText('Play'));
+      expect(HTMLMediaElement.prototype.play).toHaveBeenCalledWith();
+      expect(getByTestId('pause-audio')).toBeInTheDocument();
+
+      fireEvent.click(getByLabelText('Pause'));
+      expect(getByTestId('play-audio')).toBeInTheDocument();
+    });
+
+    it('should seek to the position clicked on the waveform, using the duration of the attachment if the audio has none', () => {
+      const { getByRole, getByTestId } = renderComponent({ og: voiceMessage });
+      const waveform = getByRole('slider');
+      jest.spyOn(waveform, 'getBoundingClientRect').mockReturnValue({
+        left: 100,
+        width: 200,
+      });
+      const currentTimeSetter = jest.spyOn(
+        HTMLAudioElement.prototype,
+        'currentTime',
+        'set',
+      );
+
+      fireEvent.click(waveform, { clientX: 150 });
+
+      expect(currentTimeSetter).toHaveBeenCalledWith(20);
+      expect(waveform).toHaveAttribute('aria-valuenow', '25');
+      expect(getByTestId('audio-time')).toHaveTextContent('0:20 / 1:20');
+    });
+
+    it('should seek with the arrow keys', () => {
+      const { getByRole } = renderComponent({ og: voiceMessage });
+      const waveform = getByRole('slider');
+
+      fireEvent.keyDown(waveform, { key: 'ArrowRight' });
+      fireEvent.keyDown(waveform, { key: 'ArrowRight' });
+      expect(waveform).toHaveAttribute('aria-valuenow', '10');
+
+      fireEvent.keyDown(waveform, { key: 'ArrowLeft' });
+      expect(waveform).toHaveAttribute('aria-valuenow', '5');
+    });
+
+    it('should switch between the playback speeds', () => {
+      const { getByTestId } = renderComponent({ og: voiceMessage });
+      const audio = getByTestId('audio-source').parentElement;
+      const button = getByTestId('playback-rate');
+
+      expect(button).toHaveTextContent('1x');
+      fireEvent.click(button);
+      expect(button).toHaveTextContent('1.5x');
+      expect(audio.playbackRate).toBe(1.5);
+      fireEvent.click(button);
+      expect(button).toHaveTextContent('2x');
+      fireEvent.click(button);
+      expect(button).toHaveTextContent('1x');
+      expect(audio.playbackRate).toBe(1);
+    });
+  });
 });
@@ -3,3 +3,4 @@ export { default as Card } from './Card';
 export { default as Audio } from './Audio';
 export { default as AttachmentActions } from './AttachmentActions';
 export { default as FileAttachment } from './FileAttachment';
+export { default as Waveform } from './Waveform';
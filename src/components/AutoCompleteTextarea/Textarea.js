@@ -399,9 +399,10 @@ class ReactTextareaAutocomplete extends React.Component {
   // TODO: This is an anti pattern in react, should come up with a better way
   _update({ value, trigger }) {
     const { value: oldValue } = this.state;
-    const { trigger: oldTrigger } = this.props;
+    const { trigger: oldTrigger, value: oldPropsValue } = this.props;
 
-    if (value !== oldValue || !oldValue) this.setState({ value });
+    // a rerender of the parent before it got the value of a selected suggestion must not undo the selection
+    if (value !== oldPropsValue || !oldValue) this.setState({ value });
     /**
      * check if trigger chars are changed, if so, change the regexp accordingly
      */
@@ -5,6 +5,8 @@ import React, {
   useRef,
   useReducer,
   useLayoutEffect,
+  useMemo,
+  useState,
 } from 'react';
 // @ts-expect-error
 import DefaultEmoji from 'emoji-mart/dist-modern/components/emoji/nimble-emoji';
@@ -19,21 +21,43 @@ import { logChatPromiseExecution, Channel as StreamChannel } from 'stream-chat';
 import { v4 as uuidv4 } from 'uuid';
 
 import { Attachment as DefaultAttachment } from '../Attachment';
-import { commonEmoji, defaultMinimalEmojis, emojiSetDef } from './emojiData';
+import {
+  commonEmoji,
+  defaultMinimalEmojis,
+  emojiSetDef,
+  toEmojiMartCustomEmoji,
+} from './emojiData';
+import { defaultEmojiPreferencesStorage } from './emojiPreferences';
 import { MessageSimple } from '../Message';
 import {
   LoadingIndicator as DefaultLoadingIndicator,
   LoadingErrorIndicator as DefaultLoadingErrorIndicator,
 } from '../Loading';
 
-import { channelReducer, initialState } from './channelState';
+import {
+  channelReducer,
+  getMessagesBetween,
+  initialState,
+} from './channelState';
 import useMentionsHandlers from './hooks/useMentionsHandlers';
 import useEditMessageHandler from './hooks/useEditMessageHandler';
+import useEmojiPreferences from './hooks/useEmojiPreferences';
 import useIsMounted from './hooks/useIsMounted';
+import useOutbox from './hooks/useOutbox';
+import { defaultOutboxStorage, isRetryableSendError } from './outbox';
+import {
+  applyMarkUnreadEvent,
+  getLastReadBefore,
+  MARK_UNREAD_EVENT,
+} from './unread';
 
 import { ChatContext, ChannelContext, TranslationContext } from '../../context';
 import defaultEmojiData from '../../stream-emoji.json';
 
+// channels whose client state holds windows of older history the user jumped to along with the latest messages, until
+// the channel is watched again
+const channelsWithJumpedHistory = new WeakSet();
+
 /** @type {React.FC<import('types').ChannelProps>}>} */
 const Channel = ({ EmptyPlaceholder = null, ...props }) => {
   const { channel: contextChannel } = useContext(ChatContext);
@@ -48,19 +72,29 @@ const Channel = ({ EmptyPlaceholder = null, ...props }) => {
 /** @type {React.FC<import('types').ChannelProps & { channel: import('stream-chat').Channel }>} */
 const ChannelInner = ({
   Attachment = DefaultAttachment,
+  customEmojis,
   doMarkReadRequest,
+  doMarkUnreadRequest,
   Emoji = DefaultEmoji,
   emojiData = defaultEmojiData,
   EmojiIndex = DefaultEmojiIndex,
   EmojiPicker = DefaultEmojiPicker,
+  emojiPreferencesStorage = defaultEmojiPreferencesStorage,
   LoadingErrorIndicator = DefaultLoadingErrorIndicator,
   LoadingIndicator = DefaultLoadingIndicator,
   Message = MessageSimple,
+  outboxStorage = defaultOutboxStorage,
   ...props
 }) => {
   const { channel } = props;
 
-  const { client, mutes, theme } = useContext(ChatContext);
+  const {
+    clearMessageToJumpTo,
+    client,
+    messageToJumpTo,
+    mutes,
+    theme,
+  } = useContext(ChatContext);
   const { t } = useContext(TranslationContext);
 
   const [state, dispatch] = useReducer(channelReducer, initialState);
@@ -70,15 +104,45 @@ const ChannelInner = ({
   const originalTitle = useRef('');
   const lastRead = useRef(new Date());
   const online = useRef(true);
+  // after marking the channel unread, it is not marked read automatically until the user scrolls past the message
+  const markReadSuppressed = useRef(false);
+  const highlightTimeout = useRef(
+    /** @type {ReturnType<typeof setTimeout> | null} */ (null),
+  );
+  // whether the user chose to show the translation or the original text of a message, by message id
+  const [shownTranslations, setShownTranslations] = useState(
+    /** @type {Record<string, boolean>} */ ({}),
+  );
+  // the message the user asked to edit from the message input, e.g. with the Up arrow key
+  const [editRequest, setEditRequest] = useState(
+    /** @type {import('types').MessageEditRequest | null} */ (null),
+  );
+
+  const {
+    recentEmojis,
+    recordEmojiUsage,
+    setSkinTone,
+    skinTone,
+  } = useEmojiPreferences(emojiPreferencesStorage);
+  // the emoji index and the picker rebuild their custom emojis when the array changes
+  const emojiMartCustomEmojis = useMemo(
+    () => (customEmojis || []).map(toEmojiMartCustomEmoji),
+    [customEmojis],
+  );
 
   const emojiConfig = {
     commonEmoji,
+    customEmojis: emojiMartCustomEmojis,
     defaultMinimalEmojis,
     Emoji,
     emojiData,
     EmojiIndex,
     EmojiPicker,
     emojiSetDef,
+    recentEmojis,
+    recordEmojiUsage,
+    setSkinTone,
+    skinTone,
   };
 
   // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -98,6 +162,10 @@ const ChannelInner = ({
       return;
     }
     lastRead.current = new Date();
+    if (markReadSuppressed.current) {
+      markReadSuppressed.current = false;
+      dispatch({ type: 'clearMarkedUnread' });
+    }
     if (doMarkReadRequest) {
       doMarkReadRequest(channel);
     } else {
@@ -108,10 +176,40 @@ const ChannelInner = ({
     }
   }, [channel, doMarkReadRequest]);
 
+  const markReadAutomatically = useCallback(() => {
+    if (!markReadSuppressed.current) markRead();
+  }, [markRead]);
+
   // eslint-disable-next-line react-hooks/exhaustive-deps
   const markReadThrottled = useCallback(
-    throttle(markRead, 500, { leading: true, trailing: true }),
-    [markRead],
+    throttle(markReadAutomatically, 500, { leading: true, trailing: true }),
+    [markReadAutomatically],
+  );
+
+  const markUnread = useCallback(
+    async (messageId) => {
+      if (
+        !doMarkUnreadRequest ||
+        channel.disconnected ||
+        !channel.getConfig()?.read_events
+      ) {
+        return;
+      }
+      const message = channel.state.messages.find(({ id }) => id === messageId);
+      if (!message?.created_at) return;
+
+      await doMarkUnreadRequest(channel, messageId);
+      markReadSuppressed.current = true;
+      lastRead.current = getLastReadBefore(message);
+      // the channel previews are updated by the notification.mark_unread event of the server
+      dispatch({
+        type: 'markUnread',
+        channel,
+        lastRead: lastRead.current,
+        messageId,
+      });
+    },
+    [channel, doMarkUnreadRequest],
   );
 
   const handleEvent = useCallback(
@@ -121,6 +219,13 @@ const ChannelInner = ({
         online.current = e.online;
       }
 
+      if (e.type === MARK_UNREAD_EVENT) {
+        applyMarkUnreadEvent(channel, e);
+        if (e.user?.id === client.userID && e.last_read_at) {
+          lastRead.current = new Date(e.last_read_at);
+        }
+      }
+
       if (e.type === 'message.new') {
         let mainChannelUpdated = true;
         if (e.message.parent_id && !e.message.show_in_channel) {
@@ -151,14 +256,21 @@ const ChannelInner = ({
     let done = false;
     const onVisibilityChange = () => {
       if (!document.hidden) {
-        markRead();
+        markReadAutomatically();
       }
     };
 
     (async () => {
-      if (!channel.initialized) {
+      if (!channel.initialized || channelsWithJumpedHistory.has(channel)) {
         try {
-          await channel.watch();
+          const { messages } = await channel.watch();
+          if (channelsWithJumpedHistory.has(channel)) {
+            // a previous jump left older history in the state, only the latest messages are kept
+            channel.state.messages = messages.length
+              ? getMessagesBetween(channel.state.messages, messages[0])
+              : [];
+            channelsWithJumpedHistory.delete(channel);
+          }
         } catch (e) {
           dispatch({ type: 'setError', error: e });
           errored = true;
@@ -184,7 +296,14 @@ const ChannelInner = ({
       client.off('connection.changed', handleEvent);
       client.off('connection.recovered', handleEvent);
     };
-  }, [channel, client, handleEvent, markRead, props.channel]);
+  }, [
+    channel,
+    client,
+    handleEvent,
+    markRead,
+    markReadAutomatically,
+    props.channel,
+  ]);
 
   useEffect(() => {
     if (state.thread) {
@@ -241,13 +360,208 @@ const ChannelInner = ({
       }
       const hasMoreMessages = queryResponse.messages.length === perPage;
 
-      loadMoreFinished(hasMoreMessages, channel.state.messages);
+      loadMoreFinished(
+        hasMoreMessages,
+        getMessagesBetween(
+          channel.state.messages,
+          queryResponse.messages[0] || oldestMessage,
+          state.hasMoreNewer
+            ? state.messages[state.messages.length - 1]
+            : undefined,
+        ),
+      );
 
       return queryResponse.messages.length;
     },
-    [channel, loadMoreFinished, state.loadingMore, state.messages, online],
+    [
+      channel,
+      loadMoreFinished,
+      state.hasMoreNewer,
+      state.loadingMore,
+      state.messages,
+      online,
+    ],
+  );
+
+  const loadMoreNewer = useCallback(
+    async (limit = 100) => {
+      if (!online.current || !window.navigator.onLine) return 0;
+      // prevent duplicate loading events...
+      const newestMessage = state.messages[state.messages.length - 1];
+      if (state.loadingMoreNewer || !state.hasMoreNewer || !newestMessage) {
+        return 0;
+      }
+      dispatch({ type: 'setLoadingMoreNewer', loadingMoreNewer: true });
+
+      let queryResponse;
+      try {
+        queryResponse = await channel.query({
+          messages: { limit, id_gt: newestMessage.id },
+        });
+      } catch (e) {
+        console.warn('message pagination request failed with error', e);
+        dispatch({ type: 'setLoadingMoreNewer', loadingMoreNewer: false });
+        return 0;
+      }
+      const hasMoreNewer = queryResponse.messages.length === limit;
+
+      const newestLoadedMessage =
+        queryResponse.messages[queryResponse.messages.length - 1];
+      dispatch({
+        type: 'loadMoreNewerFinished',
+        hasMoreNewer,
+        messages: getMessagesBetween(
+          channel.state.messages,
+          state.messages[0],
+          hasMoreNewer ? newestLoadedMessage : undefined,
+        ),
+      });
+
+      return queryResponse.messages.length;
+    },
+    [
+      channel,
+      state.hasMoreNewer,
+      state.loadingMoreNewer,
+      state.messages,
+      online,
+    ],
+  );
+
+  const highlightMessage = useCallback(
+    /** @param {string | null} messageId */
+    (messageId) => {
+      if (!messageId) return;
+      // the highlight of a previous jump would be cleared before the 3 seconds of the new one
+      if (highlightTimeout.current) clearTimeout(highlightTimeout.current);
+      highlightTimeout.current = setTimeout(() => {
+        highlightTimeout.current = null;
+        dispatch({ type: 'clearHighlightedMessage' });
+      }, 3000);
+    },
+    [],
+  );
+
+  useEffect(
+    () => () => {
+      if (highlightTimeout.current) clearTimeout(highlightTimeout.current);
+    },
+    [],
+  );
+
+  const jumpToMessage = useCallback(
+    /**
+     * @param {string} messageId
+     * @param {number} [limit]
+     */
+    async (messageId, limit = 100) => {
+      if (state.messages.some(({ id }) => id === messageId)) {
+        dispatch({
+          type: 'jumpToMessageFinished',
+          hasMore: state.hasMore,
+          hasMoreNewer: state.hasMoreNewer,
+          highlightedMessageId: messageId,
+          messages: state.messages,
+        });
+        highlightMessage(messageId);
+        return;
+      }
+
+      dispatch({ type: 'setLoadingMore', loadingMore: true });
+
+      const newerLimit = Math.floor(limit / 2);
+      const olderLimit = limit - newerLimit;
+      let olderResponse;
+      let newerResponse;
+      try {
+        [olderResponse, newerResponse] = await Promise.all([
+          channel.query({
+            messages: { limit: olderLimit, id_lte: messageId },
+          }),
+          channel.query({
+            messages: { limit: newerLimit, id_gt: messageId },
+          }),
+        ]);
+      } catch (e) {
+        console.warn('jump to message request failed with error', e);
+        dispatch({ type: 'setLoadingMore', loadingMore: false });
+        return;
+      }
+
+      const olderMessages = olderResponse.messages;
+      const newerMessages = newerResponse.messages;
+      const hasMoreNewer = newerMessages.length === newerLimit;
+      channelsWithJumpedHistory.add(channel);
+
+      const highlightedMessageId = olderMessages.some(
+        ({ id }) => id === messageId,
+      )
+        ? messageId
+        : null;
+
+      dispatch({
+        type: 'jumpToMessageFinished',
+        hasMore: olderMessages.length === olderLimit,
+        hasMoreNewer,
+        highlightedMessageId,
+        messages: getMessagesBetween(
+          channel.state.messages,
+          olderMessages[0] || newerMessages[0],
+          hasMoreNewer ? newerMessages[newerMessages.length - 1] : undefined,
+        ),
+      });
+      highlightMessage(highlightedMessageId);
+    },
+    [
+      channel,
+      highlightMessage,
+      state.hasMore,
+      state.hasMoreNewer,
+      state.messages,
+    ],
+  );
+
+  const jumpToLatestMessage = useCallback(
+    async (limit = 100) => {
+      if (!state.hasMoreNewer) return;
+
+      dispatch({ type: 'setLoadingMoreNewer', loadingMoreNewer: true });
+
+      let queryResponse;
+      try {
+        queryResponse = await channel.query({ messages: { limit } });
+      } catch (e) {
+        console.warn('jump to latest message request failed with error', e);
+        dispatch({ type: 'setLoadingMoreNewer', loadingMoreNewer: false });
+        return;
+      }
+
+      dispatch({
+        type: 'jumpToMessageFinished',
+        hasMore: queryResponse.messages.length === limit,
+        hasMoreNewer: false,
+        highlightedMessageId: null,
+        messages: getMessagesBetween(
+          channel.state.messages,
+          queryResponse.messages[0],
+        ),
+      });
+    },
+    [channel, state.hasMoreNewer],
   );
 
+  useEffect(() => {
+    if (state.loading || messageToJumpTo?.channel.cid !== channel.cid) return;
+    if (clearMessageToJumpTo) clearMessageToJumpTo();
+    jumpToMessage(messageToJumpTo.messageId);
+  }, [
+    channel.cid,
+    clearMessageToJumpTo,
+    jumpToMessage,
+    messageToJumpTo,
+    state.loading,
+  ]);
+
   const updateMessage = useCallback(
     (updatedMessage) => {
       // adds the message to the local channel state..
@@ -264,27 +578,57 @@ const ChannelInner = ({
   );
 
   const { doSendMessageRequest } = props;
-  const doSendMessage = useCallback(
-    async (message) => {
-      const { text, attachments, id, parent_id, mentioned_users } = message;
+  const sendMessageRequest = useCallback(
+    (message) => {
+      const {
+        text,
+        attachments,
+        id,
+        parent_id,
+        mentioned_users,
+        quoted_message_id,
+      } = message;
       const messageData = {
         text,
         attachments,
         mentioned_users,
         id,
         parent_id,
+        quoted_message_id,
       };
 
+      if (doSendMessageRequest) {
+        return doSendMessageRequest(channel.cid, messageData);
+      }
+      return channel.sendMessage(messageData);
+    },
+    [channel, doSendMessageRequest],
+  );
+
+  const { enqueueMessage, flush: flushOutbox, queuedMessages } = useOutbox({
+    channel,
+    client,
+    loading: state.loading,
+    sendMessageRequest,
+    storage: outboxStorage,
+    updateMessage,
+  });
+
+  const doSendMessage = useCallback(
+    async (message) => {
+      // keep the message in the outbox until the connection is back, and after the messages queued before it
+      if (
+        !online.current ||
+        !window.navigator.onLine ||
+        queuedMessages.length
+      ) {
+        await enqueueMessage(message);
+        flushOutbox();
+        return;
+      }
+
       try {
-        let messageResponse;
-        if (doSendMessageRequest) {
-          messageResponse = await doSendMessageRequest(
-            channel.cid,
-            messageData,
-          );
-        } else {
-          messageResponse = await channel.sendMessage(messageData);
-        }
+        const messageResponse = await sendMessageRequest(message);
 
         // replace it after send is completed
         if (messageResponse && messageResponse.message) {
@@ -294,6 +638,10 @@ const ChannelInner = ({
           });
         }
       } catch (e) {
+        if (isRetryableSendError(e)) {
+          await enqueueMessage(message, true);
+          return;
+        }
         // set the message to failed..
         updateMessage({
           ...message,
@@ -301,11 +649,17 @@ const ChannelInner = ({
         });
       }
     },
-    [channel, doSendMessageRequest, updateMessage],
+    [
+      enqueueMessage,
+      flushOutbox,
+      queuedMessages.length,
+      sendMessageRequest,
+      updateMessage,
+    ],
   );
 
   const createMessagePreview = useCallback(
-    (text, attachments, parent, mentioned_users) => {
+    (text, attachments, parent, mentioned_users, quoted_message_id) => {
       // create a preview of the message
       const clientSideID = `${client.userID}-${uuidv4()}`;
       return {
@@ -321,13 +675,23 @@ const ChannelInner = ({
         mentioned_users,
         reactions: [],
         ...(parent?.id ? { parent_id: parent.id } : null),
+        ...(quoted_message_id ? { quoted_message_id } : null),
       };
     },
     [client.user, client.userID],
   );
 
   const sendMessage = useCallback(
-    async ({ text, attachments = [], mentioned_users = [], parent }) => {
+    async ({
+      text,
+      attachments = [],
+      mentioned_users = [],
+      parent,
+      quoted_message_id,
+    }) => {
+      // the new message has to be displayed after the latest ones
+      if (state.hasMoreNewer && !parent) await jumpToLatestMessage();
+
       // remove error messages upon submit
       channel.state.filterErrorMessages();
 
@@ -337,14 +701,58 @@ const ChannelInner = ({
         attachments,
         parent,
         mentioned_users,
+        quoted_message_id,
       );
 
+      // display the quoted message in the preview until the server returns it
+      if (quoted_message_id && state.quotedMessage?.id === quoted_message_id) {
+        messagePreview.quoted_message = state.quotedMessage;
+      }
+
       // first we add the message to the UI
       updateMessage(messagePreview);
 
       await doSendMessage(messagePreview);
     },
-    [channel.state, createMessagePreview, doSendMessage, updateMessage],
+    [
+      channel.state,
+      createMessagePreview,
+      doSendMessage,
+      jumpToLatestMessage,
+      state.hasMoreNewer,
+      state.quotedMessage,
+      updateMessage,
+    ],
+  );
+
+  const setQuotedMessage = useCallback((message) => {
+    dispatch({ type: 'setQuotedMessage', message });
+  }, []);
+
+  const requestMessageEdit = useCallback(
+    /**
+     * @param {string} messageId
+     * @param {boolean} [threadList]
+     */
+    (messageId, threadList = false) => {
+      // a new object each time, so that the same message can be edited again
+      setEditRequest({ messageId, threadList });
+    },
+    [],
+  );
+
+  const setShowTranslation = useCallback(
+    /**
+     * @param {string} messageId
+     * @param {boolean} show
+     */
+    (messageId, show) => {
+      setShownTranslations((prevShownTranslations) => ({
+        ...prevShownTranslations,
+        [messageId]: show,
+      }));
+    },
+    [],
   );
 
   const retrySendMessage = useCallback(
@@ -457,22 +865,38 @@ const ChannelInner = ({
     // props
     acceptedFiles: props.acceptedFiles,
     Attachment,
+    autoTranslate: props.autoTranslate,
     channel,
+    deniedFiles: props.deniedFiles,
+    editRequest,
+    maxFileSize: props.maxFileSize,
     maxNumberOfFiles: props.maxNumberOfFiles,
+    maxTotalFileSize: props.maxTotalFileSize,
     Message,
     multipleUploads: props.multipleUploads,
     mutes,
+    queuedMessages,
+    shownTranslations,
     // handlers
     closeThread,
     editMessage,
+    jumpToLatestMessage,
+    jumpToMessage,
     loadMore,
+    loadMoreNewer,
     loadMoreThread,
+    markRead,
+    // marking a channel unread is only supported through doMarkUnreadRequest
+    markUnread: doMarkUnreadRequest ? markUnread : undefined,
     onMentionsClick: onMentionsHoverOrClick,
     onMentionsHover: onMentionsHoverOrClick,
     openThread,
     removeMessage,
+    requestMessageEdit,
     retrySendMessage,
     sendMessage,
+    setQuotedMessage,
+    setShowTranslation,
     updateMessage,
     // from chatContext, for legacy reasons
     client,
@@ -500,6 +924,7 @@ const ChannelInner = ({
 };
 
 Channel.defaultProps = {
+  autoTranslate: true,
   multipleUploads: true,
 };
 
@@ -568,20 +993,53 @@ Channel.propTypes = {
   multipleUploads: PropTypes.bool,
   /** List of accepted file types */
   acceptedFiles: PropTypes.array,
+  /** List of file types which cannot be uploaded, extensions like `.exe` or MIME types like `application/zip` or `video/*` */
+  deniedFiles: PropTypes.array,
+  /** Maximum size of an attachment, in bytes */
+  maxFileSize: PropTypes.number,
   /** Maximum number of attachments allowed per message */
   maxNumberOfFiles: PropTypes.number,
+  /** Maximum size of all the attachments of a message, in bytes */
+  maxTotalFileSize: PropTypes.number,
+  /**
+   * Show the messages translated in the language of the user, `TranslationContext.userLanguage`, when they have a translation.
+   * The user can still switch each message back to its original text. Defaults to true, set it to false to show the
+   * original texts until the user chooses to show the translations.
+   */
+  autoTranslate: PropTypes.bool,
   /** Override send message request (Advanced usage only)
    *
    * @param {String} channelId full channel ID in format of `type:id`
    * @param {Object} message
    */
   doSendMessageRequest: PropTypes.func,
+  /**
+   * Storage of the messages which could not be sent because of a connection issue, they are sent again when the connection is recovered.
+   *
+   * Defaults to an in-memory storage, use `createLocalStorageOutboxStorage()` to keep them when the page is reloaded.
+   * Any object implementing `getEntries(key)` and `setEntries(key, entries)`, which may return promises, can be used, e.g. to store them in IndexedDB.
+   * The entries are keyed by user id and channel cid, see `getOutboxKey`.
+   */
+  outboxStorage: /** @type {PropTypes.Validator<import('types').OutboxStorage>} */ (PropTypes.shape(
+    {
+      getEntries: PropTypes.func.isRequired,
+      setEntries: PropTypes.func.isRequired,
+    },
+  )),
   /**
    * Override mark channel read request (Advanced usage only)
    *
    * @param {Channel} channel object
    * */
   doMarkReadRequest: PropTypes.func,
+  /**
+   * Mark channel unread request, the "Mark as unread" message action is only available when it is provided
+   * as the client does not support it yet (Advanced usage only)
+   *
+   * @param {Channel} channel object
+   * @param {String} messageId id of the first message to mark unread
+   * */
+  doMarkUnreadRequest: PropTypes.func,
   /** Override update(edit) message request (Advanced usage only)
    *
    * @param {String} channelId full channel ID in format of `type:id`
@@ -608,6 +1066,33 @@ Channel.propTypes = {
    */
   // @ts-expect-error import type when converted to TS
   EmojiPicker: /** @type {PropTypes.Validator<React.ElementType<NimblePickerProps>>} */ (PropTypes.elementType),
+  /**
+   * Custom image emojis, e.g. the emojis of a team, available in the emoji picker, the `:` autocomplete and the reactions.
+   * They are written as `:id:` in the messages and rendered as images.
+   *
+   * ```json
+   * [{ "id": "party_parrot", "name": "Party Parrot", "imageUrl": "https://...", "keywords": ["parrot"] }]
+   * ```
+   */
+  customEmojis: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      imageUrl: PropTypes.string.isRequired,
+      keywords: PropTypes.arrayOf(PropTypes.string.isRequired),
+      category: PropTypes.string,
+    }).isRequired,
+  ),
+  /**
+   * Storage of the skin tone and of the recently used emojis of the user, defaults to a localStorage storage.
+   * Create one with another key with `createLocalStorageEmojiPreferencesStorage(key)`.
+   */
+  emojiPreferencesStorage: /** @type {PropTypes.Validator<import('types').EmojiPreferencesStorage>} */ (PropTypes.shape(
+    {
+      getPreferences: PropTypes.func.isRequired,
+      setPreferences: PropTypes.func.isRequired,
+    },
+  )),
 };
 
 export default React.memo(Channel);
@@ -1,7 +1,8 @@
 import React, { useEffect, useContext } from 'react';
-import { render, waitFor, fireEvent } from '@testing-library/react';
+import { act, render, waitFor, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import Channel from '../Channel';
+import { createInMemoryOutboxStorage, getOutboxKey } from '../outbox';
 import { Chat } from '../../Chat';
 import { ChannelContext, ChatContext } from '../../../context';
 import {
@@ -484,6 +485,247 @@ describe('Channel', () => {
       });
     });
 
+    describe('jumping to a message', () => {
+      const limit = 4;
+      const minutesAgo = (minutes) =>
+        new Date(Date.now() - minutes * 60 * 1000);
+      const olderMessages = [
+        generateMessage({ user, created_at: minutesAgo(50) }),
+        generateMessage({ user, created_at: minutesAgo(40) }),
+      ];
+      const targetMessage = olderMessages[1];
+      const newerMessages = [
+        generateMessage({ user, created_at: minutesAgo(30) }),
+        generateMessage({ user, created_at: minutesAgo(20) }),
+      ];
+      const getIds = (messageList) => messageList.map(({ id }) => id);
+
+      // the queries of a jump are sent in order: older messages first, then newer ones
+      const mockQueryResponses = (...messageLists) => {
+        const postSpy = jest.spyOn(chatClient.axiosInstance, 'post');
+        messageLists.forEach((messageList) =>
+          postSpy.mockResolvedValueOnce(
+            getOrCreateChannelApi(
+              generateChannel({
+                channel: {
+                  id: channel.id,
+                  type: channel.type,
+                  config: channel.getConfig(),
+                },
+                messages: messageList,
+              }),
+            ).response,
+          ),
+        );
+      };
+
+      it('should load the messages around the message and highlight it', async () => {
+        const channelQuerySpy = jest.spyOn(channel, 'query');
+        let context;
+        renderComponent({}, (channelContext) => {
+          if (!context) {
+            mockQueryResponses(olderMessages, newerMessages);
+            channelContext.jumpToMessage(targetMessage.id, limit);
+          }
+          context = channelContext;
+        });
+
+        await waitFor(() =>
+          expect(context.highlightedMessageId).toBe(targetMessage.id),
+        );
+        expect(channelQuerySpy).toHaveBeenCalledWith({
+          messages: { limit: 2, id_lte: targetMessage.id },
+        });
+        expect(channelQuerySpy).toHaveBeenCalledWith({
+          messages: { limit: 2, id_gt: targetMessage.id },
+        });
+        expect(getIds(context.messages)).toStrictEqual(
+          getIds([...olderMessages, ...newerMessages]),
+        );
+        expect(context.hasMore).toBe(true);
+        expect(context.hasMoreNewer).toBe(true);
+        // the other components of the channel still get the latest messages from the client state
+        expect(getIds(channel.state.messages)).toStrictEqual(
+          getIds([...olderMessages, ...newerMessages, ...messages]),
+        );
+      });
+
+      it('should highlight an already loaded message without querying the channel', async () => {
+        let context;
+        renderComponent({}, (channelContext) => {
+          if (!context) {
+            jest.spyOn(channel, 'query');
+            channelContext.jumpToMessage(messages[0].id);
+          }
+          context = channelContext;
+        });
+
+        await waitFor(() =>
+          expect(context.highlightedMessageId).toBe(messages[0].id),
+        );
+        expect(channel.query).not.toHaveBeenCalled();
+        expect(context.hasMoreNewer).toBe(false);
+      });
+
+      it('should load newer messages until the latest ones after a jump', async () => {
+        const channelQuerySpy = jest.spyOn(channel, 'query');
+        const latestMessage = generateMessage({
+          user,
+          created_at: minutesAgo(10),
+        });
+        let context;
+        renderComponent({}, (channelContext) => {
+          if (!context) {
+            mockQueryResponses(olderMessages, newerMessages);
+            channelContext.jumpToMessage(targetMessage.id, limit);
+          } else if (!context.hasMoreNewer && channelContext.hasMoreNewer) {
+            mockQueryResponses([latestMessage]);
+            channelContext.loadMoreNewer(limit);
+          }
+          context = channelContext;
+        });
+
+        // the window reaches the latest messages the client state kept during the jump
+        await waitFor(() =>
+          expect(getIds(context.messages)).toStrictEqual(
+            getIds([
+              ...olderMessages,
+              ...newerMessages,
+              latestMessage,
+              ...messages,
+            ]),
+          ),
+        );
+        expect(channelQuerySpy).toHaveBeenLastCalledWith({
+          messages: { limit, id_gt: newerMessages[1].id },
+        });
+        expect(context.hasMoreNewer).toBe(false);
+      });
+
+      it('should only keep the latest messages when jumping back to them', async () => {
+        let context;
+        let jumpedToLatest = false;
+        renderComponent({}, (channelContext) => {
+          if (!context) {
+            mockQueryResponses(olderMessages, newerMessages);
+            channelContext.jumpToMessage(targetMessage.id, limit);
+          } else if (!context.hasMoreNewer && channelContext.hasMoreNewer) {
+            mockQueryResponses(messages);
+            channelContext.jumpToLatestMessage(limit);
+            jumpedToLatest = true;
+          }
+          context = channelContext;
+        });
+
+        await waitFor(() => {
+          expect(jumpedToLatest).toBe(true);
+          expect(context.hasMoreNewer).toBe(false);
+        });
+        expect(getIds(context.messages)).toStrictEqual(getIds(messages));
+        expect(getIds(channel.state.messages)).toStrictEqual(
+          getIds([...olderMessages, ...newerMessages, ...messages]),
+        );
+      });
+
+      it('should restore the latest messages when the channel is mounted again after a jump', async () => {
+        let context;
+        const { unmount } = renderComponent({}, (channelContext) => {
+          if (!context) {
+            mockQueryResponses(olderMessages, newerMessages);
+            channelContext.jumpToMessage(targetMessage.id, limit);
+          }
+          context = channelContext;
+        });
+        await waitFor(() => expect(context.hasMoreNewer).toBe(true));
+        unmount();
+
+        const watchSpy = jest.spyOn(channel, 'watch');
+        mockQueryResponses(messages);
+        let remountedContext;
+        const { unmount: unmountAgain } = renderComponent(
+          {},
+          (channelContext) => {
+            remountedContext = channelContext;
+          },
+        );
+        await waitFor(() => expect(remountedContext.loading).toBe(false));
+        expect(watchSpy).toHaveBeenCalledTimes(1);
+        expect(getIds(remountedContext.messages)).toStrictEqual(
+          getIds(messages),
+        );
+        // the older history is dropped from the client state, the next mounts use it as it is
+        expect(getIds(channel.state.messages)).toStrictEqual(getIds(messages));
+        unmountAgain();
+
+        renderComponent({}, (channelContext) => {
+          remountedContext = channelContext;
+        });
+        await waitFor(() => expect(remountedContext.loading).toBe(false));
+        expect(watchSpy).toHaveBeenCalledTimes(1);
+        expect(getIds(remountedContext.messages)).toStrictEqual(
+          getIds(messages),
+        );
+      });
+
+      it('should keep highlighting the message for 3 seconds after each jump', async () => {
+        let context;
+        renderComponent({}, (channelContext) => {
+          context = channelContext;
+        });
+        await waitFor(() => expect(context?.loading).toBe(false));
+
+        jest.useFakeTimers('legacy');
+        act(() => {
+          context.jumpToMessage(messages[0].id);
+        });
+        act(() => {
+          jest.advanceTimersByTime(2000);
+        });
+        act(() => {
+          context.jumpToMessage(messages[0].id);
+        });
+        act(() => {
+          jest.advanceTimersByTime(2000);
+        });
+        expect(context.highlightedMessageId).toBe(messages[0].id);
+
+        act(() => {
+          jest.advanceTimersByTime(1000);
+        });
+        expect(context.highlightedMessageId).toBeNull();
+        jest.useRealTimers();
+      });
+
+      it('should jump to the message requested through jumpToChannelMessage of the ChatContext', async () => {
+        const messageChannel = chatClient.channel('messaging', 'jump-target');
+        const ChannelMessageJumper = () => {
+          const { jumpToChannelMessage } = useContext(ChatContext);
+          useEffect(() => {
+            jumpToChannelMessage(messageChannel, messages[0].id);
+          }, [jumpToChannelMessage]);
+          return null;
+        };
+        let context;
+
+        render(
+          <Chat client={chatClient}>
+            <ChannelMessageJumper />
+            <Channel>
+              <CallbackEffectWithChannelContext
+                callback={(channelContext) => {
+                  context = channelContext;
+                }}
+              />
+            </Channel>
+          </Chat>,
+        );
+
+        await waitFor(() =>
+          expect(context?.highlightedMessageId).toBe(messages[0].id),
+        );
+      });
+    });
+
     describe('Sending/removing/updating messages', () => {
       it('should remove error messages from channel state when sending a new message', async () => {
         const filterErrorMessagesSpy = jest.spyOn(
@@ -547,6 +789,54 @@ describe('Channel', () => {
         );
       });
 
+      it('should send the id of the quoted message and display the quoted message in the preview', async () => {
+        const quotedMessage = messages[0];
+        const doSendMessageRequest = jest.fn(() => new Promise(() => {}));
+        // flags to prevent infinite loop
+        let hasQuoted = false;
+        let hasSent = false;
+        let messagePreview;
+
+        renderComponent(
+          {
+            doSendMessageRequest,
+          },
+          ({
+            messages: contextMessages,
+            quotedMessage: contextQuotedMessage,
+            sendMessage,
+            setQuotedMessage,
+          }) => {
+            if (!hasQuoted) {
+              setQuotedMessage(quotedMessage);
+              hasQuoted = true;
+            } else if (contextQuotedMessage && !hasSent) {
+              sendMessage({
+                text: 'reply',
+                quoted_message_id: quotedMessage.id,
+              });
+              hasSent = true;
+            }
+            messagePreview = contextMessages.find(
+              ({ text }) => text === 'reply',
+            );
+          },
+        );
+
+        await waitFor(() =>
+          expect(doSendMessageRequest).toHaveBeenCalledWith(
+            channel.cid,
+            expect.objectContaining({
+              text: 'reply',
+              quoted_message_id: quotedMessage.id,
+            }),
+          ),
+        );
+        await waitFor(() =>
+          expect(messagePreview.quoted_message.id).toBe(quotedMessage.id),
+        );
+      });
+
       it('should eventually pass the result of the sendMessage API as part of ChannelContext', async () => {
         const sentMessage = { text: 'message' };
         const messageResponse = { text: 'different message' };
@@ -665,6 +955,216 @@ describe('Channel', () => {
       });
     });
 
+    describe('Outbox', () => {
+      const networkError = () =>
+        Object.assign(new Error('Network Error'), { request: {} });
+      const respondWithMessage = (message) =>
+        Promise.resolve({
+          message: { ...message, created_at: new Date().toISOString(), user },
+        });
+      const queuedEntry = (options) => ({
+        attempts: 0,
+        message: generateMessage({ status: 'queued', user, ...options }),
+      });
+      // the cid of the channel is only known once it is watched
+      const createStorageWith = (entries) => ({
+        getEntries: jest.fn(() => entries),
+        setEntries: jest.fn(),
+      });
+
+      it('should queue the messages sent while offline and send them in order when the connection is recovered', async () => {
+        const outboxStorage = createInMemoryOutboxStorage();
+        const sendMessageSpy = jest
+          .spyOn(channel, 'sendMessage')
+          .mockImplementation(respondWithMessage);
+        let context;
+        // flag to prevent infinite loop
+        let hasSent = false;
+
+        renderComponent({ outboxStorage }, (channelContext) => {
+          context = channelContext;
+          if (!hasSent) {
+            chatClient.dispatchEvent({
+              type: 'connection.changed',
+              online: false,
+            });
+            channelContext.sendMessage({ text: 'first' });
+            channelContext.sendMessage({ text: 'second' });
+            hasSent = true;
+          }
+        });
+
+        await waitFor(() => expect(context.queuedMessages).toHaveLength(2));
+        expect(
+          context.messages
+            .filter(({ status }) => status === 'queued')
+            .map(({ text }) => text),
+        ).toStrictEqual(['first', 'second']);
+        expect(
+          outboxStorage.getEntries(
+            getOutboxKey(chatClient.userID, channel.cid),
+          ),
+        ).toHaveLength(2);
+        expect(sendMessageSpy).not.toHaveBeenCalled();
+
+        act(() => {
+          chatClient.dispatchEvent({
+            type: 'connection.changed',
+            online: true,
+          });
+        });
+
+        await waitFor(() => expect(context.queuedMessages).toHaveLength(0));
+        expect(sendMessageSpy).toHaveBeenCalledTimes(2);
+        expect(sendMessageSpy).toHaveBeenNthCalledWith(
+          1,
+          expect.objectContaining({ text: 'first' }),
+        );
+        expect(sendMessageSpy).toHaveBeenNthCalledWith(
+          2,
+          expect.objectContaining({ text: 'second' }),
+        );
+        expect(
+          context.messages.filter(
+            ({ text }) => text === 'first' || text === 'second',
+          ),
+        ).toStrictEqual([
+          expect.objectContaining({ status: 'received' }),
+          expect.objectContaining({ status: 'received' }),
+        ]);
+        expect(
+          outboxStorage.getEntries(
+            getOutboxKey(chatClient.userID, channel.cid),
+          ),
+        ).toHaveLength(0);
+      });
+
+      it('should queue a message which failed because of a network error and retry it with a backoff', async () => {
+        const sendMessageSpy = jest
+          .spyOn(channel, 'sendMessage')
+          .mockImplementationOnce(() => Promise.reject(networkError()))
+          .mockImplementation(respondWithMessage);
+        let context;
+        // flag to prevent infinite loop
+        let hasSent = false;
+
+        renderComponent(
+          { outboxStorage: createInMemoryOutboxStorage() },
+          (channelContext) => {
+            context = channelContext;
+            if (!hasSent) channelContext.sendMessage({ text: 'retried' });
+            hasSent = true;
+          },
+        );
+
+        await waitFor(() =>
+          expect(context.queuedMessages).toStrictEqual([
+            expect.objectContaining({ attempts: 1 }),
+          ]),
+        );
+        expect(
+          context.messages.find(({ text }) => text === 'retried').status,
+        ).toBe('queued');
+
+        await waitFor(() => expect(sendMessageSpy).toHaveBeenCalledTimes(2), {
+          timeout: 3000,
+        });
+        await waitFor(() =>
+          expect(
+            context.messages.find(({ text }) => text === 'retried').status,
+          ).toBe('received'),
+        );
+        expect(context.queuedMessages).toHaveLength(0);
+      });
+
+      it('should send the messages restored from the outbox storage on mount', async () => {
+        const entry = queuedEntry({ text: 'restored' });
+        const outboxStorage = createStorageWith([entry]);
+        const sendMessageSpy = jest
+          .spyOn(channel, 'sendMessage')
+          .mockImplementation(respondWithMessage);
+
+        const { findByText } = renderComponent({
+          children: <MockMessageList />,
+          outboxStorage,
+        });
+
+        expect(await findByText('restored')).toBeInTheDocument();
+        await waitFor(() =>
+          expect(sendMessageSpy).toHaveBeenCalledWith(
+            expect.objectContaining({
+              id: entry.message.id,
+              text: 'restored',
+            }),
+          ),
+        );
+        await waitFor(() =>
+          expect(outboxStorage.setEntries).toHaveBeenLastCalledWith(
+            getOutboxKey(chatClient.userID, channel.cid),
+            [],
+          ),
+        );
+      });
+
+      it('should not send the messages queued by another user', async () => {
+        const outboxStorage = createInMemoryOutboxStorage();
+        const sendMessageSpy = jest.spyOn(channel, 'sendMessage');
+        let context;
+        // flag to prevent infinite loop
+        let hasSent = false;
+
+        const { unmount } = renderComponent(
+          { outboxStorage },
+          (channelContext) => {
+            context = channelContext;
+            if (!hasSent) {
+              chatClient.dispatchEvent({
+                type: 'connection.changed',
+                online: false,
+              });
+              channelContext.sendMessage({ text: 'queued' });
+              hasSent = true;
+            }
+          },
+        );
+        await waitFor(() => expect(context.queuedMessages).toHaveLength(1));
+        unmount();
+        const { userID } = chatClient;
+        chatClient.userID = 'other-user';
+
+        renderComponent({ outboxStorage }, (channelContext) => {
+          context = channelContext;
+        });
+
+        await waitFor(() => expect(context.loading).toBe(false));
+        expect(context.queuedMessages).toHaveLength(0);
+        expect(sendMessageSpy).not.toHaveBeenCalled();
+        chatClient.userID = userID;
+      });
+
+      it('should not send again a queued message which the server already received', async () => {
+        const outboxStorage = createStorageWith([
+          { ...queuedEntry(), message: { ...messages[0], status: 'queued' } },
+        ]);
+        const sendMessageSpy = jest.spyOn(channel, 'sendMessage');
+
+        renderComponent({ outboxStorage });
+
+        await waitFor(() =>
+          expect(outboxStorage.getEntries).toHaveBeenCalledWith(
+            getOutboxKey(chatClient.userID, channel.cid),
+          ),
+        );
+        await waitFor(() =>
+          expect(outboxStorage.setEntries).toHaveBeenCalledWith(
+            getOutboxKey(chatClient.userID, channel.cid),
+            [],
+          ),
+        );
+        expect(sendMessageSpy).not.toHaveBeenCalled();
+      });
+    });
+
     describe('Channel events', () => {
       // note: these tests rely on Client.dispatchEvent, which eventually propagates to the channel component.
       const createOneTimeEventDispatcher = (event) => {
@@ -715,6 +1215,83 @@ describe('Channel', () => {
         await waitFor(() => expect(markReadSpy).toHaveBeenCalledWith());
       });
 
+      it('should not mark the channel as read automatically after it has been marked unread, until it is marked read', async () => {
+        Object.defineProperty(document, 'hidden', {
+          configurable: true,
+          get: () => false,
+        });
+        const doMarkReadRequest = jest.fn();
+        const doMarkUnreadRequest = jest.fn();
+        let context;
+
+        renderComponent({ doMarkReadRequest, doMarkUnreadRequest }, (ctx) => {
+          context = ctx;
+        });
+        await waitFor(() => expect(context.loading).toBe(false));
+
+        await act(() => context.markUnread(messages[0].id));
+
+        expect(doMarkUnreadRequest).toHaveBeenCalledWith(
+          channel,
+          messages[0].id,
+        );
+        expect(context.markedUnreadMessageId).toBe(messages[0].id);
+        expect(context.read[user.id].last_read.getTime()).toBeLessThan(
+          new Date(messages[0].created_at).getTime(),
+        );
+
+        act(() => {
+          chatClient.dispatchEvent({
+            cid: channel.cid,
+            message: generateMessage({ user: generateUser() }),
+            type: 'message.new',
+          });
+        });
+        expect(doMarkReadRequest).not.toHaveBeenCalled();
+
+        act(() => context.markRead());
+
+        expect(doMarkReadRequest).toHaveBeenCalledTimes(1);
+        await waitFor(() => expect(context.markedUnreadMessageId).toBeNull());
+      });
+
+      it('should keep the read state of a channel marked unread on the events without dispatching an event', async () => {
+        const doMarkUnreadRequest = jest.fn();
+        const dispatchEventSpy = jest.spyOn(chatClient, 'dispatchEvent');
+        let context;
+
+        renderComponent({ doMarkUnreadRequest }, (ctx) => {
+          context = ctx;
+        });
+        await waitFor(() => expect(context.loading).toBe(false));
+
+        await act(() => context.markUnread(messages[0].id));
+        act(() => {
+          chatClient.dispatchEvent({
+            cid: channel.cid,
+            type: 'typing.start',
+            user: generateUser(),
+          });
+        });
+
+        await waitFor(() => expect(context.typing).not.toStrictEqual({}));
+        expect(context.read[user.id].last_read.getTime()).toBeLessThan(
+          new Date(messages[0].created_at).getTime(),
+        );
+        expect(dispatchEventSpy).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not provide markUnread without doMarkUnreadRequest', async () => {
+        let context;
+
+        renderComponent({}, (ctx) => {
+          context = ctx;
+        });
+
+        await waitFor(() => expect(context.loading).toBe(false));
+        expect(context.markUnread).toBeUndefined();
+      });
+
       it('title of the page should include the unread count if the user is not looking at the page when a new message event happens', async () => {
         const unreadAmount = 1;
         Object.defineProperty(document, 'hidden', {
@@ -0,0 +1,114 @@
+import {
+  addEmojiUsage,
+  createLocalStorageEmojiPreferencesStorage,
+  defaultEmojiPreferences,
+  getRecentEmojiIds,
+  MAX_TRACKED_EMOJIS,
+  sortByRecentEmojis,
+} from '../emojiPreferences';
+import { getEmojiId, toEmojiMartCustomEmoji } from '../emojiData';
+
+describe('emoji preferences storage', () => {
+  afterEach(() => window.localStorage.clear());
+
+  it('should keep the preferences in localStorage', () => {
+    const preferences = {
+      skinTone: 3,
+      usage: [{ count: 2, id: 'smile', lastUsedAt: 1000 }],
+    };
+    createLocalStorageEmojiPreferencesStorage('emojis').setPreferences(
+      preferences,
+    );
+    expect(window.localStorage.getItem('emojis')).toBe(
+      JSON.stringify(preferences),
+    );
+    expect(
+      createLocalStorageEmojiPreferencesStorage('emojis').getPreferences(),
+    ).toStrictEqual(preferences);
+  });
+
+  it('should ignore invalid localStorage content', () => {
+    window.localStorage.setItem('str-chat__emoji-preferences', '{invalid');
+    expect(
+      createLocalStorageEmojiPreferencesStorage().getPreferences(),
+    ).toStrictEqual(defaultEmojiPreferences);
+    window.localStorage.setItem(
+      'str-chat__emoji-preferences',
+      JSON.stringify({ skinTone: 9, usage: 'smile' }),
+    );
+    expect(
+      createLocalStorageEmojiPreferencesStorage().getPreferences(),
+    ).toStrictEqual(defaultEmojiPreferences);
+  });
+});
+
+describe('emoji usage', () => {
+  it('should count the uses of an emoji', () => {
+    const usage = addEmojiUsage(
+      addEmojiUsage([], 'smile', 1000),
+      'smile',
+      2000,
+    );
+    expect(usage).toStrictEqual([{ count: 2, id: 'smile', lastUsedAt: 2000 }]);
+  });
+
+  it('should forget the least recently used emoji when too many emojis are used', () => {
+    let usage = [];
+    for (let i = 0; i < MAX_TRACKED_EMOJIS; i += 1) {
+      usage = addEmojiUsage(usage, `emoji-${i}`, i);
+    }
+    usage = addEmojiUsage(usage, 'emoji-0', MAX_TRACKED_EMOJIS);
+    usage = addEmojiUsage(usage, 'smile', MAX_TRACKED_EMOJIS + 1);
+    expect(usage).toHaveLength(MAX_TRACKED_EMOJIS);
+    expect(usage.map(({ id }) => id)).toContain('emoji-0');
+    expect(usage.map(({ id }) => id)).toContain('smile');
+    expect(usage.map(({ id }) => id)).not.toContain('emoji-1');
+  });
+
+  it('should list the most frequently used emojis first, then the most recently used', () => {
+    const usage = [
+      { count: 1, id: 'smile', lastUsedAt: 3000 },
+      { count: 3, id: 'heart', lastUsedAt: 1000 },
+      { count: 1, id: '+1', lastUsedAt: 2000 },
+    ];
+    expect(getRecentEmojiIds(usage)).toStrictEqual(['heart', 'smile', '+1']);
+  });
+
+  it('should move the recent emojis first and keep the order of the others', () => {
+    const emojis = ['a', 'b', 'c', 'd', 'e'].map((id) => ({ id }));
+    expect(
+      sortByRecentEmojis(emojis, ['d', 'b'], ({ id }) => id).map(
+        ({ id }) => id,
+      ),
+    ).toStrictEqual(['d', 'b', 'a', 'c', 'e']);
+    expect(sortByRecentEmojis(emojis, [], ({ id }) => id)).toBe(emojis);
+  });
+});
+
+describe('custom emojis', () => {
+  it('should convert a custom emoji to the emoji-mart format', () => {
+    expect(
+      toEmojiMartCustomEmoji({
+        id: 'party_parrot',
+        imageUrl: 'https://example.com/parrot.gif',
+        name: 'Party Parrot',
+      }),
+    ).toStrictEqual({
+      colons: ':party_parrot:',
+      custom: true,
+      customCategory: undefined,
+      emoticons: [],
+      id: 'party_parrot',
+      imageUrl: 'https://example.com/parrot.gif',
+      keywords: [],
+      name: 'Party Parrot',
+      short_names: ['party_parrot'],
+      text: '',
+    });
+  });
+
+  it('should use the emoji of a reaction option as its emoji id', () => {
+    expect(getEmojiId({ colons: ':+1:', id: 'like' })).toBe('+1');
+    expect(getEmojiId({ id: 'like' })).toBe('like');
+  });
+});
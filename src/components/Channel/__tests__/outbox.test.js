@@ -0,0 +1,80 @@
+import {
+  createInMemoryOutboxStorage,
+  createLocalStorageOutboxStorage,
+  getOutboxKey,
+  getOutboxRetryDelay,
+  isDuplicateMessageError,
+  isRetryableSendError,
+} from '../outbox';
+
+const entry = { attempts: 0, message: { id: 'message-id', text: 'text' } };
+
+describe('outbox storages', () => {
+  afterEach(() => window.localStorage.clear());
+
+  it('should key the outbox by user and channel', () => {
+    expect(getOutboxKey('jon', 'messaging:1')).toBe('jon:messaging:1');
+    expect(getOutboxKey('sam', 'messaging:1')).not.toBe(
+      getOutboxKey('jon', 'messaging:1'),
+    );
+  });
+
+  it('should keep the entries per channel in memory', () => {
+    const storage = createInMemoryOutboxStorage();
+    storage.setEntries('messaging:1', [entry]);
+    expect(storage.getEntries('messaging:1')).toStrictEqual([entry]);
+    expect(storage.getEntries('messaging:2')).toStrictEqual([]);
+    storage.setEntries('messaging:1', []);
+    expect(storage.getEntries('messaging:1')).toStrictEqual([]);
+  });
+
+  it('should keep the entries per channel in localStorage', () => {
+    const storage = createLocalStorageOutboxStorage('outbox');
+    storage.setEntries('messaging:1', [entry]);
+    expect(window.localStorage.getItem('outbox:messaging:1')).toBe(
+      JSON.stringify([entry]),
+    );
+    expect(
+      createLocalStorageOutboxStorage('outbox').getEntries('messaging:1'),
+    ).toStrictEqual([entry]);
+    storage.setEntries('messaging:1', []);
+    expect(window.localStorage.getItem('outbox:messaging:1')).toBeNull();
+  });
+
+  it('should ignore invalid localStorage content', () => {
+    window.localStorage.setItem('str-chat__outbox:messaging:1', '{invalid');
+    expect(
+      createLocalStorageOutboxStorage().getEntries('messaging:1'),
+    ).toStrictEqual([]);
+  });
+});
+
+describe('outbox retries', () => {
+  it('should double the retry delay with every attempt up to a maximum', () => {
+    expect(getOutboxRetryDelay(1)).toBe(1000);
+    expect(getOutboxRetryDelay(2)).toBe(2000);
+    expect(getOutboxRetryDelay(3)).toBe(4000);
+    expect(getOutboxRetryDelay(20)).toBe(30000);
+  });
+
+  it('should only retry network errors, timeouts, rate limiting and server errors', () => {
+    expect(isRetryableSendError({ request: {} })).toBe(true);
+    expect(isRetryableSendError({ status: 503 })).toBe(true);
+    expect(isRetryableSendError({ status: 429 })).toBe(true);
+    expect(isRetryableSendError({ response: { status: 408 } })).toBe(true);
+    expect(isRetryableSendError({ status: 400 })).toBe(false);
+    expect(isRetryableSendError(new Error('invalid message'))).toBe(false);
+    expect(isRetryableSendError(undefined)).toBe(false);
+  });
+
+  it('should detect the messages already received by the server', () => {
+    expect(
+      isDuplicateMessageError(
+        new Error(
+          'StreamChat error code 4: SendMessage failed with error: "a message with ID message-id already exists"',
+        ),
+      ),
+    ).toBe(true);
+    expect(isDuplicateMessageError(new Error('Network Error'))).toBe(false);
+  });
+});
@@ -1,3 +1,53 @@
+/**
+ * @typedef {{ created_at?: string | Date }} DatedMessage
+ * @param {DatedMessage} message
+ */
+const getTime = (message) => new Date(message.created_at || 0).getTime();
+
+/**
+ * Returns the messages from the first given message to the last one, both included, the boundaries left out are
+ * the oldest and the newest message. The client state holds the latest messages along with the windows of older
+ * history the user jumped to, a window of messages is displayed at a time.
+ * @param {import('stream-chat').ChannelState['messages']} messages
+ * @param {DatedMessage} [firstMessage]
+ * @param {DatedMessage} [lastMessage]
+ */
+export const getMessagesBetween = (messages, firstMessage, lastMessage) => {
+  const from = firstMessage ? getTime(firstMessage) : -Infinity;
+  const to = lastMessage ? getTime(lastMessage) : Infinity;
+  return messages.filter((message) => {
+    const time = getTime(message);
+    return time >= from && time <= to;
+  });
+};
+
+/**
+ * The messages of the client state in the window displayed: from its oldest message and, while a window of older
+ * history is displayed, up to its newest one, the rest is loaded by paging.
+ * @param {import('./types').ChannelState} state
+ * @param {import('stream-chat').ChannelState['messages']} messages
+ */
+const sliceLoadedWindow = (state, messages) =>
+  getMessagesBetween(
+    messages,
+    state.messages[0],
+    state.hasMoreNewer ? state.messages[state.messages.length - 1] : undefined,
+  );
+
+/**
+ * The read state of the client, except the read state of the current user while the channel is marked unread: the
+ * client is not aware of it until the server sends the notification.mark_unread event
+ * @param {import('./types').ChannelState} state
+ * @param {import('stream-chat').Channel} channel
+ */
+const copyReadState = (state, channel) => {
+  const { userID } = channel.getClient();
+  if (!state.markedUnreadMessageId || !userID || !state.read[userID]) {
+    return { ...channel.state.read };
+  }
+  return { ...channel.state.read, [userID]: state.read[userID] };
+};
+
 /** @type {import('./types').ChannelStateReducer} */
 export const channelReducer = (state, action) => {
   switch (action.type) {
@@ -7,7 +57,7 @@ export const channelReducer = (state, action) => {
         ...state,
         messages: [...channel.state.messages],
         pinnedMessages: [...channel.state.pinnedMessages],
-        read: { ...channel.state.read },
+        read: copyReadState(state, channel),
         watchers: { ...channel.state.watchers },
         members: { ...channel.state.members },
         watcherCount: channel.state.watcher_count,
@@ -18,15 +68,35 @@ export const channelReducer = (state, action) => {
       const { channel } = action;
       return {
         ...state,
-        messages: [...channel.state.messages],
+        messages: sliceLoadedWindow(state, channel.state.messages),
         pinnedMessages: [...channel.state.pinnedMessages],
-        read: { ...channel.state.read },
+        read: copyReadState(state, channel),
         watchers: { ...channel.state.watchers },
         members: { ...channel.state.members },
         typing: { ...channel.state.typing },
         watcherCount: channel.state.watcher_count,
       };
     }
+    case 'markUnread': {
+      const { channel, lastRead, messageId } = action;
+      const client = channel.getClient();
+      if (!client.userID) return state;
+      return {
+        ...state,
+        markedUnreadMessageId: messageId,
+        read: {
+          ...state.read,
+          [client.userID]: {
+            ...state.read[client.userID],
+            last_read: lastRead,
+            user: client.user,
+          },
+        },
+      };
+    }
+    case 'clearMarkedUnread': {
+      return { ...state, markedUnreadMessageId: null };
+    }
     case 'setThread': {
       const { message } = action;
       return { ...state, thread: message };
@@ -44,11 +114,43 @@ export const channelReducer = (state, action) => {
       const { loadingMore } = action;
       return { ...state, loadingMore };
     }
+    case 'loadMoreNewerFinished': {
+      const { hasMoreNewer, messages } = action;
+      return {
+        ...state,
+        loadingMoreNewer: false,
+        hasMoreNewer,
+        messages,
+      };
+    }
+    case 'setLoadingMoreNewer': {
+      const { loadingMoreNewer } = action;
+      return { ...state, loadingMoreNewer };
+    }
+    case 'jumpToMessageFinished': {
+      const { hasMore, hasMoreNewer, highlightedMessageId, messages } = action;
+      return {
+        ...state,
+        loadingMore: false,
+        loadingMoreNewer: false,
+        hasMore,
+        hasMoreNewer,
+        highlightedMessageId,
+        messages,
+      };
+    }
+    case 'clearHighlightedMessage': {
+      return { ...state, highlightedMessageId: null };
+    }
+    case 'setQuotedMessage': {
+      const { message } = action;
+      return { ...state, quotedMessage: message };
+    }
     case 'copyMessagesFromChannel': {
       const { channel, parentId } = action;
       return {
         ...state,
-        messages: [...channel.state.messages],
+        messages: sliceLoadedWindow(state, channel.state.messages),
         pinnedMessages: [...channel.state.pinnedMessages],
         threadMessages: parentId
           ? { ...channel.state.threads }[parentId] || []
@@ -97,6 +199,9 @@ export const channelReducer = (state, action) => {
     case 'closeThread': {
       return {
         ...state,
+        quotedMessage: state.quotedMessage?.parent_id
+          ? null
+          : state.quotedMessage,
         thread: null,
         threadMessages: [],
         threadLoadingMore: false,
@@ -117,13 +222,18 @@ export const initialState = {
   loading: true,
   loadingMore: false,
   hasMore: true,
+  loadingMoreNewer: false,
+  hasMoreNewer: false,
+  highlightedMessageId: null,
   messages: [],
   pinnedMessages: [],
+  quotedMessage: null,
   typing: {},
   members: {},
   watchers: {},
   watcherCount: 0,
   read: {},
+  markedUnreadMessageId: null,
   thread: null,
   threadMessages: [],
   threadLoadingMore: false,
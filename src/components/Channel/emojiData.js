@@ -79,3 +79,42 @@ export const getStrippedEmojiData = (data) => ({
   ...data,
   emojis: {},
 });
+
+/**
+ * Custom emoji of the `customEmojis` prop of the Channel, in the format of the emoji-mart custom emojis
+ * @type {(emoji: import('types').CustomEmoji) => import('types').EmojiMartCustomEmoji}
+ */
+export const toEmojiMartCustomEmoji = ({
+  category,
+  id,
+  imageUrl,
+  keywords = [],
+  name,
+}) => ({
+  colons: `:${id}:`,
+  custom: true,
+  customCategory: category,
+  emoticons: [],
+  id,
+  imageUrl,
+  keywords,
+  name,
+  short_names: [id],
+  text: '',
+});
+
+/**
+ * Id of the emoji a reaction option shows, e.g. `+1` for `like`, the same id as the emoji in the picker
+ * @type {(option: { id: string, colons?: string }) => string}
+ */
+export const getEmojiId = ({ colons, id }) =>
+  colons ? colons.replace(/^:|:$/g, '') : id;
+
+/**
+ * The reactions a message can get when no `reactionOptions` are given: the default minimal emojis and the custom emojis
+ * @type {(emojiConfig: import('types').EmojiConfig | undefined) => Array<import('types').MinimalEmojiInterface | import('types').EmojiMartCustomEmoji>}
+ */
+export const getDefaultReactionOptions = (emojiConfig) => [
+  ...(emojiConfig?.defaultMinimalEmojis || []),
+  ...(emojiConfig?.customEmojis || []),
+];
@@ -0,0 +1,94 @@
+// @ts-check
+
+// emojis whose usage is remembered, the least recently used one is forgotten first
+export const MAX_TRACKED_EMOJIS = 50;
+
+/** @type {import('types').EmojiPreferences} */
+export const defaultEmojiPreferences = { skinTone: 1, usage: [] };
+
+/**
+ * Emoji preferences storage keeping the skin tone and the emoji usage of the user in localStorage,
+ * so that they are remembered when the page is reloaded
+ * @param {string} [key] The localStorage key
+ * @returns {import('types').EmojiPreferencesStorage}
+ */
+export const createLocalStorageEmojiPreferencesStorage = (
+  key = 'str-chat__emoji-preferences',
+) => ({
+  getPreferences: () => {
+    try {
+      const preferences = JSON.parse(window.localStorage.getItem(key) || '{}');
+      return {
+        skinTone:
+          Number.isInteger(preferences?.skinTone) &&
+          preferences.skinTone >= 1 &&
+          preferences.skinTone <= 6
+            ? preferences.skinTone
+            : defaultEmojiPreferences.skinTone,
+        usage: Array.isArray(preferences?.usage) ? preferences.usage : [],
+      };
+    } catch (e) {
+      return defaultEmojiPreferences;
+    }
+  },
+  setPreferences: (preferences) => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(preferences));
+    } catch (e) {
+      console.warn('failed to save the emoji preferences to localStorage', e);
+    }
+  },
+});
+
+export const defaultEmojiPreferencesStorage = createLocalStorageEmojiPreferencesStorage();
+
+/**
+ * Counts one more use of an emoji
+ * @param {import('types').EmojiUsage[]} usage
+ * @param {string} emojiId
+ * @param {number} [now]
+ * @returns {import('types').EmojiUsage[]}
+ */
+export const addEmojiUsage = (usage, emojiId, now = Date.now()) => {
+  const previous = usage.find(({ id }) => id === emojiId);
+  const others = usage.filter(({ id }) => id !== emojiId);
+  const next = [
+    { count: (previous?.count || 0) + 1, id: emojiId, lastUsedAt: now },
+    ...others,
+  ];
+  if (next.length <= MAX_TRACKED_EMOJIS) return next;
+  const leastRecentlyUsed = others.reduce((oldest, entry) =>
+    entry.lastUsedAt < oldest.lastUsedAt ? entry : oldest,
+  );
+  return next.filter((entry) => entry !== leastRecentlyUsed);
+};
+
+/**
+ * Ids of the used emojis, the most frequently used first and the most recently used first among the ones used as often
+ * @param {import('types').EmojiUsage[]} usage
+ */
+export const getRecentEmojiIds = (usage) =>
+  [...usage]
+    .sort((a, b) => b.count - a.count || b.lastUsedAt - a.lastUsedAt)
+    .map(({ id }) => id);
+
+/**
+ * Moves the recently used emojis first, in the order of `recentEmojis`, and keeps the order of the others
+ * @template T
+ * @param {T[]} emojis
+ * @param {string[] | undefined} recentEmojis
+ * @param {(emoji: T) => string} getId
+ * @returns {T[]}
+ */
+export const sortByRecentEmojis = (emojis, recentEmojis, getId) => {
+  if (!recentEmojis?.length) return emojis;
+  /** @param {T} emoji */
+  const getRank = (emoji) => {
+    const index = recentEmojis.indexOf(getId(emoji));
+    return index === -1 ? recentEmojis.length : index;
+  };
+  return emojis
+    .map((emoji, index) => ({ emoji, index, rank: getRank(emoji) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ emoji }) => emoji);
+};
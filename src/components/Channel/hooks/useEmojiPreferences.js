@@ -0,0 +1,55 @@
+// @ts-check
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+import { addEmojiUsage, getRecentEmojiIds } from '../emojiPreferences';
+
+/**
+ * The skin tone and the recently used emojis of the user, kept in the emoji preferences storage
+ * @type {import('types').useEmojiPreferences}
+ */
+const useEmojiPreferences = (storage) => {
+  const [preferences, setPreferences] = useState(() =>
+    storage.getPreferences(),
+  );
+
+  const isFirstRender = useRef(true);
+  useEffect(() => {
+    if (isFirstRender.current) {
+      isFirstRender.current = false;
+      return;
+    }
+    storage.setPreferences(preferences);
+  }, [preferences, storage]);
+
+  const recordEmojiUsage = useCallback(
+    /** @param {string} emojiId */
+    (emojiId) => {
+      setPreferences((prevPreferences) => ({
+        ...prevPreferences,
+        usage: addEmojiUsage(prevPreferences.usage, emojiId),
+      }));
+    },
+    [],
+  );
+
+  const setSkinTone = useCallback(
+    /** @param {number} skinTone */
+    (skinTone) => {
+      setPreferences((prevPreferences) => ({ ...prevPreferences, skinTone }));
+    },
+    [],
+  );
+
+  const recentEmojis = useMemo(() => getRecentEmojiIds(preferences.usage), [
+    preferences.usage,
+  ]);
+
+  return {
+    recentEmojis,
+    recordEmojiUsage,
+    setSkinTone,
+    skinTone: preferences.skinTone,
+  };
+};
+
+export default useEmojiPreferences;
@@ -0,0 +1,261 @@
+// @ts-check
+import {
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from 'react';
+
+import {
+  getOutboxKey,
+  getOutboxRetryDelay,
+  isDuplicateMessageError,
+  isRetryableSendError,
+} from '../outbox';
+
+/**
+ * Whether the message is already in the channel state as sent by the server, e.g. received through a `message.new` event
+ * @param {import('stream-chat').Channel} channel
+ * @param {import('types').OutboxEntry['message']} message
+ */
+const isAlreadySent = (channel, message) => {
+  const messages = message.parent_id
+    ? channel.state.threads[message.parent_id] || []
+    : channel.state.messages;
+  return messages.some(
+    ({ id, status }) => id === message.id && status === 'received',
+  );
+};
+
+/**
+ * Keeps the messages that could not be sent because of a connection issue, and sends them again in order
+ * when the connection is recovered, with an exponential backoff between the failed attempts.
+ * @type {import('types').useOutbox}
+ */
+const useOutbox = ({
+  channel,
+  client,
+  loading,
+  sendMessageRequest,
+  storage,
+  updateMessage,
+}) => {
+  const [queuedMessages, setQueuedMessages] = useState(
+    /** @type {Array<import('types').OutboxEntry>} */ ([]),
+  );
+  const entries = useRef(
+    /** @type {Array<import('types').OutboxEntry>} */ ([]),
+  );
+  const flushing = useRef(false);
+  const retryTimeout = useRef(
+    /** @type {ReturnType<typeof setTimeout> | undefined} */ (undefined),
+  );
+  const unmounted = useRef(false);
+  const connected = useRef(true);
+  const outboxKey = getOutboxKey(client.userID || '', channel.cid);
+
+  // the callbacks change with the channel state, keep the latest ones for the retries scheduled in timeouts
+  const latest = useRef({ sendMessageRequest, updateMessage });
+  latest.current = { sendMessageRequest, updateMessage };
+
+  /** @param {Array<import('types').OutboxEntry>} nextEntries */
+  const setEntries = useCallback(
+    async (nextEntries) => {
+      entries.current = nextEntries;
+      if (!unmounted.current) setQueuedMessages(nextEntries);
+      try {
+        await storage.setEntries(outboxKey, nextEntries);
+      } catch (e) {
+        console.warn('failed to persist the outbox', e);
+      }
+    },
+    [outboxKey, storage],
+  );
+
+  /** @param {string} messageId */
+  const removeEntry = useCallback(
+    (messageId) =>
+      setEntries(
+        entries.current.filter(({ message }) => message.id !== messageId),
+      ),
+    [setEntries],
+  );
+
+  // the retries scheduled while sending call the latest flush
+  const flushRef = useRef(
+    /** @type {() => Promise<void>} */ (() => Promise.resolve()),
+  );
+
+  /**
+   * Sends the first queued message, then the next ones once it is sent: the order of the messages is kept
+   * @type {() => Promise<void>}
+   */
+  const sendQueuedMessages = useCallback(async () => {
+    const entry = entries.current[0];
+    if (!entry || unmounted.current) return undefined;
+    const { message } = entry;
+
+    if (isAlreadySent(channel, message)) {
+      await removeEntry(message.id);
+      return sendQueuedMessages();
+    }
+
+    latest.current.updateMessage({ ...message, status: 'sending' });
+    try {
+      const response = await latest.current.sendMessageRequest(message);
+      await removeEntry(message.id);
+      latest.current.updateMessage({
+        ...(response?.message || message),
+        status: 'received',
+      });
+    } catch (error) {
+      if (isDuplicateMessageError(error)) {
+        await removeEntry(message.id);
+        latest.current.updateMessage({ ...message, status: 'received' });
+      } else if (!isRetryableSendError(error)) {
+        await removeEntry(message.id);
+        latest.current.updateMessage({ ...message, status: 'failed' });
+      } else {
+        // nothing else is sent until this message is
+        const attempts = entry.attempts + 1;
+        await setEntries(
+          entries.current.map((queued) =>
+            queued.message.id === message.id ? { ...queued, attempts } : queued,
+          ),
+        );
+        latest.current.updateMessage({ ...message, status: 'queued' });
+        if (!unmounted.current) {
+          retryTimeout.current = setTimeout(
+            () => flushRef.current(),
+            getOutboxRetryDelay(attempts),
+          );
+        }
+        return undefined;
+      }
+    }
+    return sendQueuedMessages();
+  }, [channel, removeEntry, setEntries]);
+
+  const flush = useCallback(async () => {
+    if (
+      flushing.current ||
+      unmounted.current ||
+      !connected.current ||
+      !window.navigator.onLine
+    ) {
+      return;
+    }
+    flushing.current = true;
+    if (retryTimeout.current) clearTimeout(retryTimeout.current);
+
+    try {
+      await sendQueuedMessages();
+    } finally {
+      flushing.current = false;
+    }
+  }, [sendQueuedMessages]);
+  flushRef.current = flush;
+
+  const enqueueMessage = useCallback(
+    /**
+     * @param {import('types').OutboxEntry['message']} message
+     * @param {boolean} [retry] Whether to schedule a retry, when the message failed to be sent while being online
+     */
+    async (message, retry = false) => {
+      // the client-side id identifies the message, queueing it twice replaces the previous entry
+      const existing = entries.current.find(
+        (entry) => entry.message.id === message.id,
+      );
+      const queuedMessage = { ...message, status: 'queued' };
+      const entry = {
+        attempts: (existing?.attempts || 0) + (retry ? 1 : 0),
+        message: queuedMessage,
+      };
+      await setEntries(
+        existing
+          ? entries.current.map((queued) =>
+              queued === existing ? entry : queued,
+            )
+          : [...entries.current, entry],
+      );
+      latest.current.updateMessage(queuedMessage);
+
+      if (retry && !flushing.current && !unmounted.current) {
+        if (retryTimeout.current) clearTimeout(retryTimeout.current);
+        retryTimeout.current = setTimeout(
+          flush,
+          getOutboxRetryDelay(entry.attempts),
+        );
+      }
+    },
+    [flush, setEntries],
+  );
+
+  // restore the messages queued before the page was reloaded or the channel was switched
+  useEffect(() => {
+    if (loading) return undefined;
+    let cancelled = false;
+
+    (async () => {
+      let storedEntries;
+      try {
+        storedEntries = await storage.getEntries(outboxKey);
+      } catch (e) {
+        console.warn('failed to restore the outbox', e);
+        return;
+      }
+      if (cancelled || !storedEntries?.length) return;
+
+      const pending = storedEntries.filter(
+        ({ message }) => !isAlreadySent(channel, message),
+      );
+      const restoredIds = pending.map(({ message }) => message.id);
+      await setEntries([
+        ...pending,
+        ...entries.current.filter(
+          ({ message }) => !restoredIds.includes(message.id),
+        ),
+      ]);
+      pending.forEach(({ message }) =>
+        latest.current.updateMessage({ ...message, status: 'queued' }),
+      );
+      flush();
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [channel, flush, loading, outboxKey, setEntries, storage]);
+
+  // useLayoutEffect so that the events dispatched while the children are mounted are not missed
+  useLayoutEffect(() => {
+    /** @param {import('stream-chat').Event} event */
+    const handleConnectionEvent = (event) => {
+      if (event.type === 'connection.changed') {
+        connected.current = !!event.online;
+        if (!event.online) return;
+      }
+      flush();
+    };
+
+    client.on('connection.changed', handleConnectionEvent);
+    client.on('connection.recovered', handleConnectionEvent);
+    return () => {
+      client.off('connection.changed', handleConnectionEvent);
+      client.off('connection.recovered', handleConnectionEvent);
+    };
+  }, [client, flush]);
+
+  useEffect(
+    () => () => {
+      unmounted.current = true;
+      if (retryTimeout.current) clearTimeout(retryTimeout.current);
+    },
+    [],
+  );
+
+  return { enqueueMessage, flush, queuedMessages };
+};
+
+export default useOutbox;
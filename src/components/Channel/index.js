@@ -1,2 +1,8 @@
 export { default as Channel } from './Channel';
 export * from './hooks';
+export {
+  createInMemoryOutboxStorage,
+  createLocalStorageOutboxStorage,
+  getOutboxKey,
+} from './outbox';
+export { createLocalStorageEmojiPreferencesStorage } from './emojiPreferences';
@@ -0,0 +1,101 @@
+// @ts-check
+
+const OUTBOX_RETRY_BASE_DELAY = 1000;
+const OUTBOX_RETRY_MAX_DELAY = 30000;
+
+/**
+ * Key of the outbox of a channel. The messages queued by each user are kept apart, they are not sent on behalf of
+ * another user logging in on the same browser
+ * @param {string} userId Id of the connected user
+ * @param {string} cid
+ */
+export const getOutboxKey = (userId, cid) => `${userId}:${cid}`;
+
+/**
+ * Outbox storage keeping the pending messages in memory, they are lost when the page is reloaded
+ * @returns {import('types').OutboxStorage}
+ */
+export const createInMemoryOutboxStorage = () => {
+  /** @type {Record<string, Array<import('types').OutboxEntry>>} */
+  const entriesByKey = {};
+
+  return {
+    getEntries: (key) => entriesByKey[key] || [],
+    setEntries: (key, entries) => {
+      if (entries.length) {
+        entriesByKey[key] = entries;
+      } else {
+        delete entriesByKey[key];
+      }
+    },
+  };
+};
+
+/**
+ * Outbox storage keeping the pending messages in localStorage, so they are sent after the page is reloaded
+ * @param {string} [keyPrefix] Prefix of the localStorage keys, which are suffixed with the outbox key
+ * @returns {import('types').OutboxStorage}
+ */
+export const createLocalStorageOutboxStorage = (
+  keyPrefix = 'str-chat__outbox',
+) => ({
+  getEntries: (key) => {
+    try {
+      const entries = JSON.parse(
+        window.localStorage.getItem(`${keyPrefix}:${key}`) || '[]',
+      );
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      return [];
+    }
+  },
+  setEntries: (key, entries) => {
+    try {
+      if (entries.length) {
+        window.localStorage.setItem(
+          `${keyPrefix}:${key}`,
+          JSON.stringify(entries),
+        );
+      } else {
+        window.localStorage.removeItem(`${keyPrefix}:${key}`);
+      }
+    } catch (e) {
+      console.warn('failed to persist the outbox to localStorage', e);
+    }
+  },
+});
+
+// shared by all the Channel components without an outboxStorage prop, so that the queue outlives channel switches
+export const defaultOutboxStorage = createInMemoryOutboxStorage();
+
+/**
+ * Delay before the next attempt to send a queued message, doubling with every failed attempt
+ * @param {number} attempts Number of failed attempts
+ */
+export const getOutboxRetryDelay = (attempts) =>
+  Math.min(
+    OUTBOX_RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0),
+    OUTBOX_RETRY_MAX_DELAY,
+  );
+
+/**
+ * Whether a failed send request should be retried later: network errors, timeouts, rate limiting and server errors are,
+ * invalid messages are not
+ * @param {any} error
+ */
+export const isRetryableSendError = (error) => {
+  const status = error?.status || error?.response?.status;
+  if (status) return status === 408 || status === 429 || status >= 500;
+  // a request without response did not reach the server
+  return !!error?.request || !!error?.isAxiosError;
+};
+
+/**
+ * Whether a send request failed because the server has already received a message with the same client-side id,
+ * e.g. when the response to a previous attempt was lost
+ * @param {any} error
+ */
+export const isDuplicateMessageError = (error) =>
+  /already exists/i.test(
+    error?.response?.data?.message || error?.message || '',
+  );
@@ -10,13 +10,19 @@ export type ChannelState = {
   loading: boolean;
   loadingMore: boolean;
   hasMore: boolean;
+  loadingMoreNewer: boolean;
+  hasMoreNewer: boolean;
+  highlightedMessageId: string | null;
   messages: ChannelStateFromClient['messages'];
   pinnedMessages: ChannelStateFromClient['pinnedMessages'];
+  quotedMessage: ReturnType<ChannelStateFromClient['formatMessage']> | null;
   typing: ChannelStateFromClient['typing'];
   members: ChannelStateFromClient['members'];
   watchers: ChannelStateFromClient['watchers'];
   watcherCount: number;
   read: ChannelStateFromClient['read'];
+  /** The id of the message the channel has been marked unread from, until the channel is marked read again */
+  markedUnreadMessageId: string | null;
   thread: ReturnType<ChannelStateFromClient['formatMessage']> | null;
   threadMessages: Array<ReturnType<ChannelStateFromClient['formatMessage']>>;
   threadLoadingMore: boolean;
@@ -31,6 +37,14 @@ type ChannelAction<T> = {
 export type ChannelStateReducerAction =
   | ChannelAction<'initStateFromChannel'>
   | ChannelAction<'copyStateFromChannelOnEvent'>
+  | (ChannelAction<'markUnread'> & {
+      /** The new last read date of the current user */
+      lastRead: Date;
+      messageId: string;
+    })
+  | {
+      type: 'clearMarkedUnread';
+    }
   | {
       type: 'setThread';
       message: ReturnType<ChannelStateFromClient['formatMessage']>;
@@ -44,6 +58,29 @@ export type ChannelStateReducerAction =
       type: 'setLoadingMore';
       loadingMore: boolean;
     }
+  | {
+      type: 'loadMoreNewerFinished';
+      hasMoreNewer: boolean;
+      messages: ChannelStateFromClient['messages'];
+    }
+  | {
+      type: 'setLoadingMoreNewer';
+      loadingMoreNewer: boolean;
+    }
+  | {
+      type: 'jumpToMessageFinished';
+      hasMore: boolean;
+      hasMoreNewer: boolean;
+      highlightedMessageId: string | null;
+      messages: ChannelStateFromClient['messages'];
+    }
+  | {
+      type: 'clearHighlightedMessage';
+    }
+  | {
+      type: 'setQuotedMessage';
+      message: ReturnType<ChannelStateFromClient['formatMessage']> | null;
+    }
   | {
       type: 'copyMessagesFromChannel';
       channel: Channel;
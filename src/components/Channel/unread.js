@@ -0,0 +1,34 @@
+// @ts-check
+
+/**
+ * Event sent to the current user when a channel is marked unread, not part of the event types of stream-chat yet
+ */
+export const MARK_UNREAD_EVENT = 'notification.mark_unread';
+
+/**
+ * The last read date of the user once the channel is marked unread from a message: the messages before it stay read
+ * @param {{ created_at?: string | Date }} message
+ */
+export const getLastReadBefore = (message) =>
+  new Date(new Date(message.created_at || 0).getTime() - 1);
+
+/**
+ * Moves the read state of the user back to the one of a notification.mark_unread event, as the client does not
+ * handle this event
+ * @param {import('stream-chat').Channel} channel
+ * @param {import('types').MarkUnreadEvent} event
+ */
+export const applyMarkUnreadEvent = (channel, event) => {
+  const { user } = event;
+  if (!user?.id || !event.last_read_at) return;
+
+  const { state } = channel;
+  state.read[user.id] = {
+    ...state.read[user.id],
+    last_read: new Date(event.last_read_at),
+    user,
+  };
+  if (user.id === channel.getClient().userID) {
+    state.unreadCount = event.unread_messages || 0;
+  }
+};
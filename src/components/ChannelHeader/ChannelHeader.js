@@ -1,6 +1,13 @@
-import React, { useContext } from 'react';
+import React, { useContext, useState } from 'react';
 import PropTypes from 'prop-types';
 import { Avatar as DefaultAvatar } from '../Avatar';
+import { ChannelSettings as DefaultChannelSettings } from '../ChannelSettings';
+import { PinIcon } from '../Message/icons';
+import { PinnedMessageList as DefaultPinnedMessageList } from '../PinnedMessageList';
+import {
+  TypingIndicator as DefaultTypingIndicator,
+  useTypingUsers,
+} from '../TypingIndicator';
 import { ChannelContext, ChatContext, TranslationContext } from '../../context';
 
 /**
@@ -9,17 +16,38 @@ import { ChannelContext, ChatContext, TranslationContext } from '../../context';
  * @type {React.FC<import('types').ChannelHeaderProps>}
  */
 const ChannelHeader = (props) => {
-  const { Avatar = DefaultAvatar, image: propImage, live, title } = props;
+  const {
+    Avatar = DefaultAvatar,
+    ChannelSettings = DefaultChannelSettings,
+    image: propImage,
+    live,
+    PinnedMessageList = DefaultPinnedMessageList,
+    pinPermissions,
+    title,
+    TypingIndicator = DefaultTypingIndicator,
+  } = props;
 
-  const { channel, watcher_count } = useContext(ChannelContext);
+  const { channel, client, pinnedMessages, typing, watcher_count } = useContext(
+    ChannelContext,
+  );
   const { openMobileNav } = useContext(ChatContext);
   const { t } = useContext(TranslationContext);
 
+  const [pinnedMessagesOpen, setPinnedMessagesOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
   const { image: channelImage, member_count, name, subtitle } =
     channel?.data || {};
 
   const image = propImage || channelImage;
 
+  const typingUsers = useTypingUsers({ client, typing });
+  // who is typing replaces the members count while someone is typing
+  const showTyping =
+    !!TypingIndicator &&
+    !!typingUsers.length &&
+    channel?.getConfig()?.typing_events !== false;
+
   return (
     <div className="str-chat__header-livestream">
       <div className="str-chat__header-hamburger" onClick={openMobileNav}>
@@ -49,17 +77,82 @@ const ChannelHeader = (props) => {
           </p>
         )}
         <p className="str-chat__header-livestream-left--members">
-          {!live && !!member_count && member_count > 0 && (
+          {showTyping ? (
+            <TypingIndicator variant="header" />
+          ) : (
             <>
-              {t('{{ memberCount }} members', {
-                memberCount: member_count,
-              })}
-              ,{' '}
+              {!live && !!member_count && member_count > 0 && (
+                <>
+                  {t('{{ memberCount }} members', {
+                    memberCount: member_count,
+                  })}
+                  ,{' '}
+                </>
+              )}
+              {t('{{ watcherCount }} online', { watcherCount: watcher_count })}
             </>
           )}
-          {t('{{ watcherCount }} online', { watcherCount: watcher_count })}
         </p>
       </div>
+      {(!!pinnedMessages?.length || !!ChannelSettings) && (
+        <div className="str-chat__header-livestream-right">
+          {!!pinnedMessages?.length && (
+            <div className="str-chat__header-livestream-right-button-wrapper">
+              <button
+                aria-expanded={pinnedMessagesOpen}
+                className="str-chat__header-pinned-messages-button"
+                data-testid="pinned-messages-button"
+                onClick={() => {
+                  setPinnedMessagesOpen(!pinnedMessagesOpen);
+                  setSettingsOpen(false);
+                }}
+                title={t('Pinned messages')}
+                type="button"
+              >
+                <PinIcon />
+                <span>{pinnedMessages.length}</span>
+              </button>
+              {pinnedMessagesOpen && (
+                <div className="str-chat__header-pinned-messages">
+                  <PinnedMessageList
+                    Avatar={Avatar}
+                    onClose={() => setPinnedMessagesOpen(false)}
+                    pinPermissions={pinPermissions}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+          {!!ChannelSettings && (
+            <div className="str-chat__header-livestream-right-button-wrapper">
+              <button
+                aria-expanded={settingsOpen}
+                aria-label={t('Channel settings')}
+                className="str-chat__header-settings-button"
+                data-testid="channel-settings-button"
+                onClick={() => {
+                  setSettingsOpen(!settingsOpen);
+                  setPinnedMessagesOpen(false);
+                }}
+                title={t('Channel settings')}
+                type="button"
+              >
+                <svg height="14" viewBox="0 0 14 14" width="14">
+                  <path
+                    d="M2 5.5a1.5 1.5 0 1 1 0 3 1.5 1.5 0 0 1 0-3zm5 0a1.5 1.5 0 1 1 0 3 1.5 1.5 0 0 1 0-3zm5 0a1.5 1.5 0 1 1 0 3 1.5 1.5 0 0 1 0-3z"
+                    fillRule="evenodd"
+                  />
+                </svg>
+              </button>
+              {settingsOpen && (
+                <div className="str-chat__header-settings">
+                  <ChannelSettings onClose={() => setSettingsOpen(false)} />
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -71,12 +164,34 @@ ChannelHeader.propTypes = {
    * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
    * */
   Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+  /**
+   * Custom UI component opened from the settings button of the header to act on the channel, null hides the button
+   *
+   * Defaults to and accepts same props as: [ChannelSettings](https://github.com/GetStream/stream-chat-react/blob/master/src/components/ChannelSettings/ChannelSettings.js)
+   */
+  ChannelSettings: /** @type {PropTypes.Validator<React.ElementType<import('types').ChannelSettingsProps>>} */ (PropTypes.elementType),
   /** Manually set the image to render, defaults to the channel image */
   image: PropTypes.string,
   /** Show a little indicator that the channel is live right now */
   live: PropTypes.bool,
+  /**
+   * Custom UI component to display the pinned messages of the channel, opened from the pin badge
+   *
+   * Defaults to and accepts same props as: [PinnedMessageList](https://github.com/GetStream/stream-chat-react/blob/master/src/components/PinnedMessageList/PinnedMessageList.js)
+   */
+  PinnedMessageList: /** @type {PropTypes.Validator<React.ElementType<import('types').PinnedMessageListProps>>} */ (PropTypes.elementType),
+  /**
+   * The user roles allowed to unpin messages in various channel types, defaults to `defaultPinPermissions`
+   */
+  pinPermissions: /** @type {PropTypes.Validator<import('types').PinPermissions>} */ (PropTypes.object),
   /** Set title manually */
   title: PropTypes.string,
+  /**
+   * Custom UI component rendered with the `header` variant instead of the members count while someone is typing, null disables it
+   *
+   * Defaults to and accepts same props as: [TypingIndicator](https://github.com/GetStream/stream-chat-react/blob/master/src/components/TypingIndicator/TypingIndicator.js)
+   */
+  TypingIndicator: /** @type {PropTypes.Validator<React.ElementType<import('types').TypingIndicatorProps>>} */ (PropTypes.elementType),
 };
 
 export default React.memo(ChannelHeader);
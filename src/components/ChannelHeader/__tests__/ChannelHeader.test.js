@@ -1,10 +1,11 @@
 import React from 'react';
-import { render, cleanup, waitFor } from '@testing-library/react';
+import { render, cleanup, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import {
   getTestClientWithUser,
   generateUser,
   generateChannel,
+  generateMessage,
 } from 'mock-builders';
 import ChannelHeader from '../ChannelHeader';
 import {
@@ -16,13 +17,15 @@ import {
 const alice = generateUser();
 let testChannel1;
 
-async function renderComponent(props, channelData) {
+async function renderComponent(props, channelData, channelContext = {}) {
   testChannel1 = generateChannel(channelData);
   const t = jest.fn((key) => key);
   const client = await getTestClientWithUser(alice);
   return render(
     <ChatContext.Provider value={{ client, channel: testChannel1 }}>
-      <ChannelContext.Provider value={{ client, channel: testChannel1 }}>
+      <ChannelContext.Provider
+        value={{ client, channel: testChannel1, ...channelContext }}
+      >
         <TranslationContext.Provider value={{ t }}>
           <ChannelHeader {...props} />
         </TranslationContext.Provider>
@@ -126,4 +129,102 @@ describe('ChannelHeader', () => {
       expect(getByText('34 members')).toBeInTheDocument();
     });
   });
+
+  it('should not display the pinned messages button without pinned messages', async () => {
+    const { queryByTestId } = await renderComponent(
+      null,
+      { data: { name: 'test-channel-1' } },
+      { pinnedMessages: [] },
+    );
+    expect(queryByTestId('pinned-messages-button')).not.toBeInTheDocument();
+  });
+
+  it('should display the count of pinned messages and open the list on click', async () => {
+    const pinnedMessages = [
+      generateMessage({ pinned: true, text: 'first pin', user: alice }),
+      generateMessage({ pinned: true, text: 'second pin', user: alice }),
+    ];
+    const { getByTestId, getByText, queryByText } = await renderComponent(
+      null,
+      { data: { name: 'test-channel-1' } },
+      { pinnedMessages },
+    );
+
+    const button = getByTestId('pinned-messages-button');
+    expect(button).toHaveTextContent('2');
+    expect(queryByText('first pin')).not.toBeInTheDocument();
+
+    fireEvent.click(button);
+
+    expect(button).toHaveAttribute('aria-expanded', 'true');
+    expect(getByText('first pin')).toBeInTheDocument();
+    expect(getByText('second pin')).toBeInTheDocument();
+
+    fireEvent.click(getByTestId('pinned-message-list-close'));
+    expect(queryByText('first pin')).not.toBeInTheDocument();
+  });
+
+  it('should open the channel settings from the settings button', async () => {
+    const ChannelSettings = ({ onClose }) => (
+      <button data-testid="custom-channel-settings" onClick={onClose} />
+    );
+    const { getByTestId, queryByTestId } = await renderComponent(
+      { ChannelSettings },
+      { data: { name: 'test-channel-1' } },
+    );
+
+    const button = getByTestId('channel-settings-button');
+    expect(queryByTestId('custom-channel-settings')).not.toBeInTheDocument();
+
+    fireEvent.click(button);
+    expect(button).toHaveAttribute('aria-expanded', 'true');
+
+    fireEvent.click(getByTestId('custom-channel-settings'));
+    expect(queryByTestId('custom-channel-settings')).not.toBeInTheDocument();
+  });
+
+  it('should not display the settings button when ChannelSettings is null', async () => {
+    const { queryByTestId } = await renderComponent(
+      { ChannelSettings: null },
+      { data: { name: 'test-channel-1' } },
+    );
+    expect(queryByTestId('channel-settings-button')).not.toBeInTheDocument();
+  });
+
+  describe('typing users', () => {
+    const typingChannel = {
+      data: { member_count: 3, name: 'test-channel-1' },
+      getConfig: () => ({ typing_events: true }),
+    };
+    const typing = {
+      bob: { user: { id: 'bob', name: 'Bob' } },
+    };
+
+    it('should display who is typing instead of the members count', async () => {
+      const { getByTestId, queryByText } = await renderComponent(
+        null,
+        undefined,
+        {
+          channel: typingChannel,
+          typing,
+        },
+      );
+      expect(getByTestId('typing-indicator-header')).toBeInTheDocument();
+      expect(
+        queryByText('{{ memberCount }} members', { exact: false }),
+      ).not.toBeInTheDocument();
+    });
+
+    it('should keep the members count if the TypingIndicator prop is null', async () => {
+      const { getByText, queryByTestId } = await renderComponent(
+        { TypingIndicator: null },
+        undefined,
+        { channel: typingChannel, typing },
+      );
+      expect(queryByTestId('typing-indicator-header')).not.toBeInTheDocument();
+      expect(
+        getByText('{{ memberCount }} members', { exact: false }),
+      ).toBeInTheDocument();
+    });
+  });
 });
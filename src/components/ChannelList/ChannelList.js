@@ -7,6 +7,9 @@ import { ChatContext } from '../../context';
 import { smartRender } from '../../utils';
 
 import ChannelListTeam from './ChannelListTeam';
+import ChannelListSection, {
+  QueriedChannelListSection,
+} from './ChannelListSection';
 import { Avatar as DefaultAvatar } from '../Avatar';
 import { LoadMorePaginator } from '../LoadMore';
 import { LoadingChannels } from '../Loading';
@@ -25,10 +28,16 @@ import { useChannelHiddenListener } from './hooks/useChannelHiddenListener';
 import { useChannelVisibleListener } from './hooks/useChannelVisibleListener';
 import { useConnectionRecoveredListener } from './hooks/useConnectionRecoveredListener';
 import { useUserPresenceChangedListener } from './hooks/useUserPresenceChangedListener';
+import { useUserChannelStateListener } from './hooks/useUserChannelStateListener';
 import { usePaginatedChannels } from './hooks/usePaginatedChannels';
+import { useChannelFilterMatcher } from './hooks/useChannelFilterMatcher';
 import { useMobileNavigation } from './hooks/useMobileNavigation';
 
-import { MAX_QUERY_CHANNELS_LIMIT, moveChannelUp } from './utils';
+import {
+  MAX_QUERY_CHANNELS_LIMIT,
+  moveChannelUp,
+  sortUnreadFirst,
+} from './utils';
 
 const DEFAULT_FILTERS = {};
 const DEFAULT_OPTIONS = {};
@@ -108,6 +117,8 @@ const ChannelList = (props) => {
     channels,
     loadNextPage,
     hasNextPage,
+    reload,
+    retry,
     status,
     setChannels,
   } = usePaginatedChannels(
@@ -124,29 +135,56 @@ const ChannelList = (props) => {
 
   useMobileNavigation(channelListRef, navOpen, closeMobileNav);
 
+  const matchChannel = useChannelFilterMatcher(
+    client,
+    props.filters || DEFAULT_FILTERS,
+    props.options || DEFAULT_OPTIONS,
+    channels,
+    props.evaluateFilters,
+  );
+
   // All the event listeners
   useMessageNewListener(
     setChannels,
     props.lockChannelOrder,
     props.allowNewMessagesFromUnfilteredChannels,
+    matchChannel,
+  );
+  useNotificationMessageNewListener(
+    setChannels,
+    props.onMessageNew,
+    matchChannel,
+  );
+  useNotificationAddedToChannelListener(
+    setChannels,
+    props.onAddedToChannel,
+    matchChannel,
   );
-  useNotificationMessageNewListener(setChannels, props.onMessageNew);
-  useNotificationAddedToChannelListener(setChannels, props.onAddedToChannel);
   useNotificationRemovedFromChannelListener(
     setChannels,
     props.onRemovedFromChannel,
   );
   useChannelDeletedListener(setChannels, props.onChannelDeleted);
   useChannelHiddenListener(setChannels, props.onChannelHidden);
-  useChannelVisibleListener(setChannels, props.onChannelVisible);
+  useChannelVisibleListener(setChannels, props.onChannelVisible, matchChannel);
   useChannelTruncatedListener(
     setChannels,
     props.onChannelTruncated,
     forceUpdate,
   );
-  useChannelUpdatedListener(setChannels, props.onChannelUpdated, forceUpdate);
+  useChannelUpdatedListener(
+    setChannels,
+    props.onChannelUpdated,
+    forceUpdate,
+    matchChannel,
+  );
   useConnectionRecoveredListener(forceUpdate);
   useUserPresenceChangedListener(setChannels);
+  // only the sections and the unread first order depend on the read state and the membership of the channels
+  useUserChannelStateListener(
+    forceUpdate,
+    !!props.sections?.length || !!props.unreadFirst,
+  );
 
   // If the active channel is deleted, then unset the active channel.
   useEffect(() => {
@@ -200,17 +238,97 @@ const ChannelList = (props) => {
     return <EmptyStateIndicator listType="channel" />;
   };
 
+  // renders the sections, each channel of the list is displayed in the first section without query whose predicate matches it
+  const renderSections = () => {
+    const {
+      lockChannelOrder,
+      options = {},
+      Paginator,
+      sections = [],
+      unreadFirst = false,
+    } = props;
+
+    const pickingSections = sections.filter((section) => !section.filters);
+    /** @type {Record<string, import('stream-chat').Channel[]>} */
+    const channelsBySection = {};
+    pickingSections.forEach((section) => {
+      channelsBySection[section.id] = [];
+    });
+    loadedChannels.forEach((item) => {
+      const section = pickingSections.find(
+        ({ predicate }) => !predicate || predicate(item),
+      );
+      if (section) channelsBySection[section.id].push(item);
+    });
+
+    return sections.map((section) => {
+      const sectionProps = {
+        Paginator,
+        renderChannel,
+        section,
+        unreadFirst: section.unreadFirst ?? unreadFirst,
+      };
+
+      if (section.filters) {
+        return (
+          <QueriedChannelListSection
+            key={section.id}
+            {...sectionProps}
+            channelRenderFilterFn={props.channelRenderFilterFn}
+            evaluateFilters={props.evaluateFilters}
+            forceUpdate={forceUpdate}
+            listenerProps={props}
+            lockChannelOrder={lockChannelOrder}
+          />
+        );
+      }
+
+      return (
+        <ChannelListSection
+          key={section.id}
+          {...sectionProps}
+          channels={channelsBySection[section.id]}
+          hasNextPage={hasNextPage}
+          loadNextPage={loadNextPage}
+          pageSize={options.limit || MAX_QUERY_CHANNELS_LIMIT}
+          refreshing={status.refreshing}
+        />
+      );
+    });
+  };
+
   // renders the list.
   const renderList = () => {
     const {
       Avatar = DefaultAvatar,
       List = ChannelListTeam,
+      onCreateChannel,
       Paginator = LoadMorePaginator,
       showSidebar,
       LoadingIndicator = LoadingChannels,
       LoadingErrorIndicator = ChatDown,
+      sections,
+      unreadFirst,
     } = props;
 
+    if (sections?.length) {
+      return (
+        <List
+          loading={status.loadingChannels}
+          error={status.error}
+          showSidebar={showSidebar}
+          Avatar={Avatar}
+          LoadingIndicator={LoadingIndicator}
+          LoadingErrorIndicator={LoadingErrorIndicator}
+          onCreateChannel={onCreateChannel}
+          reload={reload}
+          retry={retry}
+        >
+          {renderSections()}
+        </List>
+      );
+    }
+
     return (
       <List
         loading={status.loadingChannels}
@@ -219,6 +337,9 @@ const ChannelList = (props) => {
         Avatar={Avatar}
         LoadingIndicator={LoadingIndicator}
         LoadingErrorIndicator={LoadingErrorIndicator}
+        onCreateChannel={onCreateChannel}
+        reload={reload}
+        retry={retry}
       >
         {!loadedChannels || loadedChannels.length === 0
           ? renderEmptyStateIndicator()
@@ -226,7 +347,10 @@ const ChannelList = (props) => {
               loadNextPage,
               hasNextPage,
               refreshing: status.refreshing,
-              children: loadedChannels.map(renderChannel),
+              children: (unreadFirst
+                ? sortUnreadFirst(loadedChannels)
+                : loadedChannels
+              ).map(renderChannel),
             })}
       </List>
     );
@@ -300,8 +424,40 @@ ChannelList.propTypes = {
    * - `setActiveChannel` {function} Check [chat context](https://getstream.github.io/stream-chat-react/#chat)
    * - `activeChannel` Currently active channel object
    * - `channels` {array} List of channels in channel list
+   * - `reload` {function} Queries the first page of channels again
+   * - `retry` {function} Runs the query which failed again, e.g. from the `LoadingErrorIndicator`
    */
   List: /** @type {PropTypes.Validator<React.ElementType<import('types').ChannelListUIComponentProps>>} */ (PropTypes.elementType),
+  /** Called by the button of the header of ChannelListTeam, e.g. to display the [CreateChannel](https://getstream.github.io/stream-chat-react/#createchannel) form */
+  onCreateChannel: PropTypes.func,
+  /**
+   * Sections of the list, e.g. favourites, direct messages and channels. A section with `filters` queries its channels,
+   * which are loaded and paginated independently of the other sections. The other sections pick their channels among
+   * the ones of the list: each channel is displayed in the first of them whose `predicate` matches it, a section without
+   * predicate takes the remaining channels.
+   *
+   * `[{ id: 'favourites', title: 'Favourites', predicate: isFavouriteChannel }, { id: 'channels', title: 'Channels' }]`
+   *
+   * The sections are collapsed with their header, `collapsed` collapses a section initially. The titles 'Favourites',
+   * 'Direct messages' and 'Channels' are translated, the other titles are displayed as they are.
+   */
+  sections: /** @type {PropTypes.Validator<import('types').ChannelListSectionConfig[]>} */ (PropTypes.arrayOf(
+    PropTypes.shape({
+      collapsed: PropTypes.bool,
+      filters: PropTypes.object,
+      id: PropTypes.string.isRequired,
+      options: PropTypes.object,
+      predicate: PropTypes.func,
+      sort: PropTypes.object,
+      title: PropTypes.string.isRequired,
+      unreadFirst: PropTypes.bool,
+    }).isRequired,
+  )),
+  /**
+   * Displays the channels with unread messages first, the channels are re-sorted when they are read and when they
+   * receive new messages. The sections can override it with their `unreadFirst` field.
+   */
+  unreadFirst: PropTypes.bool,
   /**
    * Paginator component for channels. It contains all the pagination logic such as
    * - fetching next page of results when needed e.g., when scroll reaches the end of list
@@ -364,7 +520,7 @@ ChannelList.propTypes = {
    * */
   channelRenderFilterFn: /** @type {PropTypes.Validator<(channels: import('stream-chat').Channel[]) => import('stream-chat').Channel[]>} */ (PropTypes.func),
   /**
-   * Object containing query filters
+   * Object containing query filters. The channels are queried again when the content of the filters, the options or the sort changes.
    * @see See [Channel query documentation](https://getstream.io/chat/docs/query_channels/?language=js) for a list of available fields for filter.
    * */
   filters: /** @type {PropTypes.Validator<import('stream-chat').ChannelFilters>} */ (PropTypes.object),
@@ -408,6 +564,15 @@ ChannelList.propTypes = {
    * Default value is true.
    */
   allowNewMessagesFromUnfilteredChannels: PropTypes.bool,
+  /**
+   * Keeps the list consistent with its filters on the events: a channel receiving a message, added to the list by a
+   * notification or shown again is only added to the list if it matches the filters, an updated channel is removed from
+   * the list once it does not match them anymore, e.g. with `{ archived: { $ne: true } }`. The filters are evaluated on
+   * the data of the channels for the `$eq`, `$in`, `$ne` and `$exists` operators on the type, the members and the custom
+   * data, combined with `$and` and `$or`, see `matchChannelFilters`. The channel is queried with the filters otherwise.
+   * It replaces `allowNewMessagesFromUnfilteredChannels`.
+   */
+  evaluateFilters: PropTypes.bool,
 };
 
 export default React.memo(ChannelList);
@@ -0,0 +1,221 @@
+// @ts-check
+
+import React, { useContext, useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { ChatContext, TranslationContext } from '../../context';
+import { smartRender } from '../../utils';
+import { LoadMorePaginator } from '../LoadMore';
+
+import { useMessageNewListener } from './hooks/useMessageNewListener';
+import { useNotificationRemovedFromChannelListener } from './hooks/useNotificationRemovedFromChannelListener';
+import { useChannelDeletedListener } from './hooks/useChannelDeletedListener';
+import { useChannelTruncatedListener } from './hooks/useChannelTruncatedListener';
+import { useChannelUpdatedListener } from './hooks/useChannelUpdatedListener';
+import { useChannelHiddenListener } from './hooks/useChannelHiddenListener';
+import { useUserPresenceChangedListener } from './hooks/useUserPresenceChangedListener';
+import { usePaginatedChannels } from './hooks/usePaginatedChannels';
+import { useChannelFilterMatcher } from './hooks/useChannelFilterMatcher';
+
+import { countUnreadMessages, sortUnreadFirst } from './utils';
+
+const DEFAULT_FILTERS = {};
+const DEFAULT_OPTIONS = {};
+const DEFAULT_SORT = {};
+
+/**
+ * The titles of the usual sections are translated, with literal keys so that they are extracted, the other titles
+ * are displayed as they are
+ * @param {string} title
+ * @param {import('i18next').TFunction} t
+ */
+const getSectionTitle = (title, t) => {
+  switch (title) {
+    case 'Channels':
+      return t('Channels');
+    case 'Direct messages':
+      return t('Direct messages');
+    case 'Favourites':
+      return t('Favourites');
+    default:
+      return title;
+  }
+};
+
+/**
+ * ChannelListSection - A section of the ChannelList with a header collapsing it. A collapsed section displays the
+ * count of unread messages of its channels instead of its channels.
+ * @type {React.FC<import('types').ChannelListSectionProps>}
+ */
+const ChannelListSection = ({
+  channels,
+  hasNextPage,
+  loadNextPage,
+  pageSize,
+  Paginator = LoadMorePaginator,
+  refreshing,
+  renderChannel,
+  section,
+  unreadFirst,
+}) => {
+  const { t } = useContext(TranslationContext);
+  const [collapsed, setCollapsed] = useState(!!section.collapsed);
+  const [shownCount, setShownCount] = useState(pageSize || 0);
+
+  // the read states are not part of the props, the order is computed again on each render
+  const sortedChannels = unreadFirst ? sortUnreadFirst(channels) : channels;
+  const shownChannels = pageSize
+    ? sortedChannels.slice(0, shownCount)
+    : sortedChannels;
+
+  const unreadCount = collapsed
+    ? channels.reduce(
+        (count, channel) => count + countUnreadMessages(channel),
+        0,
+      )
+    : 0;
+
+  // the channels picked among the ones of the ChannelList are displayed a page at a time, its next page is
+  // loaded once they are all displayed
+  const loadNextSectionPage = () => {
+    if (!pageSize) {
+      loadNextPage();
+      return;
+    }
+    if (sortedChannels.length <= shownCount) loadNextPage();
+    setShownCount((count) => count + pageSize);
+  };
+
+  return (
+    <div
+      className={`str-chat__channel-list-section ${
+        collapsed ? 'str-chat__channel-list-section--collapsed' : ''
+      }`}
+      data-testid={`channel-list-section-${section.id}`}
+    >
+      <button
+        aria-expanded={!collapsed}
+        className="str-chat__channel-list-section-header"
+        onClick={() => setCollapsed(!collapsed)}
+        type="button"
+      >
+        <span className="str-chat__channel-list-section-title">
+          {getSectionTitle(section.title, t)}
+        </span>
+        {unreadCount > 0 && (
+          <span className="str-chat__channel-list-section-unread-count">
+            {unreadCount}
+          </span>
+        )}
+      </button>
+      {!collapsed &&
+        smartRender(Paginator, {
+          children: shownChannels.map(renderChannel),
+          hasNextPage:
+            shownChannels.length < sortedChannels.length || hasNextPage,
+          loadNextPage: loadNextSectionPage,
+          refreshing,
+        })}
+    </div>
+  );
+};
+
+ChannelListSection.propTypes = {
+  /** The channels of the section */
+  channels: /** @type {PropTypes.Validator<import('stream-chat').Channel[]>} */ (PropTypes
+    .array.isRequired),
+  /** If more channels can be loaded */
+  hasNextPage: PropTypes.bool,
+  /** Loads the next page of channels */
+  loadNextPage: PropTypes.func.isRequired,
+  /** Number of channels displayed at a time when the channels are not loaded by pages, e.g. when they are picked among the channels of the list */
+  pageSize: PropTypes.number,
+  /**
+   * Paginator component for the channels of the section
+   *
+   * Defaults to and accepts same props as: [LoadMorePaginator](https://github.com/GetStream/stream-chat-react/blob/master/src/components/LoadMore/LoadMorePaginator.js)
+   */
+  Paginator: /** @type {PropTypes.Validator<React.ElementType<import('types').PaginatorProps>>} */ (PropTypes.elementType),
+  /** If the next page of channels is loading */
+  refreshing: PropTypes.bool,
+  /** Renders the preview of a channel */
+  renderChannel: PropTypes.func.isRequired,
+  /** The config of the section, see the `sections` prop of the ChannelList */
+  section: /** @type {PropTypes.Validator<import('types').ChannelListSectionConfig>} */ (PropTypes
+    .object.isRequired),
+  /** Displays the channels with unread messages first */
+  unreadFirst: PropTypes.bool,
+};
+
+/**
+ * A section with a query of its own, its channels are loaded and paginated independently of the other ones
+ * @type {React.FC<import('types').QueriedChannelListSectionProps>}
+ */
+export const QueriedChannelListSection = ({
+  channelRenderFilterFn,
+  evaluateFilters,
+  forceUpdate,
+  listenerProps = {},
+  lockChannelOrder,
+  section,
+  ...props
+}) => {
+  const { client } = useContext(ChatContext);
+
+  const {
+    channels,
+    hasNextPage,
+    loadNextPage,
+    setChannels,
+    status,
+  } = usePaginatedChannels(
+    client,
+    section.filters || DEFAULT_FILTERS,
+    section.sort || DEFAULT_SORT,
+    section.options || DEFAULT_OPTIONS,
+  );
+
+  const matchChannel = useChannelFilterMatcher(
+    client,
+    section.filters || DEFAULT_FILTERS,
+    section.options || DEFAULT_OPTIONS,
+    channels,
+    evaluateFilters,
+  );
+
+  // the new channels are only added to the section when its filters are evaluated, they may not match its query
+  useMessageNewListener(setChannels, lockChannelOrder, false, matchChannel);
+  useNotificationRemovedFromChannelListener(
+    setChannels,
+    listenerProps.onRemovedFromChannel,
+  );
+  useChannelDeletedListener(setChannels, listenerProps.onChannelDeleted);
+  useChannelHiddenListener(setChannels, listenerProps.onChannelHidden);
+  useChannelTruncatedListener(
+    setChannels,
+    listenerProps.onChannelTruncated,
+    forceUpdate,
+  );
+  useChannelUpdatedListener(
+    setChannels,
+    listenerProps.onChannelUpdated,
+    forceUpdate,
+    matchChannel,
+  );
+  useUserPresenceChangedListener(setChannels);
+
+  return (
+    <ChannelListSection
+      {...props}
+      channels={
+        channelRenderFilterFn ? channelRenderFilterFn(channels) : channels
+      }
+      hasNextPage={hasNextPage}
+      loadNextPage={loadNextPage}
+      refreshing={status.refreshing}
+      section={section}
+    />
+  );
+};
+
+export default ChannelListSection;
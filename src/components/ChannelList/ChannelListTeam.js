@@ -6,7 +6,7 @@ import PropTypes from 'prop-types';
 import { Avatar as DefaultAvatar } from '../Avatar';
 import { ChatDown } from '../ChatDown';
 import { LoadingChannels } from '../Loading';
-import { ChatContext } from '../../context';
+import { ChatContext, TranslationContext } from '../../context';
 
 import chevrondown from '../../assets/str-chat__icon-chevron-down.svg';
 
@@ -23,9 +23,11 @@ const ChannelListTeam = ({
   Avatar = DefaultAvatar,
   LoadingErrorIndicator = ChatDown,
   LoadingIndicator = LoadingChannels,
+  onCreateChannel,
   children,
 }) => {
   const { client } = useContext(ChatContext);
+  const { t } = useContext(TranslationContext);
   const { id, image, name, status } = client.user || {};
 
   if (error) {
@@ -59,7 +61,13 @@ const ChannelListTeam = ({
             </div>
           </div>
           <div className="str-chat__channel-list-team__header--right">
-            <button className="str-chat__channel-list-team__header--button">
+            <button
+              aria-label={t('New channel')}
+              className="str-chat__channel-list-team__header--button"
+              disabled={!onCreateChannel}
+              onClick={onCreateChannel}
+              type="button"
+            >
               <img src={chevrondown} />
             </button>
           </div>
@@ -101,6 +109,8 @@ ChannelListTeam.propTypes = {
    *
    */
   LoadingErrorIndicator: /** @type {PropTypes.Validator<React.ElementType<import('types').ChatDownProps>>} */ (PropTypes.elementType),
+  /** Called by the button of the header, e.g. to display the [CreateChannel](https://getstream.github.io/stream-chat-react/#createchannel) form */
+  onCreateChannel: PropTypes.func,
 };
 
 export default ChannelListTeam;
@@ -7,6 +7,7 @@ import {
   waitFor,
   fireEvent,
   act,
+  within,
 } from '@testing-library/react';
 import '@testing-library/jest-dom';
 
@@ -18,6 +19,7 @@ import {
   generateUser,
   getOrCreateChannelApi,
   dispatchMessageNewEvent,
+  dispatchMessageReadEvent,
   dispatchChannelDeletedEvent,
   dispatchChannelUpdatedEvent,
   dispatchChannelHiddenEvent,
@@ -29,12 +31,16 @@ import {
   dispatchConnectionRecoveredEvent,
   getTestClientWithUser,
   erroredGetApi,
+  erroredPostApi,
 } from 'mock-builders';
 import { v4 as uuidv4 } from 'uuid';
 
 import { ChatContext } from '../../../context';
 import { Chat } from '../../Chat';
+import { Streami18n } from '../../../i18n';
 import ChannelList from '../ChannelList';
+import { isFavouriteChannel } from '../favourites';
+import * as userChannelStateListener from '../hooks/useUserChannelStateListener';
 import {
   ChannelPreviewCompact,
   ChannelPreviewLastMessage,
@@ -175,6 +181,55 @@ describe('ChannelList', () => {
     });
   });
 
+  it('should re-query channels when the sort or the options change, not when they are created again', async () => {
+    const props = {
+      filters: {},
+      Preview: ChannelPreviewComponent,
+      List: ChannelListComponent,
+    };
+    useMockedApis(chatClientUthred, [queryChannelsApi([testChannel1])]);
+
+    const { getByRole, rerender } = render(
+      <Chat client={chatClientUthred}>
+        <ChannelList {...props} sort={{ last_message_at: -1 }} />
+      </Chat>,
+    );
+    await waitFor(() => {
+      expect(getByRole('list')).toBeInTheDocument();
+    });
+    const post = jest.spyOn(chatClientUthred.axiosInstance, 'post');
+    post.mockClear();
+
+    rerender(
+      <Chat client={chatClientUthred}>
+        <ChannelList {...props} sort={{ last_message_at: -1 }} />
+      </Chat>,
+    );
+    expect(post).not.toHaveBeenCalled();
+
+    rerender(
+      <Chat client={chatClientUthred}>
+        <ChannelList {...props} sort={{ created_at: -1 }} />
+      </Chat>,
+    );
+    await waitFor(() => expect(post).toHaveBeenCalledTimes(1));
+
+    rerender(
+      <Chat client={chatClientUthred}>
+        <ChannelList
+          {...props}
+          options={{ limit: 10 }}
+          sort={{ created_at: -1 }}
+        />
+      </Chat>,
+    );
+    await waitFor(() => expect(post).toHaveBeenCalledTimes(2));
+    expect(post.mock.calls[1][1]).toMatchObject({
+      limit: 10,
+      sort: [{ direction: -1, field: 'created_at' }],
+    });
+  });
+
   it('should only show filtered channels when a filter function prop is provided', async () => {
     const filteredChannel = generateChannel({ channel: { type: 'filtered' } });
 
@@ -1106,4 +1161,527 @@ describe('ChannelList', () => {
       });
     });
   });
+
+  describe('pagination', () => {
+    const props = {
+      filters: {},
+      Preview: ChannelPreviewComponent,
+      List: ChannelListComponent,
+      options: { limit: 2 },
+      setActiveChannelOnMount: false,
+    };
+
+    const getChannelIds = (getAllByRole) =>
+      getAllByRole('listitem').map((item) => item.dataset.testid);
+
+    it('should neither skip nor duplicate the channels added by the events when loading the next page', async () => {
+      const testChannel4 = generateChannel();
+      useMockedApis(chatClientUthred, [
+        queryChannelsApi([testChannel1, testChannel2]),
+      ]);
+
+      const { getAllByRole, getByRole, getByText } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} />
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(getByRole('list')).toBeInTheDocument();
+      });
+
+      useMockedApis(chatClientUthred, [getOrCreateChannelApi(testChannel3)]);
+      act(() =>
+        dispatchNotificationAddedToChannelEvent(
+          chatClientUthred,
+          testChannel3.channel,
+        ),
+      );
+      await waitFor(() => expect(getChannelIds(getAllByRole)).toHaveLength(3));
+
+      // the channel added to the list is on the next page of the query now
+      useMockedApis(chatClientUthred, [
+        queryChannelsApi([testChannel3, testChannel4]),
+      ]);
+      fireEvent.click(getByText('Load more'));
+
+      await waitFor(() =>
+        expect(getChannelIds(getAllByRole)).toStrictEqual([
+          testChannel3.channel.id,
+          testChannel1.channel.id,
+          testChannel2.channel.id,
+          testChannel4.channel.id,
+        ]),
+      );
+      expect(chatClientUthred.axiosInstance.post).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ offset: 2 }),
+        expect.anything(),
+      );
+    });
+
+    it('should query the next page after the positions of a page whose channels were all in the list', async () => {
+      useMockedApis(chatClientUthred, [
+        queryChannelsApi([testChannel1, testChannel2]),
+      ]);
+
+      const { getByRole, getByText } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} />
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(getByRole('list')).toBeInTheDocument();
+      });
+
+      useMockedApis(chatClientUthred, [
+        queryChannelsApi([testChannel1, testChannel2]),
+      ]);
+      fireEvent.click(getByText('Load more'));
+      await waitFor(() =>
+        expect(chatClientUthred.axiosInstance.post).toHaveBeenCalledTimes(1),
+      );
+
+      useMockedApis(chatClientUthred, [queryChannelsApi([testChannel3])]);
+      await waitFor(() => getByText('Load more'));
+      fireEvent.click(getByText('Load more'));
+      await waitFor(() =>
+        expect(chatClientUthred.axiosInstance.post).toHaveBeenCalledWith(
+          expect.any(String),
+          expect.objectContaining({ offset: 4 }),
+          expect.anything(),
+        ),
+      );
+    });
+
+    it('should let a custom List retry the query which failed', async () => {
+      const RetryingList = ({ children, error, loading, retry }) => {
+        if (error) {
+          return (
+            <button onClick={retry} type="button">
+              Retry
+            </button>
+          );
+        }
+        if (loading) return null;
+        return <div role="list">{children}</div>;
+      };
+      useMockedApis(chatClientUthred, [erroredPostApi()]);
+      jest.spyOn(console, 'warn').mockImplementationOnce(() => null);
+
+      const { getAllByRole, getByText } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} List={RetryingList} />
+        </Chat>,
+      );
+      await waitFor(() => getByText('Retry'));
+
+      useMockedApis(chatClientUthred, [queryChannelsApi([testChannel1])]);
+      fireEvent.click(getByText('Retry'));
+
+      await waitFor(() =>
+        expect(getChannelIds(getAllByRole)).toStrictEqual([
+          testChannel1.channel.id,
+        ]),
+      );
+    });
+  });
+
+  describe('evaluateFilters', () => {
+    const props = {
+      evaluateFilters: true,
+      filters: { archived: { $ne: true } },
+      List: ChannelListComponent,
+      Preview: ChannelPreviewComponent,
+      setActiveChannelOnMount: false,
+    };
+
+    const getChannelIds = (getAllByRole) =>
+      getAllByRole('listitem').map((item) => item.dataset.testid);
+
+    // the channels receiving messages are watched by other components
+    const watchChannel = ({ channel }) => {
+      const watchedChannel = chatClientUthred.channel(
+        channel.type,
+        channel.id,
+        channel,
+      );
+      watchedChannel.initialized = true;
+    };
+
+    const dispatchMessageNew = (channel) =>
+      act(() =>
+        chatClientUthred.dispatchEvent({
+          channel_id: channel.id,
+          channel_type: channel.type,
+          cid: channel.cid,
+          message: generateMessage({ user: generateUser() }),
+          type: 'message.new',
+        }),
+      );
+
+    it('should only add the channels receiving messages which match the filters', async () => {
+      const archivedChannel = generateChannel({ channel: { archived: true } });
+      useMockedApis(chatClientUthred, [queryChannelsApi([testChannel1])]);
+
+      const { getAllByRole, getByRole } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} />
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(getByRole('list')).toBeInTheDocument();
+      });
+
+      watchChannel(archivedChannel);
+      watchChannel(testChannel2);
+      dispatchMessageNew(archivedChannel.channel);
+      dispatchMessageNew(testChannel2.channel);
+
+      await waitFor(() =>
+        expect(getChannelIds(getAllByRole)).toStrictEqual([
+          testChannel2.channel.id,
+          testChannel1.channel.id,
+        ]),
+      );
+    });
+
+    it('should remove the updated channels which do not match the filters anymore', async () => {
+      useMockedApis(chatClientUthred, [
+        queryChannelsApi([testChannel1, testChannel2]),
+      ]);
+
+      const { getAllByRole, getByRole } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} />
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(getByRole('list')).toBeInTheDocument();
+      });
+
+      act(() =>
+        dispatchChannelUpdatedEvent(chatClientUthred, {
+          ...testChannel1.channel,
+          archived: true,
+        }),
+      );
+
+      await waitFor(() =>
+        expect(getChannelIds(getAllByRole)).toStrictEqual([
+          testChannel2.channel.id,
+        ]),
+      );
+    });
+
+    it('should query the channel with the filters which cannot be evaluated', async () => {
+      const filters = { last_message_at: { $gt: '2020-01-01T00:00:00Z' } };
+      useMockedApis(chatClientUthred, [queryChannelsApi([testChannel1])]);
+
+      const { getAllByRole, getByRole } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} filters={filters} />
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(getByRole('list')).toBeInTheDocument();
+      });
+
+      const { channel } = testChannel2;
+      watchChannel(testChannel2);
+      useMockedApis(chatClientUthred, [queryChannelsApi([testChannel2])]);
+      dispatchMessageNew(channel);
+
+      await waitFor(() =>
+        expect(getChannelIds(getAllByRole)).toStrictEqual([
+          testChannel2.channel.id,
+          testChannel1.channel.id,
+        ]),
+      );
+      expect(chatClientUthred.axiosInstance.post).toHaveBeenLastCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          filter_conditions: { $and: [filters, { cid: channel.cid }] },
+          limit: 1,
+        }),
+        expect.anything(),
+      );
+    });
+
+    it('should query the channel whose members are not all in its state', async () => {
+      const filters = { members: { $in: [chatClientUthred.userID] } };
+      useMockedApis(chatClientUthred, [queryChannelsApi([testChannel1])]);
+
+      const { getAllByRole, getByRole } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} filters={filters} />
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(getByRole('list')).toBeInTheDocument();
+      });
+
+      const { channel } = testChannel2;
+      watchChannel(testChannel2);
+      // the state only holds a part of the members
+      chatClientUthred.channel(channel.type, channel.id).state.members = {
+        [generateUser().id]: {},
+      };
+      useMockedApis(chatClientUthred, [queryChannelsApi([testChannel2])]);
+      dispatchMessageNew(channel);
+
+      await waitFor(() =>
+        expect(getChannelIds(getAllByRole)).toStrictEqual([
+          testChannel2.channel.id,
+          testChannel1.channel.id,
+        ]),
+      );
+      expect(chatClientUthred.axiosInstance.post).toHaveBeenLastCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          filter_conditions: { $and: [filters, { cid: channel.cid }] },
+          limit: 1,
+        }),
+        expect.anything(),
+      );
+    });
+  });
+
+  describe('sections', () => {
+    const SectionListComponent = ({ children }) => <div>{children}</div>;
+    const props = {
+      filters: {},
+      List: SectionListComponent,
+      Preview: ChannelPreviewComponent,
+      setActiveChannelOnMount: false,
+    };
+
+    const getSectionChannelIds = (getByTestId, sectionId) =>
+      within(getByTestId(`channel-list-section-${sectionId}`))
+        .queryAllByRole('listitem')
+        .map((item) => item.dataset.testid);
+
+    it('should display each channel in the first section whose predicate matches it', async () => {
+      const favouriteChannel = generateChannel({
+        membership: { favourite: true, user: { id: 'uthred' } },
+      });
+      const directChannel = generateChannel({
+        channel: { id: '!members-direct' },
+      });
+      useMockedApis(chatClientUthred, [
+        queryChannelsApi([testChannel1, favouriteChannel, directChannel]),
+      ]);
+      const sections = [
+        {
+          id: 'favourites',
+          predicate: isFavouriteChannel,
+          title: 'Favourites',
+        },
+        {
+          id: 'direct',
+          predicate: (channel) => channel.id.startsWith('!members'),
+          title: 'Direct messages',
+        },
+        { id: 'channels', title: 'Channels' },
+      ];
+
+      const { getByTestId, getByText } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} sections={sections} />
+        </Chat>,
+      );
+
+      await waitFor(() => {
+        expect(getSectionChannelIds(getByTestId, 'channels')).toStrictEqual([
+          testChannel1.channel.id,
+        ]);
+      });
+      expect(getByText('Favourites')).toBeInTheDocument();
+      expect(getSectionChannelIds(getByTestId, 'favourites')).toStrictEqual([
+        favouriteChannel.channel.id,
+      ]);
+      expect(getSectionChannelIds(getByTestId, 'direct')).toStrictEqual([
+        directChannel.channel.id,
+      ]);
+    });
+
+    it('should translate the titles of the usual sections only', async () => {
+      useMockedApis(chatClientUthred, [queryChannelsApi([testChannel1])]);
+      const sections = [
+        { id: 'team', predicate: () => false, title: 'Team' },
+        { id: 'channels', title: 'Channels' },
+      ];
+
+      const { findByText, getByText } = render(
+        <Chat
+          client={chatClientUthred}
+          i18nInstance={new Streami18n({ language: 'fr' })}
+        >
+          <ChannelList {...props} sections={sections} />
+        </Chat>,
+      );
+
+      expect(await findByText('Canaux')).toBeInTheDocument();
+      expect(getByText('Team')).toBeInTheDocument();
+    });
+
+    it('should query the channels of the sections with filters', async () => {
+      const teamChannel = generateChannel({ channel: { type: 'team' } });
+      jest
+        .spyOn(chatClientUthred.axiosInstance, 'post')
+        .mockImplementation((url, payload) =>
+          Promise.resolve({
+            data: {
+              channels:
+                payload.filter_conditions.type === 'team'
+                  ? [teamChannel]
+                  : [testChannel1, testChannel2],
+              duration: 0.01,
+            },
+            status: 200,
+          }),
+        );
+      const sections = [
+        { filters: { type: 'team' }, id: 'team', title: 'Team' },
+        { id: 'channels', title: 'Channels' },
+      ];
+
+      const { getByTestId } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} sections={sections} />
+        </Chat>,
+      );
+
+      await waitFor(() => {
+        expect(getSectionChannelIds(getByTestId, 'team')).toStrictEqual([
+          teamChannel.channel.id,
+        ]);
+        expect(getSectionChannelIds(getByTestId, 'channels')).toStrictEqual([
+          testChannel1.channel.id,
+          testChannel2.channel.id,
+        ]);
+      });
+    });
+
+    it('should display the unread messages count of a collapsed section', async () => {
+      useMockedApis(chatClientUthred, [
+        queryChannelsApi([testChannel1, testChannel2]),
+      ]);
+      const sections = [{ collapsed: true, id: 'channels', title: 'Channels' }];
+
+      const { container, getByRole, getByTestId, queryAllByRole } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} sections={sections} />
+        </Chat>,
+      );
+      const header = getByRole('button');
+      expect(header).toHaveAttribute('aria-expanded', 'false');
+
+      await waitFor(() =>
+        expect(
+          chatClientUthred.activeChannels[testChannel2.channel.cid],
+        ).toBeDefined(),
+      );
+      act(() =>
+        dispatchMessageNewEvent(
+          chatClientUthred,
+          generateMessage({ user: generateUser() }),
+          testChannel2.channel,
+        ),
+      );
+
+      await waitFor(() =>
+        expect(
+          container.querySelector(
+            '.str-chat__channel-list-section-unread-count',
+          ),
+        ).toHaveTextContent('1'),
+      );
+      expect(queryAllByRole('listitem')).toHaveLength(0);
+
+      fireEvent.click(header);
+      expect(getSectionChannelIds(getByTestId, 'channels')).toHaveLength(2);
+      expect(
+        container.querySelector('.str-chat__channel-list-section-unread-count'),
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe('unreadFirst', () => {
+    const props = {
+      filters: {},
+      List: ChannelListComponent,
+      lockChannelOrder: true,
+      Preview: ChannelPreviewComponent,
+      setActiveChannelOnMount: false,
+      unreadFirst: true,
+    };
+
+    const getChannelIds = (getAllByRole) =>
+      getAllByRole('listitem').map((item) => item.dataset.testid);
+
+    it('should not listen to the read state of the channels without sections or unreadFirst', async () => {
+      const listenerSpy = jest.spyOn(
+        userChannelStateListener,
+        'useUserChannelStateListener',
+      );
+      useMockedApis(chatClientUthred, [queryChannelsApi([testChannel1])]);
+
+      const { getByRole } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} unreadFirst={false} />
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(getByRole('list')).toBeInTheDocument();
+      });
+
+      expect(listenerSpy).toHaveBeenLastCalledWith(expect.any(Function), false);
+      listenerSpy.mockRestore();
+    });
+
+    it('should display the channels with unread messages first and re-sort them once read', async () => {
+      useMockedApis(chatClientUthred, [
+        queryChannelsApi([testChannel1, testChannel2, testChannel3]),
+      ]);
+
+      const { getAllByRole, getByRole } = render(
+        <Chat client={chatClientUthred}>
+          <ChannelList {...props} />
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(getByRole('list')).toBeInTheDocument();
+      });
+
+      act(() =>
+        dispatchMessageNewEvent(
+          chatClientUthred,
+          generateMessage({ user: generateUser() }),
+          testChannel3.channel,
+        ),
+      );
+      await waitFor(() =>
+        expect(getChannelIds(getAllByRole)).toStrictEqual([
+          testChannel3.channel.id,
+          testChannel1.channel.id,
+          testChannel2.channel.id,
+        ]),
+      );
+
+      act(() =>
+        dispatchMessageReadEvent(
+          chatClientUthred,
+          chatClientUthred.user,
+          testChannel3.channel,
+        ),
+      );
+      await waitFor(() =>
+        expect(getChannelIds(getAllByRole)).toStrictEqual([
+          testChannel1.channel.id,
+          testChannel2.channel.id,
+          testChannel3.channel.id,
+        ]),
+      );
+    });
+  });
 });
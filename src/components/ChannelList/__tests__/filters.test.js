@@ -0,0 +1,105 @@
+import { generateUser, getTestClientWithUser } from 'mock-builders';
+
+import { matchChannelFilters } from '../filters';
+
+describe('matchChannelFilters', () => {
+  const jon = generateUser({ id: 'jon' });
+  const sam = generateUser({ id: 'sam' });
+  let channel;
+
+  beforeEach(async () => {
+    const client = await getTestClientWithUser(jon);
+    channel = client.channel('team', 'general', {
+      archived: false,
+      tags: ['news', 'sport'],
+      topic: 'football',
+    });
+    channel.state.members = {
+      jon: { user: jon, user_id: 'jon' },
+      sam: { user: sam, user_id: 'sam' },
+    };
+  });
+
+  it('should match the empty filters', () => {
+    expect(matchChannelFilters(channel, {})).toBe(true);
+  });
+
+  it.each([
+    [{ type: 'team' }, true],
+    [{ type: 'messaging' }, false],
+    [{ type: { $in: ['messaging', 'team'] } }, true],
+    [{ type: { $ne: 'team' } }, false],
+    [{ cid: 'team:general' }, true],
+    [{ id: { $eq: 'random' } }, false],
+  ])('should evaluate the channel fields %j', (filters, expected) => {
+    expect(matchChannelFilters(channel, filters)).toBe(expected);
+  });
+
+  it.each([
+    [{ members: { $in: ['jon'] } }, true],
+    [{ members: { $in: ['arya', 'sam'] } }, true],
+  ])('should evaluate the members %j', (filters, expected) => {
+    expect(matchChannelFilters(channel, filters)).toBe(expected);
+  });
+
+  it.each([
+    [{ members: { $in: ['arya', 'bran'] } }],
+    [{ members: { $eq: ['sam', 'jon'] } }],
+    [{ members: ['jon'] }],
+    [{ members: { $nin: ['jon'] } }],
+  ])('should not evaluate the members %j', (filters) => {
+    expect(matchChannelFilters(channel, filters)).toBeUndefined();
+  });
+
+  it('should not drop a channel whose member is missing from the truncated members', () => {
+    channel.state.members = { sam: { user: sam, user_id: 'sam' } };
+    expect(
+      matchChannelFilters(channel, {
+        members: { $in: ['jon'] },
+        type: 'team',
+      }),
+    ).toBeUndefined();
+  });
+
+  it.each([
+    [{ topic: 'football' }, true],
+    [{ archived: { $ne: true } }, true],
+    [{ archived: true }, false],
+    [{ tags: 'sport' }, true],
+    [{ tags: { $in: ['music', 'news'] } }, true],
+    [{ priority: { $exists: false } }, true],
+    [{ topic: { $exists: true, $ne: 'football' } }, false],
+  ])('should evaluate the custom data %j', (filters, expected) => {
+    expect(matchChannelFilters(channel, filters)).toBe(expected);
+  });
+
+  it.each([
+    [{ $and: [{ type: 'team' }, { topic: 'football' }] }, true],
+    [{ $and: [{ type: 'team' }, { topic: 'tennis' }] }, false],
+    [{ $or: [{ type: 'messaging' }, { topic: 'football' }] }, true],
+    [{ $or: [{ type: 'messaging' }, { topic: 'tennis' }] }, false],
+  ])('should combine the conditions %j', (filters, expected) => {
+    expect(matchChannelFilters(channel, filters)).toBe(expected);
+  });
+
+  it.each([
+    [{ last_message_at: { $gt: '2020-01-01T00:00:00Z' } }],
+    [{ joined: true }],
+    [{ $nor: [{ type: 'team' }] }],
+    [{ $or: [{ type: 'messaging' }, { muted: false }] }],
+    [{ type: 'team', name: { $autocomplete: 'gen' } }],
+  ])('should not evaluate the filters %j', (filters) => {
+    expect(matchChannelFilters(channel, filters)).toBeUndefined();
+  });
+
+  it('should decide the filters whose other conditions cannot be evaluated', () => {
+    expect(
+      matchChannelFilters(channel, { joined: true, type: 'messaging' }),
+    ).toBe(false);
+    expect(
+      matchChannelFilters(channel, {
+        $or: [{ type: 'team' }, { muted: false }],
+      }),
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,31 @@
+// @ts-check
+
+/**
+ * If the current user marked the channel as a favourite, which is stored in the extra data of their membership
+ * @param {import('stream-chat').Channel} channel
+ */
+export const isFavouriteChannel = (channel) => {
+  const userId = channel.getClient().userID;
+  const member =
+    (userId && channel.state.members[userId]) || channel.state.membership;
+  return !!(/** @type {{ favourite?: boolean }} */ (member)?.favourite);
+};
+
+/**
+ * Marks the channel as a favourite of the current user or unmarks it. stream-chat does not update the members
+ * partially yet, the request is sent by `doUpdateMemberRequest`. The channel state and the channel lists are updated
+ * by the member.updated event of the server.
+ * @param {import('stream-chat').Channel} channel
+ * @param {boolean} favourite
+ * @param {import('types').UpdateMemberRequest} doUpdateMemberRequest
+ */
+export const setChannelFavourite = async (
+  channel,
+  favourite,
+  doUpdateMemberRequest,
+) => {
+  const userId = channel.getClient().userID;
+  if (!userId) return;
+
+  await doUpdateMemberRequest(channel, userId, { favourite });
+};
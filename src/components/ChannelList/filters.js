@@ -0,0 +1,155 @@
+// @ts-check
+
+/**
+ * Fields of the channel queries which are not part of the data of the channels, they cannot be evaluated locally
+ */
+const UNEVALUABLE_FIELDS = [
+  'has_unread',
+  'hidden',
+  'joined',
+  'last_updated',
+  'member.user.name',
+  'members.user.name',
+  'muted',
+  'pinned',
+];
+
+/**
+ * @param {import('stream-chat').Channel} channel
+ * @param {string} field
+ * @returns {unknown}
+ */
+const getFieldValue = (channel, field) => {
+  switch (field) {
+    case 'cid':
+      return channel.cid;
+    case 'id':
+      return channel.id;
+    case 'type':
+      return channel.type;
+    default:
+      return channel.data?.[field];
+  }
+};
+
+/**
+ * @param {unknown} value
+ * @param {unknown} operand
+ */
+const isEqual = (value, operand) => {
+  if (Array.isArray(operand)) {
+    // the members are compared as a set, e.g. `{ members: { $eq: ['jon', 'sam'] } }` matches the channel of jon and sam
+    return (
+      Array.isArray(value) &&
+      value.length === operand.length &&
+      operand.every((item) => value.includes(item))
+    );
+  }
+  if (Array.isArray(value)) return value.includes(operand);
+  return value === operand;
+};
+
+/**
+ * @param {unknown} value
+ * @param {string} operator
+ * @param {unknown} operand
+ * @returns {boolean | undefined}
+ */
+const matchOperator = (value, operator, operand) => {
+  switch (operator) {
+    case '$eq':
+      return isEqual(value, operand);
+    case '$ne':
+      return !isEqual(value, operand);
+    case '$in':
+      if (!Array.isArray(operand)) return undefined;
+      if (Array.isArray(value)) {
+        return value.some((item) => operand.includes(item));
+      }
+      return operand.includes(value);
+    case '$exists':
+      return (value !== undefined && value !== null) === !!operand;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * The members of the channel state can be a part of the members only, a member which is not found there may still be
+ * one: only an `$in` condition on a member found in the state is evaluated.
+ * @param {import('stream-chat').Channel} channel
+ * @param {unknown} condition
+ * @returns {boolean | undefined}
+ */
+const matchMembers = (channel, condition) => {
+  const operators = /** @type {Record<string, unknown>} */ (condition);
+  if (
+    !condition ||
+    typeof condition !== 'object' ||
+    Object.keys(operators).length !== 1 ||
+    !Array.isArray(operators.$in)
+  ) {
+    return undefined;
+  }
+  const members = channel.state.members || {};
+  return operators.$in.some((id) => id in members) ? true : undefined;
+};
+
+/**
+ * Combines the results of conditions, a condition which cannot be evaluated makes the result unknown unless another
+ * one decides it
+ * @param {Array<boolean | undefined>} results
+ * @param {boolean} decisive the result deciding the combination, `false` for `$and`, `true` for `$or`
+ */
+const combine = (results, decisive) => {
+  if (results.includes(decisive)) return decisive;
+  if (results.includes(undefined)) return undefined;
+  return !decisive;
+};
+
+/**
+ * Evaluates the filters of a channel query on the data of a channel: the `$eq`, `$in`, `$ne` and `$exists` operators
+ * on its `type`, `id`, `cid` and custom data, and the `$in` operator on its `members`, combined with `$and` and `$or`.
+ * @param {import('stream-chat').Channel} channel
+ * @param {import('stream-chat').ChannelFilters} filters
+ * @returns {boolean | undefined} `undefined` when the filters use operators or fields which cannot be evaluated locally
+ */
+export const matchChannelFilters = (channel, filters) => {
+  /** @type {Record<string, unknown>} */
+  const conditions = filters;
+
+  return combine(
+    Object.keys(conditions).map((field) => {
+      const condition = conditions[field];
+
+      if (field === '$and' || field === '$or') {
+        if (!Array.isArray(condition)) return undefined;
+        return combine(
+          condition.map((filter) => matchChannelFilters(channel, filter)),
+          field === '$or',
+        );
+      }
+      if (field.startsWith('$') || UNEVALUABLE_FIELDS.includes(field)) {
+        return undefined;
+      }
+      if (field === 'members') return matchMembers(channel, condition);
+
+      const value = getFieldValue(channel, field);
+      if (
+        condition &&
+        typeof condition === 'object' &&
+        !Array.isArray(condition)
+      ) {
+        const operators = /** @type {Record<string, unknown>} */ (condition);
+        return combine(
+          Object.keys(operators).map((operator) =>
+            matchOperator(value, operator, operators[operator]),
+          ),
+          false,
+        );
+      }
+      return isEqual(value, condition);
+    }),
+    false,
+  );
+};
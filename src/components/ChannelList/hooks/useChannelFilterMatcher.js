@@ -0,0 +1,72 @@
+// @ts-check
+
+import { useEffect, useRef } from 'react';
+import { matchChannelFilters } from '../filters';
+
+/**
+ * Returns the function deciding if a channel matches the filters of the list, when enabled. The filters are evaluated
+ * on the data of the channel, the channel is queried with the filters when they cannot be. The result of such a query
+ * is kept until the channel is updated, the channels of the list match the filters unless they were updated since.
+ * @param {import('types').StreamChatReactClient} client
+ * @param {import('stream-chat').ChannelFilters} filters
+ * @param {import('stream-chat').ChannelOptions} options
+ * @param {import('stream-chat').Channel[]} channels
+ * @param {boolean} [enabled]
+ * @returns {import('types').ChannelFilterMatcher | undefined}
+ */
+export const useChannelFilterMatcher = (
+  client,
+  filters,
+  options,
+  channels,
+  enabled,
+) => {
+  const filtersRef = useRef(filters);
+  const optionsRef = useRef(options);
+  const channelsRef = useRef(channels);
+  filtersRef.current = filters;
+  optionsRef.current = options;
+  channelsRef.current = channels;
+  const queriedMatches = useRef(
+    /** @type {Map<string, boolean>} */ (new Map()),
+  );
+
+  const filtersKey = JSON.stringify(filters);
+  useEffect(() => {
+    queriedMatches.current = new Map();
+  }, [filtersKey]);
+
+  /** @type {import('types').ChannelFilterMatcher} */
+  const matchChannel = async (channel, updated = false) => {
+    const matches = matchChannelFilters(channel, filtersRef.current);
+    if (matches !== undefined) return matches;
+
+    const { cid } = channel;
+    const inList = channelsRef.current.some((item) => item.cid === cid);
+    if (!updated) {
+      const queried = queriedMatches.current.get(cid);
+      if (queried !== undefined) return queried;
+      if (inList) return true;
+    }
+
+    try {
+      const response = await client.queryChannels(
+        /** @type {import('stream-chat').ChannelFilters} */ ({
+          $and: [filtersRef.current, { cid }],
+        }),
+        {},
+        { ...optionsRef.current, limit: 1, offset: 0 },
+      );
+      queriedMatches.current.set(cid, response.length > 0);
+      return response.length > 0;
+    } catch (e) {
+      // the list is left as it is
+      console.warn(e);
+      return inList;
+    }
+  };
+
+  const matchChannelRef = useRef(matchChannel);
+
+  return enabled ? matchChannelRef.current : undefined;
+};
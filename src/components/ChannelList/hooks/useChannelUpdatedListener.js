@@ -1,6 +1,7 @@
 // @ts-check
 
 import { useEffect, useContext } from 'react';
+import uniqBy from 'lodash.uniqby';
 import { ChatContext } from '../../../context';
 
 /**
@@ -9,17 +10,20 @@ import { ChatContext } from '../../../context';
  * @param {SetChannels} setChannels
  * @param {(setChannels: SetChannels, event: ChannelUpdatedEvent) => void} [customHandler]
  * @param {() => void} [forceUpdate]
+ * @param {import('types').ChannelFilterMatcher} [matchChannel] removes the channel from the list once it does not match
+ * the filters anymore, and adds it once it does
  */
 export const useChannelUpdatedListener = (
   setChannels,
   customHandler,
   forceUpdate,
+  matchChannel,
 ) => {
   const { client } = useContext(ChatContext);
 
   useEffect(() => {
     /** @param {import('stream-chat').Event} e */
-    const handleEvent = (e) => {
+    const handleEvent = async (e) => {
       setChannels((channels) => {
         const channelIndex = channels.findIndex(
           (channel) => channel.cid === e.channel?.cid,
@@ -39,6 +43,23 @@ export const useChannelUpdatedListener = (
       if (customHandler && typeof customHandler === 'function') {
         customHandler(setChannels, e);
       }
+
+      if (matchChannel && e.channel) {
+        const channel = client.channel(e.channel.type, e.channel.id);
+        channel.data = e.channel;
+        const matches = await matchChannel(channel, true);
+        setChannels((channels) => {
+          const channelInList = channels.some(({ cid }) => cid === channel.cid);
+          if (!matches) {
+            return channelInList
+              ? channels.filter(({ cid }) => cid !== channel.cid)
+              : channels;
+          }
+          return channelInList
+            ? channels
+            : uniqBy([channel, ...channels], 'cid');
+        });
+      }
     };
 
     client.on('channel.updated', handleEvent);
@@ -47,5 +68,5 @@ export const useChannelUpdatedListener = (
       client.off('channel.updated', handleEvent);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [customHandler]);
+  }, [customHandler, matchChannel]);
 };
@@ -10,8 +10,13 @@ import { getChannel } from '../utils';
  * @typedef {React.Dispatch<React.SetStateAction<import('stream-chat').Channel[]>>} SetChannels
  * @param {SetChannels} setChannels
  * @param {(setChannels: SetChannels, event: ChannelVisibleEvent) => void} [customHandler]
+ * @param {import('types').ChannelFilterMatcher} [matchChannel] adds the channel to the list only if it matches the filters
  */
-export const useChannelVisibleListener = (setChannels, customHandler) => {
+export const useChannelVisibleListener = (
+  setChannels,
+  customHandler,
+  matchChannel,
+) => {
   const { client } = useContext(ChatContext);
   useEffect(() => {
     /** @param {import('stream-chat').Event} e */
@@ -20,6 +25,7 @@ export const useChannelVisibleListener = (setChannels, customHandler) => {
         customHandler(setChannels, e);
       } else if (e?.type && e.channel_type && e.channel_id) {
         const channel = await getChannel(client, e.channel_type, e.channel_id);
+        if (matchChannel && !(await matchChannel(channel))) return;
         setChannels((channels) => uniqBy([channel, ...channels], 'cid'));
       }
     };
@@ -30,5 +36,5 @@ export const useChannelVisibleListener = (setChannels, customHandler) => {
       client.off('channel.visible', handleEvent);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [customHandler]);
+  }, [customHandler, matchChannel]);
 };
@@ -10,16 +10,37 @@ import { moveChannelUp } from '../utils';
  * @typedef {React.Dispatch<React.SetStateAction<import('stream-chat').Channel[]>>} SetChannels
  * @param {SetChannels} setChannels
  * @param {boolean} [lockChannelOrder]
+ * @param {boolean} [allowNewMessagesFromUnfilteredChannels]
+ * @param {import('types').ChannelFilterMatcher} [matchChannel] adds the channel to the list only if it matches the
+ * filters, and removes it if it does not anymore
  */
 export const useMessageNewListener = (
   setChannels,
   lockChannelOrder = false,
   allowNewMessagesFromUnfilteredChannels = true,
+  matchChannel,
 ) => {
   const { client } = useContext(ChatContext);
   useEffect(() => {
     /** @param {import('stream-chat').Event} event */
-    const handleEvent = (event) => {
+    const handleEvent = async (event) => {
+      if (matchChannel && event.channel_type && event.channel_id) {
+        const channel = client.channel(event.channel_type, event.channel_id);
+        const matches = await matchChannel(channel);
+        setChannels((channels) => {
+          const channelInList = channels.some(({ cid }) => cid === event.cid);
+          if (!matches) {
+            return channelInList
+              ? channels.filter(({ cid }) => cid !== event.cid)
+              : channels;
+          }
+          if (!channelInList) return uniqBy([channel, ...channels], 'cid');
+          if (!lockChannelOrder) return moveChannelUp(event.cid, channels);
+          return channels;
+        });
+        return;
+      }
+
       setChannels((channels) => {
         const channelInList =
           channels.filter((channel) => channel.cid === event.cid).length > 0;
@@ -40,5 +61,5 @@ export const useMessageNewListener = (
       client.off('message.new', handleEvent);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [lockChannelOrder]);
+  }, [lockChannelOrder, matchChannel]);
 };
@@ -10,10 +10,12 @@ import { getChannel } from '../utils';
  * @typedef {React.Dispatch<React.SetStateAction<import('stream-chat').Channel[]>>} SetChannels
  * @param {SetChannels} setChannels
  * @param {(setChannels: SetChannels, event: NotificationAddedToChannelEvent) => void} [customHandler]
+ * @param {import('types').ChannelFilterMatcher} [matchChannel] adds the channel to the list only if it matches the filters
  */
 export const useNotificationAddedToChannelListener = (
   setChannels,
   customHandler,
+  matchChannel,
 ) => {
   const { client } = useContext(ChatContext);
   useEffect(() => {
@@ -23,6 +25,7 @@ export const useNotificationAddedToChannelListener = (
         customHandler(setChannels, e);
       } else if (e.channel?.type) {
         const channel = await getChannel(client, e.channel.type, e.channel.id);
+        if (matchChannel && !(await matchChannel(channel))) return;
         setChannels((channels) => uniqBy([channel, ...channels], 'cid'));
       }
     };
@@ -33,5 +36,5 @@ export const useNotificationAddedToChannelListener = (
       client.off('notification.added_to_channel', handleEvent);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [customHandler]);
+  }, [customHandler, matchChannel]);
 };
@@ -10,10 +10,12 @@ import { getChannel } from '../utils';
  * @typedef {React.Dispatch<React.SetStateAction<import('stream-chat').Channel[]>>} SetChannels
  * @param {SetChannels} setChannels
  * @param {(setChannels: SetChannels, event: NotificationAddedToChannelEvent) => void} [customHandler]
+ * @param {import('types').ChannelFilterMatcher} [matchChannel] adds the channel to the list only if it matches the filters
  */
 export const useNotificationMessageNewListener = (
   setChannels,
   customHandler,
+  matchChannel,
 ) => {
   const { client } = useContext(ChatContext);
   useEffect(() => {
@@ -25,6 +27,7 @@ export const useNotificationMessageNewListener = (
         customHandler(setChannels, e);
       } else if (e.channel?.type) {
         const channel = await getChannel(client, e.channel.type, e.channel.id);
+        if (matchChannel && !(await matchChannel(channel))) return;
         // move channel to starting position
         setChannels((channels) => {
           return uniqBy([channel, ...channels], 'cid');
@@ -38,5 +41,5 @@ export const useNotificationMessageNewListener = (
       client.off('notification.message_new', handleEvent);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [customHandler]);
+  }, [customHandler, matchChannel]);
 };
@@ -1,8 +1,14 @@
 // @ts-check
 
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import uniqBy from 'lodash.uniqby';
 import { MAX_QUERY_CHANNELS_LIMIT } from '../utils';
+
 /**
+ * Queries the channels a page at a time. The offset of a page is the count of the channels returned by the previous
+ * pages which are still in the list: the channels inserted by the event listeners are not counted and the channels of
+ * a page which are already in the list are dropped, a page overlapping the previous ones rather than skipping channels.
+ * The channels are queried again when the content of the filters, the sort or the options changes.
  * @typedef {import('stream-chat').Channel} Channel
  * @param {import('types').StreamChatReactClient} client
  * @param {import('stream-chat').ChannelFilters} filters
@@ -20,23 +26,51 @@ export const usePaginatedChannels = (
   const [channels, setChannels] = useState(/** @type {Channel[]} */ ([]));
   const [loadingChannels, setLoadingChannels] = useState(true);
   const [refreshing, setRefreshing] = useState(true);
-  const [offset, setOffset] = useState(0);
   const [error, setError] = useState(false);
   const [hasNextPage, setHasNextPage] = useState(true);
 
+  const channelsRef = useRef(channels);
+  channelsRef.current = channels;
+  // cids of the channels returned by the queries since the last reload
+  const queriedCids = useRef(/** @type {Set<string>} */ (new Set()));
+  // positions of the query skipped because a page only returned channels which were already in the list
+  const skippedCount = useRef(0);
+  // the responses of a query are ignored once another one started
+  const lastQueryId = useRef(0);
+  const querying = useRef(false);
+  const failedQueryType = useRef(
+    /** @type {'reload' | 'next-page' | null} */ (null),
+  );
+
+  const queryKey = JSON.stringify({ filters, options, sort });
+
+  /** @param {Channel[]} list */
+  const getOffset = (list) =>
+    list.filter(({ cid }) => queriedCids.current.has(cid)).length +
+    skippedCount.current;
+
   /**
-   * @param {string} [queryType]
+   * @param {'reload' | 'next-page'} queryType
    */
   const queryChannels = async (queryType) => {
-    if (queryType === 'reload') {
+    const reload = queryType === 'reload';
+    lastQueryId.current += 1;
+    const queryId = lastQueryId.current;
+    querying.current = true;
+
+    if (reload) {
+      queriedCids.current = new Set();
+      skippedCount.current = 0;
       setChannels([]);
       setLoadingChannels(true);
     }
 
+    setError(false);
     setRefreshing(true);
 
+    const offset = reload ? 0 : getOffset(channelsRef.current);
     const newOptions = {
-      offset: queryType === 'reload' ? 0 : offset,
+      offset,
       ...options,
       limit: options?.limit ?? MAX_QUERY_CHANNELS_LIMIT,
     };
@@ -47,43 +81,74 @@ export const usePaginatedChannels = (
         sort || {},
         newOptions,
       );
+      if (queryId !== lastQueryId.current) return;
+
+      channelQueryResponse.forEach(({ cid }) => queriedCids.current.add(cid));
 
+      /** @type {Channel[]} */
       let newChannels;
-      if (queryType === 'reload') {
-        newChannels = channelQueryResponse;
+      if (reload) {
+        newChannels = uniqBy(channelQueryResponse, 'cid');
       } else {
-        newChannels = [...channels, ...channelQueryResponse];
+        newChannels = uniqBy(
+          [...channelsRef.current, ...channelQueryResponse],
+          'cid',
+        );
+        // a page of channels which were all in the list would be queried again
+        const nextOffset = getOffset(newChannels);
+        if (nextOffset <= offset) {
+          skippedCount.current +=
+            offset + channelQueryResponse.length - nextOffset;
+        }
       }
 
+      channelsRef.current = newChannels;
       setChannels(newChannels);
       setHasNextPage(channelQueryResponse.length >= newOptions.limit);
+      failedQueryType.current = null;
       // Set active channel only after first page.
-      if (offset === 0 && activeChannelHandler) {
+      if (reload && activeChannelHandler) {
         activeChannelHandler(newChannels, setChannels);
       }
-
-      setOffset(newChannels.length);
     } catch (e) {
+      if (queryId !== lastQueryId.current) return;
       console.warn(e);
+      failedQueryType.current = queryType;
       setError(true);
     }
+    querying.current = false;
     setLoadingChannels(false);
     setRefreshing(false);
   };
 
   const loadNextPage = () => {
-    queryChannels();
+    // the infinite scroll asks for the next page each time the list is scrolled
+    if (querying.current) return;
+    queryChannels('next-page');
+  };
+
+  const reload = () => {
+    queryChannels('reload');
+  };
+
+  // runs the query which failed again, the first page is loaded again if no query failed
+  const retry = () => {
+    queryChannels(
+      failedQueryType.current === 'next-page' ? 'next-page' : 'reload',
+    );
   };
 
   useEffect(() => {
     queryChannels('reload');
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filters]);
+  }, [queryKey]);
 
   return {
     channels,
     loadNextPage,
     hasNextPage,
+    reload,
+    retry,
     status: {
       loadingChannels,
       refreshing,
@@ -0,0 +1,48 @@
+// @ts-check
+
+import { useEffect, useContext } from 'react';
+import { ChatContext } from '../../../context';
+import { MARK_UNREAD_EVENT } from '../../Channel/unread';
+
+/**
+ * Re-renders the channel list when the channels receive new messages, are read or marked unread by the current user
+ * and when their membership changes, e.g. when a channel is marked as a favourite, so that the sections and the
+ * unread first order are up to date, even when the order of the channels is locked
+ * @param {() => void} forceUpdate
+ * @param {boolean} [enabled]
+ */
+export const useUserChannelStateListener = (forceUpdate, enabled = true) => {
+  const { client } = useContext(ChatContext);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    /** @param {import('stream-chat').Event | import('types').MarkUnreadEvent} event */
+    const handleEvent = (event) => {
+      switch (event.type) {
+        case 'message.new':
+        case 'notification.mark_read':
+          forceUpdate();
+          break;
+        case 'message.read':
+        case MARK_UNREAD_EVENT:
+          if (event.user?.id === client.userID) forceUpdate();
+          break;
+        case 'member.updated':
+          if ('member' in event && event.member?.user_id === client.userID) {
+            forceUpdate();
+          }
+          break;
+        default:
+      }
+    };
+
+    // stream-chat does not accept listeners for the mark unread event type, which is not part of its event types
+    client.on(handleEvent);
+
+    return () => {
+      client.off(handleEvent);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enabled]);
+};
@@ -3,3 +3,6 @@
 export { default as ChannelList } from './ChannelList';
 export { default as ChannelListMessenger } from './ChannelListMessenger';
 export { default as ChannelListTeam } from './ChannelListTeam';
+export { default as ChannelListSection } from './ChannelListSection';
+export * from './favourites';
+export * from './filters';
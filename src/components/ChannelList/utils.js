@@ -33,3 +33,27 @@ export const getChannel = async (client, type, id) => {
 };
 
 export const MAX_QUERY_CHANNELS_LIMIT = 30;
+
+/**
+ * The unread messages of the channel, none when it is muted, like its preview
+ * @param {import('stream-chat').Channel} channel
+ */
+export const countUnreadMessages = (channel) =>
+  channel.muteStatus().muted ? 0 : channel.countUnread();
+
+/**
+ * The channels with unread messages first, the order of the channels is kept otherwise
+ * @param {import('stream-chat').Channel[]} channels
+ */
+export const sortUnreadFirst = (channels) => {
+  /** @type {import('stream-chat').Channel[]} */
+  const unreadChannels = [];
+  /** @type {import('stream-chat').Channel[]} */
+  const readChannels = [];
+  channels.forEach((channel) =>
+    (countUnreadMessages(channel) > 0 ? unreadChannels : readChannels).push(
+      channel,
+    ),
+  );
+  return [...unreadChannels, ...readChannels];
+};
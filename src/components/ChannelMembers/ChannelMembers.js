@@ -0,0 +1,171 @@
+// @ts-check
+import React, { useContext, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { Avatar as DefaultAvatar } from '../Avatar';
+import { UserPicker } from '../CreateChannel';
+import { useUserRole } from '../Message';
+import { ChannelContext, TranslationContext } from '../../context';
+
+/**
+ * ChannelMembers - Panel listing the members of the active channel. The admins, owners and moderators of the channel,
+ * the same users who can edit any message, can add members to the channel and remove them.
+ *
+ * @example ../../docs/ChannelMembers.md
+ * @type {React.FC<import('types').ChannelMembersProps>}
+ */
+const ChannelMembers = ({
+  Avatar = DefaultAvatar,
+  debounceInterval,
+  onClose,
+  userFilters,
+}) => {
+  const { channel, client, members = {} } = useContext(ChannelContext);
+  const { t } = useContext(TranslationContext);
+  const { isAdmin, isModerator, isOwner } = useUserRole(undefined);
+  const canManageMembers = isAdmin || isModerator || isOwner;
+
+  const [usersToAdd, setUsersToAdd] = useState(
+    /** @type {import('types').UserPickerUser[]} */ ([]),
+  );
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState('');
+
+  const memberList = useMemo(
+    () =>
+      Object.values(members).sort((member, otherMember) =>
+        (member.user?.name || member.user_id || '').localeCompare(
+          otherMember.user?.name || otherMember.user_id || '',
+        ),
+      ),
+    [members],
+  );
+  const memberIds = useMemo(() => Object.keys(members), [members]);
+
+  if (!channel) return null;
+
+  /**
+   * @param {() => Promise<unknown>} update
+   * @param {string} errorText
+   */
+  const updateMembers = async (update, errorText) => {
+    setUpdating(true);
+    setError('');
+    try {
+      await update();
+    } catch (e) {
+      console.warn(e);
+      setError(errorText);
+      setUpdating(false);
+      return false;
+    }
+    setUpdating(false);
+    return true;
+  };
+
+  /** @param {React.FormEvent} event */
+  const addMembers = async (event) => {
+    event.preventDefault();
+    if (!usersToAdd.length || updating) return;
+
+    const added = await updateMembers(
+      () => channel.addMembers(usersToAdd.map(({ id }) => id)),
+      t('Error adding members'),
+    );
+    if (added) setUsersToAdd([]);
+  };
+
+  /** @param {string} userId */
+  const removeMember = (userId) =>
+    updateMembers(
+      () => channel.removeMembers([userId]),
+      t('Error removing the member'),
+    );
+
+  return (
+    <div className="str-chat__channel-members">
+      <div className="str-chat__channel-members-header">
+        <div className="str-chat__channel-members-header-title">
+          {t('{{ memberCount }} members', { memberCount: memberList.length })}
+        </div>
+        {onClose && (
+          <button
+            aria-label={t('Close')}
+            className="str-chat__channel-members-header-close"
+            onClick={onClose}
+            type="button"
+          >
+            ×
+          </button>
+        )}
+      </div>
+      {canManageMembers && (
+        <form className="str-chat__channel-members-add" onSubmit={addMembers}>
+          <UserPicker
+            Avatar={Avatar}
+            debounceInterval={debounceInterval}
+            excludedUserIds={memberIds}
+            onChange={setUsersToAdd}
+            selectedUsers={usersToAdd}
+            userFilters={userFilters}
+          />
+          <button disabled={!usersToAdd.length || updating} type="submit">
+            {t('Add')}
+          </button>
+        </form>
+      )}
+      {error && (
+        <div className="str-chat__channel-members-error" role="alert">
+          {error}
+        </div>
+      )}
+      <ul className="str-chat__channel-members-list">
+        {memberList.map((member) => {
+          const userId = member.user_id || member.user?.id || '';
+          const name = member.user?.name || userId;
+
+          return (
+            <li className="str-chat__channel-members-item" key={userId}>
+              <Avatar image={member.user?.image} name={name} size={32} />
+              <div className="str-chat__channel-members-item-name">{name}</div>
+              {member.role && member.role !== 'member' && (
+                <div className="str-chat__channel-members-item-role">
+                  {member.role}
+                </div>
+              )}
+              {canManageMembers &&
+                userId !== client?.userID &&
+                member.role !== 'owner' && (
+                  <button
+                    aria-label={t('Remove {{ name }}', { name })}
+                    disabled={updating}
+                    onClick={() => removeMember(userId)}
+                    type="button"
+                  >
+                    {t('Remove')}
+                  </button>
+                )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+ChannelMembers.propTypes = {
+  /**
+   * Custom UI component to display user avatar
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+  /** Time in ms to wait after the last keystroke before querying the users to add, defaults to 300 */
+  debounceInterval: PropTypes.number,
+  /** Called when the close button of the header is clicked, the button is hidden without it */
+  onClose: PropTypes.func,
+  /** Extra `filters`, `sort` and `options` merged into the query of the users to add */
+  userFilters: /** @type {PropTypes.Validator<import('types').UserPickerProps['userFilters']>} */ (PropTypes.object),
+};
+
+export default ChannelMembers;
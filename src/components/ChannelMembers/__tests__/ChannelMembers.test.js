@@ -0,0 +1,123 @@
+import React from 'react';
+import { cleanup, fireEvent, render, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import {
+  generateUser,
+  getTestClientWithUser,
+  queryUsersApi,
+  useMockedApis,
+} from 'mock-builders';
+
+import { ChannelContext, ChatContext } from '../../../context';
+import ChannelMembers from '../ChannelMembers';
+
+afterEach(cleanup); // eslint-disable-line
+
+const user = generateUser({ id: 'uthred', name: 'Uthred' });
+const ragnar = generateUser({ id: 'ragnar', name: 'Ragnar' });
+const brida = generateUser({ id: 'brida', name: 'Brida' });
+const alfred = generateUser({ id: 'alfred', name: 'Alfred' });
+
+const members = {
+  [alfred.id]: { role: 'owner', user: alfred, user_id: alfred.id },
+  [ragnar.id]: { role: 'member', user: ragnar, user_id: ragnar.id },
+  [user.id]: { role: 'moderator', user, user_id: user.id },
+};
+
+let chatClient;
+
+const renderComponent = ({ channel, ...props }) =>
+  render(
+    <ChatContext.Provider value={{ client: chatClient }}>
+      <ChannelContext.Provider value={{ channel, client: chatClient, members }}>
+        <ChannelMembers debounceInterval={0} {...props} />
+      </ChannelContext.Provider>
+    </ChatContext.Provider>,
+  );
+
+const getChannel = (role) => ({
+  addMembers: jest.fn(() => Promise.resolve()),
+  removeMembers: jest.fn(() => Promise.resolve()),
+  state: { membership: { role } },
+});
+
+describe('ChannelMembers', () => {
+  beforeEach(async () => {
+    chatClient = await getTestClientWithUser(user);
+  });
+
+  it('should list the members sorted by name with their role', () => {
+    const { container, getByText } = renderComponent({
+      channel: getChannel('member'),
+    });
+
+    expect(getByText('{{ memberCount }} members')).toBeInTheDocument();
+    expect(
+      [
+        ...container.querySelectorAll('.str-chat__channel-members-item-name'),
+      ].map((node) => node.textContent),
+    ).toStrictEqual(['Alfred', 'Ragnar', 'Uthred']);
+    expect(getByText('owner')).toBeInTheDocument();
+    expect(getByText('moderator')).toBeInTheDocument();
+  });
+
+  it('should not let a regular member add or remove members', () => {
+    const { queryByRole, queryByText } = renderComponent({
+      channel: getChannel('member'),
+    });
+
+    expect(queryByRole('combobox')).not.toBeInTheDocument();
+    expect(queryByText('Remove')).not.toBeInTheDocument();
+  });
+
+  it('should let a moderator remove the members but themselves and the owner', async () => {
+    const channel = getChannel('moderator');
+    const { getAllByText } = renderComponent({ channel });
+
+    const removeButtons = getAllByText('Remove');
+    expect(removeButtons).toHaveLength(1);
+    fireEvent.click(removeButtons[0]);
+
+    await waitFor(() =>
+      expect(channel.removeMembers).toHaveBeenCalledWith([ragnar.id]),
+    );
+  });
+
+  it('should add the picked users leaving out the members from the search', async () => {
+    const channel = getChannel('owner');
+    useMockedApis(chatClient, [queryUsersApi([brida])]);
+    const queryUsersSpy = jest.spyOn(chatClient, 'queryUsers');
+    const { findByText, getByRole, getByText } = renderComponent({ channel });
+
+    fireEvent.change(getByRole('combobox'), { target: { value: 'br' } });
+    fireEvent.click(await findByText('Brida'));
+    fireEvent.click(getByText('Add'));
+
+    await waitFor(() =>
+      expect(channel.addMembers).toHaveBeenCalledWith([brida.id]),
+    );
+    expect(queryUsersSpy).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: { $nin: [user.id, alfred.id, ragnar.id, user.id] },
+      }),
+      expect.any(Object),
+      expect.any(Object),
+    );
+  });
+
+  it('should render an error if the members cannot be removed', async () => {
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => null);
+    const channel = getChannel('owner');
+    channel.removeMembers.mockImplementationOnce(() =>
+      Promise.reject(new Error('forbidden')),
+    );
+    const { findByRole, getAllByText } = renderComponent({ channel });
+
+    fireEvent.click(getAllByText('Remove')[0]);
+
+    expect(await findByRole('alert')).toHaveTextContent(
+      'Error removing the member',
+    );
+  });
+});
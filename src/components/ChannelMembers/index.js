@@ -0,0 +1 @@
+export { default as ChannelMembers } from './ChannelMembers';
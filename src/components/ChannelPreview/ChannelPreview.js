@@ -5,10 +5,14 @@ import React, { useState, useEffect, useContext } from 'react';
 import PropTypes from 'prop-types';
 import ChannelPreviewCountOnly from './ChannelPreviewCountOnly';
 import { TranslationContext, ChatContext } from '../../context';
+import { applyMarkUnreadEvent, MARK_UNREAD_EVENT } from '../Channel/unread';
+import { getDraftKey, isEmptyDraft } from '../MessageInput/drafts';
+import { getTypingIndicatorText, useTypingUsers } from '../TypingIndicator';
 import {
   getLatestMessagePreview,
   getDisplayTitle,
   getDisplayImage,
+  getDraftPreview,
 } from './utils';
 
 /**
@@ -17,33 +21,39 @@ import {
 const ChannelPreview = (props) => {
   const { channel, Preview = ChannelPreviewCountOnly } = props;
 
-  const { client, channel: activeChannel, setActiveChannel } = useContext(
-    ChatContext,
-  );
+  const {
+    client,
+    channel: activeChannel,
+    draftStorage,
+    setActiveChannel,
+  } = useContext(ChatContext);
   const { t } = useContext(TranslationContext);
 
   const [lastMessage, setLastMessage] = useState(
     /** @type {import('stream-chat').MessageResponse | undefined} */ (undefined),
   );
   const [unread, setUnread] = useState(0);
+  // the active channel shows its unread messages only once it has been marked unread
+  const [markedUnread, setMarkedUnread] = useState(false);
 
   const isActive = activeChannel?.cid === channel.cid;
   const { muted } = channel.muteStatus();
+  const hideUnread = muted || (isActive && !markedUnread);
 
   useEffect(() => {
-    if (isActive || muted) {
+    if (hideUnread) {
       setUnread(0);
     } else {
       setUnread(channel.countUnread());
     }
-  }, [channel, isActive, muted]);
+  }, [channel, hideUnread]);
 
   useEffect(() => {
     /** @type {(event: import('stream-chat').Event) => void} */
     const handleEvent = (event) => {
       setLastMessage(event.message);
 
-      if (!isActive && !muted) {
+      if (!hideUnread) {
         setUnread(channel.countUnread());
       } else {
         setUnread(0);
@@ -59,17 +69,59 @@ const ChannelPreview = (props) => {
       channel.off('message.updated', handleEvent);
       channel.off('message.deleted', handleEvent);
     };
-  }, [channel, isActive, muted]);
+  }, [channel, hideUnread]);
+
+  useEffect(() => {
+    /** @param {import('stream-chat').Event | import('types').MarkUnreadEvent} event */
+    const handleReadEvent = (event) => {
+      if (event.user?.id !== client.userID) return;
+      if (event.type === MARK_UNREAD_EVENT) {
+        // the event may come from another device, while the channel is not displayed by a Channel component
+        applyMarkUnreadEvent(channel, event);
+        setMarkedUnread(true);
+        if (!muted) setUnread(channel.countUnread());
+      } else if (event.type === 'message.read') {
+        setMarkedUnread(false);
+        setUnread(0);
+      }
+    };
+
+    // stream-chat does not accept listeners for the mark unread event type, which is not part of its event types
+    channel.on(handleReadEvent);
+
+    return () => channel.off(handleReadEvent);
+  }, [channel, client, muted]);
+
+  const typingUsers = useTypingUsers({ channel, client });
+  const isTyping =
+    !!typingUsers.length && channel.getConfig()?.typing_events !== false;
 
   if (!Preview) return null;
 
+  // the draft of the active channel is the text being typed in its input
+  const draft =
+    !isActive && draftStorage && client.userID
+      ? draftStorage.getDraft(getDraftKey(client.userID, channel.cid))
+      : null;
+  const hasDraft = !!draft && !isEmptyDraft(draft);
+
+  // who is typing replaces the latest message while someone is typing
+  let latestMessage = getLatestMessagePreview(channel, t);
+  if (isTyping) {
+    latestMessage = getTypingIndicatorText(typingUsers, t);
+  } else if (draft && hasDraft) {
+    latestMessage = getDraftPreview(draft, t);
+  }
+
   return (
     <Preview
       {...props}
       setActiveChannel={setActiveChannel}
       lastMessage={lastMessage}
       unread={unread}
-      latestMessage={getLatestMessagePreview(channel, t)}
+      latestMessage={latestMessage}
+      isTyping={isTyping}
+      hasDraft={hasDraft && !isTyping}
       displayTitle={getDisplayTitle(channel, client.user)}
       displayImage={getDisplayImage(channel, client.user)}
       active={isActive}
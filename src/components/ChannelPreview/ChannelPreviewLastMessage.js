@@ -1,8 +1,9 @@
 // @ts-check
-import React, { useRef } from 'react';
+import React, { useContext, useRef } from 'react';
 // eslint-disable-next-line import/no-unresolved
 import PropTypes from 'prop-types';
 import { truncate } from '../../utils';
+import { TranslationContext } from '../../context';
 
 import { Avatar as DefaultAvatar } from '../Avatar';
 
@@ -14,6 +15,7 @@ import { Avatar as DefaultAvatar } from '../Avatar';
  */
 const ChannelPreviewLastMessage = (props) => {
   const { Avatar = DefaultAvatar } = props;
+  const { t } = useContext(TranslationContext);
   /** @type {React.MutableRefObject<HTMLButtonElement | null>} Typescript syntax */
   const channelPreviewButton = useRef(null);
   const onSelectChannel = () => {
@@ -43,7 +45,18 @@ const ChannelPreviewLastMessage = (props) => {
             {props.displayTitle}
           </span>
           <span className="str-chat__channel-preview-last-message">
-            {truncate(props.latestMessage, props.latestMessageLength)}
+            {props.hasDraft && (
+              <span className="str-chat__channel-preview-draft">
+                {t('Draft')}:{' '}
+              </span>
+            )}
+            {props.isTyping ? (
+              <span className="str-chat__typing-indicator-header">
+                {props.latestMessage}
+              </span>
+            ) : (
+              truncate(props.latestMessage, props.latestMessageLength)
+            )}
           </span>
           {props.unread >= 1 && (
             <span className="str-chat__channel-preview-unread-count">
@@ -80,6 +93,10 @@ ChannelPreviewLastMessage.propTypes = {
   active: PropTypes.bool,
   /** Latest message's text. */
   latestMessage: PropTypes.string,
+  /** If the latest message is the draft typed in the channel, which is displayed with a "Draft:" prefix */
+  hasDraft: PropTypes.bool,
+  /** If someone is typing in the channel, the latest message is then who is typing */
+  isTyping: PropTypes.bool,
   /** Length of latest message to truncate at */
   latestMessageLength: PropTypes.number,
   /** Title of channel to display */
@@ -1,8 +1,9 @@
 // @ts-check
-import React, { useRef } from 'react';
+import React, { useContext, useRef } from 'react';
 // eslint-disable-next-line import/no-unresolved
 import PropTypes from 'prop-types';
 import { truncate } from '../../utils';
+import { TranslationContext } from '../../context';
 
 import { Avatar as DefaultAvatar } from '../Avatar';
 
@@ -15,6 +16,7 @@ import { Avatar as DefaultAvatar } from '../Avatar';
  */
 const ChannelPreviewMessenger = (props) => {
   const { Avatar = DefaultAvatar } = props;
+  const { t } = useContext(TranslationContext);
   /** @type {React.MutableRefObject<HTMLButtonElement | null>} Typescript syntax */
   const channelPreviewButton = useRef(null);
   const unreadClass =
@@ -50,7 +52,18 @@ const ChannelPreviewMessenger = (props) => {
           <span>{props.displayTitle}</span>
         </div>
         <div className="str-chat__channel-preview-messenger--last-message">
-          {truncate(props.latestMessage, props.latestMessageLength)}
+          {props.hasDraft && (
+            <span className="str-chat__channel-preview-draft">
+              {t('Draft')}:{' '}
+            </span>
+          )}
+          {props.isTyping ? (
+            <span className="str-chat__typing-indicator-header">
+              {props.latestMessage}
+            </span>
+          ) : (
+            truncate(props.latestMessage, props.latestMessageLength)
+          )}
         </div>
       </div>
     </button>
@@ -81,6 +94,10 @@ ChannelPreviewMessenger.propTypes = {
   active: PropTypes.bool,
   /** Latest message's text. */
   latestMessage: PropTypes.string,
+  /** If the latest message is the draft typed in the channel, which is displayed with a "Draft:" prefix */
+  hasDraft: PropTypes.bool,
+  /** If someone is typing in the channel, the latest message is then who is typing */
+  isTyping: PropTypes.bool,
   /** Length of latest message to truncate at */
   latestMessageLength: PropTypes.number,
   /** Title of channel to display */
@@ -25,6 +25,10 @@ const PreviewUIComponent = (props) => {
       <div data-testid="last-event-message">
         {props.lastMessage && props.lastMessage.text}
       </div>
+      <div data-testid="latest-message">
+        {props.hasDraft && 'Draft: '}
+        {props.latestMessage}
+      </div>
     </>
   );
 };
@@ -51,6 +55,7 @@ describe('ChannelPreview', () => {
           client: chatClientUthred,
           setActiveChannel: () => jest.fn(),
           channel: props.activeChannel,
+          draftStorage: props.draftStorage,
         }}
       >
         <ChannelPreview Preview={PreviewUIComponent} {...props} />
@@ -93,6 +98,107 @@ describe('ChannelPreview', () => {
     await expectUnreadCountToBe(getByTestId, 0);
   });
 
+  // eslint-disable-next-line jest/expect-expect
+  it('should display the unread count of the active channel once it is marked unread, until it is read', async () => {
+    const { getByTestId } = renderComponent(
+      {
+        channel: c0,
+        activeChannel: c0,
+      },
+      render,
+    );
+    await expectUnreadCountToBe(getByTestId, 0);
+
+    act(() => {
+      chatClientUthred.dispatchEvent({
+        cid: c0.cid,
+        last_read_at: new Date().toISOString(),
+        type: 'notification.mark_unread',
+        unread_messages: 3,
+        user: chatClientUthred.user,
+      });
+    });
+    await expectUnreadCountToBe(getByTestId, 3);
+
+    act(() => {
+      chatClientUthred.dispatchEvent({
+        cid: c0.cid,
+        type: 'message.read',
+        user: chatClientUthred.user,
+      });
+    });
+    await expectUnreadCountToBe(getByTestId, 0);
+  });
+
+  it('should display who is typing instead of the latest message', async () => {
+    const { getByTestId } = renderComponent(
+      {
+        channel: c0,
+        activeChannel: c1,
+      },
+      render,
+    );
+
+    act(() => {
+      chatClientUthred.dispatchEvent({
+        cid: c0.cid,
+        type: 'typing.start',
+        user: { id: 'bob', name: 'Bob' },
+      });
+    });
+    await waitFor(() =>
+      expect(getByTestId('latest-message')).toHaveTextContent(
+        '{{ user }} is typing...',
+      ),
+    );
+
+    act(() => {
+      chatClientUthred.dispatchEvent({
+        cid: c0.cid,
+        type: 'typing.stop',
+        user: { id: 'bob', name: 'Bob' },
+      });
+    });
+    await waitFor(() =>
+      expect(getByTestId('latest-message')).not.toHaveTextContent(
+        '{{ user }} is typing...',
+      ),
+    );
+  });
+
+  describe('Drafts', () => {
+    const draftStorage = {
+      getDraft: jest.fn(() => ({
+        attachments: [],
+        mentioned_users: [],
+        text: 'draft text',
+      })),
+      removeDraft: jest.fn(),
+      setDraft: jest.fn(),
+    };
+
+    it('should display the draft of an inactive channel instead of its latest message', () => {
+      const { getByTestId } = renderComponent(
+        { channel: c0, activeChannel: c1, draftStorage },
+        render,
+      );
+
+      expect(draftStorage.getDraft).toHaveBeenCalledWith(`uthred:${c0.cid}`);
+      expect(getByTestId('latest-message')).toHaveTextContent(
+        'Draft: draft text',
+      );
+    });
+
+    it('should not display the draft of the active channel', () => {
+      const { getByTestId } = renderComponent(
+        { channel: c0, activeChannel: c0, draftStorage },
+        render,
+      );
+
+      expect(getByTestId('latest-message')).not.toHaveTextContent('Draft');
+    });
+  });
+
   const eventCases = [
     ['message.new', dispatchMessageNewEvent],
     ['message.updated', dispatchMessageUpdatedEvent],
@@ -51,6 +51,19 @@ describe('ChannelPreviewMessenger', () => {
     expect(tree).toMatchSnapshot();
   });
 
+  it('should display the draft prefix if the latest message is a draft', () => {
+    const { getByText } = render(
+      renderComponent({
+        hasDraft: true,
+        latestMessage: 'draft',
+        latestMessageLength: 20,
+      }),
+    );
+
+    expect(getByText('Draft:')).toBeInTheDocument();
+    expect(getByText('draft')).toBeInTheDocument();
+  });
+
   it('should call setActiveChannel on click', async () => {
     const setActiveChannel = jest.fn();
     const { getByTestId } = render(
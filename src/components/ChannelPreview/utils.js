@@ -21,6 +21,9 @@ export const getLatestMessagePreview = (channel, t) => {
   return t('Empty message...');
 };
 
+export const getDraftPreview = (draft, t) =>
+  draft.text?.trim() || t('🏙 Attachment...');
+
 export const getDisplayTitle = (channel, currentUser) => {
   let title = channel.data.name;
   const members = Object.values(channel.state.members);
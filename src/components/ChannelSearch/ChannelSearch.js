@@ -1,26 +1,288 @@
 // @ts-check
-import React from 'react';
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from 'react';
+import PropTypes from 'prop-types';
+import debounce from 'lodash.debounce';
+
+import { ChatContext, TranslationContext } from '../../context';
+import { SearchResultsList as DefaultSearchResultsList } from './SearchResults';
+import { defaultSearchFunction, isChannel } from './utils';
 
 /**
- * @type {React.FC}
+ * ChannelSearch - Search box for the channel list. Queries users and channels as you type and lets you
+ * open a channel, or a 1:1 conversation with a user, from the results.
+ *
+ * @example ../../docs/ChannelSearch.md
+ * @type {React.FC<import('types').ChannelSearchProps>}
  */
-const ChannelSearch = () => (
-  <div className="str-chat__channel-search">
-    <input type="text" placeholder="Search" />
-    <button type="submit">
-      <svg
-        width="18"
-        height="17"
-        viewBox="0 0 18 17"
-        xmlns="http://www.w3.org/2000/svg"
-      >
-        <path
-          d="M0 17.015l17.333-8.508L0 0v6.617l12.417 1.89L0 10.397z"
-          fillRule="evenodd"
+const ChannelSearch = ({
+  Avatar,
+  channelType = 'messaging',
+  debounceInterval = 300,
+  onSelectResult,
+  placeholder,
+  searchForChannels = true,
+  searchForUsers = true,
+  searchFunction,
+  searchQueryParams,
+  SearchResult,
+  SearchResultsList = DefaultSearchResultsList,
+}) => {
+  const { client, setActiveChannel } = useContext(ChatContext);
+  const { t } = useContext(TranslationContext);
+
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(
+    /** @type {import('types').ChannelSearchResult[]} */ ([]),
+  );
+  const [resultsOpen, setResultsOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [focusedIndex, setFocusedIndex] = useState(-1);
+
+  // text of the latest search, so that responses of outdated searches can be dropped
+  const latestQuery = useRef('');
+  // read by the debounced search, which is not created again when they change
+  const searchParams = useRef({
+    searchForChannels,
+    searchForUsers,
+    searchFunction,
+    searchQueryParams,
+  });
+  searchParams.current = {
+    searchForChannels,
+    searchForUsers,
+    searchFunction,
+    searchQueryParams,
+  };
+
+  const clearState = () => {
+    latestQuery.current = '';
+    setQuery('');
+    setResults([]);
+    setResultsOpen(false);
+    setSearching(false);
+    setFocusedIndex(-1);
+  };
+
+  /** @param {string} text */
+  const search = async (text) => {
+    latestQuery.current = text;
+    setSearching(true);
+    const {
+      searchForChannels: forChannels,
+      searchForUsers: forUsers,
+      searchFunction: customSearch,
+      searchQueryParams: queryParams,
+    } = searchParams.current;
+
+    try {
+      const searchResults = customSearch
+        ? await customSearch(text)
+        : await defaultSearchFunction(client, text, queryParams, {
+            searchForChannels: forChannels,
+            searchForUsers: forUsers,
+          });
+
+      if (latestQuery.current !== text) return;
+      setResults(searchResults);
+      setFocusedIndex(-1);
+    } catch (e) {
+      console.warn(e);
+      if (latestQuery.current !== text) return;
+      setResults([]);
+    }
+
+    setSearching(false);
+  };
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const debouncedSearch = useCallback(
+    debounce(search, debounceInterval, { trailing: true }),
+    [client, debounceInterval],
+  );
+
+  useEffect(() => () => debouncedSearch.cancel(), [debouncedSearch]);
+
+  /** @param {React.ChangeEvent<HTMLInputElement>} event */
+  const onChange = (event) => {
+    const { value } = event.target;
+    setQuery(value);
+
+    if (!value.trim()) {
+      debouncedSearch.cancel();
+      clearState();
+      return;
+    }
+
+    setResultsOpen(true);
+    setSearching(true);
+    debouncedSearch(value.trim());
+  };
+
+  /** @param {import('types').ChannelSearchResult} result */
+  const selectResult = async (result) => {
+    clearState();
+
+    if (onSelectResult) {
+      onSelectResult(result);
+      return;
+    }
+
+    if (!setActiveChannel) return;
+
+    if (isChannel(result)) {
+      setActiveChannel(result);
+      return;
+    }
+
+    // distinct channel between current user and the selected one, created on first watch
+    const newChannel = client.channel(channelType, {
+      members: [client.userID || '', result.id],
+    });
+
+    try {
+      await newChannel.watch();
+      setActiveChannel(newChannel);
+    } catch (e) {
+      console.warn(e);
+    }
+  };
+
+  /** @param {React.KeyboardEvent<HTMLInputElement>} event */
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      debouncedSearch.cancel();
+      clearState();
+      return;
+    }
+
+    if (!resultsOpen || !results.length) return;
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setFocusedIndex((prevIndex) =>
+        prevIndex === results.length - 1 ? 0 : prevIndex + 1,
+      );
+    }
+
+    if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setFocusedIndex((prevIndex) =>
+        prevIndex <= 0 ? results.length - 1 : prevIndex - 1,
+      );
+    }
+
+    if (event.key === 'Enter' && focusedIndex >= 0) {
+      event.preventDefault();
+      selectResult(results[focusedIndex]);
+    }
+  };
+
+  /** @param {React.FormEvent} event */
+  const onSubmit = (event) => {
+    event.preventDefault();
+    if (focusedIndex >= 0 && results[focusedIndex]) {
+      selectResult(results[focusedIndex]);
+    } else if (results.length) {
+      selectResult(results[0]);
+    }
+  };
+
+  return (
+    <div className="str-chat__channel-search">
+      <form className="str-chat__channel-search-form" onSubmit={onSubmit}>
+        <input
+          aria-autocomplete="list"
+          aria-expanded={resultsOpen}
+          onChange={onChange}
+          onKeyDown={onKeyDown}
+          placeholder={placeholder || t('Search')}
+          role="combobox"
+          type="text"
+          value={query}
+        />
+        <button type="submit">
+          <svg
+            width="18"
+            height="17"
+            viewBox="0 0 18 17"
+            xmlns="http://www.w3.org/2000/svg"
+          >
+            <path
+              d="M0 17.015l17.333-8.508L0 0v6.617l12.417 1.89L0 10.397z"
+              fillRule="evenodd"
+            />
+          </svg>
+        </button>
+      </form>
+      {resultsOpen && (
+        <SearchResultsList
+          Avatar={Avatar}
+          focusedIndex={focusedIndex}
+          results={results}
+          searching={searching}
+          SearchResult={SearchResult}
+          selectResult={selectResult}
         />
-      </svg>
-    </button>
-  </div>
-);
+      )}
+    </div>
+  );
+};
+
+ChannelSearch.propTypes = {
+  /**
+   * Custom UI component to display user avatar in the results
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+  /** Type of the distinct channel created when a user is selected, defaults to `messaging` */
+  channelType: PropTypes.string,
+  /** Time in ms to wait after the last keystroke before searching, defaults to 300 */
+  debounceInterval: PropTypes.number,
+  /**
+   * Function that overrides the default behaviour when a result is selected.
+   * By default channels are set as active and users open a distinct 1:1 channel.
+   *
+   * @param {Channel|User} result The selected result
+   */
+  onSelectResult: PropTypes.func,
+  /** Placeholder of the input, defaults to the translated `Search` */
+  placeholder: PropTypes.string,
+  /** Include channels in the results, defaults to true */
+  searchForChannels: PropTypes.bool,
+  /** Include users in the results, defaults to true */
+  searchForUsers: PropTypes.bool,
+  /**
+   * Function that overrides the default search. Receives the trimmed text of the input and
+   * should resolve with an array of channels and/or users.
+   *
+   * @param {string} text
+   * @returns {Promise<Array>} results
+   */
+  searchFunction: /** @type {PropTypes.Validator<(text: string) => Promise<import('types').ChannelSearchResult[]>>} */ (PropTypes.func),
+  /**
+   * Extra `filters`, `sort` and `options` merged into the default queries, set per query as
+   * `{ channelFilters: { filters, sort, options }, userFilters: { filters, sort, options } }`
+   */
+  searchQueryParams: /** @type {PropTypes.Validator<import('types').ChannelSearchQueryParams>} */ (PropTypes.object),
+  /**
+   * Custom UI component to display a single search result
+   *
+   * Defaults to and accepts same props as: [SearchResult](https://github.com/GetStream/stream-chat-react/blob/master/src/components/ChannelSearch/SearchResults.js)
+   */
+  SearchResult: /** @type {PropTypes.Validator<React.ElementType<import('types').SearchResultProps>>} */ (PropTypes.elementType),
+  /**
+   * Custom UI component for the results dropdown. Renders `SearchResult` for each of the results.
+   *
+   * Defaults to and accepts same props as: [SearchResultsList](https://github.com/GetStream/stream-chat-react/blob/master/src/components/ChannelSearch/SearchResults.js)
+   */
+  SearchResultsList: /** @type {PropTypes.Validator<React.ElementType<import('types').SearchResultsListProps>>} */ (PropTypes.elementType),
+};
 
 export default React.memo(ChannelSearch);
@@ -0,0 +1,135 @@
+// @ts-check
+import React, { useContext } from 'react';
+import PropTypes from 'prop-types';
+
+import { Avatar as DefaultAvatar } from '../Avatar';
+import { ChatContext, TranslationContext } from '../../context';
+import { getDisplayImage, getDisplayTitle } from '../ChannelPreview/utils';
+import { getResultKey, isChannel } from './utils';
+
+/**
+ * SearchResult - A single channel or user entry in the ChannelSearch results dropdown
+ * @type {React.FC<import('types').SearchResultProps>}
+ */
+export const SearchResult = ({
+  Avatar = DefaultAvatar,
+  focused,
+  result,
+  selectResult,
+}) => {
+  const { client } = useContext(ChatContext);
+
+  const className = `str-chat__channel-search-result${
+    focused ? ' str-chat__channel-search-result--focused' : ''
+  }`;
+
+  if (isChannel(result)) {
+    const title = getDisplayTitle(result, client.user) || result.id;
+
+    return (
+      <button
+        aria-selected={focused}
+        className={className}
+        onClick={() => selectResult(result)}
+        role="option"
+        type="button"
+      >
+        <Avatar
+          image={getDisplayImage(result, client.user)}
+          name={title}
+          size={24}
+        />
+        <div className="str-chat__channel-search-result-name"># {title}</div>
+      </button>
+    );
+  }
+
+  return (
+    <button
+      aria-selected={focused}
+      className={className}
+      onClick={() => selectResult(result)}
+      role="option"
+      type="button"
+    >
+      <Avatar image={result.image} name={result.name || result.id} size={24} />
+      <div className="str-chat__channel-search-result-name">
+        {result.name || result.id}
+      </div>
+    </button>
+  );
+};
+
+SearchResult.propTypes = {
+  /** The channel or user returned by the search */
+  result: /** @type {PropTypes.Validator<import('types').ChannelSearchResult>} */ (PropTypes
+    .object.isRequired),
+  /** Position of the result in the list */
+  index: PropTypes.number.isRequired,
+  /** If the result is highlighted through keyboard navigation */
+  focused: PropTypes.bool.isRequired,
+  /** Selects the result, same as clicking on it */
+  selectResult: PropTypes.func.isRequired,
+  /**
+   * Custom UI component to display user avatar
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+};
+
+/**
+ * SearchResultsList - Dropdown listing the results of ChannelSearch
+ * @type {React.FC<import('types').SearchResultsListProps>}
+ */
+export const SearchResultsList = ({
+  Avatar,
+  focusedIndex,
+  results,
+  searching,
+  SearchResult: SearchResultComponent = SearchResult,
+  selectResult,
+}) => {
+  const { t } = useContext(TranslationContext);
+
+  return (
+    <div className="str-chat__channel-search-container" role="listbox">
+      {searching && (
+        <div className="str-chat__channel-search-container-searching">
+          {t('Searching...')}
+        </div>
+      )}
+      {!searching && !results.length && (
+        <div className="str-chat__channel-search-container-empty">
+          {t('No results found')}
+        </div>
+      )}
+      {results.map((result, index) => (
+        <SearchResultComponent
+          Avatar={Avatar}
+          focused={index === focusedIndex}
+          index={index}
+          key={getResultKey(result)}
+          result={result}
+          selectResult={selectResult}
+        />
+      ))}
+    </div>
+  );
+};
+
+SearchResultsList.propTypes = {
+  /** Channels and users matching the current query */
+  results: /** @type {PropTypes.Validator<import('types').ChannelSearchResult[]>} */ (PropTypes
+    .array.isRequired),
+  /** Index of the result highlighted through keyboard navigation */
+  focusedIndex: PropTypes.number.isRequired,
+  /** If a search request is in progress */
+  searching: PropTypes.bool.isRequired,
+  /** Selects a result, same as clicking on it */
+  selectResult: PropTypes.func.isRequired,
+  /** Custom UI component to display a single search result, defaults to SearchResult */
+  SearchResult: /** @type {PropTypes.Validator<React.ElementType<import('types').SearchResultProps>>} */ (PropTypes.elementType),
+  /** Custom UI component to display user avatar */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+};
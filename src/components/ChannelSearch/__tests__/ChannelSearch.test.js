@@ -1,39 +1,227 @@
 import React from 'react';
 import renderer from 'react-test-renderer';
-import { cleanup } from '@testing-library/react';
+import { cleanup, fireEvent, render, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
 
+import {
+  generateChannel,
+  generateUser,
+  getTestClientWithUser,
+  queryChannelsApi,
+  queryUsersApi,
+  useMockedApis,
+} from 'mock-builders';
+
+import { ChatContext } from '../../../context';
 import ChannelSearch from '../ChannelSearch';
 
 afterEach(cleanup); // eslint-disable-line
 
+const user = generateUser({ id: 'uthred', name: 'Uthred' });
+const otherUser = generateUser({ id: 'ragnar', name: 'Ragnar' });
+const mockedChannel = generateChannel({
+  channel: { id: 'vikings', name: 'Vikings' },
+});
+
+let chatClient;
+let setActiveChannel;
+
+const renderComponent = (props = {}) =>
+  render(
+    <ChatContext.Provider value={{ client: chatClient, setActiveChannel }}>
+      <ChannelSearch debounceInterval={0} {...props} />
+    </ChatContext.Provider>,
+  );
+
+const typeSearch = (getByRole, value) =>
+  fireEvent.change(getByRole('combobox'), { target: { value } });
+
 describe('ChannelSearch', () => {
+  beforeEach(async () => {
+    chatClient = await getTestClientWithUser(user);
+    setActiveChannel = jest.fn();
+    useMockedApis(chatClient, [
+      queryUsersApi([otherUser]),
+      queryChannelsApi([mockedChannel]),
+    ]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
   it('should render component without any props', () => {
     const tree = renderer.create(<ChannelSearch />).toJSON();
     expect(tree).toMatchInlineSnapshot(`
       <div
         className="str-chat__channel-search"
       >
-        <input
-          placeholder="Search"
-          type="text"
-        />
-        <button
-          type="submit"
+        <form
+          className="str-chat__channel-search-form"
+          onSubmit={[Function]}
         >
-          <svg
-            height="17"
-            viewBox="0 0 18 17"
-            width="18"
-            xmlns="http://www.w3.org/2000/svg"
+          <input
+            aria-autocomplete="list"
+            aria-expanded={false}
+            onChange={[Function]}
+            onKeyDown={[Function]}
+            placeholder="Search"
+            role="combobox"
+            type="text"
+            value=""
+          />
+          <button
+            type="submit"
           >
-            <path
-              d="M0 17.015l17.333-8.508L0 0v6.617l12.417 1.89L0 10.397z"
-              fillRule="evenodd"
-            />
-          </svg>
-        </button>
+            <svg
+              height="17"
+              viewBox="0 0 18 17"
+              width="18"
+              xmlns="http://www.w3.org/2000/svg"
+            >
+              <path
+                d="M0 17.015l17.333-8.508L0 0v6.617l12.417 1.89L0 10.397z"
+                fillRule="evenodd"
+              />
+            </svg>
+          </button>
+        </form>
       </div>
     `);
   });
+
+  it('should query users and channels and render the results', async () => {
+    const queryUsersSpy = jest.spyOn(chatClient, 'queryUsers');
+    const queryChannelsSpy = jest.spyOn(chatClient, 'queryChannels');
+    const { getByRole, findByText } = renderComponent();
+
+    typeSearch(getByRole, 'ra');
+
+    expect(await findByText('Ragnar')).toBeInTheDocument();
+    expect(await findByText('# Vikings')).toBeInTheDocument();
+    expect(queryUsersSpy).toHaveBeenCalledWith(
+      expect.objectContaining({ id: { $ne: user.id } }),
+      expect.any(Object),
+      expect.any(Object),
+    );
+    expect(queryChannelsSpy).toHaveBeenCalledWith(
+      expect.objectContaining({ name: { $autocomplete: 'ra' } }),
+      expect.any(Object),
+      expect.any(Object),
+    );
+  });
+
+  it('should not search for channels if searchForChannels is false', async () => {
+    const queryChannelsSpy = jest.spyOn(chatClient, 'queryChannels');
+    const { getByRole, findByText } = renderComponent({
+      searchForChannels: false,
+    });
+
+    typeSearch(getByRole, 'ra');
+
+    expect(await findByText('Ragnar')).toBeInTheDocument();
+    expect(queryChannelsSpy).not.toHaveBeenCalled();
+  });
+
+  it('should search with the props of the latest render', async () => {
+    const queryChannelsSpy = jest.spyOn(chatClient, 'queryChannels');
+    const { findByText, getByRole, rerender } = renderComponent();
+
+    rerender(
+      <ChatContext.Provider value={{ client: chatClient, setActiveChannel }}>
+        <ChannelSearch debounceInterval={0} searchForChannels={false} />
+      </ChatContext.Provider>,
+    );
+    typeSearch(getByRole, 'ra');
+
+    expect(await findByText('Ragnar')).toBeInTheDocument();
+    expect(queryChannelsSpy).not.toHaveBeenCalled();
+  });
+
+  it('should render a message if nothing is found', async () => {
+    const { getByRole, findByText } = renderComponent({
+      searchFunction: () => Promise.resolve([]),
+    });
+
+    typeSearch(getByRole, 'nobody');
+
+    expect(await findByText('No results found')).toBeInTheDocument();
+  });
+
+  it('should set a channel result as active channel when it is clicked', async () => {
+    const { getByRole, findByText } = renderComponent();
+
+    typeSearch(getByRole, 'vik');
+    fireEvent.click(await findByText('# Vikings'));
+
+    await waitFor(() =>
+      expect(setActiveChannel).toHaveBeenCalledWith(
+        expect.objectContaining({ cid: mockedChannel.channel.cid }),
+      ),
+    );
+    expect(getByRole('combobox')).toHaveValue('');
+  });
+
+  it('should open a distinct channel with the user result when it is clicked', async () => {
+    const distinctChannel = { watch: jest.fn(() => Promise.resolve()) };
+    const channelSpy = jest
+      .spyOn(chatClient, 'channel')
+      .mockImplementation(() => distinctChannel);
+    const { getByRole, findByText } = renderComponent({
+      channelType: 'team',
+      searchForChannels: false,
+    });
+
+    typeSearch(getByRole, 'rag');
+    fireEvent.click(await findByText('Ragnar'));
+
+    await waitFor(() =>
+      expect(setActiveChannel).toHaveBeenCalledWith(distinctChannel),
+    );
+    expect(channelSpy).toHaveBeenCalledWith('team', {
+      members: [user.id, otherUser.id],
+    });
+    expect(distinctChannel.watch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should navigate the results with the keyboard and select with enter', async () => {
+    const onSelectResult = jest.fn();
+    const { getByRole, findByText } = renderComponent({ onSelectResult });
+
+    typeSearch(getByRole, 'ra');
+    await findByText('Ragnar');
+
+    const input = getByRole('combobox');
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onSelectResult).toHaveBeenCalledWith(otherUser);
+    expect(setActiveChannel).not.toHaveBeenCalled();
+  });
+
+  it('should close the results on escape', async () => {
+    const { getByRole, findByText, queryByRole } = renderComponent();
+
+    typeSearch(getByRole, 'ra');
+    await findByText('Ragnar');
+    fireEvent.keyDown(getByRole('combobox'), { key: 'Escape' });
+
+    expect(queryByRole('listbox')).not.toBeInTheDocument();
+    expect(getByRole('combobox')).toHaveValue('');
+  });
+
+  it('should render results with the custom searchFunction and SearchResult components', async () => {
+    const searchFunction = jest.fn(() => Promise.resolve([otherUser]));
+    const CustomSearchResult = ({ result }) => <div>custom {result.name}</div>;
+    const { getByRole, findByText } = renderComponent({
+      searchFunction,
+      SearchResult: CustomSearchResult,
+    });
+
+    typeSearch(getByRole, '  rag ');
+
+    expect(await findByText('custom Ragnar')).toBeInTheDocument();
+    expect(searchFunction).toHaveBeenCalledWith('rag');
+  });
 });
@@ -1 +1,2 @@
 export { default as ChannelSearch } from './ChannelSearch';
+export * from './SearchResults';
@@ -0,0 +1,69 @@
+// @ts-check
+
+/**
+ * @typedef {import('types').ChannelSearchResult} ChannelSearchResult
+ * @typedef {ReturnType<import('types').StreamChatReactClient['channel']>} Channel
+ */
+
+/**
+ * Search results contain both channels and users, channels are the only ones carrying a `cid`.
+ * @param {ChannelSearchResult} result
+ * @returns {result is Channel}
+ */
+export const isChannel = (result) => !!result && 'cid' in result;
+
+/**
+ * @param {ChannelSearchResult} result
+ */
+export const getResultKey = (result) =>
+  isChannel(result) ? result.cid : result.id;
+
+/**
+ * Runs the default search, users matching the text by id or name and channels the
+ * current user is a member of matching the text by name.
+ * @param {import('types').StreamChatReactClient} client
+ * @param {string} text
+ * @param {import('types').ChannelSearchQueryParams} [searchQueryParams]
+ * @param {{ searchForChannels?: boolean; searchForUsers?: boolean }} [options]
+ * @returns {Promise<ChannelSearchResult[]>}
+ */
+export const defaultSearchFunction = async (
+  client,
+  text,
+  searchQueryParams = {},
+  { searchForChannels = true, searchForUsers = true } = {},
+) => {
+  const { channelFilters = {}, userFilters = {} } = searchQueryParams;
+
+  const [channels, users] = await Promise.all([
+    searchForChannels
+      ? client.queryChannels(
+          {
+            name: { $autocomplete: text },
+            members: { $in: [client.userID || ''] },
+            ...channelFilters.filters,
+          },
+          channelFilters.sort || {},
+          { limit: 5, ...channelFilters.options },
+        )
+      : Promise.resolve([]),
+    searchForUsers
+      ? client
+          .queryUsers(
+            {
+              $or: [
+                { id: { $autocomplete: text } },
+                { name: { $autocomplete: text } },
+              ],
+              id: { $ne: client.userID || '' },
+              ...userFilters.filters,
+            },
+            { id: 1, ...userFilters.sort },
+            { limit: 8, ...userFilters.options },
+          )
+          .then((response) => response.users)
+      : Promise.resolve([]),
+  ]);
+
+  return [...channels, ...users];
+};
@@ -0,0 +1,422 @@
+// @ts-check
+import React, { useContext, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { ConfirmationDialog } from './ConfirmationDialog';
+import { isFavouriteChannel, setChannelFavourite } from '../ChannelList';
+import { useUserRole } from '../Message';
+import { ChannelContext, ChatContext, TranslationContext } from '../../context';
+
+/** @type {import('types').ChannelSettingsMuteDuration[]} */
+export const defaultMuteDurations = [
+  { label: '1 hour', value: 60 * 60 * 1000 },
+  { label: '8 hours', value: 8 * 60 * 60 * 1000 },
+  { label: '1 day', value: 24 * 60 * 60 * 1000 },
+  { label: 'Until I turn it back on', value: null },
+];
+
+/**
+ * The fields of the channel data owned by the server, they are not part of its custom data
+ * @type {string[]}
+ */
+const reservedChannelFields = [
+  'cid',
+  'config',
+  'created_at',
+  'created_by',
+  'deleted_at',
+  'disabled',
+  'frozen',
+  'hidden',
+  'id',
+  'last_message_at',
+  'member_count',
+  'members',
+  'own_capabilities',
+  'truncated_at',
+  'type',
+  'updated_at',
+];
+
+/**
+ * The labels of the default mute durations are translated, with literal keys so that they are extracted, the custom
+ * labels are displayed as they are
+ * @param {string} label
+ * @param {import('i18next').TFunction} t
+ */
+const getMuteDurationLabel = (label, t) => {
+  switch (label) {
+    case '1 hour':
+      return t('1 hour');
+    case '8 hours':
+      return t('8 hours');
+    case '1 day':
+      return t('1 day');
+    case 'Until I turn it back on':
+      return t('Until I turn it back on');
+    default:
+      return label;
+  }
+};
+
+/**
+ * ChannelSettings - Panel acting on the active channel: its name, image and custom fields can be edited,
+ * the current user can mute it, mark it as a favourite, hide it and leave it, its owners and the admins can delete it.
+ *
+ * @example ../../docs/ChannelSettings.md
+ * @type {React.FC<import('types').ChannelSettingsProps>}
+ */
+const ChannelSettings = ({
+  doUpdateMemberRequest,
+  fields = [],
+  muteDurations = defaultMuteDurations,
+  onClose,
+}) => {
+  const { channel, client } = useContext(ChannelContext);
+  const { setActiveChannel } = useContext(ChatContext);
+  const { t, tDateTimeParser } = useContext(TranslationContext);
+  const { isAdmin, isOwner } = useUserRole(undefined);
+
+  const [name, setName] = useState(channel?.data?.name || '');
+  const [image, setImage] = useState(
+    /** @type {string} */ (channel?.data?.image || ''),
+  );
+  const [fieldValues, setFieldValues] = useState(() =>
+    fields.reduce(
+      (values, field) => ({
+        ...values,
+        [field.name]: /** @type {string} */ (channel?.data?.[field.name] || ''),
+      }),
+      /** @type {Record<string, string>} */ ({}),
+    ),
+  );
+  const [muteStatus, setMuteStatus] = useState(() => channel?.muteStatus());
+  const [muteDurationIndex, setMuteDurationIndex] = useState(0);
+  const [favourite, setFavourite] = useState(
+    () => !!channel && isFavouriteChannel(channel),
+  );
+  const [hidden, setHidden] = useState(!!channel?.data?.hidden);
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState('');
+  const [confirmation, setConfirmation] = useState(
+    /** @type {'delete' | 'leave' | null} */ (null),
+  );
+
+  useEffect(() => {
+    if (!channel) return undefined;
+
+    /** @param {import('stream-chat').Event} event */
+    const handleEvent = (event) => {
+      if (event.type === 'notification.channel_mutes_updated') {
+        setMuteStatus(channel.muteStatus());
+        return;
+      }
+      if (event.cid !== channel.cid) return;
+      setHidden(event.type === 'channel.hidden');
+    };
+
+    client.on('notification.channel_mutes_updated', handleEvent);
+    client.on('channel.hidden', handleEvent);
+    client.on('channel.visible', handleEvent);
+
+    return () => {
+      client.off('notification.channel_mutes_updated', handleEvent);
+      client.off('channel.hidden', handleEvent);
+      client.off('channel.visible', handleEvent);
+    };
+  }, [channel, client]);
+
+  if (!channel) return null;
+
+  const isMember = !!client.userID && !!channel.state.members[client.userID];
+  const canDelete = isOwner || isAdmin;
+
+  /**
+   * @param {() => Promise<unknown>} action
+   * @param {string} errorText
+   */
+  const runAction = async (action, errorText) => {
+    setUpdating(true);
+    setError('');
+    try {
+      await action();
+    } catch (e) {
+      console.warn(e);
+      setError(errorText);
+      setUpdating(false);
+      return false;
+    }
+    setUpdating(false);
+    return true;
+  };
+
+  /** @param {React.FormEvent} event */
+  const updateChannel = (event) => {
+    event.preventDefault();
+    if (updating) return;
+
+    // the update replaces the custom data of the channel, the members are updated with addMembers and removeMembers
+    const data = Object.keys(channel.data || {}).reduce(
+      (customData, key) =>
+        reservedChannelFields.includes(key)
+          ? customData
+          : { ...customData, [key]: channel.data?.[key] },
+      /** @type {Record<string, unknown>} */ ({}),
+    );
+
+    runAction(
+      () =>
+        channel.update({
+          ...data,
+          ...fieldValues,
+          image: image.trim() || undefined,
+          name: name.trim() || undefined,
+        }),
+      t('Error updating the channel'),
+    );
+  };
+
+  const muteChannel = async () => {
+    const { value } = muteDurations[muteDurationIndex] || {};
+    const muted = await runAction(
+      () => channel.mute(value ? { expiration: value } : {}),
+      t('Error muting the channel'),
+    );
+    // the client updates its muted channels once the server notifies it
+    if (muted)
+      setMuteStatus({
+        expiresAt: value ? new Date(Date.now() + value).toISOString() : null,
+        muted: true,
+      });
+  };
+
+  const unmuteChannel = async () => {
+    const unmuted = await runAction(
+      () => channel.unmute(),
+      t('Error unmuting the channel'),
+    );
+    if (unmuted) setMuteStatus({ muted: false });
+  };
+
+  const toggleFavourite = async () => {
+    if (!doUpdateMemberRequest) return;
+    const toggled = await runAction(
+      () => setChannelFavourite(channel, !favourite, doUpdateMemberRequest),
+      t('Error updating the favourites'),
+    );
+    if (toggled) setFavourite(!favourite);
+  };
+
+  const toggleHidden = async () => {
+    const toggled = await runAction(
+      () => (hidden ? channel.show() : channel.hide()),
+      hidden ? t('Error showing the channel') : t('Error hiding the channel'),
+    );
+    if (toggled) setHidden(!hidden);
+  };
+
+  const leaveChannel = async () => {
+    setConfirmation(null);
+    const left = await runAction(
+      () => channel.removeMembers([client.userID || '']),
+      t('Error leaving the channel'),
+    );
+    if (!left) return;
+    if (setActiveChannel) setActiveChannel();
+    if (onClose) onClose();
+  };
+
+  const deleteChannel = async () => {
+    setConfirmation(null);
+    const deleted = await runAction(
+      () => channel.delete(),
+      t('Error deleting the channel'),
+    );
+    if (!deleted) return;
+    if (setActiveChannel) setActiveChannel();
+    if (onClose) onClose();
+  };
+
+  const mutedUntil =
+    muteStatus?.muted && muteStatus.expiresAt && tDateTimeParser
+      ? tDateTimeParser(muteStatus.expiresAt).format('LLL')
+      : null;
+
+  return (
+    <div className="str-chat__channel-settings">
+      <div className="str-chat__channel-settings-header">
+        <div className="str-chat__channel-settings-header-title">
+          {t('Channel settings')}
+        </div>
+        {onClose && (
+          <button
+            aria-label={t('Close')}
+            className="str-chat__channel-settings-header-close"
+            onClick={onClose}
+            type="button"
+          >
+            ×
+          </button>
+        )}
+      </div>
+      <form
+        className="str-chat__channel-settings-form"
+        onSubmit={updateChannel}
+      >
+        <label className="str-chat__channel-settings-field">
+          <span>{t('Name')}</span>
+          <input
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t('Channel name')}
+            type="text"
+            value={name}
+          />
+        </label>
+        <label className="str-chat__channel-settings-field">
+          <span>{t('Image')}</span>
+          <input
+            onChange={(e) => setImage(e.target.value)}
+            placeholder="https://"
+            type="url"
+            value={image}
+          />
+        </label>
+        {fields.map((field) => (
+          <label className="str-chat__channel-settings-field" key={field.name}>
+            <span>{t(field.label)}</span>
+            <input
+              onChange={(e) => {
+                const { value } = e.target;
+                setFieldValues((values) => ({
+                  ...values,
+                  [field.name]: value,
+                }));
+              }}
+              type="text"
+              value={fieldValues[field.name]}
+            />
+          </label>
+        ))}
+        <button disabled={updating} type="submit">
+          {t('Save')}
+        </button>
+      </form>
+      <div className="str-chat__channel-settings-mute">
+        {muteStatus?.muted ? (
+          <>
+            <span className="str-chat__channel-settings-mute-status">
+              {mutedUntil
+                ? t('Muted until {{ time }}', { time: mutedUntil })
+                : t('Muted')}
+            </span>
+            <button disabled={updating} onClick={unmuteChannel} type="button">
+              {t('Unmute')}
+            </button>
+          </>
+        ) : (
+          <>
+            <select
+              aria-label={t('Mute duration')}
+              onChange={(e) => setMuteDurationIndex(Number(e.target.value))}
+              value={muteDurationIndex}
+            >
+              {muteDurations.map((duration, index) => (
+                <option key={duration.label} value={index}>
+                  {getMuteDurationLabel(duration.label, t)}
+                </option>
+              ))}
+            </select>
+            <button disabled={updating} onClick={muteChannel} type="button">
+              {t('Mute')}
+            </button>
+          </>
+        )}
+      </div>
+      <div className="str-chat__channel-settings-actions">
+        {isMember && doUpdateMemberRequest && (
+          <button disabled={updating} onClick={toggleFavourite} type="button">
+            {favourite ? t('Remove from favourites') : t('Add to favourites')}
+          </button>
+        )}
+        <button disabled={updating} onClick={toggleHidden} type="button">
+          {hidden ? t('Show channel') : t('Hide channel')}
+        </button>
+        {isMember && (
+          <button
+            disabled={updating}
+            onClick={() => setConfirmation('leave')}
+            type="button"
+          >
+            {t('Leave channel')}
+          </button>
+        )}
+        {canDelete && (
+          <button
+            className="str-chat__channel-settings-delete"
+            disabled={updating}
+            onClick={() => setConfirmation('delete')}
+            type="button"
+          >
+            {t('Delete channel')}
+          </button>
+        )}
+      </div>
+      {error && (
+        <div className="str-chat__channel-settings-error" role="alert">
+          {error}
+        </div>
+      )}
+      {confirmation === 'leave' && (
+        <ConfirmationDialog
+          confirmText={t('Leave channel')}
+          onCancel={() => setConfirmation(null)}
+          onConfirm={leaveChannel}
+          text={t('Are you sure you want to leave this channel?')}
+        />
+      )}
+      {confirmation === 'delete' && (
+        <ConfirmationDialog
+          confirmText={t('Delete channel')}
+          onCancel={() => setConfirmation(null)}
+          onConfirm={deleteChannel}
+          text={t(
+            'Are you sure you want to delete this channel? Its messages will be lost.',
+          )}
+        />
+      )}
+    </div>
+  );
+};
+
+ChannelSettings.propTypes = {
+  /**
+   * Update member request, the client does not update the members partially yet. The favourites of the user are stored
+   * in their membership, the favourite button is only displayed when it is provided (Advanced usage only)
+   *
+   * @param {Channel} channel object
+   * @param {String} userId id of the member to update
+   * @param {Object} set the fields of the membership to set, e.g. `{ favourite: true }`
+   */
+  doUpdateMemberRequest: PropTypes.func,
+  /** Custom fields of the channel data edited along the name and the image, e.g. `[{ name: 'topic', label: 'Topic' }]` */
+  fields: /** @type {PropTypes.Validator<import('types').ChannelSettingsField[]>} */ (PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    }).isRequired,
+  )),
+  /**
+   * Durations the channel can be muted for, in milliseconds, a `null` value mutes it until it is unmuted. Defaults to `defaultMuteDurations`,
+   * whose labels are translated, the labels of custom durations are displayed as they are
+   */
+  muteDurations: /** @type {PropTypes.Validator<import('types').ChannelSettingsMuteDuration[]>} */ (PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      value: PropTypes.number,
+    }).isRequired,
+  )),
+  /** Called when the close button of the header is clicked, the button is hidden without it */
+  onClose: PropTypes.func,
+};
+
+export default ChannelSettings;
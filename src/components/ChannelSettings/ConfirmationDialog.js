@@ -0,0 +1,62 @@
+// @ts-check
+import React, { useContext } from 'react';
+import PropTypes from 'prop-types';
+
+import { Modal } from '../Modal';
+import { TranslationContext } from '../../context';
+
+/**
+ * ConfirmationDialog - Modal asking the user to confirm an action that cannot be undone
+ *
+ * @type {React.FC<import('types').ConfirmationDialogProps>}
+ */
+export const ConfirmationDialog = ({
+  cancelText,
+  confirmText,
+  onCancel,
+  onConfirm,
+  text,
+}) => {
+  const { t } = useContext(TranslationContext);
+
+  return (
+    <Modal onClose={onCancel} open>
+      <div
+        aria-modal="true"
+        className="str-chat__confirmation-dialog"
+        role="alertdialog"
+      >
+        <p className="str-chat__confirmation-dialog-text">{text}</p>
+        <div className="str-chat__confirmation-dialog-actions">
+          <button
+            className="str-chat__confirmation-dialog-cancel"
+            onClick={onCancel}
+            type="button"
+          >
+            {cancelText || t('Cancel')}
+          </button>
+          <button
+            className="str-chat__confirmation-dialog-confirm"
+            onClick={onConfirm}
+            type="button"
+          >
+            {confirmText}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+ConfirmationDialog.propTypes = {
+  /** Text of the button closing the dialog, defaults to the translated `Cancel` */
+  cancelText: PropTypes.string,
+  /** Text of the button confirming the action */
+  confirmText: PropTypes.string.isRequired,
+  /** Called when the dialog is closed without confirming */
+  onCancel: PropTypes.func.isRequired,
+  /** Called when the action is confirmed */
+  onConfirm: PropTypes.func.isRequired,
+  /** The question asked to the user */
+  text: PropTypes.string.isRequired,
+};
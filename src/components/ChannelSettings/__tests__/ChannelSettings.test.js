@@ -0,0 +1,287 @@
+import React from 'react';
+import {
+  act,
+  cleanup,
+  fireEvent,
+  render,
+  waitFor,
+} from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import { generateUser, getTestClientWithUser } from 'mock-builders';
+
+import {
+  ChannelContext,
+  ChatContext,
+  TranslationContext,
+} from '../../../context';
+import ChannelSettings from '../ChannelSettings';
+
+afterEach(cleanup); // eslint-disable-line
+
+const user = generateUser({ id: 'uthred', name: 'Uthred' });
+
+let chatClient;
+let setActiveChannel;
+
+const getChannel = ({
+  hidden = false,
+  role = 'member',
+  muted = false,
+} = {}) => ({
+  cid: 'messaging:bebbanburg',
+  id: 'bebbanburg',
+  type: 'messaging',
+  data: {
+    cid: 'messaging:bebbanburg',
+    config: { mutes: true },
+    created_at: '2021-01-01T00:00:00.000Z',
+    created_by: { id: 'uhtred' },
+    frozen: false,
+    hidden,
+    id: 'bebbanburg',
+    image: 'https://example.com/bebbanburg.png',
+    member_count: 1,
+    members: [],
+    name: 'Bebbanburg',
+    region: 'north',
+    topic: 'Northumbria',
+    type: 'messaging',
+    updated_at: '2021-01-01T00:00:00.000Z',
+  },
+  delete: jest.fn(() => Promise.resolve()),
+  getClient: () => chatClient,
+  hide: jest.fn(() => Promise.resolve()),
+  mute: jest.fn(() => Promise.resolve()),
+  muteStatus: jest.fn(() => ({ muted })),
+  removeMembers: jest.fn(() => Promise.resolve()),
+  show: jest.fn(() => Promise.resolve()),
+  state: {
+    members: { [user.id]: { role, user, user_id: user.id } },
+    membership: { role },
+  },
+  unmute: jest.fn(() => Promise.resolve()),
+  update: jest.fn(() => Promise.resolve()),
+});
+
+const renderComponent = ({ channel, ...props }) =>
+  render(
+    <ChatContext.Provider value={{ client: chatClient, setActiveChannel }}>
+      <ChannelContext.Provider value={{ channel, client: chatClient }}>
+        <ChannelSettings {...props} />
+      </ChannelContext.Provider>
+    </ChatContext.Provider>,
+  );
+
+describe('ChannelSettings', () => {
+  beforeEach(async () => {
+    chatClient = await getTestClientWithUser(user);
+    setActiveChannel = jest.fn();
+  });
+
+  it('should update the name, the image and the custom fields of the channel', async () => {
+    const channel = getChannel();
+    const { getByDisplayValue, getByText } = renderComponent({
+      channel,
+      fields: [{ label: 'Topic', name: 'topic' }],
+    });
+
+    fireEvent.change(getByDisplayValue('Bebbanburg'), {
+      target: { value: 'Bebbanburg fortress' },
+    });
+    fireEvent.change(getByDisplayValue('Northumbria'), {
+      target: { value: 'Wessex' },
+    });
+    fireEvent.click(getByText('Save'));
+
+    await waitFor(() =>
+      expect(channel.update).toHaveBeenCalledWith({
+        image: 'https://example.com/bebbanburg.png',
+        name: 'Bebbanburg fortress',
+        region: 'north',
+        topic: 'Wessex',
+      }),
+    );
+  });
+
+  it('should mute the channel for the selected duration', async () => {
+    const channel = getChannel();
+    const { findByText, getByLabelText, getByText } = renderComponent({
+      channel,
+      muteDurations: [
+        { label: '1 hour', value: 3600000 },
+        { label: 'Until I turn it back on', value: null },
+      ],
+    });
+
+    fireEvent.change(getByLabelText('Mute duration'), {
+      target: { value: '0' },
+    });
+    fireEvent.click(getByText('Mute'));
+
+    expect(await findByText('Unmute')).toBeInTheDocument();
+    expect(channel.mute).toHaveBeenCalledWith({ expiration: 3600000 });
+  });
+
+  it('should translate the labels of the default mute durations only', () => {
+    const t = (key) => `translated ${key}`;
+    const { getByText, queryByText } = render(
+      <ChatContext.Provider value={{ client: chatClient, setActiveChannel }}>
+        <ChannelContext.Provider
+          value={{ channel: getChannel(), client: chatClient }}
+        >
+          <TranslationContext.Provider value={{ t }}>
+            <ChannelSettings
+              muteDurations={[
+                { label: '15 minutes', value: 900000 },
+                { label: 'Until I turn it back on', value: null },
+              ]}
+            />
+          </TranslationContext.Provider>
+        </ChannelContext.Provider>
+      </ChatContext.Provider>,
+    );
+
+    expect(getByText('15 minutes')).toBeInTheDocument();
+    expect(queryByText('translated 15 minutes')).not.toBeInTheDocument();
+    expect(getByText('translated Until I turn it back on')).toBeInTheDocument();
+  });
+
+  it('should mute the channel until it is unmuted and unmute it', async () => {
+    const channel = getChannel();
+    const { findByText, getByLabelText, getByText } = renderComponent({
+      channel,
+    });
+
+    fireEvent.change(getByLabelText('Mute duration'), {
+      target: { value: '3' },
+    });
+    fireEvent.click(getByText('Mute'));
+    expect(await findByText('Muted')).toBeInTheDocument();
+    expect(channel.mute).toHaveBeenCalledWith({});
+
+    fireEvent.click(getByText('Unmute'));
+    expect(await findByText('Mute')).toBeInTheDocument();
+    expect(channel.unmute).toHaveBeenCalledTimes(1);
+  });
+
+  it('should mark the channel as a favourite in the membership of the user', async () => {
+    const channel = getChannel();
+    const doUpdateMemberRequest = jest.fn(() => Promise.resolve());
+    const dispatchEventSpy = jest.spyOn(chatClient, 'dispatchEvent');
+    const { findByText, getByText } = renderComponent({
+      channel,
+      doUpdateMemberRequest,
+    });
+
+    fireEvent.click(getByText('Add to favourites'));
+
+    expect(await findByText('Remove from favourites')).toBeInTheDocument();
+    expect(doUpdateMemberRequest).toHaveBeenCalledWith(channel, user.id, {
+      favourite: true,
+    });
+    expect(channel.state.membership).toStrictEqual({ role: 'member' });
+    expect(dispatchEventSpy).not.toHaveBeenCalled();
+  });
+
+  it('should not display the favourite button without doUpdateMemberRequest', () => {
+    const { queryByText } = renderComponent({ channel: getChannel() });
+
+    expect(queryByText('Add to favourites')).not.toBeInTheDocument();
+  });
+
+  it('should hide the channel and show it again', async () => {
+    const channel = getChannel();
+    const { findByText, getByText } = renderComponent({ channel });
+
+    fireEvent.click(getByText('Hide channel'));
+    fireEvent.click(await findByText('Show channel'));
+
+    await waitFor(() => expect(channel.show).toHaveBeenCalledTimes(1));
+    expect(channel.hide).toHaveBeenCalledTimes(1);
+  });
+
+  it('should show a channel which is already hidden', async () => {
+    const channel = getChannel({ hidden: true });
+    const { getByText, queryByText } = renderComponent({ channel });
+
+    expect(queryByText('Hide channel')).not.toBeInTheDocument();
+    fireEvent.click(getByText('Show channel'));
+
+    await waitFor(() => expect(channel.show).toHaveBeenCalledTimes(1));
+    expect(channel.hide).not.toHaveBeenCalled();
+  });
+
+  it('should leave the channel once confirmed', async () => {
+    const channel = getChannel();
+    const onClose = jest.fn();
+    const { getAllByText, getByRole, getByText } = renderComponent({
+      channel,
+      onClose,
+    });
+
+    fireEvent.click(getByText('Leave channel'));
+    expect(getByRole('alertdialog')).toBeInTheDocument();
+    expect(channel.removeMembers).not.toHaveBeenCalled();
+    fireEvent.click(getAllByText('Leave channel')[1]);
+
+    await waitFor(() => expect(onClose).toHaveBeenCalledTimes(1));
+    expect(channel.removeMembers).toHaveBeenCalledWith([user.id]);
+    expect(setActiveChannel).toHaveBeenCalledWith();
+  });
+
+  it('should close the confirmation without acting when it is cancelled', () => {
+    const channel = getChannel({ role: 'owner' });
+    const { getByText, queryByRole } = renderComponent({ channel });
+
+    fireEvent.click(getByText('Delete channel'));
+    fireEvent.click(getByText('Cancel'));
+
+    expect(queryByRole('alertdialog')).not.toBeInTheDocument();
+    expect(channel.delete).not.toHaveBeenCalled();
+  });
+
+  it('should let the owner delete the channel once confirmed', async () => {
+    const channel = getChannel({ role: 'owner' });
+    const { getAllByText, getByText } = renderComponent({ channel });
+
+    fireEvent.click(getByText('Delete channel'));
+    fireEvent.click(getAllByText('Delete channel')[1]);
+
+    await waitFor(() => expect(setActiveChannel).toHaveBeenCalledWith());
+    expect(channel.delete).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not let a regular member delete the channel', () => {
+    const { queryByText } = renderComponent({ channel: getChannel() });
+
+    expect(queryByText('Delete channel')).not.toBeInTheDocument();
+  });
+
+  it('should render an error if the action fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => null);
+    const channel = getChannel();
+    channel.update.mockImplementationOnce(() =>
+      Promise.reject(new Error('forbidden')),
+    );
+    const { findByRole, getByText } = renderComponent({ channel });
+
+    fireEvent.click(getByText('Save'));
+
+    expect(await findByRole('alert')).toHaveTextContent(
+      'Error updating the channel',
+    );
+  });
+
+  it('should refresh the mute status when the muted channels of the user are updated', async () => {
+    const channel = getChannel();
+    const { findByText } = renderComponent({ channel });
+
+    channel.muteStatus.mockImplementation(() => ({ muted: true }));
+    act(() => {
+      chatClient.dispatchEvent({ type: 'notification.channel_mutes_updated' });
+    });
+
+    expect(await findByText('Muted')).toBeInTheDocument();
+  });
+});
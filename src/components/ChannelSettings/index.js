@@ -0,0 +1,3 @@
+export { default as ChannelSettings } from './ChannelSettings';
+export * from './ChannelSettings';
+export * from './ConfirmationDialog';
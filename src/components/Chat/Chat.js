@@ -2,6 +2,7 @@ import React from 'react';
 import PropTypes from 'prop-types';
 
 import { useChat } from './hooks/useChat';
+import { defaultDraftStorage } from '../MessageInput/drafts';
 
 import { ChatContext, TranslationContext } from '../../context';
 
@@ -15,6 +16,8 @@ import { ChatContext, TranslationContext } from '../../context';
  * - channels (the list of channels)
  * - setActiveChannel (a function to set the currently active channel)
  * - channel (the currently active channel)
+ * - jumpToChannelMessage (a function to set the active channel and jump to one of its messages)
+ * - draftStorage (the storage of the messages being typed in each channel and thread)
  *
  * It also exposes the withChatContext HOC which you can use to consume the ChatContext
  *
@@ -26,6 +29,7 @@ const Chat = (props) => {
   const {
     children,
     client,
+    draftStorage = defaultDraftStorage,
     i18nInstance,
     initialNavOpen = true,
     theme = 'messaging light',
@@ -33,7 +37,10 @@ const Chat = (props) => {
 
   const {
     channel,
+    clearMessageToJumpTo,
     closeMobileNav,
+    jumpToChannelMessage,
+    messageToJumpTo,
     mutes,
     navOpen,
     openMobileNav,
@@ -48,7 +55,11 @@ const Chat = (props) => {
       value={{
         client,
         channel,
+        clearMessageToJumpTo,
         closeMobileNav,
+        draftStorage,
+        jumpToChannelMessage,
+        messageToJumpTo,
         mutes,
         navOpen,
         openMobileNav,
@@ -107,6 +118,19 @@ Chat.propTypes = {
   theme: PropTypes.string,
   /** navOpen initial status */
   initialNavOpen: PropTypes.bool,
+  /**
+   * Storage of the drafts of the MessageInput components, so that the text, mentions and uploads typed in a channel or a thread
+   * are restored when coming back to it. Defaults to a localStorage storage, `null` disables the drafts.
+   *
+   * Any object implementing `getDraft(key)`, `setDraft(key, draft)` and `removeDraft(key)` can be used.
+   */
+  draftStorage: /** @type {PropTypes.Validator<import('types').DraftStorage | null>} */ (PropTypes.shape(
+    {
+      getDraft: PropTypes.func.isRequired,
+      removeDraft: PropTypes.func.isRequired,
+      setDraft: PropTypes.func.isRequired,
+    },
+  )),
 };
 
 export default Chat;
@@ -20,6 +20,9 @@ export const useChat = ({ client, initialNavOpen, i18nInstance }) => {
   const [channel, setChannel] = useState(
     /** @type {ChannelState} */ (undefined),
   );
+  const [messageToJumpTo, setMessageToJumpTo] = useState(
+    /** @type {import('types').ChatContextValue['messageToJumpTo']} */ (undefined),
+  );
 
   const openMobileNav = () => setTimeout(() => setNavOpen(true), 100);
   const closeMobileNav = () => setNavOpen(false);
@@ -91,9 +94,30 @@ export const useChat = ({ client, initialNavOpen, i18nInstance }) => {
     [],
   );
 
+  const jumpToChannelMessage = useCallback(
+    /**
+     * @param {import('stream-chat').Channel} messageChannel
+     * @param {string} messageId
+     */
+    (messageChannel, messageId) => {
+      // the Channel of messageChannel picks it up once its messages are loaded
+      setMessageToJumpTo({ channel: messageChannel, messageId });
+      return setActiveChannel(messageChannel);
+    },
+    [setActiveChannel],
+  );
+
+  const clearMessageToJumpTo = useCallback(
+    () => setMessageToJumpTo(undefined),
+    [],
+  );
+
   return {
     channel,
+    clearMessageToJumpTo,
     closeMobileNav,
+    jumpToChannelMessage,
+    messageToJumpTo,
     mutes,
     navOpen,
     openMobileNav,
@@ -1,4 +1,6 @@
 import React, { useContext, useCallback, useMemo } from 'react';
+// @ts-expect-error
+import { getSanitizedData } from 'emoji-mart/dist-modern/utils';
 import debounce from 'lodash.debounce';
 import PropTypes from 'prop-types';
 
@@ -8,8 +10,12 @@ import { EmoticonItem } from '../EmoticonItem';
 import { LoadingIndicator } from '../Loading';
 import { UserItem } from '../UserItem';
 
+import { sortByRecentEmojis } from '../Channel/emojiPreferences';
 import { ChannelContext } from '../../context';
 
+/** @type {import('types').EmojiMartCustomEmoji[]} */
+const noCustomEmojis = [];
+
 /** @type {React.FC<import("types").ChatAutoCompleteProps>} */
 const ChatAutoComplete = (props) => {
   const { commands, onSelectItem, triggers } = props;
@@ -18,7 +24,14 @@ const ChatAutoComplete = (props) => {
 
   const members = channel?.state?.members;
   const watchers = channel?.state?.watchers;
-  const { emojiData, EmojiIndex } = emojiConfig || {};
+  const {
+    customEmojis = noCustomEmojis,
+    emojiData,
+    EmojiIndex,
+    recentEmojis,
+    recordEmojiUsage,
+    skinTone = 1,
+  } = emojiConfig || {};
 
   const emojiIndex = useMemo(() => {
     if (EmojiIndex) {
@@ -93,8 +106,20 @@ const ChatAutoComplete = (props) => {
             if (q.length === 0 || q.charAt(0).match(/[^a-zA-Z0-9+-]/)) {
               return [];
             }
-            const emojis = emojiIndex?.search(q) || [];
-            const result = emojis.slice(0, 10);
+            const emojis =
+              emojiIndex?.search(q, { custom: customEmojis }) || [];
+            const result = sortByRecentEmojis(
+              emojis,
+              recentEmojis,
+              (emoji) => emoji.id,
+            )
+              .slice(0, 10)
+              .map((emoji) =>
+                // the emojis with skin variations have a skin, in the skin tone of the user
+                emoji.skin
+                  ? getSanitizedData(emoji.id, skinTone, null, emojiData)
+                  : emoji,
+              );
 
             if (onReady) onReady(result, q);
 
@@ -103,9 +128,11 @@ const ChatAutoComplete = (props) => {
           component: EmoticonItem,
           output: (entity) => ({
             key: entity.id,
-            text: `${entity.native}`,
+            // custom emojis have no native character, they are written with their colons
+            text: `${entity.native || entity.colons}`,
             caretPosition: 'next',
           }),
+          callback: (entity) => recordEmojiUsage && recordEmojiUsage(entity.id),
         },
         '@': {
           dataProvider: (query, text, onReady) => {
@@ -200,7 +227,12 @@ const ChatAutoComplete = (props) => {
       onSelectItem,
       queryMembersDebounced,
       triggers,
+      customEmojis,
+      emojiData,
       emojiIndex,
+      recentEmojis,
+      recordEmojiUsage,
+      skinTone,
     ],
   );
 
@@ -231,6 +263,7 @@ const ChatAutoComplete = (props) => {
       placeholder={props.placeholder}
       onChange={props.onChange}
       handleSubmit={props.handleSubmit}
+      onKeyDown={props.onKeyDown}
       onPaste={props.onPaste}
       value={props.value}
       grow={props.grow}
@@ -257,6 +290,8 @@ ChatAutoComplete.propTypes = {
   value: PropTypes.string,
   /** Function to run on pasting within the textarea */
   onPaste: PropTypes.func,
+  /** Function to run on the keys pressed in the textarea, besides the ones handled by the autocomplete */
+  onKeyDown: PropTypes.func,
   /** Function that runs on submit */
   handleSubmit: PropTypes.func,
   /** Function that runs on change */
@@ -1,6 +1,7 @@
 import React, { useEffect, useContext } from 'react';
 import { render, fireEvent, waitFor, cleanup } from '@testing-library/react';
 import '@testing-library/jest-dom';
+import emojiMartData from 'emoji-mart/data/all.json';
 
 import ChatAutoComplete from '../ChatAutoComplete';
 import {
@@ -29,12 +30,16 @@ const ActiveChannelSetter = ({ activeChannel }) => {
   return null;
 };
 
-const renderComponent = async (props = {}, activeChannel = channel) => {
+const renderComponent = async (
+  props = {},
+  activeChannel = channel,
+  channelProps = {},
+) => {
   const placeholderText = props.placeholder || 'placeholder';
   const renderResult = render(
     <Chat client={chatClient}>
       <ActiveChannelSetter activeChannel={activeChannel} />
-      <Channel>
+      <Channel {...channelProps}>
         <ChatAutoComplete {...props} placeholder={placeholderText} />
       </Channel>
     </Chat>,
@@ -66,7 +71,10 @@ describe('ChatAutoComplete', () => {
     channel = chatClient.channel('messaging', mockedChannel.id);
   });
 
-  afterEach(cleanup);
+  afterEach(() => {
+    cleanup();
+    window.localStorage.clear();
+  });
 
   it('should call onChange with the change event when you type in the input', async () => {
     const onChange = jest.fn();
@@ -107,6 +115,91 @@ describe('ChatAutoComplete', () => {
     expect(textarea.value).toContain('😄');
   });
 
+  it('should record the use of the selected emoji', async () => {
+    const emojiPreferencesStorage = {
+      getPreferences: () => ({ skinTone: 1, usage: [] }),
+      setPreferences: jest.fn(),
+    };
+    const { typeText, findByText } = await renderComponent({}, channel, {
+      emojiPreferencesStorage,
+    });
+    typeText(':smile');
+    fireEvent.click(await findByText('😄'));
+
+    await waitFor(() =>
+      expect(emojiPreferencesStorage.setPreferences).toHaveBeenCalledWith({
+        skinTone: 1,
+        usage: [expect.objectContaining({ count: 1, id: 'smile' })],
+      }),
+    );
+  });
+
+  it('should suggest the recently used emojis first', async () => {
+    const emojiPreferencesStorage = {
+      getPreferences: () => ({
+        skinTone: 1,
+        usage: [{ count: 1, id: 'sweat_smile', lastUsedAt: 1000 }],
+      }),
+      setPreferences: jest.fn(),
+    };
+    const { container, typeText, findByText } = await renderComponent(
+      {},
+      channel,
+      { emojiPreferencesStorage },
+    );
+    typeText(':smile');
+    await findByText('😄');
+
+    expect(
+      container.querySelector('.str-chat__emoji-item--entity'),
+    ).toHaveTextContent('😅');
+  });
+
+  it('should suggest and insert the emojis in the skin tone of the user', async () => {
+    const emojiPreferencesStorage = {
+      getPreferences: () => ({ skinTone: 3, usage: [] }),
+      setPreferences: jest.fn(),
+    };
+    // the default emoji data has no skin tone variations
+    const { typeText, findByText, textarea } = await renderComponent(
+      {},
+      channel,
+      { emojiData: emojiMartData, emojiPreferencesStorage },
+    );
+    typeText(':+1');
+    fireEvent.click(await findByText('👍🏼'));
+
+    expect(textarea.value).toContain('👍🏼');
+  });
+
+  it('should let you select custom emojis when you type :<emoji>', async () => {
+    const customEmojis = [
+      {
+        id: 'stream_logo',
+        imageUrl: 'https://example.com/stream.png',
+        keywords: ['stream'],
+        name: 'Stream Logo',
+      },
+    ];
+    const {
+      typeText,
+      findByText,
+      getByAltText,
+      textarea,
+    } = await renderComponent({}, channel, { customEmojis });
+    typeText(':stream_lo');
+    const emoji = await findByText('Stream Logo');
+
+    expect(getByAltText(':stream_logo:')).toHaveAttribute(
+      'src',
+      'https://example.com/stream.png',
+    );
+
+    fireEvent.click(emoji);
+
+    expect(textarea.value).toContain(':stream_logo:');
+  });
+
   it('should let you select users when you type @<username>', async () => {
     const onSelectItem = jest.fn();
     const userAutocompleteText = `@${user.name}`;
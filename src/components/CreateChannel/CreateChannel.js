@@ -0,0 +1,156 @@
+// @ts-check
+import React, { useContext, useState } from 'react';
+import PropTypes from 'prop-types';
+import { v4 as uuidv4 } from 'uuid';
+
+import { UserPicker } from './UserPicker';
+import { ChatContext, TranslationContext } from '../../context';
+
+/**
+ * CreateChannel - Form creating a channel with the users picked by the current user and opening it.
+ * A single user starts the distinct 1:1 conversation with them, several users create a group that can get a name and an image.
+ *
+ * @example ../../docs/CreateChannel.md
+ * @type {React.FC<import('types').CreateChannelProps>}
+ */
+const CreateChannel = ({
+  Avatar,
+  channelType = 'messaging',
+  debounceInterval,
+  onClose,
+  onCreate,
+  userFilters,
+}) => {
+  const { client, setActiveChannel } = useContext(ChatContext);
+  const { t } = useContext(TranslationContext);
+
+  const [selectedUsers, setSelectedUsers] = useState(
+    /** @type {import('types').UserPickerUser[]} */ ([]),
+  );
+  const [name, setName] = useState('');
+  const [image, setImage] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const isGroup = selectedUsers.length > 1;
+
+  /** @param {React.FormEvent} event */
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    if (!selectedUsers.length || creating) return;
+
+    const members = [client.userID || '', ...selectedUsers.map(({ id }) => id)];
+    // a 1:1 conversation is distinct, the same channel is returned for the same members
+    const channel = isGroup
+      ? client.channel(channelType, uuidv4(), {
+          image: image.trim() || undefined,
+          members,
+          name: name.trim() || undefined,
+        })
+      : client.channel(channelType, { members });
+
+    setCreating(true);
+    setError('');
+
+    try {
+      await channel.create();
+    } catch (e) {
+      console.warn(e);
+      setError(t('Error creating the channel'));
+      setCreating(false);
+      return;
+    }
+
+    setCreating(false);
+    if (setActiveChannel) setActiveChannel(channel);
+    if (onCreate) onCreate(channel);
+  };
+
+  return (
+    <form className="str-chat__new-channel" onSubmit={onSubmit}>
+      <div className="str-chat__new-channel--header">
+        {onClose && (
+          <button
+            aria-label={t('Close')}
+            className="str-chat__new-channel--header__close"
+            onClick={onClose}
+            type="button"
+          >
+            ×
+          </button>
+        )}
+        <div className="str-chat__new-channel--header__title">
+          {t('New channel')}
+        </div>
+      </div>
+      <div className="str-chat__new-channel--members">
+        <UserPicker
+          Avatar={Avatar}
+          debounceInterval={debounceInterval}
+          onChange={setSelectedUsers}
+          selectedUsers={selectedUsers}
+          userFilters={userFilters}
+        />
+      </div>
+      {isGroup && (
+        <>
+          <div className="str-chat__new-channel--name">
+            <label>{t('Name')}</label>
+            <input
+              aria-label={t('Name')}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t('Channel name')}
+              type="text"
+              value={name}
+            />
+          </div>
+          <div className="str-chat__new-channel--name">
+            <label>{t('Image')}</label>
+            <input
+              aria-label={t('Image')}
+              onChange={(e) => setImage(e.target.value)}
+              placeholder="https://"
+              type="url"
+              value={image}
+            />
+          </div>
+        </>
+      )}
+      {error && (
+        <div className="str-chat__new-channel--error" role="alert">
+          {error}
+        </div>
+      )}
+      <div className="str-chat__new-channel--footer">
+        <button disabled={!selectedUsers.length || creating} type="submit">
+          {isGroup ? t('Create group') : t('Start conversation')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+CreateChannel.propTypes = {
+  /**
+   * Custom UI component to display user avatar in the user picker
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+  /** Type of the created channel, defaults to `messaging` */
+  channelType: PropTypes.string,
+  /** Time in ms to wait after the last keystroke before querying the users, defaults to 300 */
+  debounceInterval: PropTypes.number,
+  /** Called when the close button of the header is clicked, the button is hidden without it */
+  onClose: PropTypes.func,
+  /**
+   * Called once the channel is created and set as the active channel
+   *
+   * @param {Channel} channel The created channel
+   */
+  onCreate: PropTypes.func,
+  /** Extra `filters`, `sort` and `options` merged into the query of the users */
+  userFilters: /** @type {PropTypes.Validator<import('types').UserPickerProps['userFilters']>} */ (PropTypes.object),
+};
+
+export default CreateChannel;
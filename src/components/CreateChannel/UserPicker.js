@@ -0,0 +1,262 @@
+// @ts-check
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from 'react';
+import PropTypes from 'prop-types';
+import debounce from 'lodash.debounce';
+
+import { Avatar as DefaultAvatar } from '../Avatar';
+import { ChatContext, TranslationContext } from '../../context';
+
+/**
+ * UserPicker - Input querying the users as you type, the selected ones are displayed as chips that can be removed.
+ * Used by CreateChannel to pick the members of a new channel and by ChannelMembers to add members.
+ *
+ * @type {React.FC<import('types').UserPickerProps>}
+ */
+export const UserPicker = ({
+  Avatar = DefaultAvatar,
+  debounceInterval = 300,
+  excludedUserIds = [],
+  onChange,
+  placeholder,
+  selectedUsers,
+  userFilters = {},
+}) => {
+  const { client } = useContext(ChatContext);
+  const { t } = useContext(TranslationContext);
+
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(
+    /** @type {import('types').UserPickerUser[]} */ ([]),
+  );
+  const [searching, setSearching] = useState(false);
+  const [focusedIndex, setFocusedIndex] = useState(-1);
+
+  // text of the latest search, so that responses of outdated searches can be dropped
+  const latestQuery = useRef('');
+  // read by the debounced search, which is not created again when they change
+  const queryParams = useRef({ excludedUserIds, selectedUsers, userFilters });
+  queryParams.current = { excludedUserIds, selectedUsers, userFilters };
+
+  const clearSearch = () => {
+    latestQuery.current = '';
+    setQuery('');
+    setResults([]);
+    setSearching(false);
+    setFocusedIndex(-1);
+  };
+
+  /** @param {string} text */
+  const search = async (text) => {
+    latestQuery.current = text;
+    setSearching(true);
+    const {
+      excludedUserIds: excludedIds,
+      selectedUsers: selected,
+      userFilters: filters,
+    } = queryParams.current;
+
+    try {
+      const { users } = await client.queryUsers(
+        {
+          $or: [
+            { id: { $autocomplete: text } },
+            { name: { $autocomplete: text } },
+          ],
+          id: {
+            $nin: [
+              client.userID || '',
+              ...excludedIds,
+              ...selected.map(({ id }) => id),
+            ],
+          },
+          ...filters.filters,
+        },
+        { id: 1, ...filters.sort },
+        { limit: 8, ...filters.options },
+      );
+
+      if (latestQuery.current !== text) return;
+      setResults(users);
+      setFocusedIndex(-1);
+    } catch (e) {
+      console.warn(e);
+      if (latestQuery.current !== text) return;
+      setResults([]);
+    }
+
+    setSearching(false);
+  };
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const debouncedSearch = useCallback(
+    debounce(search, debounceInterval, { trailing: true }),
+    [client, debounceInterval],
+  );
+
+  useEffect(() => () => debouncedSearch.cancel(), [debouncedSearch]);
+
+  /** @param {React.ChangeEvent<HTMLInputElement>} event */
+  const onInputChange = (event) => {
+    const { value } = event.target;
+    setQuery(value);
+
+    if (!value.trim()) {
+      debouncedSearch.cancel();
+      clearSearch();
+      return;
+    }
+
+    setSearching(true);
+    debouncedSearch(value.trim());
+  };
+
+  /** @param {import('types').UserPickerUser} user */
+  const selectUser = (user) => {
+    debouncedSearch.cancel();
+    clearSearch();
+    onChange([...selectedUsers, user]);
+  };
+
+  /** @param {import('types').UserPickerUser} user */
+  const removeUser = (user) =>
+    onChange(selectedUsers.filter(({ id }) => id !== user.id));
+
+  /** @param {React.KeyboardEvent<HTMLInputElement>} event */
+  const onKeyDown = (event) => {
+    if (event.key === 'Backspace' && !query && selectedUsers.length) {
+      removeUser(selectedUsers[selectedUsers.length - 1]);
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      debouncedSearch.cancel();
+      clearSearch();
+      return;
+    }
+
+    if (!results.length) return;
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setFocusedIndex((prevIndex) =>
+        prevIndex === results.length - 1 ? 0 : prevIndex + 1,
+      );
+    }
+
+    if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setFocusedIndex((prevIndex) =>
+        prevIndex <= 0 ? results.length - 1 : prevIndex - 1,
+      );
+    }
+
+    if (event.key === 'Enter') {
+      // the input is usually part of a form, Enter picks a user instead of submitting it
+      event.preventDefault();
+      selectUser(results[Math.max(focusedIndex, 0)]);
+    }
+  };
+
+  return (
+    <div className="str-chat__user-picker">
+      <div className="str-chat__user-picker-input">
+        {selectedUsers.map((user) => (
+          <div className="str-chat__user-picker-chip" key={user.id}>
+            <Avatar image={user.image} name={user.name || user.id} size={20} />
+            <span className="str-chat__user-picker-chip-name">
+              {user.name || user.id}
+            </span>
+            <button
+              aria-label={t('Remove {{ name }}', {
+                name: user.name || user.id,
+              })}
+              onClick={() => removeUser(user)}
+              type="button"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <input
+          aria-autocomplete="list"
+          aria-expanded={!!query}
+          onChange={onInputChange}
+          onKeyDown={onKeyDown}
+          placeholder={placeholder || t('Search users')}
+          role="combobox"
+          type="text"
+          value={query}
+        />
+      </div>
+      {!!query && (
+        <div className="str-chat__user-picker-results" role="listbox">
+          {searching && (
+            <div className="str-chat__user-picker-results-searching">
+              {t('Searching...')}
+            </div>
+          )}
+          {!searching && !results.length && (
+            <div className="str-chat__user-picker-results-empty">
+              {t('No results found')}
+            </div>
+          )}
+          {results.map((user, index) => (
+            <button
+              aria-selected={index === focusedIndex}
+              className={`str-chat__user-picker-result${
+                index === focusedIndex
+                  ? ' str-chat__user-picker-result--focused'
+                  : ''
+              }`}
+              key={user.id}
+              onClick={() => selectUser(user)}
+              role="option"
+              type="button"
+            >
+              <Avatar
+                image={user.image}
+                name={user.name || user.id}
+                size={24}
+              />
+              <div className="str-chat__user-picker-result-name">
+                {user.name || user.id}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+UserPicker.propTypes = {
+  /**
+   * Custom UI component to display user avatar in the chips and the results
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+  /** Time in ms to wait after the last keystroke before querying the users, defaults to 300 */
+  debounceInterval: PropTypes.number,
+  /** Ids of the users left out of the results, e.g. the members of a channel. The current user is always left out */
+  excludedUserIds: PropTypes.arrayOf(PropTypes.string.isRequired),
+  /**
+   * Called with the new selection when a user is picked or removed
+   *
+   * @param {Array} users The selected users
+   */
+  onChange: PropTypes.func.isRequired,
+  /** Placeholder of the input, defaults to the translated `Search users` */
+  placeholder: PropTypes.string,
+  /** The selected users, displayed as chips */
+  selectedUsers: /** @type {PropTypes.Validator<import('types').UserPickerUser[]>} */ (PropTypes
+    .array.isRequired),
+  /** Extra `filters`, `sort` and `options` merged into the query of the users */
+  userFilters: /** @type {PropTypes.Validator<import('types').UserPickerProps['userFilters']>} */ (PropTypes.object),
+};
@@ -0,0 +1,124 @@
+import React from 'react';
+import { cleanup, fireEvent, render, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import {
+  generateUser,
+  getTestClientWithUser,
+  queryUsersApi,
+  useMockedApis,
+} from 'mock-builders';
+
+import { ChatContext } from '../../../context';
+import CreateChannel from '../CreateChannel';
+
+afterEach(cleanup); // eslint-disable-line
+
+const user = generateUser({ id: 'uthred', name: 'Uthred' });
+const ragnar = generateUser({ id: 'ragnar', name: 'Ragnar' });
+const brida = generateUser({ id: 'brida', name: 'Brida' });
+
+let chatClient;
+let setActiveChannel;
+
+const renderComponent = (props = {}) =>
+  render(
+    <ChatContext.Provider value={{ client: chatClient, setActiveChannel }}>
+      <CreateChannel debounceInterval={0} {...props} />
+    </ChatContext.Provider>,
+  );
+
+const pickUser = async ({ findByText, getByRole }, pickedUser) => {
+  useMockedApis(chatClient, [queryUsersApi([pickedUser])]); // eslint-disable-line react-hooks/rules-of-hooks
+  fireEvent.change(getByRole('combobox'), {
+    target: { value: pickedUser.name.slice(0, 2) },
+  });
+  fireEvent.click(await findByText(pickedUser.name));
+};
+
+describe('CreateChannel', () => {
+  beforeEach(async () => {
+    chatClient = await getTestClientWithUser(user);
+    setActiveChannel = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not submit without any picked user', () => {
+    const { getByText } = renderComponent();
+
+    expect(getByText('Start conversation')).toBeDisabled();
+  });
+
+  it('should create the distinct channel with a single user and set it as the active channel', async () => {
+    const channel = { create: jest.fn(() => Promise.resolve()) };
+    const channelSpy = jest
+      .spyOn(chatClient, 'channel')
+      .mockImplementation(() => channel);
+    const onCreate = jest.fn();
+    const queries = renderComponent({ channelType: 'team', onCreate });
+
+    await pickUser(queries, ragnar);
+    expect(queries.queryByLabelText('Name')).not.toBeInTheDocument();
+    fireEvent.click(queries.getByText('Start conversation'));
+
+    await waitFor(() => expect(setActiveChannel).toHaveBeenCalledWith(channel));
+    expect(channelSpy).toHaveBeenCalledWith('team', {
+      members: [user.id, ragnar.id],
+    });
+    expect(channel.create).toHaveBeenCalledTimes(1);
+    expect(onCreate).toHaveBeenCalledWith(channel);
+  });
+
+  it('should create a group with its name and image when several users are picked', async () => {
+    const channel = { create: jest.fn(() => Promise.resolve()) };
+    const channelSpy = jest
+      .spyOn(chatClient, 'channel')
+      .mockImplementation(() => channel);
+    const queries = renderComponent();
+
+    await pickUser(queries, ragnar);
+    await pickUser(queries, brida);
+    fireEvent.change(queries.getByLabelText('Name'), {
+      target: { value: 'Danes' },
+    });
+    fireEvent.change(queries.getByLabelText('Image'), {
+      target: { value: 'https://example.com/danes.png' },
+    });
+    fireEvent.click(queries.getByText('Create group'));
+
+    await waitFor(() => expect(setActiveChannel).toHaveBeenCalledWith(channel));
+    expect(channelSpy).toHaveBeenCalledWith('messaging', expect.any(String), {
+      image: 'https://example.com/danes.png',
+      members: [user.id, ragnar.id, brida.id],
+      name: 'Danes',
+    });
+  });
+
+  it('should render an error if the channel cannot be created', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => null);
+    jest.spyOn(chatClient, 'channel').mockImplementation(() => ({
+      create: () => Promise.reject(new Error('forbidden')),
+    }));
+    const queries = renderComponent();
+
+    await pickUser(queries, ragnar);
+    fireEvent.click(queries.getByText('Start conversation'));
+
+    expect(await queries.findByRole('alert')).toHaveTextContent(
+      'Error creating the channel',
+    );
+    expect(setActiveChannel).not.toHaveBeenCalled();
+  });
+
+  it('should call onClose when the close button is clicked', () => {
+    const onClose = jest.fn();
+    const { getByLabelText } = renderComponent({ onClose });
+
+    fireEvent.click(getByLabelText('Close'));
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,89 @@
+import React from 'react';
+import { cleanup, fireEvent, render } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import {
+  generateUser,
+  getTestClientWithUser,
+  queryUsersApi,
+  useMockedApis,
+} from 'mock-builders';
+
+import { ChatContext } from '../../../context';
+import { UserPicker } from '../UserPicker';
+
+afterEach(cleanup); // eslint-disable-line
+
+const user = generateUser({ id: 'uthred', name: 'Uthred' });
+const ragnar = generateUser({ id: 'ragnar', name: 'Ragnar' });
+const brida = generateUser({ id: 'brida', name: 'Brida' });
+
+let chatClient;
+
+const renderComponent = (props = {}) =>
+  render(
+    <ChatContext.Provider value={{ client: chatClient }}>
+      <UserPicker
+        debounceInterval={0}
+        onChange={jest.fn()}
+        selectedUsers={[]}
+        {...props}
+      />
+    </ChatContext.Provider>,
+  );
+
+describe('UserPicker', () => {
+  beforeEach(async () => {
+    chatClient = await getTestClientWithUser(user);
+    useMockedApis(chatClient, [queryUsersApi([ragnar])]);
+  });
+
+  it('should query the users who are neither the current user, excluded nor selected', async () => {
+    const queryUsersSpy = jest.spyOn(chatClient, 'queryUsers');
+    const onChange = jest.fn();
+    const { findByText, getByRole } = renderComponent({
+      excludedUserIds: ['ubba'],
+      onChange,
+      selectedUsers: [brida],
+    });
+
+    fireEvent.change(getByRole('combobox'), { target: { value: 'ra' } });
+    fireEvent.click(await findByText('Ragnar'));
+
+    expect(queryUsersSpy).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: { $nin: [user.id, 'ubba', brida.id] },
+      }),
+      expect.any(Object),
+      expect.any(Object),
+    );
+    expect(onChange).toHaveBeenCalledWith([brida, ragnar]);
+    expect(getByRole('combobox')).toHaveValue('');
+  });
+
+  it('should pick the first result with enter', async () => {
+    const onChange = jest.fn();
+    const { findByText, getByRole } = renderComponent({ onChange });
+
+    fireEvent.change(getByRole('combobox'), { target: { value: 'ra' } });
+    await findByText('Ragnar');
+    fireEvent.keyDown(getByRole('combobox'), { key: 'Enter' });
+
+    expect(onChange).toHaveBeenCalledWith([ragnar]);
+  });
+
+  it('should remove the selected users with their chip button or backspace', () => {
+    const onChange = jest.fn();
+    const { getAllByLabelText, getByRole } = renderComponent({
+      onChange,
+      selectedUsers: [ragnar, brida],
+    });
+
+    // the default translation function does not interpolate the name
+    fireEvent.click(getAllByLabelText('Remove {{ name }}')[0]);
+    expect(onChange).toHaveBeenLastCalledWith([brida]);
+
+    fireEvent.keyDown(getByRole('combobox'), { key: 'Backspace' });
+    expect(onChange).toHaveBeenLastCalledWith([ragnar]);
+  });
+});
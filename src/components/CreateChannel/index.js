@@ -0,0 +1,2 @@
+export { default as CreateChannel } from './CreateChannel';
+export * from './UserPicker';
@@ -5,7 +5,17 @@ import PropTypes from 'prop-types';
 /** @type {React.FC<import("types").EmoticonItemProps>} */
 const EmoticonItem = ({ entity }) => (
   <div className="str-chat__emoji-item">
-    <span className="str-chat__emoji-item--entity">{entity.native}</span>
+    <span className="str-chat__emoji-item--entity">
+      {entity.imageUrl ? (
+        <img
+          alt={entity.colons || entity.name}
+          className="str-chat__custom-emoji"
+          src={entity.imageUrl}
+        />
+      ) : (
+        entity.native
+      )}
+    </span>
     <span className="str-chat__emoji-item--name">{entity.name}</span>
   </div>
 );
@@ -15,7 +25,11 @@ EmoticonItem.propTypes = {
     /** Name for emoticon */
     name: PropTypes.string.isRequired,
     /** Native value or actual emoticon */
-    native: PropTypes.string.isRequired,
+    native: PropTypes.string,
+    /** Colons of a custom emoji, e.g. `:party_parrot:` */
+    colons: PropTypes.string,
+    /** Image of a custom emoji */
+    imageUrl: PropTypes.string,
   }).isRequired,
 };
 
@@ -43,7 +43,11 @@ const Gallery = ({ images }) => {
       key={`gallery-image-${i}`}
       onClick={() => toggleModal(i)}
     >
-      <img src={image.image_url || image.thumb_url} />
+      <img
+        src={image.image_url || image.thumb_url}
+        height={image.original_height}
+        width={image.original_width}
+      />
     </div>
   ));
 
@@ -19,6 +19,10 @@ class ImageComponent extends React.PureComponent {
     thumb_url: PropTypes.string,
     /** The text fallback for the image */
     fallback: PropTypes.string,
+    /** The height of the image, to reserve its space before it is loaded */
+    original_height: PropTypes.number,
+    /** The width of the image, to reserve its space before it is loaded */
+    original_width: PropTypes.number,
   };
   state = {
     modalIsOpen: false,
@@ -32,7 +36,13 @@ class ImageComponent extends React.PureComponent {
   };
 
   render() {
-    const { image_url, thumb_url, fallback } = this.props;
+    const {
+      image_url,
+      thumb_url,
+      fallback,
+      original_height,
+      original_width,
+    } = this.props;
     const imageSrc = sanitizeUrl(image_url || thumb_url);
     const formattedArray = [{ src: imageSrc }];
     return (
@@ -43,6 +53,8 @@ class ImageComponent extends React.PureComponent {
           src={imageSrc}
           alt={fallback}
           data-testid="image-test"
+          height={original_height}
+          width={original_width}
         />
 
         <ModalWrapper
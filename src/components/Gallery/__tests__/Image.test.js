@@ -18,6 +18,18 @@ describe('Image', () => {
     expect(tree).toMatchSnapshot();
   });
 
+  it('should reserve the space of the image when its dimensions are known', () => {
+    const { getByTestId } = render(
+      <ImageComponent
+        image_url={mockImageAssets}
+        original_height={480}
+        original_width={640}
+      />,
+    );
+    expect(getByTestId('image-test')).toHaveAttribute('height', '480');
+    expect(getByTestId('image-test')).toHaveAttribute('width', '640');
+  });
+
   describe('it should prevent unsafe image uri protocols in the rendered image src', () => {
     it('should prevent javascript protocol in image src', () => {
       // eslint-disable-next-line no-script-url
@@ -45,14 +45,17 @@ const InfiniteScroll = ({
   children,
   element = 'div',
   hasMore = false,
+  hasMoreNewer = false,
   initialLoad = true,
   isReverse = false,
   loader,
   loadMore,
+  loadMoreNewer,
   threshold = 250,
   useCapture = false,
   useWindow = true,
   isLoading = false,
+  isLoadingNewer = false,
   listenToScroll,
   ...elementProps
 }) => {
@@ -90,7 +93,29 @@ const InfiniteScroll = ({
     ) {
       loadMore();
     }
-  }, [hasMore, useWindow, isReverse, threshold, listenToScroll, loadMore]);
+
+    // a reversed list can also be scrolled down towards newer items, e.g. after jumping to an older message
+    if (
+      isReverse &&
+      offset < Number(threshold) &&
+      el.offsetParent !== null &&
+      typeof loadMoreNewer === 'function' &&
+      hasMoreNewer &&
+      !isLoadingNewer
+    ) {
+      loadMoreNewer();
+    }
+  }, [
+    hasMore,
+    hasMoreNewer,
+    useWindow,
+    isLoadingNewer,
+    isReverse,
+    threshold,
+    listenToScroll,
+    loadMore,
+    loadMoreNewer,
+  ]);
 
   useEffect(() => {
     const scrollEl = useWindow ? window : scrollComponent.current?.parentNode;
@@ -139,18 +164,24 @@ const InfiniteScroll = ({
       childrenArray.push(loader);
     }
   }
+  if (isReverse && isLoadingNewer && loader) {
+    childrenArray.push(loader);
+  }
   return React.createElement(element, attributes, childrenArray);
 };
 
 InfiniteScroll.propTypes = {
   element: PropTypes.elementType,
   hasMore: PropTypes.bool,
+  hasMoreNewer: PropTypes.bool,
   initialLoad: PropTypes.bool,
   isReverse: PropTypes.bool,
   loader: PropTypes.node,
   loadMore: PropTypes.func.isRequired,
+  loadMoreNewer: PropTypes.func,
   pageStart: PropTypes.number,
   isLoading: PropTypes.bool,
+  isLoadingNewer: PropTypes.bool,
   threshold: PropTypes.number,
   useCapture: PropTypes.bool,
   useWindow: PropTypes.bool,
@@ -5,10 +5,10 @@ import MessageTimestamp from './MessageTimestamp';
 import { Avatar } from '../Avatar';
 import { MML } from '../MML';
 import { renderText } from '../../utils';
-import { ChatContext, TranslationContext } from '../../context';
+import { ChannelContext, ChatContext } from '../../context';
 import { Gallery } from '../Gallery';
 import { MessageActions } from '../MessageActions';
-import { useUserRole, useActionHandler } from './hooks';
+import { useUserRole, useActionHandler, useMessageTranslation } from './hooks';
 import { getMessageActions } from './utils';
 
 /**
@@ -46,18 +46,21 @@ const getUserColor = (theme, userId) => {
  */
 const FixedHeightMessage = ({ message, groupedByUser }) => {
   const { theme } = useContext(ChatContext);
-  const { userLanguage } = useContext(TranslationContext);
+  const { emojiConfig } = useContext(ChannelContext);
 
   const role = useUserRole(message);
   const handleAction = useActionHandler(message);
 
-  const messageTextToRender =
-    // @ts-expect-error
-    message?.i18n?.[`${userLanguage}_text`] || message?.text;
+  const { text: messageTextToRender } = useMessageTranslation(message);
 
   const renderedText = useMemo(
-    () => renderText(messageTextToRender, message.mentioned_users),
-    [message.mentioned_users, messageTextToRender],
+    () =>
+      renderText(
+        messageTextToRender,
+        message.mentioned_users,
+        emojiConfig?.customEmojis,
+      ),
+    [emojiConfig?.customEmojis, message.mentioned_users, messageTextToRender],
   );
   const userId = message.user?.id;
   // @ts-expect-error
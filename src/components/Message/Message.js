@@ -1,4 +1,4 @@
-import React, { useCallback, useContext } from 'react';
+import React, { useCallback, useContext, useEffect } from 'react';
 import PropTypes from 'prop-types';
 
 import MessageSimple from './MessageSimple';
@@ -7,12 +7,15 @@ import {
   useDeleteHandler,
   useEditHandler,
   useFlagHandler,
+  useMarkUnreadHandler,
   useMentionsHandler,
   useMuteHandler,
   useOpenThreadHandler,
   usePinHandler,
+  useQuoteHandler,
   useReactionHandler,
   useRetryHandler,
+  useTranslateHandler,
   useUserHandler,
   useUserRole,
 } from './hooks';
@@ -23,7 +26,7 @@ import {
   MESSAGE_ACTIONS,
 } from './utils';
 
-import { ChannelContext } from '../../context';
+import { ChannelContext, TranslationContext } from '../../context';
 import { checkChannelPropType, checkClientPropType } from '../../utils';
 
 /**
@@ -56,7 +59,10 @@ const Message = (props) => {
     retrySendMessage: propRetrySendMessage,
   } = props;
 
-  const { channel: contextChannel } = useContext(ChannelContext);
+  const { channel: contextChannel, editRequest, markUnread } = useContext(
+    ChannelContext,
+  );
+  const { userLanguage } = useContext(TranslationContext);
 
   const channel = propChannel || contextChannel;
   const channelConfig = channel?.getConfig && channel.getConfig();
@@ -65,7 +71,14 @@ const Message = (props) => {
   const handleDelete = useDeleteHandler(message);
   const { editing, setEdit, clearEdit } = useEditHandler();
   const handleOpenThread = useOpenThreadHandler(message, propOpenThread);
+  const handleQuote = useQuoteHandler(message);
+  const handleMarkUnread = useMarkUnreadHandler(message, {
+    notify: addNotification,
+  });
   const handleReaction = useReactionHandler(message);
+  const handleTranslate = useTranslateHandler(message, {
+    notify: addNotification,
+  });
   const handleRetry = useRetryHandler(propRetrySendMessage);
 
   const handleFlag = useFlagHandler(message, {
@@ -98,9 +111,35 @@ const Message = (props) => {
   const { isMyMessage, isAdmin, isModerator, isOwner } = useUserRole(message);
 
   const canEdit = isMyMessage || isModerator || isOwner || isAdmin;
+
+  // the same message can be rendered in the channel and in the thread
+  useEffect(() => {
+    if (
+      editRequest &&
+      editRequest.messageId === message?.id &&
+      editRequest.threadList === !!props.threadList &&
+      canEdit
+    ) {
+      setEdit();
+    }
+  }, [editRequest]);
   const canDelete = canEdit;
   const canReact = true;
   const canReply = true;
+  const canQuote = true;
+  // the channel is marked unread from a message of the channel, not of a thread
+  const canMarkUnread =
+    !!markUnread &&
+    !isMyMessage &&
+    !message?.parent_id &&
+    !!channelConfig?.read_events;
+  // messages are translated in the language of the user, once
+  const canTranslate =
+    !isMyMessage &&
+    !!message?.text &&
+    !!userLanguage &&
+    // @ts-expect-error
+    !message?.i18n?.[`${userLanguage}_text`];
 
   const messageActionsHandler = useCallback(() => {
     if (!message || !messageActions) {
@@ -111,17 +150,23 @@ const Message = (props) => {
       canDelete,
       canEdit,
       canPin,
+      canQuote,
       canReply,
       canReact,
       canFlag: !isMyMessage,
+      canMarkUnread,
       canMute: !isMyMessage && !!channelConfig?.mutes,
+      canTranslate,
     });
   }, [
     canDelete,
     canEdit,
+    canMarkUnread,
     canPin,
+    canQuote,
     canReply,
     canReact,
+    canTranslate,
     channelConfig?.mutes,
     isMyMessage,
     message,
@@ -146,10 +191,13 @@ const Message = (props) => {
         handleDelete={handleDelete}
         handleEdit={setEdit}
         handleFlag={handleFlag}
+        handleMarkUnread={handleMarkUnread}
         handleMute={handleMute}
         handlePin={handlePin}
+        handleQuote={handleQuote}
         handleReaction={handleReaction}
         handleRetry={handleRetry}
+        handleTranslate={handleTranslate}
         handleOpenThread={handleOpenThread}
         isMyMessage={() => isMyMessage}
         Message={MessageUIComponent}
@@ -188,6 +236,8 @@ Message.propTypes = {
   readBy: PropTypes.array,
   /** groupStyles, a list of styles to apply to this message. ie. top, bottom, single etc */
   groupStyles: PropTypes.array,
+  /** Whether the message follows another message of the same user, set by the VirtualizedMessageList for FixedHeightMessage */
+  groupedByUser: PropTypes.bool,
 
   /** Override the default formatting of the date. This is a function that has access to the original date object. Returns a string or Node  */
   formatDate: PropTypes.func,
@@ -16,6 +16,7 @@ import {
 } from './utils';
 import MessageOptions from './MessageOptions';
 import MessageText from './MessageText';
+import QuotedMessage from './QuotedMessage';
 import {
   useUserRole,
   useReactionClick,
@@ -134,6 +135,8 @@ const MessageCommerce = (props) => {
               {/* if reactions show them */}
               {hasReactions && !showDetailedReactions && isReactionEnabled && (
                 <ReactionsList
+                  handleReaction={propHandleReaction || handleReaction}
+                  messageId={message.id}
                   reactions={message.latest_reactions}
                   reaction_counts={message.reaction_counts || undefined}
                   own_reactions={message.own_reactions}
@@ -154,6 +157,8 @@ const MessageCommerce = (props) => {
             </React.Fragment>
           )}
 
+          <QuotedMessage Avatar={Avatar} message={message} />
+
           {message?.attachments && Attachment && (
             <Attachment
               attachments={message.attachments}
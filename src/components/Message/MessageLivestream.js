@@ -32,9 +32,11 @@ import {
   useReactionClick,
   useMentionsUIHandler,
   useEditHandler,
+  useMessageTranslation,
 } from './hooks';
-import { areMessagePropsEqual } from './utils';
+import { areMessagePropsEqual, MESSAGE_SHORTCUTS } from './utils';
 import { MessageActions } from '../MessageActions';
+import MessageTranslationToggle from './MessageTranslationToggle';
 import {
   ErrorIcon,
   PinIndicator as DefaultPinIndicator,
@@ -42,6 +44,7 @@ import {
   ThreadIcon,
 } from './icons';
 import MessageTimestamp from './MessageTimestamp';
+import QuotedMessage from './QuotedMessage';
 
 /**
  * MessageLivestream - Render component, should be used together with the Message component
@@ -81,16 +84,18 @@ const MessageLivestreamComponent = (props) => {
     MessageDeleted,
     PinIndicator = DefaultPinIndicator,
   } = props;
-  const { t: contextT, userLanguage } = useContext(TranslationContext);
+  const { t: contextT } = useContext(TranslationContext);
   const t = propT || contextT;
   const messageWrapperRef = useRef(null);
   const reactionSelectorRef = useRef(null);
   /**
    *@type {import('types').ChannelContextValue}
    */
-  const { updateMessage: channelUpdateMessage, channel } = useContext(
-    ChannelContext,
-  );
+  const {
+    updateMessage: channelUpdateMessage,
+    channel,
+    emojiConfig,
+  } = useContext(ChannelContext);
   const channelConfig = propChannelConfig || channel?.getConfig();
   const { onMentionsClick, onMentionsHover } = useMentionsUIHandler(message, {
     onMentionsClick: propOnMentionsClick,
@@ -118,12 +123,16 @@ const MessageLivestreamComponent = (props) => {
     onUserClickHandler: propOnUserClick,
     onUserHoverHandler: propOnUserHover,
   });
-  const messageTextToRender =
-    message?.i18n?.[`${userLanguage}_text`] || message?.text;
+  const { text: messageTextToRender } = useMessageTranslation(message);
   const messageMentionedUsersItem = message?.mentioned_users;
   const messageText = useMemo(
-    () => renderText(messageTextToRender, messageMentionedUsersItem),
-    [messageMentionedUsersItem, messageTextToRender],
+    () =>
+      renderText(
+        messageTextToRender,
+        messageMentionedUsersItem,
+        emojiConfig?.customEmojis,
+      ),
+    [emojiConfig?.customEmojis, messageMentionedUsersItem, messageTextToRender],
   );
 
   const firstGroupStyle = groupStyles ? groupStyles[0] : '';
@@ -160,6 +169,7 @@ const MessageLivestreamComponent = (props) => {
           Input={EditMessageInput}
           message={message}
           clearEditingState={clearEdit}
+          focus
           updateMessage={propUpdateMessage || channelUpdateMessage}
         />
       </div>
@@ -227,6 +237,8 @@ const MessageLivestreamComponent = (props) => {
               )}
             </div>
 
+            <QuotedMessage Avatar={Avatar} message={message} />
+
             <div
               data-testid="message-livestream-text"
               className={
@@ -281,6 +293,8 @@ const MessageLivestreamComponent = (props) => {
               )}
             </div>
 
+            <MessageTranslationToggle message={message} />
+
             {message?.attachments && Attachment && (
               <Attachment
                 attachments={message.attachments}
@@ -294,6 +308,7 @@ const MessageLivestreamComponent = (props) => {
                 reactions={message.latest_reactions}
                 own_reactions={message.own_reactions}
                 handleReaction={propHandleReaction || handleReaction}
+                messageId={message.id}
               />
             )}
 
@@ -326,6 +341,7 @@ const MessageLivestreamActions = (props) => {
     handleOpenThread,
     tDateTimeParser: propTDateTimeParser,
   } = props;
+  const { t } = useContext(TranslationContext);
   const [actionsBoxOpen, setActionsBoxOpen] = useState(false);
   /** @type {() => void} Typescript syntax */
   const hideOptions = useCallback(() => setActionsBoxOpen(false), []);
@@ -366,7 +382,8 @@ const MessageLivestreamActions = (props) => {
     message.type === 'system' ||
     message.type === 'ephemeral' ||
     message.status === 'failed' ||
-    message.status === 'sending'
+    message.status === 'sending' ||
+    message.status === 'queued'
   ) {
     return null;
   }
@@ -384,8 +401,11 @@ const MessageLivestreamActions = (props) => {
       />
       {channelConfig && channelConfig.reactions && (
         <span
+          aria-keyshortcuts={MESSAGE_SHORTCUTS.react}
+          aria-label={t('Add reaction')}
           onClick={onReactionListClick}
           data-testid="message-livestream-reactions-action"
+          role="button"
         >
           <span>
             <ReactionIcon />
@@ -394,8 +414,11 @@ const MessageLivestreamActions = (props) => {
       )}
       {!threadList && channelConfig && channelConfig.replies && (
         <span
+          aria-keyshortcuts={MESSAGE_SHORTCUTS.reply}
+          aria-label={t('Reply in thread')}
           data-testid="message-livestream-thread-action"
           onClick={handleOpenThread}
+          role="button"
         >
           <ThreadIcon />
         </span>
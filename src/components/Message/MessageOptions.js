@@ -1,9 +1,9 @@
 // @ts-check
 import React, { useContext } from 'react';
 import { useUserRole, useOpenThreadHandler } from './hooks';
-import { ChannelContext } from '../../context';
+import { ChannelContext, TranslationContext } from '../../context';
 import { MessageActions } from '../MessageActions';
-import { MESSAGE_ACTIONS } from './utils';
+import { MESSAGE_ACTIONS, MESSAGE_SHORTCUTS } from './utils';
 import { ThreadIcon, ReactionIcon } from './icons';
 
 /**
@@ -28,6 +28,7 @@ const MessageOptionsComponent = (props) => {
    * @type {import('types').ChannelContextValue}
    */
   const { channel } = useContext(ChannelContext);
+  const { t } = useContext(TranslationContext);
   const channelConfig = channel?.getConfig();
   const messageActions = props.getMessageActions();
   const shouldShowReactions =
@@ -49,6 +50,7 @@ const MessageOptionsComponent = (props) => {
     message.type === 'ephemeral' ||
     message.status === 'failed' ||
     message.status === 'sending' ||
+    message.status === 'queued' ||
     initialMessage
   ) {
     return null;
@@ -64,17 +66,23 @@ const MessageOptionsComponent = (props) => {
         )}
         {shouldShowReplies && (
           <div
+            aria-keyshortcuts={MESSAGE_SHORTCUTS.reply}
+            aria-label={t('Reply in thread')}
             data-testid="thread-action"
             onClick={propHandleOpenThread || handleOpenThread}
             className={`str-chat__message-${theme}__actions__action str-chat__message-${theme}__actions__action--thread`}
+            role="button"
           >
             <ThreadIcon />
           </div>
         )}
         {shouldShowReactions && (
           <div
+            aria-keyshortcuts={MESSAGE_SHORTCUTS.react}
+            aria-label={t('Add reaction')}
             data-testid="message-reaction-action"
             className={`str-chat__message-${theme}__actions__action str-chat__message-${theme}__actions__action--reactions`}
+            role="button"
             onClick={onReactionListClick}
           >
             <ReactionIcon />
@@ -90,8 +98,11 @@ const MessageOptionsComponent = (props) => {
     >
       {shouldShowReactions && (
         <div
+          aria-keyshortcuts={MESSAGE_SHORTCUTS.react}
+          aria-label={t('Add reaction')}
           data-testid="message-reaction-action"
           className={`str-chat__message-${theme}__actions__action str-chat__message-${theme}__actions__action--reactions`}
+          role="button"
           onClick={onReactionListClick}
         >
           <ReactionIcon />
@@ -99,9 +110,12 @@ const MessageOptionsComponent = (props) => {
       )}
       {shouldShowReplies && (
         <div
+          aria-keyshortcuts={MESSAGE_SHORTCUTS.reply}
+          aria-label={t('Reply in thread')}
           onClick={propHandleOpenThread || handleOpenThread}
           data-testid="thread-action"
           className={`str-chat__message-${theme}__actions__action str-chat__message-${theme}__actions__action--thread`}
+          role="button"
         >
           <ThreadIcon />
         </div>
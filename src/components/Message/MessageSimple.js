@@ -19,6 +19,7 @@ import {
 } from '../Reactions';
 import MessageOptions from './MessageOptions';
 import MessageText from './MessageText';
+import QuotedMessage from './QuotedMessage';
 import DefaultMessageDeleted from './MessageDeleted';
 import {
   useActionHandler,
@@ -35,7 +36,7 @@ import {
   messageHasAttachments,
   getReadByTooltipText,
 } from './utils';
-import { DeliveredCheckIcon } from './icons';
+import { DeliveredCheckIcon, QueuedIcon } from './icons';
 import MessageTimestamp from './MessageTimestamp';
 
 /**
@@ -109,6 +110,7 @@ const MessageSimple = (props) => {
             Input={EditMessageInput}
             message={message}
             clearEditingState={clearEditingState}
+            focus
             updateMessage={updateMessage}
             {...props.additionalMessageInputProps}
           />
@@ -174,6 +176,8 @@ const MessageSimple = (props) => {
                   !showDetailedReactions &&
                   isReactionEnabled && (
                     <ReactionsList
+                      handleReaction={propHandleReaction || handleReaction}
+                      messageId={message.id}
                       reactions={message.latest_reactions}
                       reaction_counts={message.reaction_counts || undefined}
                       own_reactions={message.own_reactions}
@@ -194,6 +198,8 @@ const MessageSimple = (props) => {
               </React.Fragment>
             )}
 
+            <QuotedMessage Avatar={Avatar} message={message} />
+
             {message?.attachments && Attachment && (
               <Attachment
                 attachments={message.attachments}
@@ -274,6 +280,17 @@ const MessageSimpleStatus = ({
     readBy[0] &&
     client &&
     readBy[0].id === client.user?.id;
+  if (message && message.status === 'queued') {
+    return (
+      <span
+        className="str-chat__message-simple-status"
+        data-testid="message-status-queued"
+      >
+        <Tooltip>{t && t('Waiting for connection...')}</Tooltip>
+        <QueuedIcon />
+      </span>
+    );
+  }
   if (message && message.status === 'sending') {
     return (
       <span
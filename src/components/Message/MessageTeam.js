@@ -28,16 +28,24 @@ import {
   useOpenThreadHandler,
   useMentionsUIHandler,
   useEditHandler,
+  useMessageTranslation,
 } from './hooks';
-import { areMessagePropsEqual, getReadByTooltipText } from './utils';
+import {
+  areMessagePropsEqual,
+  getReadByTooltipText,
+  MESSAGE_SHORTCUTS,
+} from './utils';
 import {
   DeliveredCheckIcon,
+  QueuedIcon,
   ErrorIcon,
   PinIndicator as DefaultPinIndicator,
   ReactionIcon,
   ThreadIcon,
 } from './icons';
 import MessageTimestamp from './MessageTimestamp';
+import QuotedMessage from './QuotedMessage';
+import MessageTranslationToggle from './MessageTranslationToggle';
 
 /**
  * MessageTeam - Render component, should be used together with the Message component
@@ -81,11 +89,13 @@ const MessageTeam = (props) => {
   /**
    *@type {import('types').ChannelContextValue}
    */
-  const { channel, updateMessage: channelUpdateMessage } = useContext(
-    ChannelContext,
-  );
+  const {
+    channel,
+    emojiConfig,
+    updateMessage: channelUpdateMessage,
+  } = useContext(ChannelContext);
   const channelConfig = propChannelConfig || channel?.getConfig();
-  const { t: contextT, userLanguage } = useContext(TranslationContext);
+  const { t: contextT } = useContext(TranslationContext);
   const t = propT || contextT;
   const groupStyles = props.groupStyles || ['single'];
   const reactionSelectorRef = useRef(null);
@@ -117,13 +127,17 @@ const MessageTeam = (props) => {
     onUserClickHandler: propOnUserClick,
     onUserHoverHandler: propOnUserHover,
   });
-  const messageTextToRender =
-    message?.i18n?.[`${userLanguage}_text`] || message?.text;
+  const { text: messageTextToRender } = useMessageTranslation(message);
   const messageMentionedUsersItem = message?.mentioned_users;
   // eslint-disable-next-line react-hooks/rules-of-hooks
   const messageText = useMemo(
-    () => renderText(messageTextToRender, messageMentionedUsersItem),
-    [messageMentionedUsersItem, messageTextToRender],
+    () =>
+      renderText(
+        messageTextToRender,
+        messageMentionedUsersItem,
+        emojiConfig?.customEmojis,
+      ),
+    [emojiConfig?.customEmojis, messageMentionedUsersItem, messageTextToRender],
   );
   const firstGroupStyle = groupStyles ? groupStyles[0] : '';
 
@@ -156,6 +170,7 @@ const MessageTeam = (props) => {
           Input={EditMessageInput}
           message={message}
           clearEditingState={clearEdit}
+          focus
           updateMessage={propUpdateMessage || channelUpdateMessage}
         />
       </div>
@@ -228,6 +243,7 @@ const MessageTeam = (props) => {
             {!initialMessage &&
               message &&
               message.status !== 'sending' &&
+              message.status !== 'queued' &&
               message.status !== 'failed' &&
               message.type !== 'system' &&
               message.type !== 'ephemeral' &&
@@ -249,18 +265,24 @@ const MessageTeam = (props) => {
 
                   {isReactionEnabled && (
                     <span
+                      aria-keyshortcuts={MESSAGE_SHORTCUTS.react}
+                      aria-label={t('Add reaction')}
                       data-testid="message-team-reaction-icon"
                       title="Reactions"
                       onClick={onReactionListClick}
+                      role="button"
                     >
                       <ReactionIcon />
                     </span>
                   )}
                   {!threadList && channelConfig?.replies !== false && (
                     <span
+                      aria-keyshortcuts={MESSAGE_SHORTCUTS.reply}
+                      aria-label={t('Reply in thread')}
                       data-testid="message-team-thread-icon"
                       title="Start a thread"
                       onClick={propHandleOpenThread || handleOpenThread}
+                      role="button"
                     >
                       <ThreadIcon />
                     </span>
@@ -288,16 +310,20 @@ const MessageTeam = (props) => {
                           props.getFlagMessageSuccessNotification
                         }
                         handleFlag={props.handleFlag}
+                        handleMarkUnread={props.handleMarkUnread}
                         handleMute={props.handleMute}
                         handleEdit={props.handleEdit}
                         handleDelete={props.handleDelete}
                         handlePin={props.handlePin}
+                        handleQuote={props.handleQuote}
+                        handleTranslate={props.handleTranslate}
                         customWrapperClass={''}
                         inline
                       />
                     )}
                 </div>
               )}
+            <QuotedMessage Avatar={Avatar} message={message} />
             {message && (
               <span
                 data-testid="message-team-message"
@@ -316,6 +342,7 @@ const MessageTeam = (props) => {
                 )}
               </span>
             )}
+            <MessageTranslationToggle message={message} />
 
             {message?.mml && (
               <MML
@@ -340,6 +367,7 @@ const MessageTeam = (props) => {
                 <ReactionsList
                   reaction_counts={message.reaction_counts || undefined}
                   handleReaction={propHandleReaction || handleReaction}
+                  messageId={message.id}
                   reactions={message.latest_reactions}
                   own_reactions={message.own_reactions}
                 />
@@ -385,6 +413,7 @@ const MessageTeam = (props) => {
               <ReactionsList
                 reaction_counts={message.reaction_counts || undefined}
                 handleReaction={propHandleReaction || handleReaction}
+                messageId={message.id}
                 reactions={message.latest_reactions}
                 own_reactions={message.own_reactions}
               />
@@ -424,6 +453,17 @@ const MessageTeamStatus = (props) => {
     readBy.length === 1 &&
     readBy[0] &&
     readBy[0].id === client.user.id;
+  if (message && message.status === 'queued') {
+    return (
+      <span
+        className="str-chat__message-team-status"
+        data-testid="message-team-queued"
+      >
+        <Tooltip>{t && t('Waiting for connection...')}</Tooltip>
+        <QueuedIcon />
+      </span>
+    );
+  }
   if (message && message.status === 'sending') {
     return (
       <span
@@ -599,6 +639,20 @@ MessageTeam.propTypes = {
    * @returns void
    * */
   handlePin: PropTypes.func,
+  /**
+   * Handler for quoting a current message in the reply being typed
+   *
+   * @param event React's MouseEventHandler event
+   * @returns void
+   * */
+  handleQuote: PropTypes.func,
+  /**
+   * Handler for marking the channel unread from a current message
+   *
+   * @param event React's MouseEventHandler event
+   * @returns Promise
+   * */
+  handleMarkUnread: PropTypes.func,
   /**
    * The handler for hover event on @mention in message
    *
@@ -1,7 +1,7 @@
 // @ts-check
 import React, { useMemo, useContext, useRef } from 'react';
 import { isOnlyEmojis, renderText } from '../../utils';
-import { TranslationContext } from '../../context';
+import { ChannelContext, TranslationContext } from '../../context';
 import {
   ReactionsList as DefaultReactionList,
   ReactionSelector as DefaultReactionSelector,
@@ -10,9 +10,11 @@ import {
   useReactionHandler,
   useReactionClick,
   useMentionsUIHandler,
+  useMessageTranslation,
 } from './hooks';
 import { messageHasReactions, messageHasAttachments } from './utils';
 import MessageOptions from './MessageOptions';
+import MessageTranslationToggle from './MessageTranslationToggle';
 
 /**
  * @type { React.FC<import('types').MessageTextProps> }
@@ -46,21 +48,25 @@ const MessageTextComponent = (props) => {
     isReactionEnabled,
   } = useReactionClick(message, reactionSelectorRef);
 
-  const { t, userLanguage } = useContext(TranslationContext);
+  const { emojiConfig } = useContext(ChannelContext);
+  const { t } = useContext(TranslationContext);
 
   const hasReactions = messageHasReactions(message);
   const hasAttachment = messageHasAttachments(message);
   const handleReaction = useReactionHandler(message);
 
-  const messageTextToRender =
-    // @ts-expect-error
-    message?.i18n?.[`${userLanguage}_text`] || message?.text;
+  const { text: messageTextToRender } = useMessageTranslation(message);
 
   const messageMentionedUsersItem = message?.mentioned_users;
 
   const messageText = useMemo(
-    () => renderText(messageTextToRender, messageMentionedUsersItem),
-    [messageMentionedUsersItem, messageTextToRender],
+    () =>
+      renderText(
+        messageTextToRender,
+        messageMentionedUsersItem,
+        emojiConfig?.customEmojis,
+      ),
+    [emojiConfig?.customEmojis, messageMentionedUsersItem, messageTextToRender],
   );
 
   const wrapperClass = customWrapperClass || 'str-chat__message-text';
@@ -109,9 +115,13 @@ const MessageTextComponent = (props) => {
           messageText
         )}
 
+        <MessageTranslationToggle message={message} />
+
         {/* if reactions show them */}
         {hasReactions && !showDetailedReactions && isReactionEnabled && (
           <ReactionsList
+            handleReaction={handleReaction}
+            messageId={message.id}
             reactions={message.latest_reactions}
             reaction_counts={message.reaction_counts || undefined}
             own_reactions={message.own_reactions}
@@ -0,0 +1,67 @@
+// @ts-check
+import React, { useContext } from 'react';
+import { TranslationContext } from '../../context';
+import { useMessageTranslation } from './hooks';
+
+/**
+ * Name of a language in the language of the user, e.g. `French` for `fr`,
+ * falls back to the language code when the browser cannot name it
+ * @param {string} language
+ * @param {string} [userLanguage]
+ */
+const getLanguageName = (language, userLanguage) => {
+  try {
+    // @ts-expect-error Intl.DisplayNames is missing from the typescript lib
+    const displayNames = new Intl.DisplayNames([userLanguage || 'en'], {
+      type: 'language',
+    });
+    return displayNames.of(language) || language;
+  } catch (e) {
+    return language;
+  }
+};
+
+/**
+ * MessageTranslationToggle - Marks a message shown translated in the language of the user
+ * and switches between its translation and its original text
+ * @type { React.FC<import('types').MessageTranslationProps> }
+ */
+const MessageTranslationToggle = ({ message }) => {
+  const { t, userLanguage } = useContext(TranslationContext);
+  const {
+    hasTranslation,
+    isTranslated,
+    originalLanguage,
+    toggleTranslation,
+  } = useMessageTranslation(message);
+
+  if (!hasTranslation) return null;
+
+  return (
+    <div
+      className="str-chat__message-translation"
+      data-testid="message-translation"
+    >
+      {isTranslated && originalLanguage && (
+        <span className="str-chat__message-translation__language">
+          {t('Translated from {{ language }}', {
+            language: getLanguageName(originalLanguage, userLanguage),
+          })}
+        </span>
+      )}
+      <button
+        className="str-chat__message-translation__toggle"
+        data-testid="message-translation-toggle"
+        onClick={(event) => {
+          // the click would open the thread or the reactions of the message
+          event.stopPropagation();
+          toggleTranslation();
+        }}
+      >
+        {isTranslated ? t('Show original') : t('Show translation')}
+      </button>
+    </div>
+  );
+};
+
+export default React.memo(MessageTranslationToggle);
@@ -0,0 +1,74 @@
+// @ts-check
+import React, { useContext } from 'react';
+import PropTypes from 'prop-types';
+
+import { Avatar as DefaultAvatar } from '../Avatar';
+import { ChannelContext, TranslationContext } from '../../context';
+import { useMessageTranslation } from './hooks';
+
+/**
+ * QuotedMessage - The message a reply quotes, displayed above the reply. Clicking it jumps to the quoted message in the list.
+ * @type { React.FC<import('types').QuotedMessageProps> }
+ */
+const QuotedMessage = ({ Avatar = DefaultAvatar, message }) => {
+  const { jumpToMessage } = useContext(ChannelContext);
+  const { t } = useContext(TranslationContext);
+
+  const quotedMessage = /** @type {import('types').StreamChatReactMessageResponse | undefined} */ (message?.quoted_message);
+  const { text: quotedMessageText } = useMessageTranslation(quotedMessage);
+  if (!quotedMessage) return null;
+
+  const deleted =
+    quotedMessage.type === 'deleted' || !!quotedMessage.deleted_at;
+
+  // thread replies which are not shown in the channel cannot be jumped to
+  const canJump =
+    !!jumpToMessage &&
+    !deleted &&
+    (!quotedMessage.parent_id || !!quotedMessage.show_in_channel);
+
+  let content = quotedMessageText;
+  if (deleted) {
+    content = t('This message was deleted...');
+  } else if (!quotedMessageText && quotedMessage.attachments?.length) {
+    content = t('🏙 Attachment...');
+  }
+
+  return (
+    <button
+      className="str-chat__quoted-message"
+      data-testid="quoted-message"
+      disabled={!canJump}
+      onClick={(event) => {
+        event.stopPropagation();
+        if (canJump && jumpToMessage) jumpToMessage(quotedMessage.id);
+      }}
+      type="button"
+    >
+      <Avatar
+        image={quotedMessage.user?.image}
+        name={quotedMessage.user?.name || quotedMessage.user?.id}
+        size={20}
+      />
+      <div className="str-chat__quoted-message-content">
+        <strong className="str-chat__quoted-message-author">
+          {quotedMessage.user?.name || quotedMessage.user?.id}
+        </strong>
+        <span className="str-chat__quoted-message-text">{content}</span>
+      </div>
+    </button>
+  );
+};
+
+QuotedMessage.propTypes = {
+  /** The [message object](https://getstream.io/chat/docs/#message_format) replying with a quote */
+  message: /** @type {PropTypes.Validator<import('stream-chat').MessageResponse>} */ (PropTypes.object),
+  /**
+   * Custom UI component to display user avatar
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+};
+
+export default React.memo(QuotedMessage);
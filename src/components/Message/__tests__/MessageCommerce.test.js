@@ -339,6 +339,16 @@ describe('<MessageCommerce />', () => {
     expect(queryByTestId(messageCommerceActionsTestId)).toBeNull();
   });
 
+  it('should render the message quoted by the message', async () => {
+    const quotedMessage = generateAliceMessage({ text: 'The quoted text' });
+    const message = generateAliceMessage({
+      quoted_message: quotedMessage,
+      quoted_message_id: quotedMessage.id,
+    });
+    const { getByTestId } = await renderMessageCommerce(message);
+    expect(getByTestId('quoted-message')).toHaveTextContent('The quoted text');
+  });
+
   it('should render MML', async () => {
     const mml = '<mml>text</mml>';
     const message = generateAliceMessage({ mml });
@@ -111,6 +111,16 @@ describe('<MessageLivestream />', () => {
     expect(getByTestId('custom-message-deleted')).toBeInTheDocument();
   });
 
+  it('should render the message quoted by the message', async () => {
+    const quotedMessage = generateAliceMessage({ text: 'The quoted text' });
+    const message = generateAliceMessage({
+      quoted_message: quotedMessage,
+      quoted_message_id: quotedMessage.id,
+    });
+    const { getByTestId } = await renderMessageLivestream(message);
+    expect(getByTestId('quoted-message')).toHaveTextContent('The quoted text');
+  });
+
   it('should render reaction selector with custom component when one is given', async () => {
     const message = generateAliceMessage({ text: undefined });
     const customSelectorTestId = 'custom-reaction-selector';
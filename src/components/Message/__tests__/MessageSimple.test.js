@@ -261,6 +261,13 @@ describe('<MessageSimple />', () => {
     expect(getByTestId('message-status-sending')).toBeInTheDocument();
   });
 
+  it('should render queued status when the message is waiting for the connection', async () => {
+    const message = generateAliceMessage({ status: 'queued' });
+    const { getByTestId, queryByTestId } = await renderMessageSimple(message);
+    expect(getByTestId('message-status-queued')).toBeInTheDocument();
+    expect(queryByTestId('message-status-sending')).not.toBeInTheDocument();
+  });
+
   it('should render the "read by" status when the message is not part of a thread and was read by another chat members', async () => {
     const message = generateAliceMessage();
     const { getByTestId } = await renderMessageSimple(message, {
@@ -336,6 +343,16 @@ describe('<MessageSimple />', () => {
     );
   });
 
+  it('should render the message quoted by the message', async () => {
+    const quotedMessage = generateAliceMessage({ text: 'The quoted text' });
+    const message = generateAliceMessage({
+      quoted_message: quotedMessage,
+      quoted_message_id: quotedMessage.id,
+    });
+    const { getByTestId } = await renderMessageSimple(message);
+    expect(getByTestId('quoted-message')).toHaveTextContent('The quoted text');
+  });
+
   it('should render MML', async () => {
     const mml = '<mml>text</mml>';
     const message = generateAliceMessage({ mml });
@@ -246,6 +246,16 @@ describe('<MessageTeam />', () => {
     );
   });
 
+  it('should render the message quoted by the message', async () => {
+    const quotedMessage = generateAliceMessage({ text: 'The quoted text' });
+    const message = generateAliceMessage({
+      quoted_message: quotedMessage,
+      quoted_message_id: quotedMessage.id,
+    });
+    const { getByTestId } = await renderMessageTeam(message);
+    expect(getByTestId('quoted-message')).toHaveTextContent('The quoted text');
+  });
+
   it('should render MML', async () => {
     const mml = '<mml>text</mml>';
     const message = generateAliceMessage({ mml });
@@ -587,6 +597,12 @@ describe('<MessageTeam />', () => {
     expect(getByTestId('message-team-sending')).toBeInTheDocument();
   });
 
+  it('should display queued status when message is waiting for the connection', async () => {
+    const message = generateAliceMessage({ status: 'queued' });
+    const { getByTestId } = await renderMessageTeam(message);
+    expect(getByTestId('message-team-queued')).toBeInTheDocument();
+  });
+
   it('should show users that read the message when it was read by another user that not the message owner', async () => {
     const message = generateAliceMessage();
     const { getByText } = await renderMessageTeam(message, {
@@ -12,6 +12,7 @@ import {
 } from 'mock-builders';
 import { ChannelContext, TranslationContext } from '../../../context';
 import MessageText from '../MessageText';
+import { toEmojiMartCustomEmoji } from '../../Channel/emojiData';
 import MessageOptionsMock from '../MessageOptions';
 
 jest.mock('../MessageOptions', () => jest.fn(() => <div />));
@@ -39,6 +40,7 @@ async function renderMessageText(
   customProps,
   channelConfig = {},
   renderer = render,
+  channelContext = {},
 ) {
   const client = await getTestClientWithUser(alice);
   const channel = generateChannel({
@@ -54,6 +56,7 @@ async function renderMessageText(
         emojiConfig: emojiMockConfig,
         onMentionsHover: onMentionsHoverMock,
         onMentionsClick: onMentionsClickMock,
+        ...channelContext,
       }}
     >
       <TranslationContext.Provider
@@ -186,6 +189,98 @@ describe('<MessageText />', () => {
     const { getByText } = await renderMessageText({ message });
 
     expect(getByText('hello')).toBeInTheDocument();
+    expect(getByText('Translated from {{ language }}')).toBeInTheDocument();
+  });
+
+  it('should display the original text of a translated message in a channel which is not auto translated', async () => {
+    const setShowTranslation = jest.fn();
+    const message = generateAliceMessage({
+      text: 'bonjour',
+      i18n: { fr_text: 'bonjour', en_text: 'hello', language: 'fr' },
+    });
+
+    const { getByText, queryByText } = await renderMessageText(
+      { message },
+      {},
+      render,
+      { autoTranslate: false, setShowTranslation },
+    );
+
+    expect(getByText('bonjour')).toBeInTheDocument();
+    expect(queryByText('hello')).not.toBeInTheDocument();
+    fireEvent.click(getByText('Show translation'));
+    expect(setShowTranslation).toHaveBeenCalledWith(message.id, true);
+  });
+
+  it('should display the translation the user chose to show with a toggle to show the original text', async () => {
+    const setShowTranslation = jest.fn();
+    const message = generateAliceMessage({
+      text: 'bonjour',
+      i18n: { fr_text: 'bonjour', en_text: 'hello', language: 'fr' },
+    });
+
+    const { getByText } = await renderMessageText({ message }, {}, render, {
+      autoTranslate: false,
+      setShowTranslation,
+      shownTranslations: { [message.id]: true },
+    });
+
+    expect(getByText('hello')).toBeInTheDocument();
+    fireEvent.click(getByText('Show original'));
+    expect(setShowTranslation).toHaveBeenCalledWith(message.id, false);
+  });
+
+  it('should display the original text the user chose to show', async () => {
+    const message = generateAliceMessage({
+      text: 'bonjour',
+      i18n: { fr_text: 'bonjour', en_text: 'hello', language: 'fr' },
+    });
+
+    const { getByText } = await renderMessageText({ message }, {}, render, {
+      shownTranslations: { [message.id]: false },
+    });
+
+    expect(getByText('bonjour')).toBeInTheDocument();
+    expect(getByText('Show translation')).toBeInTheDocument();
+  });
+
+  it('should not display the translation toggle when the message is in the language of the user', async () => {
+    const message = generateAliceMessage({
+      text: 'hello',
+      i18n: { fr_text: 'bonjour', en_text: 'hello', language: 'en' },
+    });
+
+    const { queryByTestId } = await renderMessageText({ message });
+
+    expect(queryByTestId('message-translation')).not.toBeInTheDocument();
+  });
+
+  it('should display the custom emojis of the message as images', async () => {
+    const message = generateAliceMessage({ text: 'hello :stream_logo: :+1:' });
+
+    const { getByAltText, getByTestId } = await renderMessageText(
+      { message },
+      {},
+      render,
+      {
+        emojiConfig: {
+          ...emojiMockConfig,
+          customEmojis: [
+            toEmojiMartCustomEmoji({
+              id: 'stream_logo',
+              imageUrl: 'https://example.com/stream.png',
+              name: 'Stream Logo',
+            }),
+          ],
+        },
+      },
+    );
+
+    expect(getByAltText(':stream_logo:')).toHaveAttribute(
+      'src',
+      'https://example.com/stream.png',
+    );
+    expect(getByTestId(messageTextTestId)).toHaveTextContent(':+1:');
   });
 
   it('should show reaction list if message has reactions and detailed reactions are not displayed', async () => {
@@ -0,0 +1,72 @@
+import React from 'react';
+import { fireEvent, render } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { generateMessage, generateUser } from 'mock-builders';
+import QuotedMessage from '../QuotedMessage';
+import { TranslationContext, ChannelContext } from '../../../context';
+
+const alice = generateUser({ name: 'alice' });
+const jumpToMessageMock = jest.fn();
+
+function renderComponent(message) {
+  const t = jest.fn((key) => key);
+  return render(
+    <ChannelContext.Provider value={{ jumpToMessage: jumpToMessageMock }}>
+      <TranslationContext.Provider value={{ t }}>
+        <QuotedMessage message={message} />
+      </TranslationContext.Provider>
+    </ChannelContext.Provider>,
+  );
+}
+
+const quotingMessage = (quotedMessage) =>
+  generateMessage({
+    quoted_message: quotedMessage,
+    quoted_message_id: quotedMessage.id,
+  });
+
+describe('QuotedMessage component', () => {
+  afterEach(jest.clearAllMocks);
+
+  it('should render nothing if the message does not quote another one', () => {
+    const { container } = renderComponent(generateMessage());
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should render the author and the text of the quoted message', () => {
+    const quotedMessage = generateMessage({ text: 'quoted', user: alice });
+    const { getByText } = renderComponent(quotingMessage(quotedMessage));
+    expect(getByText('alice')).toBeInTheDocument();
+    expect(getByText('quoted')).toBeInTheDocument();
+  });
+
+  it('should jump to the quoted message when clicked', () => {
+    const quotedMessage = generateMessage({ user: alice });
+    const { getByTestId } = renderComponent(quotingMessage(quotedMessage));
+    fireEvent.click(getByTestId('quoted-message'));
+    expect(jumpToMessageMock).toHaveBeenCalledWith(quotedMessage.id);
+  });
+
+  it('should inform that the quoted message was deleted and not jump to it', () => {
+    const quotedMessage = generateMessage({
+      deleted_at: new Date().toISOString(),
+      type: 'deleted',
+      user: alice,
+    });
+    const { getByTestId, getByText } = renderComponent(
+      quotingMessage(quotedMessage),
+    );
+    expect(getByText('This message was deleted...')).toBeInTheDocument();
+    fireEvent.click(getByTestId('quoted-message'));
+    expect(jumpToMessageMock).not.toHaveBeenCalled();
+  });
+
+  it('should not jump to a quoted thread reply which is not shown in the channel', () => {
+    const quotedMessage = generateMessage({
+      parent_id: 'parent-id',
+      user: alice,
+    });
+    const { getByTestId } = renderComponent(quotingMessage(quotedMessage));
+    expect(getByTestId('quoted-message')).toBeDisabled();
+  });
+});
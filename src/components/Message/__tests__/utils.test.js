@@ -74,10 +74,13 @@ describe('Message utils', () => {
       canDelete: true,
       canEdit: true,
       canFlag: true,
+      canMarkUnread: true,
       canMute: true,
       canPin: true,
+      canQuote: true,
       canReply: true,
       canReact: true,
+      canTranslate: true,
     };
     const actions = Object.values(MESSAGE_ACTIONS);
 
@@ -105,8 +108,14 @@ describe('Message utils', () => {
       ['not allow', 'delete', 'canDelete', false],
       ['allow', 'flag', 'canFlag', true],
       ['not allow', 'flag', 'canFlag', false],
+      ['allow', 'markUnread', 'canMarkUnread', true],
+      ['not allow', 'markUnread', 'canMarkUnread', false],
       ['allow', 'mute', 'canMute', true],
       ['not allow', 'mute', 'canMute', false],
+      ['allow', 'quote', 'canQuote', true],
+      ['not allow', 'quote', 'canQuote', false],
+      ['allow', 'translate', 'canTranslate', true],
+      ['not allow', 'translate', 'canTranslate', false],
     ])(
       'it should %s %s when %s is %s',
       (_, action, capabilityKey, capabilityValue) => {
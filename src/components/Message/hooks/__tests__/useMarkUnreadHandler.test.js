@@ -0,0 +1,70 @@
+import React from 'react';
+import { renderHook } from '@testing-library/react-hooks';
+import { generateMessage } from 'mock-builders';
+import { ChannelContext } from '../../../../context';
+import { useMarkUnreadHandler } from '../useMarkUnreadHandler';
+
+const markUnreadMock = jest.fn(() => Promise.resolve());
+const notifyMock = jest.fn();
+const mouseEventMock = {
+  preventDefault: jest.fn(() => {}),
+};
+
+function renderUseMarkUnreadHandlerHook(
+  message = generateMessage(),
+  markUnread = markUnreadMock,
+) {
+  const wrapper = ({ children }) => (
+    <ChannelContext.Provider
+      value={{
+        markUnread,
+      }}
+    >
+      {children}
+    </ChannelContext.Provider>
+  );
+  const { result } = renderHook(
+    () => useMarkUnreadHandler(message, { notify: notifyMock }),
+    {
+      wrapper,
+    },
+  );
+  return result.current;
+}
+
+describe('useMarkUnreadHandler custom hook', () => {
+  afterEach(jest.clearAllMocks);
+  it('should return a function', () => {
+    const handleMarkUnread = renderUseMarkUnreadHandlerHook();
+    expect(typeof handleMarkUnread).toBe('function');
+  });
+
+  it('should mark the channel unread from the message', async () => {
+    const message = generateMessage();
+    const handleMarkUnread = renderUseMarkUnreadHandlerHook(message);
+    await handleMarkUnread(mouseEventMock);
+    expect(mouseEventMock.preventDefault).toHaveBeenCalledTimes(1);
+    expect(markUnreadMock).toHaveBeenCalledWith(message.id);
+    expect(notifyMock).not.toHaveBeenCalled();
+  });
+
+  it('should notify the user when the channel could not be marked unread', async () => {
+    const handleMarkUnread = renderUseMarkUnreadHandlerHook(
+      generateMessage(),
+      jest.fn(() => Promise.reject(new Error('failed'))),
+    );
+    await handleMarkUnread(mouseEventMock);
+    expect(notifyMock).toHaveBeenCalledWith(
+      'Error marking message unread',
+      'error',
+    );
+  });
+
+  it('should warn user if it is called without a message', async () => {
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => {});
+    const handleMarkUnread = renderUseMarkUnreadHandlerHook(null);
+    await handleMarkUnread(mouseEventMock);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(markUnreadMock).not.toHaveBeenCalled();
+  });
+});
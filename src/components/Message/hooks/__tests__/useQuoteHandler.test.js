@@ -0,0 +1,60 @@
+import React from 'react';
+import { renderHook } from '@testing-library/react-hooks';
+import { generateMessage } from 'mock-builders';
+import { ChannelContext } from '../../../../context';
+import { useQuoteHandler } from '../useQuoteHandler';
+
+const setQuotedMessageMock = jest.fn();
+const mouseEventMock = {
+  preventDefault: jest.fn(() => {}),
+};
+
+function renderUseQuoteHandlerHook(
+  message = generateMessage(),
+  setQuotedMessage = setQuotedMessageMock,
+) {
+  const wrapper = ({ children }) => (
+    <ChannelContext.Provider
+      value={{
+        setQuotedMessage,
+      }}
+    >
+      {children}
+    </ChannelContext.Provider>
+  );
+  const { result } = renderHook(() => useQuoteHandler(message), {
+    wrapper,
+  });
+  return result.current;
+}
+
+describe('useQuoteHandler custom hook', () => {
+  afterEach(jest.clearAllMocks);
+  it('should return a function', () => {
+    const handleQuote = renderUseQuoteHandlerHook();
+    expect(typeof handleQuote).toBe('function');
+  });
+
+  it('should set the message as the quoted message of the channel', () => {
+    const message = generateMessage();
+    const handleQuote = renderUseQuoteHandlerHook(message);
+    handleQuote(mouseEventMock);
+    expect(mouseEventMock.preventDefault).toHaveBeenCalledTimes(1);
+    expect(setQuotedMessageMock).toHaveBeenCalledWith(message);
+  });
+
+  it('should warn user if it is called without a message', () => {
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => {});
+    const handleQuote = renderUseQuoteHandlerHook(null);
+    handleQuote(mouseEventMock);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(setQuotedMessageMock).not.toHaveBeenCalled();
+  });
+
+  it('should warn user if setQuotedMessage is not defined in the channel context', () => {
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => {});
+    const handleQuote = renderUseQuoteHandlerHook(generateMessage(), null);
+    handleQuote(mouseEventMock);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -180,7 +180,7 @@ describe('useReactionClick custom hook', () => {
       );
     act(() => result.current.onReactionListClick());
     expect(result.current.showDetailedReactions).toBe(true);
-    expect(document.addEventListener).toHaveBeenCalledTimes(2);
+    expect(document.addEventListener).toHaveBeenCalledTimes(3);
     expect(document.addEventListener).toHaveBeenCalledWith(
       'click',
       expect.any(Function),
@@ -194,6 +194,20 @@ describe('useReactionClick custom hook', () => {
     addEventListenerSpy.mockRestore();
   });
 
+  it('should close reaction list when the Escape key is pressed', () => {
+    const { result } = renderUseReactionClickHook();
+    act(() => result.current.onReactionListClick());
+    expect(result.current.showDetailedReactions).toBe(true);
+    act(() => {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    });
+    expect(result.current.showDetailedReactions).toBe(true);
+    act(() => {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    });
+    expect(result.current.showDetailedReactions).toBe(false);
+  });
+
   it('should set event listener to message wrapper reference when one is set', () => {
     const mockMessageWrapperReference = {
       current: {
@@ -0,0 +1,87 @@
+import React from 'react';
+import { renderHook } from '@testing-library/react-hooks';
+import { generateMessage } from 'mock-builders';
+import { ChannelContext, TranslationContext } from '../../../../context';
+import { useTranslateHandler } from '../useTranslateHandler';
+
+const i18n = { en_text: 'hello', fr_text: 'bonjour', language: 'fr' };
+const translateMessageMock = jest.fn((messageId) =>
+  Promise.resolve({ message: { id: messageId, i18n } }),
+);
+const updateMessageMock = jest.fn();
+const setShowTranslationMock = jest.fn();
+const notifyMock = jest.fn();
+const mouseEventMock = {
+  preventDefault: jest.fn(() => {}),
+};
+
+function renderUseTranslateHandlerHook(
+  message = generateMessage({ text: 'bonjour' }),
+  translateMessage = translateMessageMock,
+  userLanguage = 'en',
+) {
+  const wrapper = ({ children }) => (
+    <ChannelContext.Provider
+      value={{
+        client: { translateMessage },
+        setShowTranslation: setShowTranslationMock,
+        updateMessage: updateMessageMock,
+      }}
+    >
+      <TranslationContext.Provider value={{ t: (key) => key, userLanguage }}>
+        {children}
+      </TranslationContext.Provider>
+    </ChannelContext.Provider>
+  );
+  const { result } = renderHook(
+    () => useTranslateHandler(message, { notify: notifyMock }),
+    {
+      wrapper,
+    },
+  );
+  return result.current;
+}
+
+describe('useTranslateHandler custom hook', () => {
+  afterEach(jest.clearAllMocks);
+  it('should return a function', () => {
+    const handleTranslate = renderUseTranslateHandlerHook();
+    expect(typeof handleTranslate).toBe('function');
+  });
+
+  it('should translate the message in the language of the user and show the translation', async () => {
+    const message = generateMessage({ text: 'bonjour' });
+    const handleTranslate = renderUseTranslateHandlerHook(message);
+    await handleTranslate(mouseEventMock);
+    expect(mouseEventMock.preventDefault).toHaveBeenCalledTimes(1);
+    expect(translateMessageMock).toHaveBeenCalledWith(message.id, 'en');
+    expect(updateMessageMock).toHaveBeenCalledWith({ ...message, i18n });
+    expect(setShowTranslationMock).toHaveBeenCalledWith(message.id, true);
+    expect(notifyMock).not.toHaveBeenCalled();
+  });
+
+  it('should notify the user when the message could not be translated', async () => {
+    const handleTranslate = renderUseTranslateHandlerHook(
+      generateMessage({ text: 'bonjour' }),
+      jest.fn(() => Promise.reject(new Error('failed'))),
+    );
+    await handleTranslate(mouseEventMock);
+    expect(updateMessageMock).not.toHaveBeenCalled();
+    expect(notifyMock).toHaveBeenCalledWith(
+      'Error translating message',
+      'error',
+    );
+  });
+
+  it('should warn user if the language of the user is not set', async () => {
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => {});
+    const handleTranslate = renderUseTranslateHandlerHook(
+      generateMessage({ text: 'bonjour' }),
+      translateMessageMock,
+      '',
+    );
+    await handleTranslate(mouseEventMock);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(translateMessageMock).not.toHaveBeenCalled();
+  });
+});
@@ -2,11 +2,16 @@ export * from './useActionHandler';
 export * from './useDeleteHandler';
 export * from './useEditHandler';
 export * from './useFlagHandler';
+export * from './useMarkUnreadHandler';
+export * from './useMenuKeyboardNavigation';
 export * from './useMentionsHandler';
+export * from './useMessageTranslation';
 export * from './useMuteHandler';
 export * from './useOpenThreadHandler';
 export * from './usePinHandler';
+export * from './useQuoteHandler';
 export * from './useReactionHandler';
 export * from './useRetryHandler';
+export * from './useTranslateHandler';
 export * from './useUserHandler';
 export * from './useUserRole';
@@ -0,0 +1,32 @@
+// @ts-check
+import { useContext } from 'react';
+import { ChannelContext, TranslationContext } from '../../../context';
+
+/**
+ * @type {import('types').useMarkUnreadHandler}
+ */
+export const useMarkUnreadHandler = (message, notifications = {}) => {
+  const { notify } = notifications;
+  /**
+   * @type{import('types').ChannelContextValue}
+   */
+  const { markUnread } = useContext(ChannelContext);
+  const { t } = useContext(TranslationContext);
+
+  return async (event) => {
+    if (event && event.preventDefault) {
+      event.preventDefault();
+    }
+    if (!markUnread || !message) {
+      console.warn(
+        'Mark unread handler was called but it is missing one of its parameters',
+      );
+      return;
+    }
+    try {
+      await markUnread(message.id);
+    } catch (e) {
+      if (notify) notify(t('Error marking message unread'), 'error');
+    }
+  };
+};
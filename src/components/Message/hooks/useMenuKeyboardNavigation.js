@@ -0,0 +1,85 @@
+// @ts-check
+import { useCallback, useEffect, useRef } from 'react';
+
+const menuItemSelector = '[role="menuitem"]:not([disabled])';
+
+/**
+ * Keyboard interactions of a menu, like the message actions or the reaction selector:
+ * the first item gets the focus when the menu opens, the arrow keys, Home and End move it between the items,
+ * Tab keeps it in the menu and Escape closes the menu. The focus goes back where it was once the menu is closed.
+ *
+ * @type {import('types').useMenuKeyboardNavigation}
+ */
+export const useMenuKeyboardNavigation = ({
+  onClose,
+  open,
+  orientation = 'vertical',
+}) => {
+  const menuRef = useRef(/** @type {HTMLElement | null} */ (null));
+
+  useEffect(() => {
+    const menu = menuRef.current;
+    if (!open || !menu) return undefined;
+
+    const previousFocus = document.activeElement;
+    const firstItem = menu.querySelector(menuItemSelector);
+    if (firstItem instanceof HTMLElement) firstItem.focus();
+
+    return () => {
+      // unless the user moved the focus somewhere else meanwhile
+      if (
+        previousFocus instanceof HTMLElement &&
+        (menu.contains(document.activeElement) ||
+          document.activeElement === document.body)
+      ) {
+        previousFocus.focus();
+      }
+    };
+  }, [open]);
+
+  const onKeyDown = useCallback(
+    /** @param {React.KeyboardEvent} event */
+    (event) => {
+      const menu = menuRef.current;
+      if (!menu) return;
+
+      const items = Array.from(menu.querySelectorAll(menuItemSelector));
+      const index = items.findIndex((item) => item === document.activeElement);
+      const [previousKey, nextKey] =
+        orientation === 'horizontal'
+          ? ['ArrowLeft', 'ArrowRight']
+          : ['ArrowUp', 'ArrowDown'];
+
+      let nextIndex;
+      if (event.key === nextKey || (event.key === 'Tab' && !event.shiftKey)) {
+        nextIndex = (index + 1) % items.length;
+      } else if (event.key === previousKey || event.key === 'Tab') {
+        nextIndex = (index - 1 + items.length) % items.length;
+      } else if (event.key === 'Home') {
+        nextIndex = 0;
+      } else if (event.key === 'End') {
+        nextIndex = items.length - 1;
+      } else if (event.key === 'Escape' && onClose) {
+        onClose();
+      } else if (
+        (event.key === 'Enter' || event.key === ' ') &&
+        items[index] instanceof HTMLElement &&
+        items[index].tagName !== 'BUTTON'
+      ) {
+        // buttons are activated by the browser itself
+        /** @type {HTMLElement} */ (items[index]).click();
+      } else {
+        return;
+      }
+
+      event.preventDefault();
+      // the message list would move the focus to another message
+      event.stopPropagation();
+      const nextItem = nextIndex === undefined ? null : items[nextIndex];
+      if (nextItem instanceof HTMLElement) nextItem.focus();
+    },
+    [onClose, orientation],
+  );
+
+  return { menuRef, onKeyDown };
+};
@@ -0,0 +1,50 @@
+// @ts-check
+import { useCallback, useContext } from 'react';
+import { ChannelContext, TranslationContext } from '../../../context';
+
+/**
+ * The text of a message to render: its translation in the language of the user, unless the channel
+ * is not auto translated or the user chose to show the original text
+ * @type {import('types').useMessageTranslation}
+ */
+export const useMessageTranslation = (message) => {
+  /**
+   * @type{import('types').ChannelContextValue}
+   */
+  const {
+    autoTranslate = true,
+    setShowTranslation,
+    shownTranslations,
+  } = useContext(ChannelContext);
+  const { userLanguage } = useContext(TranslationContext);
+
+  const originalLanguage = message?.i18n?.language;
+  /** @type {string | undefined} */
+  const translatedText = userLanguage
+    ? // @ts-expect-error
+      message?.i18n?.[`${userLanguage}_text`]
+    : undefined;
+  const hasTranslation =
+    !!translatedText && !!message?.text && originalLanguage !== userLanguage;
+  const shownTranslation = message?.id
+    ? shownTranslations?.[message.id]
+    : undefined;
+  const isTranslated =
+    hasTranslation &&
+    (shownTranslation !== undefined ? shownTranslation : autoTranslate);
+
+  const messageId = message?.id;
+  const toggleTranslation = useCallback(() => {
+    if (messageId && setShowTranslation) {
+      setShowTranslation(messageId, !isTranslated);
+    }
+  }, [isTranslated, messageId, setShowTranslation]);
+
+  return {
+    hasTranslation,
+    isTranslated,
+    originalLanguage,
+    text: isTranslated ? translatedText : message?.text,
+    toggleTranslation,
+  };
+};
@@ -0,0 +1,26 @@
+// @ts-check
+import { useContext } from 'react';
+import { ChannelContext } from '../../../context';
+
+/**
+ * @type {import('types').useQuoteHandler}
+ */
+export const useQuoteHandler = (message) => {
+  /**
+   * @type{import('types').ChannelContextValue}
+   */
+  const { setQuotedMessage } = useContext(ChannelContext);
+
+  return (event) => {
+    if (event && event.preventDefault) {
+      event.preventDefault();
+    }
+    if (!setQuotedMessage || !message) {
+      console.warn(
+        'Quote handler was called but it is missing one of its parameters',
+      );
+      return;
+    }
+    setQuotedMessage(message);
+  };
+};
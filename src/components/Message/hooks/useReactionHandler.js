@@ -102,11 +102,19 @@ export const useReactionClick = (
     },
     [setShowDetailedReactions, reactionSelectorRef],
   );
+  /** @type {(event: KeyboardEvent) => void} */
+  const closeDetailedReactionsOnEscape = useCallback(
+    (event) => {
+      if (event.key === 'Escape') setShowDetailedReactions(false);
+    },
+    [setShowDetailedReactions],
+  );
 
   useEffect(() => {
     const messageWrapper = messageWrapperRef?.current;
     if (showDetailedReactions && !hasListener.current) {
       hasListener.current = true;
+      document.addEventListener('keydown', closeDetailedReactionsOnEscape);
       document.addEventListener('click', closeDetailedReactions);
       document.addEventListener('touchend', closeDetailedReactions);
       if (messageWrapper) {
@@ -116,6 +124,7 @@ export const useReactionClick = (
     if (!showDetailedReactions && hasListener.current) {
       document.removeEventListener('click', closeDetailedReactions);
       document.removeEventListener('touchend', closeDetailedReactions);
+      document.removeEventListener('keydown', closeDetailedReactionsOnEscape);
       if (messageWrapper) {
         messageWrapper.removeEventListener(
           'mouseleave',
@@ -128,6 +137,7 @@ export const useReactionClick = (
       if (hasListener.current) {
         document.removeEventListener('click', closeDetailedReactions);
         document.removeEventListener('touchend', closeDetailedReactions);
+        document.removeEventListener('keydown', closeDetailedReactionsOnEscape);
         if (messageWrapper) {
           messageWrapper.removeEventListener(
             'mouseleave',
@@ -137,13 +147,19 @@ export const useReactionClick = (
         hasListener.current = false;
       }
     };
-  }, [showDetailedReactions, closeDetailedReactions, messageWrapperRef]);
+  }, [
+    showDetailedReactions,
+    closeDetailedReactions,
+    closeDetailedReactionsOnEscape,
+    messageWrapperRef,
+  ]);
 
   useEffect(() => {
     const messageWrapper = messageWrapperRef?.current;
     if (messageDeleted && hasListener.current) {
       document.removeEventListener('click', closeDetailedReactions);
       document.removeEventListener('touchend', closeDetailedReactions);
+      document.removeEventListener('keydown', closeDetailedReactionsOnEscape);
       if (messageWrapper) {
         messageWrapper.removeEventListener(
           'mouseleave',
@@ -152,7 +168,12 @@ export const useReactionClick = (
       }
       hasListener.current = false;
     }
-  }, [messageDeleted, closeDetailedReactions, messageWrapperRef]);
+  }, [
+    messageDeleted,
+    closeDetailedReactions,
+    closeDetailedReactionsOnEscape,
+    messageWrapperRef,
+  ]);
 
   /** @type {() => void} Typescript syntax */
   const onReactionListClick = () => {
@@ -0,0 +1,40 @@
+// @ts-check
+import { useContext } from 'react';
+import { ChannelContext, TranslationContext } from '../../../context';
+
+/**
+ * @type {import('types').useTranslateHandler}
+ */
+export const useTranslateHandler = (message, notifications = {}) => {
+  const { notify } = notifications;
+  /**
+   * @type{import('types').ChannelContextValue}
+   */
+  const { client, setShowTranslation, updateMessage } = useContext(
+    ChannelContext,
+  );
+  const { t, userLanguage } = useContext(TranslationContext);
+
+  return async (event) => {
+    if (event && event.preventDefault) {
+      event.preventDefault();
+    }
+    if (!client || !message || !userLanguage) {
+      console.warn(
+        'Translate handler was called but it is missing one of its parameters',
+      );
+      return;
+    }
+    try {
+      const response = await client.translateMessage(message.id, userLanguage);
+      // the translated message is returned in the message field of the response
+      const { i18n } =
+        /** @type {{ message?: import('stream-chat').MessageResponse }} */ (response)
+          .message || response;
+      if (updateMessage) updateMessage({ ...message, i18n });
+      if (setShowTranslation) setShowTranslation(message.id, true);
+    } catch (e) {
+      if (notify) notify(t('Error translating message'), 'error');
+    }
+  };
+};
@@ -20,6 +20,16 @@ export const DeliveredCheckIcon = () => (
   </svg>
 );
 
+export const QueuedIcon = () => (
+  <svg width="16" height="16" xmlns="http://www.w3.org/2000/svg">
+    <path
+      d="M8 0a8 8 0 1 1 0 16A8 8 0 0 1 8 0zm0 1.5a6.5 6.5 0 1 0 0 13 6.5 6.5 0 0 0 0-13zM8.75 4v3.69l2.28 2.28-1.06 1.06-2.72-2.72V4h1.5z"
+      fill="#006CFF"
+      fillRule="evenodd"
+    />
+  </svg>
+);
+
 export const ReactionIcon = () => (
   <svg
     xmlns="http://www.w3.org/2000/svg"
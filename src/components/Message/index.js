@@ -6,7 +6,9 @@ export { default as MessageTeam } from './MessageTeam';
 export { default as MessageRepliesCountButton } from './MessageRepliesCountButton';
 export { default as MessageOptions } from './MessageOptions';
 export { default as MessageText } from './MessageText';
+export { default as MessageTranslationToggle } from './MessageTranslationToggle';
 export { default as MessageDeleted } from './MessageDeleted';
+export { default as QuotedMessage } from './QuotedMessage';
 export { default as FixedHeightMessage } from './FixedHeightMessage';
 export * from './hooks';
 export * from './utils';
@@ -39,10 +39,24 @@ export const MESSAGE_ACTIONS = {
   edit: 'edit',
   delete: 'delete',
   flag: 'flag',
+  markUnread: 'markUnread',
   mute: 'mute',
   pin: 'pin',
+  quote: 'quote',
   react: 'react',
   reply: 'reply',
+  translate: 'translate',
+};
+
+/**
+ * Keys triggering the controls of the message which has the focus in a MessageList,
+ * the controls declare them with the `aria-keyshortcuts` attribute
+ */
+export const MESSAGE_SHORTCUTS = {
+  actions: 'Enter',
+  edit: 'E',
+  react: 'R',
+  reply: 'T',
 };
 
 export const defaultPinPermissions = {
@@ -109,15 +123,29 @@ export const defaultPinPermissions = {
  *   canDelete?: boolean;
  *   canMute?: boolean;
  *   canFlag?: boolean;
+ *   canMarkUnread?: boolean;
  *   canPin?: boolean;
+ *   canQuote?: boolean;
  *   canReact?: boolean;
  *   canReply?: boolean;
+ *   canTranslate?: boolean;
  * }} Capabilities
  * @type {(actions: string[] | boolean, capabilities: Capabilities) => string[]} Typescript syntax
  */
 export const getMessageActions = (
   actions,
-  { canDelete, canFlag, canEdit, canMute, canPin, canReact, canReply },
+  {
+    canDelete,
+    canFlag,
+    canEdit,
+    canMarkUnread,
+    canMute,
+    canPin,
+    canQuote,
+    canReact,
+    canReply,
+    canTranslate,
+  },
 ) => {
   const messageActionsAfterPermission = [];
   let messageActions = [];
@@ -143,6 +171,13 @@ export const getMessageActions = (
     messageActionsAfterPermission.push(MESSAGE_ACTIONS.flag);
   }
 
+  if (
+    canMarkUnread &&
+    messageActions.indexOf(MESSAGE_ACTIONS.markUnread) > -1
+  ) {
+    messageActionsAfterPermission.push(MESSAGE_ACTIONS.markUnread);
+  }
+
   if (canMute && messageActions.indexOf(MESSAGE_ACTIONS.mute) > -1) {
     messageActionsAfterPermission.push(MESSAGE_ACTIONS.mute);
   }
@@ -151,6 +186,10 @@ export const getMessageActions = (
     messageActionsAfterPermission.push(MESSAGE_ACTIONS.pin);
   }
 
+  if (canQuote && messageActions.indexOf(MESSAGE_ACTIONS.quote) > -1) {
+    messageActionsAfterPermission.push(MESSAGE_ACTIONS.quote);
+  }
+
   if (canReact && messageActions.indexOf(MESSAGE_ACTIONS.react) > -1) {
     messageActionsAfterPermission.push(MESSAGE_ACTIONS.react);
   }
@@ -159,6 +198,10 @@ export const getMessageActions = (
     messageActionsAfterPermission.push(MESSAGE_ACTIONS.reply);
   }
 
+  if (canTranslate && messageActions.indexOf(MESSAGE_ACTIONS.translate) > -1) {
+    messageActionsAfterPermission.push(MESSAGE_ACTIONS.translate);
+  }
+
   return messageActionsAfterPermission;
 };
 
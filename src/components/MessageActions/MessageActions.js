@@ -5,12 +5,19 @@ import {
   useDeleteHandler,
   useUserRole,
   useFlagHandler,
+  useMarkUnreadHandler,
   useMuteHandler,
   usePinHandler,
+  useQuoteHandler,
+  useTranslateHandler,
 } from '../Message/hooks';
-import { defaultPinPermissions, isUserMuted } from '../Message/utils';
+import {
+  defaultPinPermissions,
+  isUserMuted,
+  MESSAGE_SHORTCUTS,
+} from '../Message/utils';
 
-import { ChatContext } from '../../context';
+import { ChatContext, TranslationContext } from '../../context';
 
 /**
  * @type { React.FC<import('types').MessageActionsProps> }
@@ -27,8 +34,11 @@ export const MessageActions = (props) => {
     getPinMessageErrorNotification,
     handleDelete: propHandleDelete,
     handleFlag: propHandleFlag,
+    handleMarkUnread: propHandleMarkUnread,
     handleMute: propHandleMute,
     handlePin: propHandlePin,
+    handleQuote: propHandleQuote,
+    handleTranslate: propHandleTranslate,
     inline,
     message,
     messageListRect,
@@ -38,6 +48,7 @@ export const MessageActions = (props) => {
   } = props;
 
   const { mutes } = useContext(ChatContext);
+  const { t } = useContext(TranslationContext);
 
   const [actionsBoxOpen, setActionsBoxOpen] = useState(false);
 
@@ -62,6 +73,16 @@ export const MessageActions = (props) => {
     getErrorNotification: getPinMessageErrorNotification,
   });
 
+  const handleQuote = useQuoteHandler(message);
+
+  const handleMarkUnread = useMarkUnreadHandler(message, {
+    notify: addNotification,
+  });
+
+  const handleTranslate = useTranslateHandler(message, {
+    notify: addNotification,
+  });
+
   const isMuted = useCallback(() => {
     return isUserMuted(message, mutes);
   }, [message, mutes]);
@@ -106,25 +127,38 @@ export const MessageActions = (props) => {
         handleDelete={propHandleDelete || handleDelete}
         handleEdit={setEditingState}
         handleFlag={propHandleFlag || handleFlag}
+        handleMarkUnread={propHandleMarkUnread || handleMarkUnread}
         handleMute={propHandleMute || handleMute}
         handlePin={propHandlePin || handlePin}
+        handleQuote={propHandleQuote || handleQuote}
+        handleTranslate={propHandleTranslate || handleTranslate}
         isUserMuted={isMuted}
         message={message}
         messageListRect={messageListRect}
         mine={isMyMessage}
+        onClose={hideOptions}
         open={actionsBoxOpen}
       />
-      <svg
-        width="11"
-        height="4"
-        viewBox="0 0 11 4"
-        xmlns="http://www.w3.org/2000/svg"
+      {/* not the wrapper, which contains the menu too */}
+      <span
+        aria-expanded={actionsBoxOpen}
+        aria-haspopup="menu"
+        aria-keyshortcuts={MESSAGE_SHORTCUTS.actions}
+        aria-label={t('Open message actions')}
+        role="button"
       >
-        <path
-          d="M1.5 3a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"
-          fillRule="nonzero"
-        />
-      </svg>
+        <svg
+          width="11"
+          height="4"
+          viewBox="0 0 11 4"
+          xmlns="http://www.w3.org/2000/svg"
+        >
+          <path
+            d="M1.5 3a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"
+            fillRule="nonzero"
+          />
+        </svg>
+      </span>
     </MessageActionsWrapper>
   );
 };
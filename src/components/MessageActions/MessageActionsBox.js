@@ -1,7 +1,8 @@
 import React, { useContext, useState, useCallback } from 'react';
 import PropTypes from 'prop-types';
 
-import { MESSAGE_ACTIONS } from '../Message/utils';
+import { useMenuKeyboardNavigation } from '../Message/hooks';
+import { MESSAGE_ACTIONS, MESSAGE_SHORTCUTS } from '../Message/utils';
 import { TranslationContext } from '../../context';
 
 /** @type {React.FC<import("types").MessageActionsBoxProps>} */
@@ -10,15 +11,20 @@ const MessageActionsBox = ({
   handleDelete,
   handleEdit,
   handleFlag,
+  handleMarkUnread,
   handleMute,
   handlePin,
+  handleQuote,
+  handleTranslate,
   isUserMuted,
   message,
   messageListRect,
   mine,
+  onClose,
   open = false,
 }) => {
   const { t } = useContext(TranslationContext);
+  const { menuRef, onKeyDown } = useMenuKeyboardNavigation({ onClose, open });
 
   const [reverse, setReverse] = useState(false);
 
@@ -48,6 +54,25 @@ const MessageActionsBox = ({
     [messageListRect, mine, open],
   );
 
+  /**
+   * @param {string} label
+   * @param {((event?: React.BaseSyntheticEvent) => void) | undefined} onClick
+   * @param {string} [keyShortcut]
+   */
+  const renderAction = (label, onClick, keyShortcut) => (
+    <li role="none">
+      <button
+        aria-keyshortcuts={keyShortcut}
+        className="str-chat__message-actions-list-item"
+        onClick={onClick}
+        role="menuitem"
+        tabIndex={-1}
+      >
+        {label}
+      </button>
+    </li>
+  );
+
   return (
     <div
       data-testid="message-actions-box"
@@ -58,41 +83,33 @@ const MessageActionsBox = ({
       `}
       ref={checkIfReverse}
     >
-      <ul className="str-chat__message-actions-list">
+      <ul
+        className="str-chat__message-actions-list"
+        onKeyDown={onKeyDown}
+        ref={menuRef}
+        role="menu"
+      >
+        {messageActions.indexOf(MESSAGE_ACTIONS.quote) > -1 &&
+          renderAction(t('Quote'), handleQuote)}
         {messageActions.indexOf(MESSAGE_ACTIONS.pin) > -1 &&
-          !message?.parent_id && (
-            <button onClick={handlePin}>
-              <li className="str-chat__message-actions-list-item">
-                {!message?.pinned ? t('Pin') : t('Unpin')}
-              </li>
-            </button>
+          !message?.parent_id &&
+          renderAction(!message?.pinned ? t('Pin') : t('Unpin'), handlePin)}
+        {messageActions.indexOf(MESSAGE_ACTIONS.flag) > -1 &&
+          renderAction(t('Flag'), handleFlag)}
+        {messageActions.indexOf(MESSAGE_ACTIONS.markUnread) > -1 &&
+          !message?.parent_id &&
+          renderAction(t('Mark as unread'), handleMarkUnread)}
+        {messageActions.indexOf(MESSAGE_ACTIONS.translate) > -1 &&
+          renderAction(t('Translate'), handleTranslate)}
+        {messageActions.indexOf(MESSAGE_ACTIONS.mute) > -1 &&
+          renderAction(
+            isUserMuted && isUserMuted() ? t('Unmute') : t('Mute'),
+            handleMute,
           )}
-        {messageActions.indexOf(MESSAGE_ACTIONS.flag) > -1 && (
-          <button onClick={handleFlag}>
-            <li className="str-chat__message-actions-list-item">{t('Flag')}</li>
-          </button>
-        )}
-        {messageActions.indexOf(MESSAGE_ACTIONS.mute) > -1 && (
-          <button onClick={handleMute}>
-            <li className="str-chat__message-actions-list-item">
-              {isUserMuted && isUserMuted() ? t('Unmute') : t('Mute')}
-            </li>
-          </button>
-        )}
-        {messageActions.indexOf(MESSAGE_ACTIONS.edit) > -1 && (
-          <button onClick={handleEdit}>
-            <li className="str-chat__message-actions-list-item">
-              {t('Edit Message')}
-            </li>
-          </button>
-        )}
-        {messageActions.indexOf(MESSAGE_ACTIONS.delete) > -1 && (
-          <button onClick={handleDelete}>
-            <li className="str-chat__message-actions-list-item">
-              {t('Delete')}
-            </li>
-          </button>
-        )}
+        {messageActions.indexOf(MESSAGE_ACTIONS.edit) > -1 &&
+          renderAction(t('Edit Message'), handleEdit, MESSAGE_SHORTCUTS.edit)}
+        {messageActions.indexOf(MESSAGE_ACTIONS.delete) > -1 &&
+          renderAction(t('Delete'), handleDelete)}
       </ul>
     </div>
   );
@@ -114,6 +131,20 @@ MessageActionsBox.propTypes = {
    * @returns void
    * */
   handleFlag: PropTypes.func,
+  /**
+   * Handler for marking the channel unread from a current message
+   *
+   * @param event React's MouseEventHandler event
+   * @returns Promise
+   * */
+  handleMarkUnread: PropTypes.func,
+  /**
+   * Handler for translating a current message in the language of the user
+   *
+   * @param event React's MouseEventHandler event
+   * @returns Promise
+   * */
+  handleTranslate: PropTypes.func,
   /**
    * Handler for muting a current message
    *
@@ -142,11 +173,20 @@ MessageActionsBox.propTypes = {
    * @returns void
    * */
   handlePin: PropTypes.func,
+  /**
+   * Handler for quoting a current message in the reply being typed
+   *
+   * @param event React's MouseEventHandler event
+   * @returns void
+   * */
+  handleQuote: PropTypes.func,
   /**
    * Returns array of available message actions for current message.
    * Please check [Message](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Message.js) component for default implementation.
    */
   getMessageActions: PropTypes.func.isRequired,
+  /** Closes the message actions box, when the Escape key is pressed in it */
+  onClose: PropTypes.func,
 };
 
 export default React.memo(MessageActionsBox);
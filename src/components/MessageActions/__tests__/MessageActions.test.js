@@ -48,17 +48,25 @@ describe('<MessageActions /> component', () => {
         onClick={[Function]}
       >
         <div />
-        <svg
-          height="4"
-          viewBox="0 0 11 4"
-          width="11"
-          xmlns="http://www.w3.org/2000/svg"
+        <span
+          aria-expanded={false}
+          aria-haspopup="menu"
+          aria-keyshortcuts="Enter"
+          aria-label="Open message actions"
+          role="button"
         >
-          <path
-            d="M1.5 3a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"
-            fillRule="nonzero"
-          />
-        </svg>
+          <svg
+            height="4"
+            viewBox="0 0 11 4"
+            width="11"
+            xmlns="http://www.w3.org/2000/svg"
+          >
+            <path
+              d="M1.5 3a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"
+              fillRule="nonzero"
+            />
+          </svg>
+        </span>
       </div>
     `);
   });
@@ -134,8 +142,10 @@ describe('<MessageActions /> component', () => {
         getMessageActions: defaultProps.getMessageActions,
         messageListRect: defaultProps.messageListRect,
         handleFlag: expect.any(Function),
+        handleMarkUnread: expect.any(Function),
         handleMute: expect.any(Function),
         handlePin: expect.any(Function),
+        handleQuote: expect.any(Function),
         handleEdit: expect.any(Function),
         handleDelete: expect.any(Function),
         isUserMuted: expect.any(Function),
@@ -171,17 +181,25 @@ describe('<MessageActions /> component', () => {
         onClick={[Function]}
       >
         <div />
-        <svg
-          height="4"
-          viewBox="0 0 11 4"
-          width="11"
-          xmlns="http://www.w3.org/2000/svg"
+        <span
+          aria-expanded={false}
+          aria-haspopup="menu"
+          aria-keyshortcuts="Enter"
+          aria-label="Open message actions"
+          role="button"
         >
-          <path
-            d="M1.5 3a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"
-            fillRule="nonzero"
-          />
-        </svg>
+          <svg
+            height="4"
+            viewBox="0 0 11 4"
+            width="11"
+            xmlns="http://www.w3.org/2000/svg"
+          >
+            <path
+              d="M1.5 3a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"
+              fillRule="nonzero"
+            />
+          </svg>
+        </span>
       </div>
     `);
   });
@@ -200,17 +218,25 @@ describe('<MessageActions /> component', () => {
         onClick={[Function]}
       >
         <div />
-        <svg
-          height="4"
-          viewBox="0 0 11 4"
-          width="11"
-          xmlns="http://www.w3.org/2000/svg"
+        <span
+          aria-expanded={false}
+          aria-haspopup="menu"
+          aria-keyshortcuts="Enter"
+          aria-label="Open message actions"
+          role="button"
         >
-          <path
-            d="M1.5 3a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"
-            fillRule="nonzero"
-          />
-        </svg>
+          <svg
+            height="4"
+            viewBox="0 0 11 4"
+            width="11"
+            xmlns="http://www.w3.org/2000/svg"
+          >
+            <path
+              d="M1.5 3a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"
+              fillRule="nonzero"
+            />
+          </svg>
+        </span>
       </span>
     `);
   });
@@ -23,6 +23,9 @@ describe('MessageActionsBox', () => {
     expect(queryByText('Delete')).not.toBeInTheDocument();
     expect(queryByText('Pin')).not.toBeInTheDocument();
     expect(queryByText('Unpin')).not.toBeInTheDocument();
+    expect(queryByText('Quote')).not.toBeInTheDocument();
+    expect(queryByText('Mark as unread')).not.toBeInTheDocument();
+    expect(queryByText('Translate')).not.toBeInTheDocument();
   });
 
   it('should call the handleFlag prop if the flag button is clicked', () => {
@@ -88,4 +91,100 @@ describe('MessageActionsBox', () => {
     fireEvent.click(getByText('Unpin'));
     expect(handlePin).toHaveBeenCalledTimes(1);
   });
+
+  it('should call the handleQuote prop if the quote button is clicked', () => {
+    getMessageActionsMock.mockImplementationOnce(() => ['quote']);
+    const handleQuote = jest.fn();
+    const { getByText } = renderComponent({ handleQuote });
+    fireEvent.click(getByText('Quote'));
+    expect(handleQuote).toHaveBeenCalledTimes(1);
+  });
+
+  it('should call the handleMarkUnread prop if the mark as unread button is clicked', () => {
+    getMessageActionsMock.mockImplementationOnce(() => ['markUnread']);
+    const handleMarkUnread = jest.fn();
+    const { getByText } = renderComponent({ handleMarkUnread });
+    fireEvent.click(getByText('Mark as unread'));
+    expect(handleMarkUnread).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not show the mark as unread button for thread replies', () => {
+    getMessageActionsMock.mockImplementationOnce(() => ['markUnread']);
+    const { queryByText } = renderComponent({
+      message: generateMessage({ parent_id: 'parent-id' }),
+    });
+    expect(queryByText('Mark as unread')).not.toBeInTheDocument();
+  });
+
+  it('should call the handleTranslate prop if the translate button is clicked', () => {
+    getMessageActionsMock.mockImplementationOnce(() => ['translate']);
+    const handleTranslate = jest.fn();
+    const { getByText } = renderComponent({ handleTranslate });
+    fireEvent.click(getByText('Translate'));
+    expect(handleTranslate).toHaveBeenCalledTimes(1);
+  });
+
+  describe('keyboard navigation', () => {
+    const getMessageActions = () => ['quote', 'flag', 'edit', 'delete'];
+
+    it('should render the actions as the items of a menu', () => {
+      const { getAllByRole, getByRole, getByText } = render(
+        <MessageActionsBox getMessageActions={getMessageActions} open />,
+      );
+      expect(getByRole('menu', { hidden: true })).toBeInTheDocument();
+      expect(getAllByRole('menuitem', { hidden: true })).toHaveLength(4);
+      expect(getByText('Edit Message')).toHaveAttribute(
+        'aria-keyshortcuts',
+        'E',
+      );
+    });
+
+    it('should move the focus between the actions with the arrow keys, Home, End and Tab', () => {
+      const { getByRole, getByText } = render(
+        <MessageActionsBox getMessageActions={getMessageActions} open />,
+      );
+      const menu = getByRole('menu', { hidden: true });
+      expect(getByText('Quote')).toHaveFocus();
+      fireEvent.keyDown(menu, { key: 'ArrowDown' });
+      expect(getByText('Flag')).toHaveFocus();
+      fireEvent.keyDown(menu, { key: 'End' });
+      expect(getByText('Delete')).toHaveFocus();
+      fireEvent.keyDown(menu, { key: 'Tab' });
+      expect(getByText('Quote')).toHaveFocus();
+      fireEvent.keyDown(menu, { key: 'ArrowUp' });
+      expect(getByText('Delete')).toHaveFocus();
+      fireEvent.keyDown(menu, { key: 'Home' });
+      expect(getByText('Quote')).toHaveFocus();
+      fireEvent.keyDown(menu, { key: 'Tab', shiftKey: true });
+      expect(getByText('Delete')).toHaveFocus();
+    });
+
+    it('should close on Escape and give the focus back', () => {
+      const onClose = jest.fn();
+      const trigger = document.createElement('button');
+      document.body.appendChild(trigger);
+      trigger.focus();
+      const { getByRole, getByText, rerender } = render(
+        <MessageActionsBox
+          getMessageActions={getMessageActions}
+          onClose={onClose}
+          open
+        />,
+      );
+      expect(getByText('Quote')).toHaveFocus();
+      fireEvent.keyDown(getByRole('menu', { hidden: true }), {
+        key: 'Escape',
+      });
+      expect(onClose).toHaveBeenCalledTimes(1);
+      rerender(
+        <MessageActionsBox
+          getMessageActions={getMessageActions}
+          onClose={onClose}
+          open={false}
+        />,
+      );
+      expect(trigger).toHaveFocus();
+      trigger.remove();
+    });
+  });
 });
@@ -43,12 +43,12 @@ const EditMessageForm = (props) => {
   return (
     <div className="str-chat__edit-message-form">
       <ImageDropzone
-        accept={channelContext.acceptedFiles}
-        multiple={channelContext.multipleUploads}
+        // the dropped files are validated by uploadNewFiles, which reports the rejected ones
+        multiple
         disabled={
           !messageInput.isUploadEnabled || messageInput.maxFilesLeft === 0
         }
-        maxNumberOfFiles={messageInput.maxFilesLeft}
+        maxNumberOfFiles={0}
         handleFiles={messageInput.uploadNewFiles}
       >
         <form onSubmit={messageInput.handleSubmit}>
@@ -138,10 +138,17 @@ EditMessageForm.propTypes = {
    * @param cid: the channel id
    */
   overrideSubmitHandler: PropTypes.func,
-  /** Override image upload request */
+  /** Override image upload request, called with the file, the channel and `{ onProgress, signal }` */
   doImageUploadRequest: PropTypes.func,
-  /** Override file upload request */
+  /** Override file upload request, called with the file, the channel and `{ onProgress, signal }` */
   doFileUploadRequest: PropTypes.func,
+  /**
+   * Process the images before uploading them: downscale them, apply their Exif orientation and strip their metadata.
+   * `true` or `{ maxDimension, mimeType, quality }`
+   */
+  imageProcessing: /** @type {PropTypes.Validator<import('types').MessageInputProps['imageProcessing']>} */ (PropTypes.oneOfType(
+    [PropTypes.bool, PropTypes.object],
+  )),
   /**
    * Custom UI component for emoji button in input.
    *
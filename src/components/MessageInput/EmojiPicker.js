@@ -22,7 +22,14 @@ const EmojiPicker = ({
   const { emojiConfig } = useContext(ChannelContext);
   const { t } = useContext(TranslationContext);
 
-  const { emojiData, EmojiPicker: Picker } = emojiConfig || {};
+  const {
+    customEmojis,
+    emojiData,
+    EmojiPicker: Picker,
+    recentEmojis,
+    setSkinTone,
+    skinTone,
+  } = emojiConfig || {};
 
   if (emojiPickerIsOpen) {
     const className = small
@@ -43,7 +50,12 @@ const EmojiPicker = ({
             showPreview={false}
             useButton={true}
             emojisToShowFilter={filterEmoji}
-            showSkinTones={false}
+            custom={customEmojis}
+            // the picker keeps its own frequently used emojis when none are given
+            recent={recentEmojis?.length ? recentEmojis : undefined}
+            skin={skinTone}
+            onSkinChange={setSkinTone}
+            showSkinTones
           />
         )}
       </div>
@@ -9,6 +9,8 @@ import { ChatAutoComplete } from '../ChatAutoComplete';
 import { Tooltip } from '../Tooltip';
 import useMessageInput from './hooks/messageInput';
 import UploadsPreview from './UploadsPreview';
+import QuotedMessagePreview from './QuotedMessagePreview';
+import DefaultVoiceRecorder from './VoiceRecorder';
 import EmojiPicker from './EmojiPicker';
 import DefaultSendButton, {
   EmojiIconLarge as DefaultEmojiIcon,
@@ -21,6 +23,7 @@ const MessageInputFlat = (props) => {
     EmojiIcon = DefaultEmojiIcon,
     FileUploadIcon = DefaultFileUploadIcon,
     SendButton = DefaultSendButton,
+    VoiceRecorder = DefaultVoiceRecorder,
   } = props;
 
   const channelContext = useContext(ChannelContext);
@@ -35,16 +38,17 @@ const MessageInputFlat = (props) => {
       }`}
     >
       <ImageDropzone
-        accept={channelContext.acceptedFiles}
-        multiple={channelContext.multipleUploads}
+        // the dropped files are validated by uploadNewFiles, which reports the rejected ones
+        multiple
         disabled={
           !messageInput.isUploadEnabled || messageInput.maxFilesLeft === 0
         }
-        maxNumberOfFiles={messageInput.maxFilesLeft}
+        maxNumberOfFiles={0}
         handleFiles={messageInput.uploadNewFiles}
       >
         <div className="str-chat__input-flat-wrapper">
           <div className="str-chat__input-flat--textarea-wrapper">
+            <QuotedMessagePreview {...messageInput} />
             {messageInput.isUploadEnabled && (
               <UploadsPreview {...messageInput} />
             )}
@@ -71,6 +75,7 @@ const MessageInputFlat = (props) => {
               rows={1}
               maxRows={props.maxRows}
               placeholder={t('Type your message')}
+              onKeyDown={messageInput.handleKeyDown}
               onPaste={messageInput.onPaste}
               triggers={props.autocompleteTriggers}
               grow={props.grow}
@@ -102,6 +107,15 @@ const MessageInputFlat = (props) => {
                 </FileUploadButton>
               </div>
             )}
+            {messageInput.isUploadEnabled &&
+              !props.noFiles &&
+              VoiceRecorder && (
+                <VoiceRecorder
+                  disabled={messageInput.maxFilesLeft === 0}
+                  maxDuration={props.maxRecordingDuration}
+                  uploadNewFiles={messageInput.uploadNewFiles}
+                />
+              )}
           </div>
           {SendButton && <SendButton sendMessage={messageInput.handleSubmit} />}
         </div>
@@ -136,10 +150,17 @@ MessageInputFlat.propTypes = {
    * @param cid: the channel id
    */
   overrideSubmitHandler: PropTypes.func,
-  /** Override image upload request */
+  /** Override image upload request, called with the file, the channel and `{ onProgress, signal }` */
   doImageUploadRequest: PropTypes.func,
-  /** Override file upload request */
+  /** Override file upload request, called with the file, the channel and `{ onProgress, signal }` */
   doFileUploadRequest: PropTypes.func,
+  /**
+   * Process the images before uploading them: downscale them, apply their Exif orientation and strip their metadata.
+   * `true` or `{ maxDimension, mimeType, quality }`
+   */
+  imageProcessing: /** @type {PropTypes.Validator<import('types').MessageInputProps['imageProcessing']>} */ (PropTypes.oneOfType(
+    [PropTypes.bool, PropTypes.object],
+  )),
   /**
    * Custom UI component for emoji button in input.
    *
@@ -158,6 +179,14 @@ MessageInputFlat.propTypes = {
    * Defaults to and accepts same props as: [SendButton](https://getstream.github.io/stream-chat-react/#sendbutton)
    * */
   SendButton: /** @type {PropTypes.Validator<React.FC<import('types').SendButtonProps>>} */ (PropTypes.elementType),
+  /**
+   * Custom UI component recording voice messages, `null` disables voice messages.
+   *
+   * Defaults to and accepts same props as: [VoiceRecorder](https://github.com/GetStream/stream-chat-react/blob/master/src/components/MessageInput/VoiceRecorder.js)
+   * */
+  VoiceRecorder: /** @type {PropTypes.Validator<React.ElementType<import('types').VoiceRecorderProps> | null>} */ (PropTypes.elementType),
+  /** Max duration of a voice message in seconds, the recording stops when it is reached. Default: 120 */
+  maxRecordingDuration: PropTypes.number,
   /** Optional UI component prop to override the default List component that displays suggestions */
   SuggestionList: /** @type {PropTypes.Validator<React.ElementType<import('types').SuggestionListProps>>} */ (PropTypes.elementType),
 };
@@ -10,9 +10,13 @@ import {
 import { TranslationContext, ChannelContext } from '../../context';
 import { ChatAutoComplete } from '../ChatAutoComplete';
 import { Tooltip } from '../Tooltip';
+import { useTypingUsers } from '../TypingIndicator/hooks';
+import { getTypingIndicatorText } from '../TypingIndicator/utils';
 import useMessageInput from './hooks/messageInput';
 import EmojiPicker from './EmojiPicker';
 import UploadsPreview from './UploadsPreview';
+import QuotedMessagePreview from './QuotedMessagePreview';
+import DefaultVoiceRecorder from './VoiceRecorder';
 import DefaultSendButton, {
   EmojiIconSmall as DefaultEmojiIcon,
   FileUploadIcon as DefaultFileUploadIcon,
@@ -24,6 +28,7 @@ const MessageInputLarge = (props) => {
     EmojiIcon = DefaultEmojiIcon,
     FileUploadIcon = DefaultFileUploadIcon,
     SendButton = DefaultSendButton,
+    VoiceRecorder = DefaultVoiceRecorder,
   } = props;
 
   const channelContext = useContext(ChannelContext);
@@ -31,47 +36,26 @@ const MessageInputLarge = (props) => {
 
   const messageInput = useMessageInput(props);
 
-  /**
-   * @typedef {import("stream-chat").Event} ClientEvent
-   * @param {{ [userid: string]: ClientEvent } | {}} typingUsers
-   */
-  const constructTypingString = (typingUsers) => {
-    const otherTypingUsers = Object.values(typingUsers)
-      .filter(({ user }) => channelContext.client?.user?.id !== user?.id)
-      .map(({ user }) => user?.name || user?.id);
-    if (otherTypingUsers.length === 0) return '';
-    if (otherTypingUsers.length === 1) {
-      return t('{{ user }} is typing...', { user: otherTypingUsers[0] });
-    }
-    if (otherTypingUsers.length === 2) {
-      // joins all with "and" but =no commas
-      // example: "bob and sam"
-      return t('{{ firstUser }} and {{ secondUser }} are typing...', {
-        firstUser: otherTypingUsers[0],
-        secondUser: otherTypingUsers[1],
-      });
-    }
-    // joins all with commas, but last one gets ", and" (oxford comma!)
-    // example: "bob, joe, and sam"
-    return t('{{ commaSeparatedUsers }} and {{ lastUser }} are typing...', {
-      commaSeparatedUsers: otherTypingUsers.slice(0, -1).join(', '),
-      lastUser: otherTypingUsers[otherTypingUsers.length - 1],
-    });
-  };
+  const typingUsers = useTypingUsers({
+    client: channelContext.client,
+    parentId: props.parent?.id,
+    typing: channelContext.typing || {},
+  });
 
   return (
     <div className="str-chat__input-large">
       <ImageDropzone
-        accept={channelContext.acceptedFiles}
-        multiple={channelContext.multipleUploads}
+        // the dropped files are validated by uploadNewFiles, which reports the rejected ones
+        multiple
         disabled={
           !messageInput.isUploadEnabled || messageInput.maxFilesLeft === 0
         }
-        maxNumberOfFiles={messageInput.maxFilesLeft}
+        maxNumberOfFiles={0}
         handleFiles={messageInput.uploadNewFiles}
       >
         <div className="str-chat__input">
           <div className="str-chat__input--textarea-wrapper">
+            <QuotedMessagePreview {...messageInput} />
             {messageInput.isUploadEnabled && (
               <UploadsPreview {...messageInput} />
             )}
@@ -85,6 +69,7 @@ const MessageInputLarge = (props) => {
               rows={1}
               maxRows={props.maxRows}
               placeholder={t('Type your message')}
+              onKeyDown={messageInput.handleKeyDown}
               onPaste={messageInput.onPaste}
               triggers={props.autocompleteTriggers}
               grow={props.grow}
@@ -116,6 +101,15 @@ const MessageInputLarge = (props) => {
                 </FileUploadButton>
               </div>
             )}
+            {messageInput.isUploadEnabled &&
+              !props.noFiles &&
+              VoiceRecorder && (
+                <VoiceRecorder
+                  disabled={messageInput.maxFilesLeft === 0}
+                  maxDuration={props.maxRecordingDuration}
+                  uploadNewFiles={messageInput.uploadNewFiles}
+                />
+              )}
 
             <div className="str-chat__emojiselect-wrapper">
               <Tooltip>{t('Open emoji picker')}</Tooltip>
@@ -146,7 +140,7 @@ const MessageInputLarge = (props) => {
               })}
             </span>
             <span className="str-chat__input-footer--typing">
-              {constructTypingString(channelContext.typing || {})}
+              {getTypingIndicatorText(typingUsers, t)}
             </span>
           </div>
         </div>
@@ -181,10 +175,17 @@ MessageInputLarge.propTypes = {
    * @param cid: the channel id
    */
   overrideSubmitHandler: PropTypes.func,
-  /** Override image upload request */
+  /** Override image upload request, called with the file, the channel and `{ onProgress, signal }` */
   doImageUploadRequest: PropTypes.func,
-  /** Override file upload request */
+  /** Override file upload request, called with the file, the channel and `{ onProgress, signal }` */
   doFileUploadRequest: PropTypes.func,
+  /**
+   * Process the images before uploading them: downscale them, apply their Exif orientation and strip their metadata.
+   * `true` or `{ maxDimension, mimeType, quality }`
+   */
+  imageProcessing: /** @type {PropTypes.Validator<import('types').MessageInputProps['imageProcessing']>} */ (PropTypes.oneOfType(
+    [PropTypes.bool, PropTypes.object],
+  )),
   /**
    * Custom UI component for emoji button in input.
    *
@@ -203,6 +204,14 @@ MessageInputLarge.propTypes = {
    * Defaults to and accepts same props as: [SendButton](https://getstream.github.io/stream-chat-react/#sendbutton)
    * */
   SendButton: /** @type {PropTypes.Validator<React.FC<import('types').SendButtonProps>>} */ (PropTypes.elementType),
+  /**
+   * Custom UI component recording voice messages, `null` disables voice messages.
+   *
+   * Defaults to and accepts same props as: [VoiceRecorder](https://github.com/GetStream/stream-chat-react/blob/master/src/components/MessageInput/VoiceRecorder.js)
+   * */
+  VoiceRecorder: /** @type {PropTypes.Validator<React.ElementType<import('types').VoiceRecorderProps> | null>} */ (PropTypes.elementType),
+  /** Max duration of a voice message in seconds, the recording stops when it is reached. Default: 120 */
+  maxRecordingDuration: PropTypes.number,
   /** Optional UI component prop to override the default List component that displays suggestions */
   SuggestionList: /** @type {PropTypes.Validator<React.ElementType<import('types').SuggestionListProps>>} */ (PropTypes.elementType),
 };
@@ -37,6 +37,7 @@ const MessageInputSimple = (props) => {
             rows={1}
             maxRows={props.maxRows}
             placeholder={t('Type your message')}
+            onKeyDown={messageInput.handleKeyDown}
             onPaste={messageInput.onPaste}
             triggers={props.autocompleteTriggers}
             grow={props.grow}
@@ -90,10 +91,17 @@ MessageInputSimple.propTypes = {
    * @param cid: the channel id
    */
   overrideSubmitHandler: PropTypes.func,
-  /** Override image upload request */
+  /** Override image upload request, called with the file, the channel and `{ onProgress, signal }` */
   doImageUploadRequest: PropTypes.func,
-  /** Override file upload request */
+  /** Override file upload request, called with the file, the channel and `{ onProgress, signal }` */
   doFileUploadRequest: PropTypes.func,
+  /**
+   * Process the images before uploading them: downscale them, apply their Exif orientation and strip their metadata.
+   * `true` or `{ maxDimension, mimeType, quality }`
+   */
+  imageProcessing: /** @type {PropTypes.Validator<import('types').MessageInputProps['imageProcessing']>} */ (PropTypes.oneOfType(
+    [PropTypes.bool, PropTypes.object],
+  )),
   /**
    * Custom UI component for emoji button in input.
    *
@@ -8,6 +8,7 @@ import { ChatAutoComplete } from '../ChatAutoComplete';
 import { Tooltip } from '../Tooltip';
 import useMessageInput from './hooks/messageInput';
 import UploadsPreview from './UploadsPreview';
+import QuotedMessagePreview from './QuotedMessagePreview';
 import EmojiPicker from './EmojiPicker';
 import DefaultSendButton, {
   EmojiIconSmall as DefaultEmojiIcon,
@@ -30,12 +31,12 @@ const MessageInputSmall = (props) => {
   return (
     <div className="str-chat__small-message-input__wrapper">
       <ImageDropzone
-        accept={channelContext.acceptedFiles}
-        multiple={channelContext.multipleUploads}
+        // the dropped files are validated by uploadNewFiles, which reports the rejected ones
+        multiple
         disabled={
           !messageInput.isUploadEnabled || messageInput.maxFilesLeft === 0
         }
-        maxNumberOfFiles={messageInput.maxFilesLeft}
+        maxNumberOfFiles={0}
         handleFiles={messageInput.uploadNewFiles}
       >
         <div
@@ -46,6 +47,7 @@ const MessageInputSmall = (props) => {
           }`}
         >
           <div className="str-chat__small-message-input--textarea-wrapper">
+            <QuotedMessagePreview {...messageInput} />
             {messageInput.isUploadEnabled && (
               <UploadsPreview {...messageInput} />
             )}
@@ -60,6 +62,7 @@ const MessageInputSmall = (props) => {
               maxRows={props.maxRows}
               onSelectItem={messageInput.onSelectItem}
               placeholder={t('Type your message')}
+              onKeyDown={messageInput.handleKeyDown}
               onPaste={messageInput.onPaste}
               triggers={props.autocompleteTriggers}
               grow={props.grow}
@@ -137,10 +140,17 @@ MessageInputSmall.propTypes = {
    * @param cid: the channel id
    */
   overrideSubmitHandler: PropTypes.func,
-  /** Override image upload request */
+  /** Override image upload request, called with the file, the channel and `{ onProgress, signal }` */
   doImageUploadRequest: PropTypes.func,
-  /** Override file upload request */
+  /** Override file upload request, called with the file, the channel and `{ onProgress, signal }` */
   doFileUploadRequest: PropTypes.func,
+  /**
+   * Process the images before uploading them: downscale them, apply their Exif orientation and strip their metadata.
+   * `true` or `{ maxDimension, mimeType, quality }`
+   */
+  imageProcessing: /** @type {PropTypes.Validator<import('types').MessageInputProps['imageProcessing']>} */ (PropTypes.oneOfType(
+    [PropTypes.bool, PropTypes.object],
+  )),
   /**
    * Custom UI component for emoji button in input.
    *
@@ -0,0 +1,60 @@
+// @ts-check
+import React, { useContext } from 'react';
+
+import { Avatar as DefaultAvatar } from '../Avatar';
+import { TranslationContext } from '../../context';
+import { useMessageTranslation } from '../Message/hooks';
+
+/**
+ * QuotedMessagePreview - The message being quoted in the reply typed in MessageInput, which can be dismissed
+ * @type {React.FC<import("types").MessageInputQuotedMessageProps>}
+ */
+const QuotedMessagePreview = ({
+  Avatar = DefaultAvatar,
+  clearQuotedMessage,
+  quotedMessage,
+}) => {
+  const { t } = useContext(TranslationContext);
+  const { text: quotedMessageText } = useMessageTranslation(
+    quotedMessage || undefined,
+  );
+
+  if (!quotedMessage) return null;
+
+  const author = /** @type {import('types').StreamChatReactMessageResponse['user']} */ (quotedMessage.user);
+  const authorName = author?.name || author?.id;
+
+  return (
+    <div
+      className="str-chat__quoted-message-preview"
+      data-testid="quoted-message-preview"
+    >
+      <Avatar image={author?.image} name={authorName} size={20} />
+      <div className="str-chat__quoted-message-preview-content">
+        <strong className="str-chat__quoted-message-preview-author">
+          {authorName}
+        </strong>
+        <span className="str-chat__quoted-message-preview-text">
+          {quotedMessageText ||
+            (quotedMessage.attachments?.length ? t('🏙 Attachment...') : '')}
+        </span>
+      </div>
+      <button
+        aria-label={t('Cancel')}
+        className="str-chat__square-button"
+        data-testid="quoted-message-preview-dismiss"
+        onClick={clearQuotedMessage}
+        type="button"
+      >
+        <svg width="10" height="10" xmlns="http://www.w3.org/2000/svg">
+          <path
+            d="M9.916 1.027L8.973.084 5 4.058 1.027.084l-.943.943L4.058 5 .084 8.973l.943.943L5 5.942l3.973 3.974.943-.943L5.942 5z"
+            fillRule="evenodd"
+          />
+        </svg>
+      </button>
+    </div>
+  );
+};
+
+export default QuotedMessagePreview;
@@ -2,7 +2,74 @@
 import React, { useContext } from 'react';
 // @ts-expect-error
 import { ImagePreviewer, FilePreviewer } from 'react-file-utils';
-import { ChannelContext } from '../../context';
+import { ChannelContext, TranslationContext } from '../../context';
+import { getUploadRejectionText } from './validation';
+
+/** @type {React.FC<{ uploads: Array<import("types").FileUpload | import("types").ImageUpload> }>} */
+const UploadProgressList = ({ uploads }) => {
+  const uploading = uploads.filter(({ state }) => state === 'uploading');
+  if (!uploading.length) return null;
+
+  return (
+    <ul className="str-chat__upload-progress-list">
+      {uploading.map(({ file, id, progress }) => {
+        const percentage = Math.round((progress || 0) * 100);
+        return (
+          <li
+            className="str-chat__upload-progress"
+            data-testid="upload-progress"
+            key={id}
+          >
+            <span className="str-chat__upload-progress__name">{file.name}</span>
+            <span
+              aria-label={file.name}
+              aria-valuemax={100}
+              aria-valuemin={0}
+              aria-valuenow={percentage}
+              className="str-chat__upload-progress__track"
+              role="progressbar"
+            >
+              <span
+                className="str-chat__upload-progress__bar"
+                style={{ width: `${percentage}%` }}
+              />
+            </span>
+            <span className="str-chat__upload-progress__value">
+              {percentage}%
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+/** @type {React.FC<{ dismiss?: () => void, rejections: import("types").UploadRejection[] }>} */
+const UploadRejectionList = ({ dismiss, rejections }) => {
+  const { t } = useContext(TranslationContext);
+  if (!rejections.length) return null;
+
+  return (
+    <div className="str-chat__upload-rejections" role="alert">
+      <ul>
+        {rejections.map((rejection, i) => (
+          <li key={`${rejection.file.name}-${i}`}>
+            {getUploadRejectionText(rejection, t)}
+          </li>
+        ))}
+      </ul>
+      {dismiss && (
+        <button
+          aria-label={t('Close')}
+          className="str-chat__upload-rejections__dismiss"
+          onClick={dismiss}
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  );
+};
 
 /** @type {React.FC<import("types").MessageInputUploadsProps>} */
 const UploadsPreview = ({
@@ -16,10 +83,16 @@ const UploadsPreview = ({
   fileUploads,
   removeFile,
   uploadFile,
+  uploadRejections,
+  dismissUploadRejections,
 }) => {
   const channelContext = useContext(ChannelContext);
   return (
     <>
+      <UploadRejectionList
+        dismiss={dismissUploadRejections}
+        rejections={uploadRejections || []}
+      />
       {imageOrder.length > 0 && (
         <ImagePreviewer
           imageUploads={imageOrder.map((id) => imageUploads[id])}
@@ -41,6 +114,12 @@ const UploadsPreview = ({
           handleFiles={uploadNewFiles}
         />
       )}
+      <UploadProgressList
+        uploads={[
+          ...imageOrder.map((id) => imageUploads[id]),
+          ...fileOrder.map((id) => fileUploads[id]),
+        ]}
+      />
     </>
   );
 };
@@ -0,0 +1,226 @@
+// @ts-check
+import React, { useCallback, useContext, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { TranslationContext } from '../../context';
+import { formatDuration } from '../../utils';
+import Waveform from '../Attachment/Waveform';
+import { Tooltip } from '../Tooltip';
+import useVoiceRecorder from './hooks/voiceRecorder';
+import { MicrophoneIcon } from './icons';
+import { isVoiceRecordingSupported } from './voiceRecording';
+
+// a shorter press is a tap, which keeps recording until the recording is stopped with the controls
+const minHoldDuration = 400;
+// distance in px the pointer has to slide to the left to cancel a recording made by holding the button
+const slideToCancelDistance = 80;
+
+/**
+ * VoiceRecorder - records a voice message and adds it to the input as an audio attachment.
+ * Holding the button records until it is released, sliding to the left cancels the recording.
+ * Tapping the button, or pressing it with the keyboard, records until the recording is stopped with the controls.
+ * @type {React.FC<import('types').VoiceRecorderProps>}
+ */
+const VoiceRecorder = ({ disabled, maxDuration, uploadNewFiles }) => {
+  const { t } = useContext(TranslationContext);
+
+  const onRecorded = useCallback(
+    /** @type {import('types').VoiceRecorderOptions['onRecorded']} */
+    (file, attachmentFields) => uploadNewFiles([file], attachmentFields),
+    [uploadNewFiles],
+  );
+
+  const {
+    amplitudes,
+    cancel,
+    duration,
+    error,
+    pause,
+    resume,
+    start,
+    status,
+    stop,
+  } = useVoiceRecorder({ maxDuration, onRecorded });
+
+  const press = useRef(
+    /** @type {{ startedAt: number, x: number } | null} */ (null),
+  );
+  const [isHolding, setIsHolding] = useState(false);
+  const [slideOffset, setSlideOffset] = useState(0);
+
+  const release = useCallback(() => {
+    press.current = null;
+    setIsHolding(false);
+    setSlideOffset(0);
+  }, []);
+
+  const handlePointerDown = useCallback(
+    /** @param {React.PointerEvent<HTMLButtonElement>} event */
+    (event) => {
+      if (disabled || event.button !== 0 || status !== 'idle') return;
+      event.currentTarget.setPointerCapture?.(event.pointerId);
+      press.current = { startedAt: Date.now(), x: event.clientX };
+      setIsHolding(true);
+      setSlideOffset(0);
+      start();
+    },
+    [disabled, start, status],
+  );
+
+  const handlePointerMove = useCallback(
+    /** @param {React.PointerEvent<HTMLButtonElement>} event */
+    (event) => {
+      if (!press.current) return;
+      const offset = Math.max(press.current.x - event.clientX, 0);
+      if (offset >= slideToCancelDistance) {
+        release();
+        cancel();
+      } else {
+        setSlideOffset(offset);
+      }
+    },
+    [cancel, release],
+  );
+
+  const handlePointerUp = useCallback(() => {
+    if (!press.current) return;
+    const heldFor = Date.now() - press.current.startedAt;
+    release();
+    // while the microphone permission is asked for, the recording is kept going as if the button was tapped
+    if (heldFor >= minHoldDuration && status === 'recording') stop();
+  }, [release, status, stop]);
+
+  const handlePointerCancel = useCallback(() => {
+    if (!press.current) return;
+    release();
+    cancel();
+  }, [cancel, release]);
+
+  const handleClick = useCallback(
+    /** @param {React.MouseEvent<HTMLButtonElement>} event */
+    (event) => {
+      // pointer presses are handled above, detail is 0 for the clicks made with the keyboard
+      if (event.detail !== 0 || disabled) return;
+      if (status === 'idle') start();
+    },
+    [disabled, start, status],
+  );
+
+  if (!isVoiceRecordingSupported()) return null;
+
+  const isRecording = status !== 'idle';
+
+  return (
+    <div
+      className={`str-chat__voice-recorder ${
+        isRecording ? 'str-chat__voice-recorder--recording' : ''
+      }`}
+      data-testid="voice-recorder"
+    >
+      {isRecording && (
+        <div
+          className="str-chat__voice-recorder__controls"
+          style={
+            isHolding ? { transform: `translateX(-${slideOffset}px)` } : {}
+          }
+        >
+          {isHolding ? (
+            <span className="str-chat__voice-recorder__hint">
+              {t('Slide to cancel')}
+            </span>
+          ) : (
+            <button
+              aria-label={t('Cancel recording')}
+              className="str-chat__voice-recorder__cancel"
+              data-testid="cancel-recording"
+              onClick={cancel}
+              type="button"
+            >
+              ✕
+            </button>
+          )}
+          <span
+            className="str-chat__voice-recorder__duration"
+            data-testid="recording-duration"
+          >
+            {formatDuration(duration)}
+          </span>
+          <Waveform progress={1} waveform={amplitudes} />
+          {!isHolding && (
+            <>
+              {status === 'paused' ? (
+                <button
+                  aria-label={t('Resume recording')}
+                  className="str-chat__voice-recorder__resume"
+                  data-testid="resume-recording"
+                  onClick={resume}
+                  type="button"
+                >
+                  ●
+                </button>
+              ) : (
+                <button
+                  aria-label={t('Pause recording')}
+                  className="str-chat__voice-recorder__pause"
+                  data-testid="pause-recording"
+                  disabled={status !== 'recording'}
+                  onClick={pause}
+                  type="button"
+                >
+                  ❚❚
+                </button>
+              )}
+              <button
+                aria-label={t('Stop recording')}
+                className="str-chat__voice-recorder__stop"
+                data-testid="stop-recording"
+                onClick={stop}
+                type="button"
+              >
+                ■
+              </button>
+            </>
+          )}
+        </div>
+      )}
+      {error && !isRecording && (
+        <span className="str-chat__voice-recorder__error" role="alert">
+          {t('The microphone could not be accessed')}
+        </span>
+      )}
+      {(!isRecording || isHolding) && (
+        <div className="str-chat__voice-recorder__button-wrapper">
+          <Tooltip>{t('Record a voice message')}</Tooltip>
+          <button
+            aria-label={t('Record a voice message')}
+            className="str-chat__voice-recorder__button"
+            data-testid="record-voice-message"
+            disabled={disabled}
+            onClick={handleClick}
+            onPointerCancel={handlePointerCancel}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            type="button"
+          >
+            <MicrophoneIcon />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+VoiceRecorder.propTypes = {
+  /** Adds the recorded file to the input, with the `duration` and `waveform_data` of its attachment */
+  uploadNewFiles: PropTypes.func.isRequired,
+  /** Disables the record button, e.g. when no more files can be added */
+  disabled: PropTypes.bool,
+  /** Max duration of a recording in seconds, the recording stops when it is reached */
+  maxDuration: PropTypes.number,
+};
+
+VoiceRecorder.defaultProps = {
+  maxDuration: 120,
+};
+
+export default VoiceRecorder;
@@ -12,6 +12,8 @@ import MessageInputLarge from '../MessageInputLarge';
 import MessageInputSmall from '../MessageInputSmall';
 import MessageInputFlat from '../MessageInputFlat';
 import EditMessageForm from '../EditMessageForm';
+import { createLocalStorageDraftStorage, getDraftKey } from '../drafts';
+import * as imageProcessing from '../imageProcessing';
 import { Chat } from '../../Chat';
 import { Channel } from '../../Channel';
 import {
@@ -22,8 +24,9 @@ import {
   useMockedApis,
   getOrCreateChannelApi,
   getTestClientWithUser,
+  mockMediaRecorder,
 } from '../../../mock-builders';
-import { ChatContext } from '../../../context';
+import { ChannelContext, ChatContext } from '../../../context';
 
 // mock image loader fn used by ImagePreview
 jest.mock('blueimp-load-image/js/load-image-fetch', () => {
@@ -44,13 +47,25 @@ const ActiveChannelSetter = ({ activeChannel }) => {
   return null;
 };
 
+const QuotedMessageSetter = ({ quotedMessage }) => {
+  const { setQuotedMessage } = useContext(ChannelContext);
+  useEffect(() => {
+    setQuotedMessage(quotedMessage);
+  }, [quotedMessage, setQuotedMessage]);
+  return null;
+};
+
 [
   { InputComponent: MessageInputLarge, name: 'MessageInputLarge' },
   { InputComponent: MessageInputSmall, name: 'MessageInputSmall' },
   { InputComponent: MessageInputFlat, name: 'MessageInputFlat' },
   { InputComponent: EditMessageForm, name: 'EditMessageForm' },
 ].forEach(({ InputComponent, name: componentName }) => {
-  const renderComponent = (props = {}, channelProps = {}) => {
+  const renderComponent = (
+    props = {},
+    channelProps = {},
+    channelChildren = null,
+  ) => {
     // MessageInput components rely on ChannelContext.
     // ChannelContext is created by Channel component,
     // Which relies on ChatContext, created by Chat component.
@@ -62,6 +77,7 @@ const ActiveChannelSetter = ({ activeChannel }) => {
           doUpdateMessageRequest={editMock}
           {...channelProps}
         >
+          {channelChildren}
           <MessageInput Input={InputComponent} {...props} />
         </Channel>
       </Chat>,
@@ -97,6 +113,7 @@ const ActiveChannelSetter = ({ activeChannel }) => {
     afterEach(() => {
       cleanup();
       jest.clearAllMocks();
+      window.localStorage.clear();
     });
 
     function dropFile(file, formElement) {
@@ -251,6 +268,10 @@ const ActiveChannelSetter = ({ activeChannel }) => {
           expect(doFileUploadRequest).toHaveBeenCalledWith(
             file,
             expect.any(Object),
+            expect.objectContaining({
+              onProgress: expect.any(Function),
+              signal: expect.any(AbortSignal),
+            }),
           );
           expect(filenameText).toBeInTheDocument();
           expect(filenameText.closest('a')).toHaveAttribute(
@@ -260,6 +281,7 @@ const ActiveChannelSetter = ({ activeChannel }) => {
           expect(doImageUploadRequest).toHaveBeenCalledWith(
             image,
             expect.any(Object),
+            expect.any(Object),
           );
         });
       });
@@ -278,6 +300,7 @@ const ActiveChannelSetter = ({ activeChannel }) => {
           expect(doImageUploadRequest).toHaveBeenCalledWith(
             file,
             expect.any(Object),
+            expect.any(Object),
           );
         });
       });
@@ -343,6 +366,7 @@ const ActiveChannelSetter = ({ activeChannel }) => {
           expect(doImageUploadRequest).toHaveBeenCalledWith(
             file,
             expect.any(Object),
+            expect.any(Object),
           );
         });
       });
@@ -370,6 +394,7 @@ const ActiveChannelSetter = ({ activeChannel }) => {
           expect(doFileUploadRequest).toHaveBeenCalledWith(
             file,
             expect.any(Object),
+            expect.any(Object),
           );
         });
 
@@ -383,6 +408,7 @@ const ActiveChannelSetter = ({ activeChannel }) => {
           expect(doFileUploadRequest).toHaveBeenCalledWith(
             file,
             expect.any(Object),
+            expect.any(Object),
           ),
         );
       });
@@ -457,6 +483,148 @@ const ActiveChannelSetter = ({ activeChannel }) => {
         );
       });
 
+      it('should explain why the dropped files are not added', async () => {
+        const doFileUploadRequest = mockUploadApi();
+        const errorHandler = jest.fn();
+        const {
+          findByPlaceholderText,
+          findByRole,
+          queryByRole,
+        } = renderComponent(
+          { doFileUploadRequest, errorHandler },
+          { maxFileSize: 5 },
+        );
+        dropFile(
+          getFile('video.mov'),
+          await findByPlaceholderText(inputPlaceholder),
+        );
+
+        const alert = await findByRole('alert');
+        expect(alert).toHaveTextContent('video.mov is larger than 5 B');
+        expect(doFileUploadRequest).not.toHaveBeenCalled();
+        expect(errorHandler).toHaveBeenCalledWith(
+          expect.any(Error),
+          'upload-rejected',
+          expect.objectContaining({ limit: 5, reason: 'file-too-large' }),
+        );
+
+        fireEvent.click(await findByRole('button', { name: 'Close' }));
+        expect(queryByRole('alert')).not.toBeInTheDocument();
+      });
+
+      it('should not upload the pasted files which are not accepted', async () => {
+        const doFileUploadRequest = mockUploadApi();
+        const doImageUploadRequest = mockUploadApi();
+        const { findByPlaceholderText, findByRole } = renderComponent(
+          { doFileUploadRequest, doImageUploadRequest },
+          { acceptedFiles: ['image/*'] },
+        );
+        const file = getFile();
+        const image = getImage();
+        const clipboardEvent = new Event('paste', { bubbles: true });
+        clipboardEvent.clipboardData = {
+          items: [
+            { kind: 'file', getAsFile: () => file },
+            { kind: 'file', getAsFile: () => image },
+          ],
+        };
+        (await findByPlaceholderText(inputPlaceholder)).dispatchEvent(
+          clipboardEvent,
+        );
+
+        expect(await findByRole('alert')).toHaveTextContent(
+          `${filename} is not an allowed file type`,
+        );
+        await waitFor(() =>
+          expect(doImageUploadRequest).toHaveBeenCalledWith(
+            image,
+            expect.any(Object),
+            expect.any(Object),
+          ),
+        );
+        expect(doFileUploadRequest).not.toHaveBeenCalled();
+      });
+
+      const getPendingUploadApi = () => {
+        const requests = [];
+        const doUploadRequest = jest.fn().mockImplementation(
+          (file, uploadChannel, { onProgress, signal }) =>
+            new Promise((resolve, reject) => {
+              signal.addEventListener('abort', () =>
+                reject(new Error('aborted')),
+              );
+              requests.push({
+                onProgress,
+                resolve: () => resolve({ file: fileUploadUrl }),
+                signal,
+              });
+            }),
+        );
+        return { doUploadRequest, requests };
+      };
+
+      it('should show the progress of the uploads', async () => {
+        const { doUploadRequest, requests } = getPendingUploadApi();
+        const { findByPlaceholderText, findByRole } = renderComponent({
+          doFileUploadRequest: doUploadRequest,
+        });
+        dropFile(getFile(), await findByPlaceholderText(inputPlaceholder));
+        await waitFor(() => expect(requests).toHaveLength(1));
+
+        act(() => requests[0].onProgress(0.5));
+
+        const progressBar = await findByRole('progressbar', { name: filename });
+        expect(progressBar).toHaveAttribute('aria-valuenow', '50');
+        expect(progressBar.parentElement).toHaveTextContent('50%');
+      });
+
+      it('should abort the upload of a file when it is removed', async () => {
+        const { doUploadRequest, requests } = getPendingUploadApi();
+        const errorHandler = jest.fn();
+        const {
+          container,
+          findByPlaceholderText,
+          queryByText,
+        } = renderComponent({
+          doFileUploadRequest: doUploadRequest,
+          errorHandler,
+        });
+        dropFile(getFile(), await findByPlaceholderText(inputPlaceholder));
+        await waitFor(() => expect(requests).toHaveLength(1));
+
+        fireEvent.click(
+          container.querySelector('.rfu-file-previewer__close-button'),
+        );
+
+        await waitFor(() => {
+          expect(requests[0].signal.aborted).toBe(true);
+          expect(queryByText(filename)).not.toBeInTheDocument();
+        });
+        expect(errorHandler).not.toHaveBeenCalled();
+      });
+
+      it('should upload at most 3 files at the same time', async () => {
+        const { doUploadRequest, requests } = getPendingUploadApi();
+        const { findByPlaceholderText } = renderComponent(
+          { doFileUploadRequest: doUploadRequest },
+          { multipleUploads: true },
+        );
+        fireEvent.drop(await findByPlaceholderText(inputPlaceholder), {
+          dataTransfer: {
+            files: ['1.txt', '2.txt', '3.txt', '4.txt'].map(getFile),
+            types: ['Files'],
+          },
+        });
+        await waitFor(() => expect(requests).toHaveLength(3));
+
+        await act(async () => {
+          requests[0].resolve();
+          await Promise.resolve();
+        });
+
+        await waitFor(() => expect(requests).toHaveLength(4));
+      });
+
       // TODO: Check if pasting plaintext is not prevented -> tricky because recreating exact event is hard
       // TODO: Remove image/file -> difficult because there is no easy selector and components are in react-file-utils
     });
@@ -601,6 +769,76 @@ const ActiveChannelSetter = ({ activeChannel }) => {
         );
       });
 
+      it('should add the processed image with its dimensions as attachment if imageProcessing is enabled', async () => {
+        const processedImage = new File(['processed'], 'some.jpg', {
+          type: 'image/jpeg',
+        });
+        const processImageSpy = jest
+          .spyOn(imageProcessing, 'processImage')
+          .mockResolvedValue({ file: processedImage, height: 600, width: 800 });
+        const doImageUploadRequest = mockUploadApi();
+        const { submit, findByPlaceholderText } = renderComponent({
+          doImageUploadRequest,
+          imageProcessing: { maxDimension: 1024 },
+        });
+
+        const formElement = await findByPlaceholderText(inputPlaceholder);
+        const file = getImage();
+        dropFile(file, formElement);
+
+        await waitFor(() =>
+          expect(doImageUploadRequest).toHaveBeenCalledWith(
+            processedImage,
+            expect.any(Object),
+            expect.any(Object),
+          ),
+        );
+        expect(processImageSpy).toHaveBeenCalledWith(file, {
+          maxDimension: 1024,
+        });
+        await submit();
+        expect(submitMock).toHaveBeenCalledWith(
+          channel.cid,
+          expect.objectContaining({
+            attachments: [
+              expect.objectContaining({
+                type: 'image',
+                image_url: fileUploadUrl,
+                original_height: 600,
+                original_width: 800,
+              }),
+            ],
+          }),
+        );
+        processImageSpy.mockRestore();
+      });
+
+      it('should upload the image as it is if it cannot be processed', async () => {
+        const processImageSpy = jest
+          .spyOn(imageProcessing, 'processImage')
+          .mockRejectedValue(new Error('cannot decode the image'));
+        jest.spyOn(console, 'warn').mockImplementationOnce(() => null);
+        const doImageUploadRequest = mockUploadApi();
+        const { findByPlaceholderText } = renderComponent({
+          doImageUploadRequest,
+          imageProcessing: true,
+        });
+
+        const formElement = await findByPlaceholderText(inputPlaceholder);
+        const file = getImage();
+        dropFile(file, formElement);
+
+        await waitFor(() =>
+          expect(doImageUploadRequest).toHaveBeenCalledWith(
+            file,
+            expect.any(Object),
+            expect.any(Object),
+          ),
+        );
+        expect(processImageSpy).toHaveBeenCalledWith(file, undefined);
+        processImageSpy.mockRestore();
+      });
+
       it('should add file as attachment if a message is submitted with an file', async () => {
         const doFileUploadRequest = mockUploadApi();
         const { submit, findByPlaceholderText } = renderComponent({
@@ -658,6 +896,248 @@ const ActiveChannelSetter = ({ activeChannel }) => {
       });
     });
 
+    describe('Drafts', () => {
+      const draftStorage = createLocalStorageDraftStorage();
+
+      it('should restore the text typed before the input was unmounted', async () => {
+        const { findByPlaceholderText } = renderComponent();
+        fireEvent.change(await findByPlaceholderText(inputPlaceholder), {
+          target: { value: 'Some draft' },
+        });
+        cleanup();
+
+        const { findByDisplayValue } = renderComponent();
+
+        expect(await findByDisplayValue('Some draft')).toBeInTheDocument();
+        expect(
+          draftStorage.getDraft(getDraftKey(chatClient.userID, channel.cid)),
+        ).toStrictEqual(expect.objectContaining({ text: 'Some draft' }));
+      });
+
+      it('should restore the finished uploads of the draft', async () => {
+        const doFileUploadRequest = mockUploadApi();
+        const { findByPlaceholderText } = renderComponent({
+          doFileUploadRequest,
+        });
+        const formElement = await findByPlaceholderText(inputPlaceholder);
+        dropFile(getFile('draft.txt'), formElement);
+        await waitFor(() =>
+          expect(
+            draftStorage.getDraft(getDraftKey(chatClient.userID, channel.cid)),
+          ).toStrictEqual(
+            expect.objectContaining({
+              attachments: [
+                expect.objectContaining({
+                  asset_url: fileUploadUrl,
+                  title: 'draft.txt',
+                  type: 'file',
+                }),
+              ],
+            }),
+          ),
+        );
+        cleanup();
+
+        const { findByText } = renderComponent();
+
+        expect(await findByText('draft.txt')).toBeInTheDocument();
+      });
+
+      it('should clear the draft when the message is sent', async () => {
+        const { findByPlaceholderText, submit } = renderComponent();
+        fireEvent.change(await findByPlaceholderText(inputPlaceholder), {
+          target: { value: 'Some message' },
+        });
+        await waitFor(() =>
+          expect(
+            draftStorage.getDraft(getDraftKey(chatClient.userID, channel.cid)),
+          ).not.toBeNull(),
+        );
+
+        await submit();
+
+        expect(submitMock).toHaveBeenCalledWith(
+          channel.cid,
+          expect.objectContaining({ text: 'Some message' }),
+        );
+        await waitFor(() =>
+          expect(
+            draftStorage.getDraft(getDraftKey(chatClient.userID, channel.cid)),
+          ).toBeNull(),
+        );
+      });
+
+      it('should keep the draft of a thread apart from the draft of the channel', async () => {
+        const parent = generateMessage();
+        const { findByPlaceholderText } = renderComponent({ parent });
+        fireEvent.change(await findByPlaceholderText(inputPlaceholder), {
+          target: { value: 'Some reply' },
+        });
+
+        await waitFor(() =>
+          expect(
+            draftStorage.getDraft(
+              getDraftKey(chatClient.userID, channel.cid, parent.id),
+            ),
+          ).toStrictEqual(expect.objectContaining({ text: 'Some reply' })),
+        );
+        expect(
+          draftStorage.getDraft(getDraftKey(chatClient.userID, channel.cid)),
+        ).toBeNull();
+      });
+
+      it('should not restore the draft of another user', async () => {
+        const { findByPlaceholderText } = renderComponent();
+        fireEvent.change(await findByPlaceholderText(inputPlaceholder), {
+          target: { value: 'Some draft' },
+        });
+        cleanup();
+        const { userID } = chatClient;
+        chatClient.userID = 'other-user';
+
+        const { findByPlaceholderText: findOtherInput } = renderComponent();
+
+        expect(await findOtherInput(inputPlaceholder)).toHaveValue('');
+        chatClient.userID = userID;
+      });
+    });
+
+    if (['MessageInputFlat', 'MessageInputLarge'].includes(componentName)) {
+      describe('Voice messages', () => {
+        let media;
+
+        beforeEach(() => {
+          media = mockMediaRecorder();
+        });
+
+        afterEach(() => {
+          media.restore();
+        });
+
+        it('should send a voice recording as audio attachment with its duration and waveform', async () => {
+          const doFileUploadRequest = mockUploadApi();
+          const { findByTestId, getByTestId, submit } = renderComponent({
+            doFileUploadRequest,
+          });
+
+          fireEvent.click(await findByTestId('record-voice-message'));
+          fireEvent.click(await findByTestId('stop-recording'));
+
+          await waitFor(() =>
+            expect(doFileUploadRequest).toHaveBeenCalledWith(
+              expect.objectContaining({ type: 'audio/webm' }),
+              channel,
+              expect.any(Object),
+            ),
+          );
+          await submit();
+
+          expect(submitMock).toHaveBeenCalledWith(
+            channel.cid,
+            expect.objectContaining({
+              attachments: [
+                expect.objectContaining({
+                  asset_url: fileUploadUrl,
+                  duration: expect.any(Number),
+                  mime_type: 'audio/webm',
+                  type: 'audio',
+                  waveform_data: expect.any(Array),
+                }),
+              ],
+            }),
+          );
+          expect(getByTestId('record-voice-message')).toBeInTheDocument();
+        });
+
+        it('should not render the record button if VoiceRecorder is null', async () => {
+          const { findByPlaceholderText, queryByTestId } = renderComponent({
+            VoiceRecorder: null,
+          });
+          await findByPlaceholderText(inputPlaceholder);
+
+          expect(queryByTestId('record-voice-message')).not.toBeInTheDocument();
+        });
+      });
+    }
+
+    if (componentName !== 'EditMessageForm') {
+      describe('Quoting', () => {
+        const quotedMessage = generateMessage({
+          text: 'The quoted text',
+          user: generateUser({ name: 'quoted-author' }),
+        });
+
+        it('should show the quoted message and allow to dismiss it', async () => {
+          const { findByTestId, queryByTestId, getByText } = renderComponent(
+            {},
+            {},
+            <QuotedMessageSetter quotedMessage={quotedMessage} />,
+          );
+
+          await findByTestId('quoted-message-preview');
+          expect(getByText('The quoted text')).toBeInTheDocument();
+          expect(getByText('quoted-author')).toBeInTheDocument();
+
+          fireEvent.click(queryByTestId('quoted-message-preview-dismiss'));
+
+          await waitFor(() =>
+            expect(
+              queryByTestId('quoted-message-preview'),
+            ).not.toBeInTheDocument(),
+          );
+        });
+
+        it('should send the quoted message id with the message and remove the quote', async () => {
+          const {
+            submit,
+            findByPlaceholderText,
+            findByTestId,
+            queryByTestId,
+          } = renderComponent(
+            {},
+            {},
+            <QuotedMessageSetter quotedMessage={quotedMessage} />,
+          );
+          await findByTestId('quoted-message-preview');
+
+          fireEvent.change(await findByPlaceholderText(inputPlaceholder), {
+            target: {
+              value: 'Some reply',
+            },
+          });
+          await submit();
+
+          expect(submitMock).toHaveBeenCalledWith(
+            channel.cid,
+            expect.objectContaining({
+              text: 'Some reply',
+              quoted_message_id: quotedMessage.id,
+            }),
+          );
+          await waitFor(() =>
+            expect(
+              queryByTestId('quoted-message-preview'),
+            ).not.toBeInTheDocument(),
+          );
+        });
+
+        it('should not show a quoted thread reply in the channel input', async () => {
+          const { findByPlaceholderText, queryByTestId } = renderComponent(
+            {},
+            {},
+            <QuotedMessageSetter
+              quotedMessage={{ ...quotedMessage, parent_id: 'parent-id' }}
+            />,
+          );
+
+          await findByPlaceholderText(inputPlaceholder);
+          expect(
+            queryByTestId('quoted-message-preview'),
+          ).not.toBeInTheDocument();
+        });
+      });
+    }
+
     it('Should edit a message if it is passed through the message prop', async () => {
       const file = {
         type: 'file',
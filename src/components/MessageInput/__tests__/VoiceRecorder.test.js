@@ -0,0 +1,194 @@
+import React from 'react';
+import { act, cleanup, fireEvent, render } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import { mockMediaRecorder } from 'mock-builders';
+import VoiceRecorder from '../VoiceRecorder';
+
+// lets the microphone access be granted
+const flushPromises = () => act(() => Promise.resolve());
+
+const advanceTime = (ms) => {
+  act(() => {
+    jest.advanceTimersByTime(ms);
+  });
+};
+
+describe('VoiceRecorder', () => {
+  let media;
+  const uploadNewFiles = jest.fn();
+  const renderComponent = (props = {}) =>
+    render(<VoiceRecorder uploadNewFiles={uploadNewFiles} {...props} />);
+
+  beforeAll(() => {
+    // jsdom has no PointerEvent, fireEvent would drop the coordinates of the events
+    window.PointerEvent = class PointerEvent extends MouseEvent {};
+  });
+
+  afterAll(() => {
+    delete window.PointerEvent;
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    media = mockMediaRecorder();
+  });
+
+  afterEach(() => {
+    cleanup();
+    media.restore();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  const tapRecordButton = async (getByTestId) => {
+    const button = getByTestId('record-voice-message');
+    fireEvent.pointerDown(button, { button: 0, clientX: 200 });
+    fireEvent.pointerUp(button, { button: 0, clientX: 200 });
+    await flushPromises();
+  };
+
+  it('should render nothing if the browser cannot record audio', () => {
+    media.restore();
+    const { container } = renderComponent();
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should keep recording after a tap and add the recording with its duration and waveform when it is stopped', async () => {
+    const { getByTestId } = renderComponent();
+    await tapRecordButton(getByTestId);
+
+    expect(media.getUserMedia).toHaveBeenCalledWith({ audio: true });
+    expect(media.recorders[0].mimeType).toBe('audio/webm;codecs=opus');
+    expect(media.recorders[0].start).toHaveBeenCalledTimes(1);
+
+    advanceTime(1500);
+    expect(getByTestId('recording-duration')).toHaveTextContent('0:01');
+
+    fireEvent.click(getByTestId('stop-recording'));
+
+    expect(uploadNewFiles).toHaveBeenCalledTimes(1);
+    const [[[file], attachmentFields]] = uploadNewFiles.mock.calls;
+    expect(file).toBeInstanceOf(File);
+    expect(file.type).toBe('audio/webm');
+    expect(file.name).toMatch(/^voice-message-.+\.webm$/);
+    expect(attachmentFields).toStrictEqual({
+      duration: 1.5,
+      waveform_data: Array(15).fill(1),
+    });
+    expect(media.track.stop).toHaveBeenCalledWith();
+    expect(media.audioContexts[0].close).toHaveBeenCalledWith();
+    expect(getByTestId('record-voice-message')).toBeInTheDocument();
+  });
+
+  it('should add the recording when the button is released after being held', async () => {
+    const { getByTestId } = renderComponent();
+    const button = getByTestId('record-voice-message');
+    fireEvent.pointerDown(button, { button: 0, clientX: 200 });
+    await flushPromises();
+
+    expect(getByTestId('voice-recorder')).toHaveTextContent('Slide to cancel');
+    advanceTime(1000);
+    fireEvent.pointerUp(button, { button: 0, clientX: 190 });
+
+    expect(uploadNewFiles).toHaveBeenCalledWith(
+      [expect.any(File)],
+      expect.objectContaining({ duration: 1 }),
+    );
+  });
+
+  it('should cancel the recording when the pointer slides to the left', async () => {
+    const { getByTestId, queryByTestId } = renderComponent();
+    const button = getByTestId('record-voice-message');
+    fireEvent.pointerDown(button, { button: 0, clientX: 200 });
+    await flushPromises();
+    advanceTime(1000);
+
+    fireEvent.pointerMove(button, { button: 0, clientX: 150 });
+    expect(media.recorders[0].stop).not.toHaveBeenCalled();
+    fireEvent.pointerMove(button, { button: 0, clientX: 100 });
+
+    expect(media.recorders[0].stop).toHaveBeenCalledTimes(1);
+    expect(media.track.stop).toHaveBeenCalledWith();
+    expect(uploadNewFiles).not.toHaveBeenCalled();
+    expect(queryByTestId('recording-duration')).not.toBeInTheDocument();
+  });
+
+  it('should cancel the recording with the cancel button', async () => {
+    const { getByTestId } = renderComponent();
+    await tapRecordButton(getByTestId);
+    advanceTime(1000);
+
+    fireEvent.click(getByTestId('cancel-recording'));
+
+    expect(media.track.stop).toHaveBeenCalledWith();
+    expect(uploadNewFiles).not.toHaveBeenCalled();
+  });
+
+  it('should not count the time the recording is paused', async () => {
+    const { getByTestId } = renderComponent();
+    await tapRecordButton(getByTestId);
+    advanceTime(1000);
+
+    fireEvent.click(getByTestId('pause-recording'));
+    expect(media.recorders[0].pause).toHaveBeenCalledTimes(1);
+    advanceTime(5000);
+    expect(getByTestId('recording-duration')).toHaveTextContent('0:01');
+
+    fireEvent.click(getByTestId('resume-recording'));
+    expect(media.recorders[0].resume).toHaveBeenCalledTimes(1);
+    advanceTime(1000);
+    fireEvent.click(getByTestId('stop-recording'));
+
+    expect(uploadNewFiles).toHaveBeenCalledWith(
+      [expect.any(File)],
+      expect.objectContaining({ duration: 2 }),
+    );
+  });
+
+  it('should stop the recording when the max duration is reached', async () => {
+    const { getByTestId } = renderComponent({ maxDuration: 2 });
+    await tapRecordButton(getByTestId);
+
+    advanceTime(2500);
+
+    expect(uploadNewFiles).toHaveBeenCalledTimes(1);
+    expect(uploadNewFiles).toHaveBeenCalledWith(
+      [expect.any(File)],
+      expect.objectContaining({ duration: 2 }),
+    );
+  });
+
+  it('should start recording when the button is pressed with the keyboard', async () => {
+    const { getByTestId } = renderComponent();
+    fireEvent.click(getByTestId('record-voice-message'), { detail: 0 });
+    await flushPromises();
+
+    expect(media.recorders[0].start).toHaveBeenCalledTimes(1);
+    expect(getByTestId('stop-recording')).toBeInTheDocument();
+  });
+
+  it('should show an error if the microphone cannot be accessed', async () => {
+    media.getUserMedia.mockImplementationOnce(() =>
+      Promise.reject(new Error('Permission denied')),
+    );
+    const { getByRole, getByTestId } = renderComponent();
+    await tapRecordButton(getByTestId);
+
+    expect(getByRole('alert')).toHaveTextContent(
+      'The microphone could not be accessed',
+    );
+    expect(media.recorders).toHaveLength(0);
+  });
+
+  it('should drop the recording when it is unmounted', async () => {
+    const { getByTestId, unmount } = renderComponent();
+    await tapRecordButton(getByTestId);
+
+    unmount();
+
+    expect(media.recorders[0].stop).toHaveBeenCalledTimes(1);
+    expect(media.track.stop).toHaveBeenCalledWith();
+    expect(uploadNewFiles).not.toHaveBeenCalled();
+  });
+});
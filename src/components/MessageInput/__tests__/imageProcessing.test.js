@@ -0,0 +1,109 @@
+import loadImage from 'blueimp-load-image';
+import {
+  canProcessImage,
+  defaultImageProcessingOptions,
+  processImage,
+} from '../imageProcessing';
+
+jest.mock('blueimp-load-image', () => jest.fn());
+
+const fillRect = jest.fn();
+
+const mockCanvas = ({ blobType, height = 768, width = 1024 } = {}) => {
+  const canvas = {
+    getContext: () => ({ fillRect }),
+    height,
+    toBlob: jest.fn((callback, type) =>
+      callback(
+        blobType === null
+          ? null
+          : new Blob(['image'], { type: blobType || type }),
+      ),
+    ),
+    width,
+  };
+  loadImage.mockResolvedValue({ image: canvas });
+  return canvas;
+};
+
+const getImage = (name = 'photo.png', type = 'image/png') =>
+  new File(['content'], name, { lastModified: 1000, type });
+
+describe('processImage', () => {
+  afterEach(jest.clearAllMocks);
+
+  it('should downscale the image and apply its orientation with the default options', async () => {
+    const canvas = mockCanvas();
+    const { file, height, width } = await processImage(getImage());
+
+    expect(loadImage).toHaveBeenCalledWith(
+      expect.any(File),
+      expect.objectContaining({
+        canvas: true,
+        maxHeight: defaultImageProcessingOptions.maxDimension,
+        maxWidth: defaultImageProcessingOptions.maxDimension,
+        orientation: true,
+      }),
+    );
+    expect(canvas.toBlob).toHaveBeenCalledWith(
+      expect.any(Function),
+      'image/jpeg',
+      defaultImageProcessingOptions.quality,
+    );
+    expect(file.name).toBe('photo.jpg');
+    expect(file.type).toBe('image/jpeg');
+    expect(file.lastModified).toBe(1000);
+    expect({ height, width }).toStrictEqual({ height: 768, width: 1024 });
+  });
+
+  it('should fill the transparent pixels with white when encoding to jpeg', async () => {
+    mockCanvas();
+    await processImage(getImage());
+    expect(fillRect).toHaveBeenCalledWith(0, 0, 1024, 768);
+  });
+
+  it('should use the given options', async () => {
+    const canvas = mockCanvas({ height: 300, width: 400 });
+    const { file } = await processImage(getImage('photo'), {
+      maxDimension: 400,
+      mimeType: 'image/webp',
+      quality: 0.5,
+    });
+
+    expect(loadImage).toHaveBeenCalledWith(
+      expect.any(File),
+      expect.objectContaining({ maxHeight: 400, maxWidth: 400 }),
+    );
+    expect(canvas.toBlob).toHaveBeenCalledWith(
+      expect.any(Function),
+      'image/webp',
+      0.5,
+    );
+    expect(fillRect).not.toHaveBeenCalled();
+    expect(file.name).toBe('photo.webp');
+  });
+
+  it('should name the file after the format the browser encoded it to', async () => {
+    mockCanvas({ blobType: 'image/png' });
+    const { file } = await processImage(getImage('photo.heic', 'image/heic'), {
+      mimeType: 'image/webp',
+    });
+    expect(file.name).toBe('photo.png');
+    expect(file.type).toBe('image/png');
+  });
+
+  it('should reject if the image cannot be encoded', async () => {
+    mockCanvas({ blobType: null });
+    await expect(processImage(getImage())).rejects.toThrow(
+      'Failed to encode the image as image/jpeg',
+    );
+  });
+});
+
+describe('canProcessImage', () => {
+  it('should not process animated and vector images', () => {
+    expect(canProcessImage(getImage('photo.jpg', 'image/jpeg'))).toBe(true);
+    expect(canProcessImage(getImage('animation.gif', 'image/gif'))).toBe(false);
+    expect(canProcessImage(getImage('logo.svg', 'image/svg+xml'))).toBe(false);
+  });
+});
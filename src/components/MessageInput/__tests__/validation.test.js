@@ -0,0 +1,141 @@
+import {
+  getUploadRejectionText,
+  matchesFileType,
+  validateFiles,
+} from '../validation';
+
+const getFile = (name, type, size = 10) =>
+  new File(['x'.repeat(size)], name, { type });
+
+const t = (key, options) =>
+  key.replace(/{{ (\w+) }}/g, (match, name) => options[name]);
+
+describe('matchesFileType', () => {
+  it('should match extensions, MIME types and MIME type wildcards', () => {
+    const file = getFile('Report.PDF', 'application/pdf');
+    expect(matchesFileType(file, '.pdf')).toBe(true);
+    expect(matchesFileType(file, 'application/pdf')).toBe(true);
+    expect(matchesFileType(file, 'application/*')).toBe(true);
+    expect(matchesFileType(file, 'image/*')).toBe(false);
+    expect(matchesFileType(file, '.doc')).toBe(false);
+  });
+});
+
+describe('validateFiles', () => {
+  const defaultOptions = { maxFilesLeft: 10, maxNumberOfFiles: 10 };
+
+  it('should accept all the files without limits', () => {
+    const files = [
+      getFile('a.txt', 'text/plain'),
+      getFile('b.png', 'image/png'),
+    ];
+    expect(validateFiles(files, defaultOptions)).toStrictEqual({
+      accepted: files,
+      rejections: [],
+    });
+  });
+
+  it('should reject the files which are not accepted or denied', () => {
+    const text = getFile('a.txt', 'text/plain');
+    const image = getFile('b.png', 'image/png');
+    const executable = getFile('c.exe', 'application/octet-stream');
+
+    expect(
+      validateFiles([text, image], {
+        ...defaultOptions,
+        acceptedFiles: ['image/*'],
+      }),
+    ).toStrictEqual({
+      accepted: [image],
+      rejections: [{ file: text, reason: 'file-type-not-allowed' }],
+    });
+    expect(
+      validateFiles([text, executable], {
+        ...defaultOptions,
+        deniedFiles: ['.exe'],
+      }),
+    ).toStrictEqual({
+      accepted: [text],
+      rejections: [{ file: executable, reason: 'file-type-not-allowed' }],
+    });
+  });
+
+  it('should only accept images when file uploads are disabled', () => {
+    const text = getFile('a.txt', 'text/plain');
+    const image = getFile('b.png', 'image/png');
+    expect(
+      validateFiles([text, image], { ...defaultOptions, noFiles: true }),
+    ).toStrictEqual({
+      accepted: [image],
+      rejections: [{ file: text, reason: 'file-type-not-allowed' }],
+    });
+  });
+
+  it('should reject the files larger than maxFileSize', () => {
+    const small = getFile('a.txt', 'text/plain', 10);
+    const large = getFile('b.txt', 'text/plain', 100);
+    expect(
+      validateFiles([small, large], { ...defaultOptions, maxFileSize: 50 }),
+    ).toStrictEqual({
+      accepted: [small],
+      rejections: [{ file: large, limit: 50, reason: 'file-too-large' }],
+    });
+  });
+
+  it('should reject the files exceeding the total size, counting the files already added', () => {
+    const first = getFile('a.txt', 'text/plain', 30);
+    const second = getFile('b.txt', 'text/plain', 30);
+    const third = getFile('c.txt', 'text/plain', 10);
+    expect(
+      validateFiles([first, second, third], {
+        ...defaultOptions,
+        maxTotalFileSize: 60,
+        totalFileSize: 20,
+      }),
+    ).toStrictEqual({
+      accepted: [first, third],
+      rejections: [{ file: second, limit: 60, reason: 'total-too-large' }],
+    });
+  });
+
+  it('should reject the files exceeding the number of files left', () => {
+    const files = ['a.txt', 'b.txt', 'c.txt'].map((name) =>
+      getFile(name, 'text/plain'),
+    );
+    expect(
+      validateFiles(files, { maxFilesLeft: 1, maxNumberOfFiles: 3 }),
+    ).toStrictEqual({
+      accepted: [files[0]],
+      rejections: [
+        { file: files[1], limit: 3, reason: 'too-many-files' },
+        { file: files[2], limit: 3, reason: 'too-many-files' },
+      ],
+    });
+  });
+});
+
+describe('getUploadRejectionText', () => {
+  it('should explain why the file was rejected', () => {
+    const file = getFile('video.mov', 'video/quicktime');
+    expect(
+      getUploadRejectionText(
+        { file, limit: 50000000, reason: 'file-too-large' },
+        t,
+      ),
+    ).toBe('video.mov is larger than 50 MB');
+    expect(
+      getUploadRejectionText(
+        { file, limit: 100000000, reason: 'total-too-large' },
+        t,
+      ),
+    ).toBe('video.mov would make the attachments larger than 100 MB');
+    expect(
+      getUploadRejectionText({ file, limit: 10, reason: 'too-many-files' }, t),
+    ).toBe(
+      'video.mov was not added, a message can have 10 attachments at most',
+    );
+    expect(
+      getUploadRejectionText({ file, reason: 'file-type-not-allowed' }, t),
+    ).toBe('video.mov is not an allowed file type');
+  });
+});
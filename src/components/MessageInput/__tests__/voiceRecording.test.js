@@ -0,0 +1,40 @@
+import { createRecordingFile, downsampleWaveform } from '../voiceRecording';
+
+describe('downsampleWaveform', () => {
+  it('should keep the loudest sample of each bucket, relative to the loudest one', () => {
+    expect(
+      downsampleWaveform([0.1, 0.2, 0.4, 0.1, 0.05, 0.05, 0.3, 0.2], 4),
+    ).toStrictEqual([0.5, 1, 0.13, 0.75]);
+  });
+
+  it('should reduce the samples to the given count', () => {
+    const samples = Array.from({ length: 1234 }, (_, i) => (i % 10) / 10);
+    expect(downsampleWaveform(samples)).toHaveLength(100);
+  });
+
+  it('should keep all the samples if there are less than the count', () => {
+    expect(downsampleWaveform([0.2, 0.4], 100)).toStrictEqual([0.5, 1]);
+  });
+
+  it('should return a flat waveform for silence and no waveform without samples', () => {
+    expect(downsampleWaveform([0, 0, 0], 2)).toStrictEqual([0, 0]);
+    expect(downsampleWaveform([])).toStrictEqual([]);
+  });
+});
+
+describe('createRecordingFile', () => {
+  it('should name the file after the format of the recording, without its codecs', () => {
+    const file = createRecordingFile(
+      [new Blob(['a'])],
+      'audio/ogg;codecs=opus',
+    );
+    expect(file.type).toBe('audio/ogg');
+    expect(file.name).toMatch(/^voice-message-.+\.ogg$/);
+  });
+
+  it('should use the usual extension of mp4 audio', () => {
+    expect(createRecordingFile([new Blob(['a'])], 'audio/mp4').name).toMatch(
+      /\.m4a$/,
+    );
+  });
+});
@@ -0,0 +1,54 @@
+// @ts-check
+
+/**
+ * Key of the draft of the main input of a channel, or of the input of a thread. The drafts of each user are kept
+ * apart, a user logging in on the same browser does not see the drafts of the previous one
+ * @param {string} userId Id of the connected user
+ * @param {string} cid
+ * @param {string} [parentId] Id of the parent message of the thread
+ */
+export const getDraftKey = (userId, cid, parentId) =>
+  parentId ? `${userId}:${cid}:${parentId}` : `${userId}:${cid}`;
+
+/**
+ * Draft storage keeping the drafts in localStorage, so they are restored when the page is reloaded
+ * @param {string} [keyPrefix] Prefix of the localStorage keys, which are suffixed with the draft key
+ * @returns {import('types').DraftStorage}
+ */
+export const createLocalStorageDraftStorage = (
+  keyPrefix = 'str-chat__draft',
+) => ({
+  getDraft: (key) => {
+    try {
+      const draft = JSON.parse(
+        window.localStorage.getItem(`${keyPrefix}:${key}`) || 'null',
+      );
+      return draft && typeof draft === 'object' ? draft : null;
+    } catch (e) {
+      return null;
+    }
+  },
+  removeDraft: (key) => {
+    try {
+      window.localStorage.removeItem(`${keyPrefix}:${key}`);
+    } catch (e) {
+      console.warn('failed to remove the draft from localStorage', e);
+    }
+  },
+  setDraft: (key, draft) => {
+    try {
+      window.localStorage.setItem(`${keyPrefix}:${key}`, JSON.stringify(draft));
+    } catch (e) {
+      console.warn('failed to save the draft to localStorage', e);
+    }
+  },
+});
+
+export const defaultDraftStorage = createLocalStorageDraftStorage();
+
+/**
+ * Whether a draft has nothing to restore
+ * @param {import('types').MessageInputDraft | null | undefined} draft
+ */
+export const isEmptyDraft = (draft) =>
+  !draft || (!draft.text?.trim() && !draft.attachments?.length);
@@ -1 +1,2 @@
 export { default as useMessageInput } from './messageInput';
+export { default as useVoiceRecorder } from './voiceRecorder';
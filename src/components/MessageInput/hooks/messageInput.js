@@ -13,7 +13,13 @@ import {
   // @ts-expect-error
 } from 'react-file-utils';
 import { ChannelContext } from '../../../context/ChannelContext';
+import { ChatContext } from '../../../context/ChatContext';
+import { TranslationContext } from '../../../context/TranslationContext';
 import { generateRandomId } from '../../../utils';
+import { getDraftKey, isEmptyDraft } from '../drafts';
+import { canProcessImage, processImage } from '../imageProcessing';
+import { MAX_PARALLEL_UPLOADS, uploadToChannel } from '../uploads';
+import { getUploadRejectionText, validateFiles } from '../validation';
 
 /**
  * @typedef {import("types").MessageInputState} State
@@ -40,9 +46,22 @@ const emptyImageUploads = {};
 
 const apiMaxNumberOfFiles = 10;
 
+/**
+ * Attachment of an uploaded image, with its dimensions when they are known
+ * @param {import('types').ImageUpload} upload
+ */
+const getImageAttachment = ({ file, height, url, width }) => ({
+  type: 'image',
+  image_url: url,
+  fallback: file.name,
+  ...(width && height
+    ? { original_height: height, original_width: width }
+    : null),
+});
+
 /**
  * Initializes the state. Empty if the message prop is falsy.
- * @param {import("stream-chat").MessageResponse | undefined} message
+ * @param {import("stream-chat").MessageResponse | import("types").MessageInputDraft | null | undefined} message The message being edited, or the draft to restore
  * @returns {State}
  */
 function initState(message) {
@@ -57,6 +76,7 @@ function initState(message) {
       attachments: [],
       mentioned_users: [],
       emojiPickerIsOpen: false,
+      uploadRejections: [],
     };
   }
 
@@ -73,6 +93,8 @@ function initState(message) {
           file: {
             name: attachment.fallback,
           },
+          height: attachment.original_height,
+          width: attachment.original_width,
         };
         return acc;
       }, {}) || {};
@@ -83,15 +105,25 @@ function initState(message) {
       ?.filter(({ type }) => type === 'file')
       .reduce((acc, attachment) => {
         const id = generateRandomId();
+        const {
+          asset_url,
+          file_size,
+          mime_type,
+          title,
+          type,
+          ...attachmentFields
+        } = attachment;
         acc[id] = {
           id,
-          url: attachment.asset_url,
+          url: asset_url,
           state: 'finished',
           file: {
-            name: attachment.title,
-            type: attachment.mime_type,
-            size: attachment.file_size,
+            name: title,
+            type: mime_type,
+            size: file_size,
           },
+          // e.g. the duration and waveform of a restored voice recording
+          ...(Object.keys(attachmentFields).length ? { attachmentFields } : {}),
         };
         return acc;
       }, {}) || {};
@@ -116,6 +148,7 @@ function initState(message) {
     mentioned_users,
     numberOfUploads,
     text: message.text || '',
+    uploadRejections: [],
   };
 }
 /**
@@ -141,6 +174,7 @@ function messageInputReducer(state, action) {
         mentioned_users: [],
         numberOfUploads: 0,
         text: '',
+        uploadRejections: [],
       };
     case 'setImageUpload': {
       const imageAlreadyExists = state.imageUploads[action.id];
@@ -202,6 +236,8 @@ function messageInputReducer(state, action) {
         fileUploads: newFileUploads,
       };
     }
+    case 'setUploadRejections':
+      return { ...state, uploadRejections: action.rejections };
     case 'reduceNumberOfUploads': // TODO: figure out if we can just use uploadOrder instead
       return { ...state, numberOfUploads: state.numberOfUploads - 1 };
     case 'addMentionedUser':
@@ -225,6 +261,7 @@ export default function useMessageInput(props) {
     doFileUploadRequest,
     errorHandler,
     focus,
+    imageProcessing,
     message,
     noFiles,
     overrideSubmitHandler,
@@ -233,14 +270,38 @@ export default function useMessageInput(props) {
   } = props;
 
   const {
+    acceptedFiles,
     channel,
+    client,
+    deniedFiles,
     editMessage,
+    emojiConfig,
+    maxFileSize,
     maxNumberOfFiles,
+    maxTotalFileSize,
+    messages,
     multipleUploads,
+    quotedMessage: channelQuotedMessage,
+    requestMessageEdit,
     sendMessage,
+    setQuotedMessage,
+    threadMessages,
   } = useContext(ChannelContext);
-
-  const [state, dispatch] = useReducer(messageInputReducer, message, initState);
+  const { draftStorage } = useContext(ChatContext);
+  const { t } = useContext(TranslationContext);
+
+  // the state belongs to the input it was restored for, drafts are not kept while editing a message
+  const draftKey = useRef(
+    !message && channel?.cid && client?.userID
+      ? getDraftKey(client.userID, channel.cid, parent?.id)
+      : null,
+  ).current;
+
+  const [state, dispatch] = useReducer(
+    messageInputReducer,
+    message || (draftKey && draftStorage?.getDraft(draftKey)),
+    initState,
+  );
 
   const {
     text,
@@ -275,8 +336,8 @@ export default function useMessageInput(props) {
       if (!textareaRef.current) {
         dispatch({
           type: 'setText',
-          getNewText: (t) => {
-            const updatedText = t + textToInsert;
+          getNewText: (prevText) => {
+            const updatedText = prevText + textToInsert;
             if (updatedText.length > maxLength) {
               return updatedText.slice(0, maxLength);
             }
@@ -373,9 +434,15 @@ export default function useMessageInput(props) {
     return () => document.removeEventListener('click', closeEmojiPicker, false);
   }, [closeEmojiPicker, state.emojiPickerIsOpen]);
 
-  const onSelectEmoji = useCallback((emoji) => insertText(emoji.native), [
-    insertText,
-  ]);
+  const recordEmojiUsage = emojiConfig?.recordEmojiUsage;
+  const onSelectEmoji = useCallback(
+    (emoji) => {
+      // custom emojis have no native character, they are written with their colons
+      insertText(emoji.native || emoji.colons);
+      if (recordEmojiUsage) recordEmojiUsage(emoji.id);
+    },
+    [insertText, recordEmojiUsage],
+  );
 
   // Commands / mentions
 
@@ -402,6 +469,30 @@ export default function useMessageInput(props) {
     [],
   );
 
+  // Quoted message
+
+  // a quote belongs to the input of the list it was picked from: the main one or the thread of its parent
+  const quotedMessage =
+    !message &&
+    channelQuotedMessage &&
+    (parent
+      ? channelQuotedMessage.parent_id === parent.id
+      : !channelQuotedMessage.parent_id ||
+        !!channelQuotedMessage.show_in_channel)
+      ? channelQuotedMessage
+      : undefined;
+
+  const clearQuotedMessage = useCallback(() => {
+    if (setQuotedMessage) setQuotedMessage(null);
+  }, [setQuotedMessage]);
+
+  // Focus the input to type the reply to the quoted message
+  useEffect(() => {
+    if (quotedMessage && textareaRef.current) {
+      textareaRef.current.focus();
+    }
+  }, [quotedMessage]);
+
   // Submitting
 
   const getAttachmentsFromUploads = useCallback(() => {
@@ -413,16 +504,13 @@ export default function useMessageInput(props) {
         index,
         self, // filter out duplicates based on url
       ) => self.every((upload) => upload.id === id || upload.url !== url))
-      .map((upload) => ({
-        type: 'image',
-        image_url: upload.url,
-        fallback: upload.file.name,
-      }));
+      .map(getImageAttachment);
 
     const fileAttachments = fileOrder
       .map((id) => fileUploads[id])
       .filter((upload) => upload.state !== 'failed')
       .map((upload) => ({
+        ...upload.attachmentFields,
         type: getAttachmentTypeFromMime(upload.file.type),
         asset_url: upload.url,
         title: upload.file.name,
@@ -437,6 +525,77 @@ export default function useMessageInput(props) {
     ];
   }, [imageOrder, imageUploads, fileOrder, fileUploads, attachments]);
 
+  // Drafts
+
+  useEffect(() => {
+    if (!draftKey || !draftStorage) return;
+
+    // the uploads which are not finished cannot be restored
+    const draft = {
+      attachments: [
+        ...attachments,
+        ...imageOrder
+          .map((id) => imageUploads[id])
+          .filter((upload) => upload.state === 'finished')
+          .map(getImageAttachment),
+        ...fileOrder
+          .map((id) => fileUploads[id])
+          .filter((upload) => upload.state === 'finished')
+          .map((upload) => ({
+            ...upload.attachmentFields,
+            type: 'file',
+            asset_url: upload.url,
+            title: upload.file.name,
+            mime_type: upload.file.type,
+            file_size: upload.file.size,
+          })),
+      ],
+      mentioned_users,
+      text,
+    };
+
+    if (isEmptyDraft(draft)) {
+      draftStorage.removeDraft(draftKey);
+    } else {
+      draftStorage.setDraft(draftKey, draft);
+    }
+  }, [
+    attachments,
+    draftKey,
+    draftStorage,
+    fileOrder,
+    fileUploads,
+    imageOrder,
+    imageUploads,
+    mentioned_users,
+    text,
+  ]);
+
+  // abort controllers of the uploads in progress, by upload id
+  const uploadAbortControllers = useRef(
+    /** @type {Record<string, AbortController>} */ ({}),
+  );
+
+  const abortUpload = useCallback(
+    /** @param {string} id */
+    (id) => {
+      const abortController = uploadAbortControllers.current[id];
+      if (!abortController) return;
+      delete uploadAbortControllers.current[id];
+      abortController.abort();
+    },
+    [],
+  );
+
+  const abortUploads = useCallback(() => {
+    Object.keys(uploadAbortControllers.current).forEach(abortUpload);
+  }, [abortUpload]);
+
+  const clear = useCallback(() => {
+    abortUploads();
+    dispatch({ type: 'clear' });
+  }, [abortUploads]);
+
   /**
    * @param {React.FormEvent | React.MouseEvent} event
    */
@@ -486,6 +645,7 @@ export default function useMessageInput(props) {
       text,
       attachments: newAttachments,
       mentioned_users: actualMentionedUsers,
+      ...(quotedMessage ? { quoted_message_id: quotedMessage.id } : null),
     };
 
     if (!!message && editMessage) {
@@ -498,7 +658,7 @@ export default function useMessageInput(props) {
       }).then(clearEditingState);
 
       logChatPromiseExecution(updateMessagePromise, 'update message');
-      dispatch({ type: 'clear' });
+      clear();
     } else if (
       overrideSubmitHandler &&
       typeof overrideSubmitHandler === 'function' &&
@@ -511,155 +671,222 @@ export default function useMessageInput(props) {
         },
         channel.cid,
       );
-      dispatch({ type: 'clear' });
+      clear();
+      if (quotedMessage) clearQuotedMessage();
     } else if (sendMessage) {
       const sendMessagePromise = sendMessage({
         ...updatedMessage,
         parent,
       });
       logChatPromiseExecution(sendMessagePromise, 'send message');
-      dispatch({ type: 'clear' });
+      clear();
+      if (quotedMessage) clearQuotedMessage();
     }
     if (channel && publishTypingEvent)
       logChatPromiseExecution(channel.stopTyping(), 'stop typing');
   };
 
-  // Attachments
+  /**
+   * The Up arrow key in the empty input edits the last message of the user, like in most chat apps
+   * @param {React.KeyboardEvent} event
+   */
+  const handleKeyDown = (event) => {
+    if (
+      event.key !== 'ArrowUp' ||
+      event.altKey ||
+      event.ctrlKey ||
+      event.metaKey ||
+      event.shiftKey ||
+      text ||
+      message ||
+      !requestMessageEdit ||
+      !client
+    )
+      return;
+    const listMessages = (parent ? threadMessages : messages) || [];
+    const lastOwnMessage = [...listMessages]
+      .reverse()
+      .find(
+        (listMessage) =>
+          listMessage.user?.id === client.userID &&
+          listMessage.type === 'regular' &&
+          listMessage.status === 'received' &&
+          !listMessage.deleted_at,
+      );
+    if (!lastOwnMessage) return;
+    event.preventDefault();
+    requestMessageEdit(lastOwnMessage.id, !!parent);
+  };
 
-  // Files
+  // Attachments
 
-  const uploadFile = useCallback((id) => {
-    dispatch({ type: 'setFileUpload', id, state: 'uploading' });
-  }, []);
+  const startUpload = useCallback(
+    /**
+     * @param {'file' | 'image'} type
+     * @param {import('types').FileUpload | import('types').ImageUpload} upload
+     */
+    async (type, { id, file }) => {
+      if (!channel) return;
+      const abortController = new AbortController();
+      const { signal } = abortController;
+      uploadAbortControllers.current[id] = abortController;
 
-  const removeFile = useCallback((id) => {
-    // TODO: cancel upload if still uploading
-    dispatch({ type: 'removeFileUpload', id });
-  }, []);
+      const setUpload = (fields) =>
+        dispatch({
+          type: type === 'image' ? 'setImageUpload' : 'setFileUpload',
+          id,
+          ...fields,
+        });
+      /** @param {number} progress */
+      const onProgress = (progress) => {
+        if (!signal.aborted) setUpload({ progress });
+      };
+      const doUploadRequest =
+        type === 'image' ? doImageUploadRequest : doFileUploadRequest;
 
-  useEffect(() => {
-    (async () => {
-      if (!channel) return;
-      const upload = Object.values(fileUploads).find(
-        (fileUpload) => fileUpload.state === 'uploading' && fileUpload.file,
-      );
-      if (!upload) return;
+      let uploadedFile = file;
+      if (type === 'image' && imageProcessing && canProcessImage(file)) {
+        try {
+          const processed = await processImage(
+            file,
+            imageProcessing === true ? undefined : imageProcessing,
+          );
+          if (signal.aborted) return;
+          uploadedFile = processed.file;
+          setUpload({ height: processed.height, width: processed.width });
+        } catch (e) {
+          // the image is uploaded as it is when the browser cannot process it, e.g. a format it cannot decode
+          console.warn(e);
+        }
+      }
 
-      const { id, file } = upload;
       /** @type FileUploadAPIResponse */
       let response;
       try {
-        if (doFileUploadRequest) {
-          response = await doFileUploadRequest(file, channel);
+        if (doUploadRequest) {
+          response = await doUploadRequest(uploadedFile, channel, {
+            onProgress,
+            signal,
+          });
         } else {
-          response = await channel.sendFile(file);
+          response = await uploadToChannel(channel, uploadedFile, type, {
+            onProgress,
+            signal,
+          });
         }
       } catch (e) {
-        console.warn(e);
-        let alreadyRemoved = false;
+        // the upload was removed, it did not fail
+        if (signal.aborted) return;
+        delete uploadAbortControllers.current[id];
 
+        console.warn(e);
         dispatch({ type: 'reduceNumberOfUploads' });
-        if (!fileUploads[id]) {
-          alreadyRemoved = true;
-        } else {
-          dispatch({ type: 'setFileUpload', id, state: 'failed' });
-        }
-        if (!alreadyRemoved && errorHandler) {
+        setUpload({ state: 'failed' });
+        if (errorHandler) {
           // TODO: verify if the parameters passed to the error handler actually make sense
-          errorHandler(e, 'upload-file', file);
+          if (type === 'image') {
+            errorHandler(e, 'upload-image', { id, file });
+          } else {
+            errorHandler(e, 'upload-file', file);
+          }
         }
         return;
       }
 
+      if (signal.aborted) return;
+      delete uploadAbortControllers.current[id];
+
       // If doImageUploadRequest returns any falsy value, then don't create the upload preview.
       // This is for the case if someone wants to handle failure on app level.
       if (!response) {
-        removeFile(id);
+        dispatch({
+          type: type === 'image' ? 'removeImageUpload' : 'removeFileUpload',
+          id,
+        });
         return;
       }
 
-      dispatch({
-        type: 'setFileUpload',
-        id,
-        state: 'finished',
-        url: response.file,
-      });
-    })();
-  }, [fileUploads, channel, doFileUploadRequest, errorHandler, removeFile]);
+      setUpload({ progress: 1, state: 'finished', url: response.file });
+    },
+    [
+      channel,
+      doFileUploadRequest,
+      doImageUploadRequest,
+      errorHandler,
+      imageProcessing,
+    ],
+  );
 
-  // Images
+  // Up to MAX_PARALLEL_UPLOADS uploads are in progress, the other ones wait for one of them to be done
+  useEffect(() => {
+    if (!channel) return;
+    const freeSlots =
+      MAX_PARALLEL_UPLOADS - Object.keys(uploadAbortControllers.current).length;
+    if (freeSlots <= 0) return;
+
+    /** @type {Array<['file' | 'image', import('types').FileUpload | import('types').ImageUpload]>} */
+    const waitingUploads = [
+      ...imageOrder.map((id) => ['image', imageUploads[id]]),
+      ...fileOrder.map((id) => ['file', fileUploads[id]]),
+    ].filter(
+      ([, upload]) =>
+        upload.state === 'uploading' &&
+        !!upload.file &&
+        !uploadAbortControllers.current[upload.id],
+    );
+    waitingUploads
+      .slice(0, freeSlots)
+      .forEach(([type, upload]) => startUpload(type, upload));
+  }, [channel, fileOrder, fileUploads, imageOrder, imageUploads, startUpload]);
 
-  const removeImage = useCallback((id) => {
-    dispatch({ type: 'removeImageUpload', id });
-    // TODO: cancel upload if still uploading
+  // Files
+
+  const uploadFile = useCallback((id) => {
+    dispatch({ type: 'setFileUpload', id, progress: 0, state: 'uploading' });
   }, []);
 
-  const uploadImage = useCallback(
-    async (id) => {
-      const img = imageUploads[id];
-      if (!img || !channel) return;
-      const { file } = img;
-      if (img.state !== 'uploading') {
-        dispatch({ type: 'setImageUpload', id, state: 'uploading' });
-      }
-      /** @type FileUploadAPIResponse */
-      let response;
-      try {
-        if (doImageUploadRequest) {
-          response = await doImageUploadRequest(file, channel);
-        } else {
-          response = await channel.sendImage(file);
-        }
-      } catch (e) {
-        console.warn(e);
-        let alreadyRemoved = false;
-        dispatch({ type: 'reduceNumberOfUploads' });
-        if (!imageUploads[id]) {
-          alreadyRemoved = true;
-        } else {
-          dispatch({ type: 'setImageUpload', id, state: 'failed' });
-        }
-        if (!alreadyRemoved && errorHandler) {
-          // TODO: verify if the parameters passed to the error handler actually make sense
-          errorHandler(e, 'upload-image', {
-            id,
-            file,
-          });
-        }
-        return;
-      }
+  const removeFile = useCallback(
+    (id) => {
+      abortUpload(id);
+      dispatch({ type: 'removeFileUpload', id });
+    },
+    [abortUpload],
+  );
 
-      // If doImageUploadRequest returns any falsy value, then don't create the upload preview.
-      // This is for the case if someone wants to handle failure on app level.
-      if (!response) {
-        removeImage(id);
-        return;
-      }
+  // Images
 
-      dispatch({
-        type: 'setImageUpload',
-        id,
-        state: 'finished',
-        url: response.file,
-      });
+  const uploadImage = useCallback((id) => {
+    dispatch({ type: 'setImageUpload', id, progress: 0, state: 'uploading' });
+  }, []);
+
+  const removeImage = useCallback(
+    (id) => {
+      abortUpload(id);
+      dispatch({ type: 'removeImageUpload', id });
     },
-    [imageUploads, channel, doImageUploadRequest, errorHandler, removeImage],
+    [abortUpload],
   );
 
+  // readers of the image previews, by upload id
+  const previewReaders = useRef(/** @type {Record<string, FileReader>} */ ({}));
+
   useEffect(() => {
-    if (FileReader) {
-      const upload = Object.values(imageUploads).find(
+    if (!FileReader) return;
+    Object.values(imageUploads)
+      .filter(
         (imageUpload) =>
           imageUpload.state === 'uploading' &&
           !!imageUpload.file &&
-          !imageUpload.previewUri,
-      );
-      if (upload) {
-        const { id, file } = upload;
+          !imageUpload.previewUri &&
+          !previewReaders.current[imageUpload.id],
+      )
+      .forEach(({ id, file }) => {
         // TODO: Possibly use URL.createObjectURL instead. However, then we need
         // to release the previews when not used anymore though.
         const reader = new FileReader();
+        previewReaders.current[id] = reader;
         reader.onload = (event) => {
+          delete previewReaders.current[id];
           if (typeof event.target?.result !== 'string') return;
           dispatch({
             type: 'setImageUpload',
@@ -668,14 +895,17 @@ export default function useMessageInput(props) {
           });
         };
         reader.readAsDataURL(file);
-        uploadImage(id);
-        return () => {
-          reader.onload = null;
-        };
-      }
-    }
-    return () => {};
-  }, [imageUploads, uploadImage]);
+      });
+  }, [imageUploads]);
+
+  // the uploads of an input which is gone are not needed anymore
+  useEffect(
+    () => () => {
+      abortUploads();
+      Object.values(previewReaders.current).forEach((reader) => reader.abort());
+    },
+    [abortUploads],
+  );
 
   // Number of files that the user can still add. Should never be more than the amount allowed by the API.
   // If multipleUploads is false, we only want to allow a single upload.
@@ -689,26 +919,84 @@ export default function useMessageInput(props) {
 
   const uploadNewFiles = useCallback(
     /**
-     * @param {FileList} files
+     * @param {FileList | File[]} files
+     * @param {Record<string, unknown>} [attachmentFields] Fields added to the attachments of the files, e.g. the duration of a voice recording
      */
-    (files) => {
-      Array.from(files)
-        .slice(0, maxFilesLeft)
-        .forEach((file) => {
-          const id = generateRandomId();
-          if (
-            file.type.startsWith('image/') &&
-            !file.type.endsWith('.photoshop') // photoshop files begin with 'image/'
-          ) {
-            dispatch({ type: 'setImageUpload', id, file, state: 'uploading' });
-          } else if (file instanceof File && !noFiles) {
-            dispatch({ type: 'setFileUpload', id, file, state: 'uploading' });
-          }
-        });
+    (files, attachmentFields) => {
+      const totalFileSize = [
+        ...Object.values(imageUploads),
+        ...Object.values(fileUploads),
+      ]
+        .filter((upload) => upload.state !== 'failed')
+        .reduce((size, upload) => size + (upload.file.size || 0), 0);
+
+      // the files are validated here for the file picker, drag and drop and paste alike
+      const { accepted, rejections } = validateFiles(Array.from(files), {
+        acceptedFiles,
+        deniedFiles,
+        maxFileSize,
+        maxFilesLeft,
+        maxNumberOfFiles: maxFilesAllowed,
+        maxTotalFileSize,
+        noFiles,
+        totalFileSize,
+      });
+
+      dispatch({ type: 'setUploadRejections', rejections });
+      if (errorHandler) {
+        rejections.forEach((rejection) =>
+          errorHandler(
+            new Error(getUploadRejectionText(rejection, t)),
+            'upload-rejected',
+            rejection,
+          ),
+        );
+      }
+
+      accepted.forEach((file) => {
+        const id = generateRandomId();
+        if (
+          file.type.startsWith('image/') &&
+          !file.type.endsWith('.photoshop') // photoshop files begin with 'image/'
+        ) {
+          dispatch({
+            type: 'setImageUpload',
+            id,
+            file,
+            progress: 0,
+            state: 'uploading',
+          });
+        } else if (file instanceof File) {
+          dispatch({
+            type: 'setFileUpload',
+            id,
+            file,
+            progress: 0,
+            state: 'uploading',
+            ...(attachmentFields ? { attachmentFields } : {}),
+          });
+        }
+      });
     },
-    [maxFilesLeft, noFiles],
+    [
+      acceptedFiles,
+      deniedFiles,
+      errorHandler,
+      fileUploads,
+      imageUploads,
+      maxFileSize,
+      maxFilesAllowed,
+      maxFilesLeft,
+      maxTotalFileSize,
+      noFiles,
+      t,
+    ],
   );
 
+  const dismissUploadRejections = useCallback(() => {
+    dispatch({ type: 'setUploadRejections', rejections: [] });
+  }, []);
+
   const onPaste = useCallback(
     /** (e: React.ClipboardEvent) */
     (e) => {
@@ -757,20 +1045,24 @@ export default function useMessageInput(props) {
     ...state,
     isUploadEnabled,
     maxFilesLeft,
+    quotedMessage,
     // refs
     textareaRef,
     emojiPickerRef,
     // handlers
     uploadNewFiles,
+    dismissUploadRejections,
     removeImage,
     uploadImage,
     removeFile,
     uploadFile,
+    clearQuotedMessage,
     onSelectEmoji,
     getUsers,
     getCommands,
     handleSubmit,
     handleChange,
+    handleKeyDown,
     onPaste,
     onSelectItem,
     openEmojiPicker,
@@ -1,4 +1,5 @@
 import { UserResponse } from 'stream-chat';
+import { UploadRejection } from 'types';
 
 type SetEmojiPickerIsOpenAction = {
   type: 'setEmojiPickerIsOpen';
@@ -18,6 +19,9 @@ type SetImageUploadAction = {
   file?: File;
   url?: string;
   previewUri?: string;
+  progress?: number;
+  height?: number;
+  width?: number;
 };
 type SetFileUploadAction = {
   type: 'setFileUpload';
@@ -25,6 +29,8 @@ type SetFileUploadAction = {
   state?: string;
   file?: File;
   url?: string;
+  progress?: number;
+  attachmentFields?: Record<string, unknown>;
 };
 type RemoveImageUploadAction = {
   type: 'removeImageUpload';
@@ -34,6 +40,10 @@ type RemoveFileUploadAction = {
   type: 'removeFileUpload';
   id: string;
 };
+type SetUploadRejectionsAction = {
+  type: 'setUploadRejections';
+  rejections: UploadRejection[];
+};
 type ReduceNumberOfUploadsAction = {
   type: 'reduceNumberOfUploads';
 };
@@ -50,5 +60,6 @@ export type MessageInputReducerAction =
   | SetFileUploadAction
   | RemoveImageUploadAction
   | RemoveFileUploadAction
+  | SetUploadRejectionsAction
   | ReduceNumberOfUploadsAction
   | AddMentionedUserAction;
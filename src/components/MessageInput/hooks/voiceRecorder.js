@@ -0,0 +1,230 @@
+// @ts-check
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  WAVEFORM_SAMPLE_COUNT,
+  createRecordingFile,
+  downsampleWaveform,
+  getAmplitude,
+  getRecordingMimeType,
+} from '../voiceRecording';
+
+// the duration is updated and the amplitude sampled at this interval, in ms
+const sampleInterval = 100;
+
+/**
+ * @typedef {{
+ *   analyser?: AnalyserNode,
+ *   audioContext?: AudioContext,
+ *   buffer?: Uint8Array,
+ *   cancelled: boolean,
+ *   chunks: Blob[],
+ *   elapsed: number,
+ *   interval?: ReturnType<typeof setInterval>,
+ *   recorder?: MediaRecorder,
+ *   samples: number[],
+ *   startedAt: number | null,
+ *   stream?: MediaStream,
+ * }} RecordingSession
+ */
+
+/** @param {RecordingSession} session */
+const releaseSession = (session) => {
+  if (session.interval) clearInterval(session.interval);
+  session.stream?.getTracks().forEach((track) => track.stop());
+  if (session.audioContext && session.audioContext.state !== 'closed') {
+    session.audioContext.close().catch(() => {});
+  }
+};
+
+/** @param {RecordingSession} session */
+const getElapsed = (session) =>
+  session.elapsed + (session.startedAt ? Date.now() - session.startedAt : 0);
+
+/**
+ * Records a voice message with the microphone. The recording stops at `maxDuration`,
+ * or when it is stopped, then `onRecorded` is called with its file and the `duration` and `waveform_data` of its attachment.
+ * @param {import('types').VoiceRecorderOptions} options
+ * @returns {import('types').VoiceRecorderState}
+ */
+export default function useVoiceRecorder({ maxDuration = 120, onRecorded }) {
+  const [status, setStatus] = useState(
+    /** @type {import('types').VoiceRecorderState['status']} */ ('idle'),
+  );
+  const [duration, setDuration] = useState(0);
+  const [amplitudes, setAmplitudes] = useState(/** @type {number[]} */ ([]));
+  const [error, setError] = useState(/** @type {Error | null} */ (null));
+
+  const session = useRef(/** @type {RecordingSession | null} */ (null));
+  const options = useRef({ maxDuration, onRecorded });
+  options.current = { maxDuration, onRecorded };
+
+  const reset = useCallback(() => {
+    session.current = null;
+    setStatus('idle');
+    setDuration(0);
+    setAmplitudes([]);
+  }, []);
+
+  const finish = useCallback(
+    /** @param {boolean} cancelled */
+    (cancelled) => {
+      const { current } = session;
+      if (!current) return;
+      current.cancelled = cancelled;
+      current.elapsed = getElapsed(current);
+      current.startedAt = null;
+      reset();
+
+      if (!current.recorder || current.recorder.state === 'inactive') {
+        // still waiting for the microphone, the recording is dropped once it is granted
+        current.cancelled = true;
+        releaseSession(current);
+        return;
+      }
+      if (current.interval) clearInterval(current.interval);
+      // the file is created once the recorder emitted its last chunk, see onstop
+      current.recorder.stop();
+    },
+    [reset],
+  );
+
+  const stop = useCallback(() => finish(false), [finish]);
+  const cancel = useCallback(() => finish(true), [finish]);
+
+  const sample = useCallback(() => {
+    const { current } = session;
+    if (!current || !current.startedAt) return;
+    const elapsed = getElapsed(current);
+    current.samples.push(
+      current.analyser && current.buffer
+        ? getAmplitude(current.analyser, current.buffer)
+        : 0,
+    );
+    setDuration(elapsed / 1000);
+    setAmplitudes(current.samples.slice(-WAVEFORM_SAMPLE_COUNT));
+    if (elapsed >= options.current.maxDuration * 1000) stop();
+  }, [stop]);
+
+  const start = useCallback(async () => {
+    if (session.current) return;
+    /** @type {RecordingSession} */
+    const current = {
+      cancelled: false,
+      chunks: [],
+      elapsed: 0,
+      samples: [],
+      startedAt: null,
+    };
+    session.current = current;
+    setError(null);
+    setStatus('requesting');
+
+    try {
+      current.stream = await navigator.mediaDevices.getUserMedia({
+        audio: true,
+      });
+    } catch (e) {
+      if (session.current === current) {
+        reset();
+        setError(e);
+      }
+      return;
+    }
+    if (current.cancelled || session.current !== current) {
+      releaseSession(current);
+      return;
+    }
+
+    const mimeType = getRecordingMimeType();
+    const recorder = new MediaRecorder(
+      current.stream,
+      mimeType ? { mimeType } : undefined,
+    );
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size) current.chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      releaseSession(current);
+      if (current.cancelled || !current.chunks.length) return;
+      options.current.onRecorded(
+        createRecordingFile(
+          current.chunks,
+          recorder.mimeType || mimeType || 'audio/webm',
+        ),
+        {
+          duration: Math.round(current.elapsed / 100) / 10,
+          waveform_data: downsampleWaveform(current.samples),
+        },
+      );
+    };
+    current.recorder = recorder;
+
+    // the waveform is left flat when the audio cannot be analysed
+    const AudioContextClass =
+      window.AudioContext ||
+      /** @type {Window & { webkitAudioContext?: typeof AudioContext }} */ (window)
+        .webkitAudioContext;
+    if (AudioContextClass) {
+      try {
+        current.audioContext = new AudioContextClass();
+        current.analyser = current.audioContext.createAnalyser();
+        current.analyser.fftSize = 1024;
+        current.buffer = new Uint8Array(current.analyser.fftSize);
+        current.audioContext
+          .createMediaStreamSource(current.stream)
+          .connect(current.analyser);
+      } catch (e) {
+        current.analyser = undefined;
+      }
+    }
+
+    recorder.start();
+    current.startedAt = Date.now();
+    current.interval = setInterval(sample, sampleInterval);
+    setStatus('recording');
+  }, [reset, sample]);
+
+  const pause = useCallback(() => {
+    const { current } = session;
+    if (!current?.recorder || current.recorder.state !== 'recording') return;
+    current.recorder.pause();
+    current.elapsed = getElapsed(current);
+    current.startedAt = null;
+    setStatus('paused');
+  }, []);
+
+  const resume = useCallback(() => {
+    const { current } = session;
+    if (!current?.recorder || current.recorder.state !== 'paused') return;
+    current.recorder.resume();
+    current.startedAt = Date.now();
+    setStatus('recording');
+  }, []);
+
+  useEffect(
+    () => () => {
+      // the recording is dropped without updating the state of the unmounted component
+      const { current } = session;
+      if (!current) return;
+      session.current = null;
+      current.cancelled = true;
+      if (current.recorder && current.recorder.state !== 'inactive') {
+        current.recorder.stop();
+      }
+      releaseSession(current);
+    },
+    [],
+  );
+
+  return {
+    amplitudes,
+    cancel,
+    duration,
+    error,
+    pause,
+    resume,
+    start,
+    status,
+    stop,
+  };
+}
@@ -69,6 +69,28 @@ export const FileUploadIconFlat = () => {
   );
 };
 
+/**
+ * @type { React.FC }
+ */
+export const MicrophoneIcon = () => {
+  const { t } = useContext(TranslationContext);
+
+  return (
+    <svg
+      width="14"
+      height="20"
+      viewBox="0 0 14 20"
+      xmlns="http://www.w3.org/2000/svg"
+    >
+      <title>{t('Record a voice message')}</title>
+      <path
+        d="M7 13a3 3 0 0 0 3-3V3a3 3 0 1 0-6 0v7a3 3 0 0 0 3 3zm5-3a1 1 0 1 1 2 0 7.001 7.001 0 0 1-6 6.93V19a1 1 0 0 1-2 0v-2.07A7.001 7.001 0 0 1 0 10a1 1 0 1 1 2 0 5 5 0 0 0 10 0z"
+        fillRule="evenodd"
+      />
+    </svg>
+  );
+};
+
 /**
  * @type { React.FC<import('types').SendButtonProps> }
  */
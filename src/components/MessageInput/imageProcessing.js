@@ -0,0 +1,84 @@
+// @ts-check
+// @ts-expect-error
+import loadImage from 'blueimp-load-image';
+
+/** @type {Required<import('types').ImageProcessingOptions>} */
+export const defaultImageProcessingOptions = {
+  maxDimension: 2048,
+  mimeType: 'image/jpeg',
+  quality: 0.85,
+};
+
+// animations and vector images would be lost on a canvas
+const unprocessedMimeTypes = ['image/gif', 'image/svg+xml'];
+
+/**
+ * Whether an image is processed before being uploaded
+ * @param {File} file
+ */
+export const canProcessImage = (file) =>
+  file.type.startsWith('image/') && !unprocessedMimeTypes.includes(file.type);
+
+/** @type {Record<string, string>} */
+const extensions = { 'image/png': 'png', 'image/webp': 'webp' };
+
+/**
+ * @param {string} name
+ * @param {string} mimeType
+ */
+const getProcessedFileName = (name, mimeType) => {
+  const extension = extensions[mimeType] || 'jpg';
+  const baseName = name.includes('.')
+    ? name.slice(0, name.lastIndexOf('.'))
+    : name;
+  return `${baseName}.${extension}`;
+};
+
+/**
+ * Downscales an image to fit in `maxDimension`, applies its Exif orientation and encodes it again,
+ * which strips its metadata, e.g. the location the photo was taken at.
+ * Resolves with the dimensions of the processed image, to be set as `original_width` and `original_height` of the attachment.
+ * @param {File} file
+ * @param {import('types').ImageProcessingOptions} [options]
+ * @returns {Promise<import('types').ProcessedImage>}
+ */
+export const processImage = async (file, options) => {
+  const { maxDimension, mimeType, quality } = {
+    ...defaultImageProcessingOptions,
+    ...options,
+  };
+
+  /** @type {{ image: HTMLCanvasElement }} */
+  const { image: canvas } = await loadImage(file, {
+    canvas: true,
+    imageSmoothingQuality: 'high',
+    maxHeight: maxDimension,
+    maxWidth: maxDimension,
+    orientation: true,
+  });
+
+  if (mimeType === 'image/jpeg') {
+    // transparent pixels would be black in a jpeg
+    const context = canvas.getContext('2d');
+    if (context) {
+      context.globalCompositeOperation = 'destination-over';
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+  }
+
+  /** @type {Blob | null} */
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, mimeType, quality),
+  );
+  if (!blob) throw new Error(`Failed to encode the image as ${mimeType}`);
+
+  return {
+    file: new File([blob], getProcessedFileName(file.name, blob.type), {
+      lastModified: file.lastModified,
+      type: blob.type,
+    }),
+    height: canvas.height,
+    width: canvas.width,
+  };
+};
@@ -6,5 +6,9 @@ export { default as MessageInputSimple } from './MessageInputSimple';
 export { default as EditMessageForm } from './EditMessageForm';
 export { default as EmojiPicker } from './EmojiPicker';
 export { default as UploadsPreview } from './UploadsPreview';
+export { default as QuotedMessagePreview } from './QuotedMessagePreview';
+export { default as VoiceRecorder } from './VoiceRecorder';
 export { default as SendButton } from './icons';
 export * from './hooks';
+export { createLocalStorageDraftStorage, getDraftKey } from './drafts';
+export { processImage } from './imageProcessing';
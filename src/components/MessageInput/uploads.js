@@ -0,0 +1,68 @@
+// @ts-check
+
+// uploads started at the same time by a MessageInput, the next ones start when one of them is done
+export const MAX_PARALLEL_UPLOADS = 3;
+
+/** @param {string} [message] */
+const createAbortError = (message = 'The upload was aborted') =>
+  // __CANCEL__ makes axios handle it as a cancellation
+  Object.assign(new Error(message), { name: 'AbortError', __CANCEL__: true });
+
+/**
+ * Cancel token aborting an axios request when the signal is aborted,
+ * the axios version used by stream-chat does not support AbortSignal yet
+ * @param {AbortSignal} signal
+ */
+const getCancelToken = (signal) => ({
+  promise: new Promise((resolve) => {
+    if (signal.aborted) {
+      resolve(createAbortError());
+    } else {
+      signal.addEventListener('abort', () => resolve(createAbortError()), {
+        once: true,
+      });
+    }
+  }),
+  throwIfRequested: () => {
+    if (signal.aborted) throw createAbortError();
+  },
+});
+
+/**
+ * Uploads a file or an image to the channel like `channel.sendFile` and `channel.sendImage`,
+ * reporting the progress of the upload and aborting it when the signal is aborted
+ * @param {import('stream-chat').Channel} channel
+ * @param {File} file
+ * @param {'file' | 'image'} type
+ * @param {import('types').UploadRequestOptions} options
+ * @returns {Promise<import('stream-chat').SendFileAPIResponse>}
+ */
+export const uploadToChannel = (
+  channel,
+  file,
+  type,
+  { onProgress, signal },
+) => {
+  const client = channel.getClient();
+  const data = new FormData();
+  data.append('file', file);
+
+  return client.doAxiosRequest(
+    'post',
+    `${client.baseURL}/channels/${channel.type}/${channel.id}/${type}`,
+    data,
+    {
+      config: {
+        cancelToken: getCancelToken(signal),
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        onUploadProgress: (/** @type {ProgressEvent} */ event) => {
+          if (event.lengthComputable && event.total) {
+            onProgress(Math.min(event.loaded / event.total, 1));
+          }
+        },
+        timeout: 0,
+      },
+    },
+  );
+};
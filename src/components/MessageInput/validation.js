@@ -0,0 +1,110 @@
+// @ts-check
+import prettybytes from 'pretty-bytes';
+
+/**
+ * Whether a file matches a file type of `acceptedFiles` or `deniedFiles`, with the syntax of the accept attribute:
+ * an extension like `.pdf`, a MIME type like `application/pdf` or a MIME type wildcard like `image/*`
+ * @param {File} file
+ * @param {string} fileType
+ */
+export const matchesFileType = (file, fileType) => {
+  const type = fileType.trim().toLowerCase();
+  if (type.startsWith('.')) return file.name.toLowerCase().endsWith(type);
+  const mimeType = (file.type || '').toLowerCase();
+  if (type.endsWith('/*')) return mimeType.startsWith(type.slice(0, -1));
+  return mimeType === type;
+};
+
+/**
+ * Splits the files added to the input into the ones that can be uploaded and the rejected ones,
+ * with the reason they are rejected for
+ * @param {File[]} files
+ * @param {import('types').UploadValidationOptions} options
+ * @returns {{ accepted: File[], rejections: import('types').UploadRejection[] }}
+ */
+export const validateFiles = (
+  files,
+  {
+    acceptedFiles,
+    deniedFiles,
+    maxFileSize,
+    maxFilesLeft,
+    maxNumberOfFiles,
+    maxTotalFileSize,
+    noFiles,
+    totalFileSize = 0,
+  },
+) => {
+  /** @type {File[]} */
+  const accepted = [];
+  /** @type {import('types').UploadRejection[]} */
+  const rejections = [];
+  let acceptedSize = totalFileSize;
+
+  files.forEach((file) => {
+    const isImage =
+      file.type.startsWith('image/') && !file.type.endsWith('.photoshop');
+
+    if (
+      (noFiles && !isImage) ||
+      (acceptedFiles?.length &&
+        !acceptedFiles.some((fileType) => matchesFileType(file, fileType))) ||
+      deniedFiles?.some((fileType) => matchesFileType(file, fileType))
+    ) {
+      rejections.push({ file, reason: 'file-type-not-allowed' });
+    } else if (maxFileSize !== undefined && file.size > maxFileSize) {
+      rejections.push({ file, limit: maxFileSize, reason: 'file-too-large' });
+    } else if (accepted.length >= maxFilesLeft) {
+      rejections.push({
+        file,
+        limit: maxNumberOfFiles,
+        reason: 'too-many-files',
+      });
+    } else if (
+      maxTotalFileSize !== undefined &&
+      acceptedSize + file.size > maxTotalFileSize
+    ) {
+      rejections.push({
+        file,
+        limit: maxTotalFileSize,
+        reason: 'total-too-large',
+      });
+    } else {
+      accepted.push(file);
+      acceptedSize += file.size;
+    }
+  });
+
+  return { accepted, rejections };
+};
+
+/**
+ * Text explaining why a file was not added to the input
+ * @param {import('types').UploadRejection} rejection
+ * @param {import('i18next').TFunction} t
+ */
+export const getUploadRejectionText = ({ file, limit, reason }, t) => {
+  const { name } = file;
+  switch (reason) {
+    case 'file-too-large':
+      return t('{{ name }} is larger than {{ limit }}', {
+        limit: prettybytes(limit || 0),
+        name,
+      });
+    case 'total-too-large':
+      return t(
+        '{{ name }} would make the attachments larger than {{ limit }}',
+        {
+          limit: prettybytes(limit || 0),
+          name,
+        },
+      );
+    case 'too-many-files':
+      return t(
+        '{{ name }} was not added, a message can have {{ limit }} attachments at most',
+        { limit, name },
+      );
+    default:
+      return t('{{ name }} is not an allowed file type', { name });
+  }
+};
@@ -0,0 +1,95 @@
+// @ts-check
+
+// number of amplitudes of the waveform sent with a voice recording
+export const WAVEFORM_SAMPLE_COUNT = 100;
+
+// formats tried in order, the first one the browser can record is used
+const preferredMimeTypes = [
+  'audio/webm;codecs=opus',
+  'audio/ogg;codecs=opus',
+  'audio/mp4',
+  'audio/webm',
+];
+
+/** @type {Record<string, string>} */
+const extensions = {
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm',
+};
+
+/** Whether the browser can record audio */
+export const isVoiceRecordingSupported = () =>
+  typeof window !== 'undefined' &&
+  typeof window.MediaRecorder !== 'undefined' &&
+  !!navigator.mediaDevices?.getUserMedia;
+
+/**
+ * Format the voice recordings are encoded to, undefined lets the browser choose
+ * @returns {string | undefined}
+ */
+export const getRecordingMimeType = () =>
+  typeof MediaRecorder.isTypeSupported === 'function'
+    ? preferredMimeTypes.find((mimeType) =>
+        MediaRecorder.isTypeSupported(mimeType),
+      )
+    : undefined;
+
+/**
+ * Creates the file of a voice recording from the chunks emitted by the MediaRecorder
+ * @param {Blob[]} chunks
+ * @param {string} mimeType Format of the recording, the parameters like codecs are dropped
+ */
+export const createRecordingFile = (chunks, mimeType) => {
+  const type = mimeType.split(';')[0].trim() || 'audio/webm';
+  const extension = extensions[type] || type.split('/')[1] || 'webm';
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return new File(chunks, `voice-message-${timestamp}.${extension}`, {
+    type,
+  });
+};
+
+/**
+ * Reduces the amplitudes sampled while recording to `count` values from 0 to 1,
+ * the loudest amplitude of each bucket being kept so short peaks stay visible
+ * @param {number[]} samples
+ * @param {number} [count]
+ * @returns {number[]}
+ */
+export const downsampleWaveform = (samples, count = WAVEFORM_SAMPLE_COUNT) => {
+  if (!samples.length) return [];
+  const bucketCount = Math.min(count, samples.length);
+  const bucketSize = samples.length / bucketCount;
+  const buckets = Array.from({ length: bucketCount }, (_, i) =>
+    Math.max(
+      ...samples.slice(
+        Math.floor(i * bucketSize),
+        Math.max(
+          Math.floor((i + 1) * bucketSize),
+          Math.floor(i * bucketSize) + 1,
+        ),
+      ),
+    ),
+  );
+  const peak = Math.max(...buckets);
+  return buckets.map((amplitude) =>
+    peak > 0 ? Math.round((amplitude / peak) * 100) / 100 : 0,
+  );
+};
+
+/**
+ * Loudness of the audio currently analysed, from 0 to 1
+ * @param {AnalyserNode} analyser
+ * @param {Uint8Array} buffer Buffer of `analyser.fftSize` bytes, reused between calls
+ */
+export const getAmplitude = (analyser, buffer) => {
+  analyser.getByteTimeDomainData(buffer);
+  let sum = 0;
+  buffer.forEach((value) => {
+    // the samples are centered on 128
+    const sample = (value - 128) / 128;
+    sum += sample * sample;
+  });
+  return Math.min(Math.sqrt(sum / buffer.length) * 2, 1);
+};
@@ -1,4 +1,4 @@
-import React, { PureComponent } from 'react';
+import React, { PureComponent, useContext } from 'react';
 import PropTypes from 'prop-types';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -7,6 +7,10 @@ import MessageNotification from './MessageNotification';
 import CustomNotification from './CustomNotification';
 import ConnectionStatus from './ConnectionStatus';
 import MessageListInner from './MessageListInner';
+import UnreadMessagesNotification from './UnreadMessagesNotification';
+import DefaultUnreadMessagesSeparator from './UnreadMessagesSeparator';
+import { useUnreadMessages } from './hooks';
+import { getNewMessagesLabel } from './utils';
 import { defaultPinPermissions, MESSAGE_ACTIONS } from '../Message/utils';
 import { checkChannelPropType, smartRender } from '../../utils';
 
@@ -31,11 +35,16 @@ class MessageList extends PureComponent {
     super(props);
 
     this.state = {
+      // the incoming message read by the screen readers
+      announcement: '',
+      firstUnreadOutOfView: false,
+      newMessagesCount: 0,
       newMessagesNotification: false,
       notifications: [],
     };
 
     this.bottomRef = React.createRef();
+    this.unreadSeparatorRef = React.createRef();
     this.messageList = React.createRef();
     this.notificationTimeouts = [];
   }
@@ -48,6 +57,7 @@ class MessageList extends PureComponent {
     this.setState({
       messageListRect,
     });
+    this.updateUnreadMessagesNotification();
   }
 
   componentWillUnmount() {
@@ -72,6 +82,19 @@ class MessageList extends PureComponent {
   }
 
   componentDidUpdate(prevProps, prevState, snapshot) {
+    if (prevProps.firstUnreadMessageId !== this.props.firstUnreadMessageId) {
+      this.updateUnreadMessagesNotification();
+    }
+
+    if (
+      !this.props.threadList &&
+      this.props.highlightedMessageId &&
+      this.props.highlightedMessageId !== prevProps.highlightedMessageId
+    ) {
+      this.scrollToHighlightedMessage();
+      return;
+    }
+
     // If we have a snapshot value, we've just added new items.
     // Adjust scroll so these new items don't push the old ones out of view.
     // (snapshot here is the value returned from getSnapshotBeforeUpdate)
@@ -86,6 +109,18 @@ class MessageList extends PureComponent {
     }
 
     const hasNewMessage = currentLastMessage.id !== previousLastMessage.id;
+
+    if (
+      hasNewMessage &&
+      currentLastMessage.type === 'regular' &&
+      currentLastMessage.user?.id !== this.props.client.userID
+    ) {
+      this.announceMessage(currentLastMessage);
+    }
+
+    // away from the latest messages, the newer ones are loaded below the visible ones: nothing to adjust
+    if (hasNewMessage && this.hasMoreNewer(prevProps)) return;
+
     const isOwner = currentLastMessage.user.id === this.props.client.userID;
 
     const list = this.messageList.current;
@@ -98,7 +133,7 @@ class MessageList extends PureComponent {
 
       // remove the scroll notification if we already scrolled down...
       if (this.state.newMessagesNotification)
-        this.setState({ newMessagesNotification: false });
+        this.setState({ newMessagesCount: 0, newMessagesNotification: false });
 
       return;
     }
@@ -118,9 +153,18 @@ class MessageList extends PureComponent {
       }
     }
 
-    // Check the scroll position... if you're scrolled up show a little notification
-    if (hasNewMessage && !this.state.newMessagesNotification) {
-      this.setState({ newMessagesNotification: true });
+    // Check the scroll position... if you're scrolled up show a little notification with the number of new messages
+    if (hasNewMessage) {
+      const { messages } = this.props;
+      const previousLastIndex = messages.findIndex(
+        ({ id }) => id === previousLastMessage.id,
+      );
+      const newMessagesCount =
+        previousLastIndex === -1 ? 1 : messages.length - 1 - previousLastIndex;
+      this.setState((state) => ({
+        newMessagesCount: state.newMessagesCount + newMessagesCount,
+        newMessagesNotification: true,
+      }));
     }
   }
 
@@ -161,9 +205,80 @@ class MessageList extends PureComponent {
     if (scrollTop !== undefined) containerEl.scrollTop = scrollTop; // eslint-disable-line no-param-reassign
   };
 
-  goToNewMessages = () => {
+  scrollToHighlightedMessage = () => {
+    const list = this.messageList.current;
+    const highlightedMessage = list?.querySelector(
+      '.str-chat__li--highlighted',
+    );
+    if (!highlightedMessage) return;
+
+    // center the message in the list
+    this.scrollToTarget(
+      highlightedMessage.offsetTop -
+        (list.clientHeight - highlightedMessage.offsetHeight) / 2,
+      list,
+    );
+  };
+
+  goToNewMessages = async () => {
+    if (this.hasMoreNewer(this.props)) {
+      await this.props.jumpToLatestMessage(this.props.messageLimit);
+    }
     this.scrollToBottom();
-    this.setState({ newMessagesNotification: false });
+    this.setState({ newMessagesCount: 0, newMessagesNotification: false });
+  };
+
+  /** the separator is above the visible part of the list */
+  isFirstUnreadOutOfView = () => {
+    const list = this.messageList.current;
+    const separator = this.unreadSeparatorRef.current;
+    if (!list || !separator) return false;
+    return (
+      separator.getBoundingClientRect().bottom <
+      list.getBoundingClientRect().top
+    );
+  };
+
+  updateUnreadMessagesNotification = () => {
+    const firstUnreadOutOfView = this.isFirstUnreadOutOfView();
+    if (firstUnreadOutOfView !== this.state.firstUnreadOutOfView) {
+      this.setState({ firstUnreadOutOfView });
+      // the channel marked unread is marked read again once the user has scrolled past its first unread message
+      if (
+        firstUnreadOutOfView &&
+        this.props.markedUnreadMessageId &&
+        this.props.markRead
+      ) {
+        this.props.markRead();
+      }
+    }
+  };
+
+  jumpToFirstUnread = () => {
+    const separator = this.unreadSeparatorRef.current;
+    if (separator) this.scrollToTarget(separator, this.messageList.current);
+    this.setState({ firstUnreadOutOfView: false });
+  };
+
+  markAllRead = () => {
+    if (this.props.markAllRead) this.props.markAllRead();
+    this.setState({ firstUnreadOutOfView: false });
+  };
+
+  /** a thread always displays its latest messages */
+  hasMoreNewer = (props) => !props.threadList && !!props.hasMoreNewer;
+
+  announceMessage = (message) => {
+    const { t } = this.props;
+    const user = message.user?.name || message.user?.id;
+    this.setState({
+      announcement: message.text
+        ? t('New message from {{ user }}: {{ text }}', {
+            text: message.text,
+            user,
+          })
+        : t('New message from {{ user }}', { user }),
+    });
   };
 
   userScrolledUp = () => this.scrollOffset > 200;
@@ -172,8 +287,9 @@ class MessageList extends PureComponent {
     this.scrollOffset = offset;
     this.closeToTop = reverseOffset < threshold;
     if (this.state.newMessagesNotification && !this.userScrolledUp()) {
-      this.setState({ newMessagesNotification: false });
+      this.setState({ newMessagesCount: 0, newMessagesNotification: false });
     }
+    this.updateUnreadMessagesNotification();
   };
 
   /**
@@ -218,8 +334,14 @@ class MessageList extends PureComponent {
       ? this.props.loadMore(this.props.messageLimit)
       : this.props.loadMore();
 
+  loadMoreNewer = () =>
+    this.props.messageLimit
+      ? this.props.loadMoreNewer(this.props.messageLimit)
+      : this.props.loadMoreNewer();
+
   render() {
     const { t } = this.props;
+    const hasMoreNewer = this.hasMoreNewer(this.props);
 
     return (
       <React.Fragment>
@@ -231,14 +353,17 @@ class MessageList extends PureComponent {
         >
           <MessageListInner
             bottomRef={this.bottomRef}
-            channel={this.props.channel}
             client={this.props.client}
             DateSeparator={this.props.DateSeparator || this.props.dateSeparator}
             disableDateSeparator={this.props.disableDateSeparator}
             EmptyStateIndicator={this.props.EmptyStateIndicator}
+            firstUnreadMessageId={this.props.firstUnreadMessageId}
             HeaderComponent={this.props.HeaderComponent}
             headerPosition={this.props.headerPosition}
             hideDeletedMessages={this.props.hideDeletedMessages}
+            highlightedMessageId={
+              this.props.threadList ? null : this.props.highlightedMessageId
+            }
             messages={this.props.messages}
             MessageSystem={this.props.MessageSystem}
             noGroupByUser={this.props.noGroupByUser}
@@ -246,11 +371,16 @@ class MessageList extends PureComponent {
             read={this.props.read}
             threadList={this.props.threadList}
             TypingIndicator={this.props.TypingIndicator}
+            UnreadMessagesSeparator={this.props.UnreadMessagesSeparator}
+            unreadSeparatorRef={this.unreadSeparatorRef}
             internalInfiniteScrollProps={{
               hasMore: this.props.hasMore,
+              hasMoreNewer,
               isLoading: this.props.loadingMore,
+              isLoadingNewer: hasMoreNewer && this.props.loadingMoreNewer,
               listenToScroll: this.listenToScroll,
               loadMore: this.loadMore,
+              loadMoreNewer: this.loadMoreNewer,
               loader: (
                 <Center key="loadingindicator">
                   {smartRender(this.props.LoadingIndicator, { size: 20 }, null)}
@@ -302,11 +432,24 @@ class MessageList extends PureComponent {
             </CustomNotification>
           ))}
           <ConnectionStatus />
+          <div aria-live="polite" className="str-chat__sr-only" role="status">
+            {this.state.announcement}
+          </div>
+          <UnreadMessagesNotification
+            onJumpToFirstUnread={this.jumpToFirstUnread}
+            onMarkRead={this.markAllRead}
+            showNotification={this.state.firstUnreadOutOfView}
+            unreadCount={this.props.unreadCount || 0}
+          />
           <MessageNotification
             onClick={this.goToNewMessages}
-            showNotification={this.state.newMessagesNotification}
+            showNotification={
+              this.state.newMessagesNotification || hasMoreNewer
+            }
           >
-            {t('New Messages!')}
+            {hasMoreNewer
+              ? t('Latest Messages')
+              : getNewMessagesLabel(this.state.newMessagesCount, t)}
           </MessageNotification>
         </div>
       </React.Fragment>
@@ -403,6 +546,12 @@ MessageList.propTypes = {
    * Defaults to and accepts same props as: [EventComponent](https://github.com/GetStream/stream-chat-react/blob/master/src/components/EventComponent.js)
    */
   MessageSystem: PropTypes.elementType,
+  /**
+   * Custom UI component to display the separator before the first unread message
+   *
+   * Defaults to: [UnreadMessagesSeparator](https://github.com/GetStream/stream-chat-react/blob/master/src/components/MessageList/UnreadMessagesSeparator.js)
+   * */
+  UnreadMessagesSeparator: PropTypes.elementType,
   /**
    * Typing indicator UI component to render
    *
@@ -424,6 +573,14 @@ MessageList.propTypes = {
   /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
   messages: PropTypes.array.isRequired,
   /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  hasMoreNewer: PropTypes.bool,
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  loadMoreNewer: PropTypes.func,
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  jumpToLatestMessage: PropTypes.func,
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  highlightedMessageId: PropTypes.string,
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
   channel: /** @type {PropTypes.Validator<ReturnType<import('types').StreamChatReactClient['channel']>>} */ (PropTypes.objectOf(
     checkChannelPropType,
   ).isRequired),
@@ -445,6 +602,10 @@ MessageList.propTypes = {
   watchers: PropTypes.object,
   /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
   read: PropTypes.object,
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  markRead: PropTypes.func,
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  markedUnreadMessageId: PropTypes.string,
   /**
    * Additional props for underlying MessageInput component. We have instance of MessageInput
    * component in MessageSimple component, for handling edit state.
@@ -466,6 +627,7 @@ MessageList.defaultProps = {
   DateSeparator: DefaultDateSeparator,
   LoadingIndicator: DefaultLoadingIndicator,
   TypingIndicator: DefaultTypingIndicator,
+  UnreadMessagesSeparator: DefaultUnreadMessagesSeparator,
   EmptyStateIndicator: DefaultEmptyStateIndicator,
   unsafeHTML: false,
   noGroupByUser: false,
@@ -473,11 +635,28 @@ MessageList.defaultProps = {
   pinPermissions: defaultPinPermissions,
 };
 
-export default withTranslationContext((props) => (
-  <ChannelContext.Consumer>
-    {/* TODO: only used props needs to be passed in */}
-    {({ typing, ...channelContext }) => (
-      <MessageList {...channelContext} {...props} />
-    )}
-  </ChannelContext.Consumer>
-));
+const MessageListWithContext = (props) => {
+  // TODO: only used props needs to be passed in
+  const { typing, ...channelContext } = useContext(ChannelContext);
+  const { client, markRead, messages, read } = { ...channelContext, ...props };
+
+  const { firstUnreadMessageId, markAllRead, unreadCount } = useUnreadMessages({
+    client,
+    disabled: props.threadList,
+    markRead,
+    messages,
+    read,
+  });
+
+  return (
+    <MessageList
+      {...channelContext}
+      {...props}
+      firstUnreadMessageId={firstUnreadMessageId}
+      markAllRead={markAllRead}
+      unreadCount={unreadCount}
+    />
+  );
+};
+
+export default withTranslationContext(MessageListWithContext);
@@ -1,206 +1,35 @@
-/* eslint-disable no-continue */
-import React, { useMemo } from 'react';
+import React, { useContext, useMemo, useRef } from 'react';
 import isEqual from 'lodash.isequal';
 
 import { Message } from '../Message';
 import { InfiniteScroll } from '../InfiniteScrollPaginator';
+import { useEnrichedMessages, useMessageListKeyboardNavigation } from './hooks';
+import { TranslationContext } from '../../context';
 
-// fast since it usually iterates just the last few messages
-const getLastReceived = (messages) => {
-  for (let i = messages.length - 1; i > 0; i -= 1) {
-    if (messages[i].status === 'received') return messages[i].id;
-  }
-  return null;
-};
-
-const getReadStates = (messages, read) => {
-  // create object with empty array for each message id
-  const readData = {};
-
-  Object.values(read).forEach((readState) => {
-    if (!readState.last_read) return;
-
-    let userLastReadMsgId;
-    messages.forEach((msg) => {
-      if (msg.updated_at < readState.last_read) userLastReadMsgId = msg.id;
-    });
-
-    if (userLastReadMsgId) {
-      if (!readData[userLastReadMsgId]) readData[userLastReadMsgId] = [];
-      readData[userLastReadMsgId].push(readState.user);
-    }
-  });
-
-  return readData;
-};
-
-const insertDates = (messages, lastRead, userID, hideDeletedMessages) => {
-  let unread = false;
-  let lastDateSeparator;
-  const newMessages = [];
-
-  for (let i = 0, l = messages.length; i < l; i += 1) {
-    const message = messages[i];
-
-    if (hideDeletedMessages && message.type === 'deleted') {
-      continue;
-    }
-
-    if (message.type === 'message.read') {
-      newMessages.push(message);
-      continue;
-    }
-
-    const messageDate = message.created_at.toDateString();
-    let prevMessageDate = messageDate;
-
-    if (i > 0) {
-      prevMessageDate = messages[i - 1].created_at.toDateString();
-    }
-
-    if (!unread) {
-      unread = lastRead && new Date(lastRead) < message.created_at;
-
-      // do not show date separator for current user's messages
-      if (unread && message.user.id !== userID) {
-        newMessages.push({
-          type: 'message.date',
-          date: message.created_at,
-          unread,
-        });
-      }
-    }
-
-    if (
-      (i === 0 ||
-        messageDate !== prevMessageDate ||
-        (hideDeletedMessages &&
-          messages[i - 1]?.type === 'deleted' &&
-          lastDateSeparator !== messageDate)) &&
-      newMessages?.[newMessages.length - 1]?.type !== 'message.date' // do not show two date separators in a row
-    ) {
-      lastDateSeparator = messageDate;
-
-      newMessages.push(
-        { type: 'message.date', date: message.created_at },
-        message,
-      );
-    } else {
-      newMessages.push(message);
-    }
-  }
-
-  return newMessages;
-};
-
-const insertIntro = (messages, headerPosition) => {
-  const newMessages = messages;
-  // if no headerPosition is set, HeaderComponent will go at the top
-  if (!headerPosition) {
-    newMessages.unshift({ type: 'channel.intro' });
-    return newMessages;
-  }
-
-  // if no messages, intro gets inserted
-  if (!newMessages.length) {
-    newMessages.unshift({ type: 'channel.intro' });
-    return newMessages;
-  }
-
-  // else loop over the messages
-  for (let i = 0, l = messages.length; i < l; i += 1) {
-    const message = messages[i];
-
-    const messageTime = message.created_at
-      ? message.created_at.getTime()
-      : null;
-    const nextMessageTime =
-      messages[i + 1] && messages[i + 1].created_at
-        ? messages[i + 1].created_at.getTime()
-        : null;
-
-    // header position is smaller than message time so comes after;
-    if (messageTime < headerPosition) {
-      // if header position is also smaller than message time continue;
-      if (nextMessageTime < headerPosition) {
-        if (messages[i + 1] && messages[i + 1].type === 'message.date')
-          continue;
-        if (!nextMessageTime) {
-          newMessages.push({ type: 'channel.intro' });
-          return newMessages;
-        }
-        continue;
-      } else {
-        newMessages.splice(i + 1, 0, { type: 'channel.intro' });
-        return newMessages;
-      }
-    }
-  }
-
-  return newMessages;
-};
-
-const getGroupStyles = (
-  message,
-  previousMessage,
-  nextMessage,
-  noGroupByUser,
-) => {
-  if (message.type === 'message.date') return '';
-  if (message.type === 'channel.event') return '';
-  if (message.type === 'channel.intro') return '';
-
-  if (noGroupByUser || message.attachments.length !== 0) return 'single';
+const noReaders = [];
 
-  const isTopMessage =
-    !previousMessage ||
-    previousMessage.type === 'channel.intro' ||
-    previousMessage.type === 'message.date' ||
-    previousMessage.type === 'system' ||
-    previousMessage.type === 'channel.event' ||
-    previousMessage.attachments.length !== 0 ||
-    message.user.id !== previousMessage.user.id ||
-    previousMessage.type === 'error' ||
-    previousMessage.deleted_at;
-
-  const isBottomMessage =
-    !nextMessage ||
-    nextMessage.type === 'message.date' ||
-    nextMessage.type === 'system' ||
-    nextMessage.type === 'channel.event' ||
-    nextMessage.type === 'channel.intro' ||
-    nextMessage.attachments.length !== 0 ||
-    message.user.id !== nextMessage.user.id ||
-    nextMessage.type === 'error' ||
-    nextMessage.deleted_at;
-
-  if (!isTopMessage && !isBottomMessage) {
-    if (message.deleted_at || message.type === 'error') return 'single';
-    return 'middle';
-  }
-
-  if (isBottomMessage) {
-    if (isTopMessage || message.deleted_at || message.type === 'error')
-      return 'single';
-    return 'bottom';
-  }
-
-  if (isTopMessage) return 'top';
-
-  return '';
+const shallowEqual = (object, otherObject) => {
+  if (object === otherObject) return true;
+  if (!object || !otherObject) return false;
+  const keys = Object.keys(object);
+  return (
+    keys.length === Object.keys(otherObject).length &&
+    keys.every((key) => object[key] === otherObject[key])
+  );
 };
 
 const MessageListInner = (props) => {
   const {
     bottomRef,
     client,
-    channel,
     DateSeparator,
     disableDateSeparator = false,
     EmptyStateIndicator,
+    firstUnreadMessageId,
     HeaderComponent,
     headerPosition,
     hideDeletedMessages = false,
+    highlightedMessageId,
     internalInfiniteScrollProps,
     internalMessageProps,
     messages,
@@ -210,53 +39,71 @@ const MessageListInner = (props) => {
     read,
     threadList,
     TypingIndicator,
+    UnreadMessagesSeparator,
+    unreadSeparatorRef,
   } = props;
 
-  const lastRead = useMemo(() => channel.lastRead(), [channel]);
-
-  const enrichMessages = () => {
-    const messageWithDates =
-      disableDateSeparator || threadList
-        ? messages
-        : insertDates(messages, lastRead, client.userID, hideDeletedMessages);
-    if (HeaderComponent) return insertIntro(messageWithDates, headerPosition);
-
-    return messageWithDates;
-  };
-
-  const enrichedMessages = enrichMessages();
+  const { t } = useContext(TranslationContext);
+  const {
+    focusedMessageId,
+    onFocus,
+    onKeyDown,
+  } = useMessageListKeyboardNavigation();
 
-  const messageGroupStyles = useMemo(
-    () =>
-      enrichedMessages.reduce((acc, message, i) => {
-        const style = getGroupStyles(
-          message,
-          enrichedMessages[i - 1],
-          enrichedMessages[i + 1],
-          noGroupByUser,
-        );
-        if (style) acc[message.id] = style;
-        return acc;
-      }, {}),
-    [enrichedMessages, noGroupByUser],
-  );
+  const {
+    enrichedMessages,
+    groupStyles: messageGroupStyles,
+    lastReceivedId,
+    readData,
+  } = useEnrichedMessages({
+    client,
+    disableDateSeparator,
+    firstUnreadMessageId,
+    headerPosition,
+    hideDeletedMessages,
+    messages,
+    noGroupByUser,
+    read,
+    threadList,
+    withIntro: !!HeaderComponent,
+  });
 
-  // get the readData, but only for messages submitted by the user themselves
-  const readData = useMemo(
-    () =>
-      getReadStates(
-        enrichedMessages.filter(({ user }) => user?.id === client.userID),
-        read,
-      ),
-    [client.userID, enrichedMessages, read],
-  );
+  // the list gets a new object on each render, the messages are rendered again only when its values change
+  const messagePropsRef = useRef(internalMessageProps);
+  if (!shallowEqual(messagePropsRef.current, internalMessageProps)) {
+    messagePropsRef.current = internalMessageProps;
+  }
+  const messageProps = messagePropsRef.current;
 
-  const lastReceivedId = useMemo(() => getLastReceived(enrichedMessages), [
-    enrichedMessages,
+  // the rows rendered by the previous render, by message key
+  const messageRows = useMemo(() => new Map(), [
+    client,
+    messageProps,
+    onMessageLoadCaptured,
+    threadList,
   ]);
 
+  // the message in the tab sequence, the last one until the user moves the focus to another
+  const tabbableMessageId = useMemo(() => {
+    const isMessage = (message) =>
+      !!message.id &&
+      !['channel.event', 'message.read', 'system'].includes(message.type);
+    if (
+      focusedMessageId &&
+      enrichedMessages.some(
+        (message) => isMessage(message) && message.id === focusedMessageId,
+      )
+    )
+      return focusedMessageId;
+    for (let i = enrichedMessages.length - 1; i >= 0; i -= 1) {
+      if (isMessage(enrichedMessages[i])) return enrichedMessages[i].id;
+    }
+    return null;
+  }, [enrichedMessages, focusedMessageId]);
+
   const elements = useMemo(() => {
-    return enrichedMessages.map((message) => {
+    const rows = new Map();
+    const elementList = enrichedMessages.map((message) => {
       if (message.type === 'message.date') {
         return (
           <li key={`${message.date.toISOString()}-i`}>
@@ -265,6 +112,14 @@ const MessageListInner = (props) => {
         );
       }
 
+      if (message.type === 'message.unread') {
+        return (
+          <li key="unread-separator" ref={unreadSeparatorRef}>
+            <UnreadMessagesSeparator />
+          </li>
+        );
+      }
+
       if (message.type === 'channel.intro') {
         return (
           <li key="intro">
@@ -283,39 +138,79 @@ const MessageListInner = (props) => {
       }
 
       if (message.type !== 'message.read') {
-        const groupStyles = messageGroupStyles[message.id] || '';
+        const key = message.id || message.created_at;
+        const row = {
+          groupStyles: messageGroupStyles[message.id] || '',
+          highlighted:
+            !!highlightedMessageId && message.id === highlightedMessageId,
+          // only the last received message needs it, the others are not rendered again when it changes
+          lastReceivedId: message.id === lastReceivedId ? lastReceivedId : null,
+          message,
+          readBy: readData[message.id] || noReaders,
+          tabbable: !!message.id && message.id === tabbableMessageId,
+        };
+        const previousRow = messageRows.get(key);
+        if (
+          previousRow &&
+          previousRow.groupStyles === row.groupStyles &&
+          previousRow.highlighted === row.highlighted &&
+          previousRow.lastReceivedId === row.lastReceivedId &&
+          previousRow.message === row.message &&
+          previousRow.tabbable === row.tabbable &&
+          isEqual(previousRow.readBy, row.readBy)
+        ) {
+          rows.set(key, previousRow);
+          return previousRow.element;
+        }
 
-        return (
+        row.element = (
           <li
-            className={`str-chat__li str-chat__li--${groupStyles}`}
-            key={message.id || message.created_at}
+            className={`str-chat__li str-chat__li--${row.groupStyles}${
+              row.highlighted ? ' str-chat__li--highlighted' : ''
+            }`}
+            data-message-id={message.id}
+            key={key}
             onLoadCapture={onMessageLoadCaptured}
+            tabIndex={row.tabbable ? 0 : -1}
           >
             <Message
               client={client}
-              groupStyles={[groupStyles]} /* TODO: convert to simple string */
-              lastReceivedId={lastReceivedId}
+              groupStyles={[
+                row.groupStyles,
+              ]} /* TODO: convert to simple string */
+              lastReceivedId={row.lastReceivedId}
               message={message}
-              readBy={readData[message.id] || []}
+              readBy={row.readBy}
               threadList={threadList}
-              {...internalMessageProps}
+              {...messageProps}
             />
           </li>
         );
+        rows.set(key, row);
+        return row.element;
       }
 
       return null;
     });
+
+    messageRows.clear();
+    rows.forEach((row, key) => messageRows.set(key, row));
+    return elementList;
   }, [
     client,
     enrichedMessages,
-    internalMessageProps,
+    highlightedMessageId,
     lastReceivedId,
     messageGroupStyles,
+    messageProps,
+    messageRows,
     MessageSystem,
     onMessageLoadCaptured,
     readData,
+    tabbableMessageId,
     threadList,
+    UnreadMessagesSeparator,
+    unreadSeparatorRef,
   ]);
 
   if (!elements.length) return <EmptyStateIndicator listType="message" />;
@@ -328,11 +223,18 @@ const MessageListInner = (props) => {
       useWindow={false}
       {...internalInfiniteScrollProps}
     >
-      <ul className="str-chat__ul">{elements}</ul>
+      <ul
+        aria-label={t('Messages')}
+        className="str-chat__ul"
+        onFocus={onFocus}
+        onKeyDown={onKeyDown}
+      >
+        {elements}
+      </ul>
       <TypingIndicator threadList={threadList} />
       <div key="bottom" ref={bottomRef} />
     </InfiniteScroll>
   );
 };
 
-export default React.memo(MessageListInner, isEqual);
+export default React.memo(MessageListInner);
@@ -0,0 +1,62 @@
+// @ts-check
+import React, { useContext } from 'react';
+import PropTypes from 'prop-types';
+
+import { getNewMessagesLabel } from './utils';
+import { TranslationContext } from '../../context';
+
+/**
+ * UnreadMessagesNotification - Banner displayed while the first unread message is out of view, to jump to it or
+ * mark the channel read
+ * @type {React.FC<import('types').UnreadMessagesNotificationProps>}
+ */
+const UnreadMessagesNotification = ({
+  onJumpToFirstUnread,
+  onMarkRead,
+  showNotification,
+  unreadCount,
+}) => {
+  const { t } = useContext(TranslationContext);
+  if (!showNotification || !unreadCount) return null;
+
+  return (
+    <div
+      className="str-chat__unread-messages-notification"
+      data-testid="unread-messages-notification"
+    >
+      <button
+        className="str-chat__unread-messages-notification-jump"
+        data-testid="unread-messages-notification-jump"
+        onClick={onJumpToFirstUnread}
+      >
+        {getNewMessagesLabel(unreadCount, t)}
+        {' · '}
+        {t('Jump to first unread')}
+      </button>
+      <button
+        className="str-chat__unread-messages-notification-mark-read"
+        data-testid="unread-messages-notification-mark-read"
+        onClick={onMarkRead}
+      >
+        {t('Mark as read')}
+      </button>
+    </div>
+  );
+};
+
+UnreadMessagesNotification.defaultProps = {
+  showNotification: true,
+};
+
+UnreadMessagesNotification.propTypes = {
+  /** Scrolls to the first unread message */
+  onJumpToFirstUnread: PropTypes.func.isRequired,
+  /** Marks the channel read, which removes the unread messages separator */
+  onMarkRead: PropTypes.func.isRequired,
+  /** If we should show the notification or not */
+  showNotification: PropTypes.bool,
+  /** Number of messages the user has not read yet */
+  unreadCount: PropTypes.number.isRequired,
+};
+
+export default React.memo(UnreadMessagesNotification);
@@ -0,0 +1,29 @@
+// @ts-check
+import React, { useContext } from 'react';
+
+import { TranslationContext } from '../../context';
+
+/**
+ * UnreadMessagesSeparator - Separator inserted before the first message the user has not read yet
+ *
+ * @example ../../docs/UnreadMessagesSeparator.md
+ * @type {React.FC<{}>}
+ */
+const UnreadMessagesSeparator = () => {
+  const { t } = useContext(TranslationContext);
+
+  return (
+    <div
+      className="str-chat__unread-messages-separator"
+      data-testid="unread-messages-separator"
+    >
+      <hr className="str-chat__unread-messages-separator-line" />
+      <div className="str-chat__unread-messages-separator-text">
+        {t('Unread messages')}
+      </div>
+      <hr className="str-chat__unread-messages-separator-line" />
+    </div>
+  );
+};
+
+export default React.memo(UnreadMessagesSeparator);
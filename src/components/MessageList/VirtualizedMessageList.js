@@ -4,24 +4,34 @@ import React, {
   useState,
   useEffect,
   useCallback,
+  useMemo,
   useRef,
 } from 'react';
 import { Virtuoso } from 'react-virtuoso';
 
 import { smartRender } from '../../utils';
 import MessageNotification from './MessageNotification';
+import UnreadMessagesNotification from './UnreadMessagesNotification';
+import DefaultUnreadMessagesSeparator from './UnreadMessagesSeparator';
+import { useEnrichedMessages, useUnreadMessages } from './hooks';
+import { getNewMessagesLabel } from './utils';
 import { ChannelContext, TranslationContext } from '../../context';
+import { DateSeparator as DefaultDateSeparator } from '../DateSeparator';
 import { EventComponent } from '../EventComponent';
 import { LoadingIndicator as DefaultLoadingIndicator } from '../Loading';
 import { EmptyStateIndicator as DefaultEmptyStateIndicator } from '../EmptyStateIndicator';
 import {
   FixedHeightMessage,
+  Message as MessageComponent,
   MessageDeleted as DefaultMessageDeleted,
 } from '../Message';
 
+/** @type {Array<import('stream-chat').MessageResponse>} */
+const noMessages = [];
+
 /**
  * VirtualizedMessageList - This component renders a list of messages in a virtual list. Its a consumer of [Channel Context](https://getstream.github.io/stream-chat-react/#channel)
- * It is pretty fast for rendering thousands of messages but it needs its Message component to have fixed height
+ * It is pretty fast for rendering thousands of messages, the rows are measured once rendered so that any Message UI component can be used
  * @example ../../docs/VirtualizedMessageList.md
  * @type {React.FC<import('types').VirtualizedMessageListInternalProps>}
  */
@@ -31,20 +41,72 @@ const VirtualizedMessageList = ({
   loadMore,
   hasMore,
   loadingMore,
+  loadMoreNewer,
+  hasMoreNewer = false,
+  loadingMoreNewer = false,
+  highlightedMessageId,
+  jumpToLatestMessage,
+  markRead,
+  markedUnreadMessageId,
+  read,
+  threadList = false,
   messageLimit = 100,
   overscan = 200,
   shouldGroupByUser = false,
   customMessageRenderer,
   scrollSeekPlaceHolder,
   Message = FixedHeightMessage,
+  DateSeparator = DefaultDateSeparator,
+  disableDateSeparator = false,
+  HeaderComponent,
+  hideDeletedMessages = false,
   MessageSystem = EventComponent,
   MessageDeleted = DefaultMessageDeleted,
   TypingIndicator = null,
+  UnreadMessagesSeparator = DefaultUnreadMessagesSeparator,
   LoadingIndicator = DefaultLoadingIndicator,
   EmptyStateIndicator = DefaultEmptyStateIndicator,
 }) => {
   const { t } = useContext(TranslationContext);
   const [newMessagesNotification, setNewMessagesNotification] = useState(false);
+  const [newMessagesCount, setNewMessagesCount] = useState(0);
+  const [firstUnreadOutOfView, setFirstUnreadOutOfView] = useState(false);
+
+  const { firstUnreadMessageId, markAllRead, unreadCount } = useUnreadMessages({
+    client,
+    markRead,
+    messages,
+    read,
+  });
+
+  // the separator is rendered with the first unread message, the other separators and the header are rows of the list
+  const {
+    enrichedMessages,
+    groupStyles,
+    lastReceivedId,
+    readData,
+  } = useEnrichedMessages({
+    client,
+    disableDateSeparator,
+    hideDeletedMessages,
+    messages: messages || noMessages,
+    noGroupByUser: !shouldGroupByUser,
+    read,
+    threadList,
+    withIntro: !!HeaderComponent,
+  });
+  // a custom renderer gets the messages themselves
+  const rows = customMessageRenderer
+    ? messages || noMessages
+    : enrichedMessages;
+
+  const firstUnreadIndex = useMemo(
+    () =>
+      firstUnreadMessageId && !threadList
+        ? rows.findIndex(({ id }) => id === firstUnreadMessageId)
+        : -1,
+    [firstUnreadMessageId, rows, threadList],
+  );
 
   const virtuoso = useRef(
     /** @type {import('react-virtuoso').VirtuosoMethods | undefined} */ (undefined),
@@ -52,6 +114,10 @@ const VirtualizedMessageList = ({
   const mounted = useRef(false);
   const atBottom = useRef(false);
   const lastMessageId = useRef('');
+  // the first message row and its index, to keep the scroll position when older messages are prepended
+  const firstMessageRow = useRef(
+    /** @type {{ id?: string, index: number } | null} */ (null),
+  );
 
   useEffect(() => {
     /* handle scrolling behavior for new messages */
@@ -64,18 +130,54 @@ const VirtualizedMessageList = ({
     /* do nothing if new messages are loaded from top(loadMore)  */
     if (lastMessage.id === prevMessageId) return;
 
+    /* away from the latest messages, newer ones are loaded by scrolling down (loadMoreNewer) */
+    if (hasMoreNewer) return;
+
     /* if list is already at the bottom return, followOutput will do the job */
     if (atBottom.current) return;
 
     /* if the new message belongs to current user scroll to bottom */
     if (lastMessage.user?.id === client.userID) {
-      setTimeout(() => virtuoso.current?.scrollToIndex(messages.length));
+      setTimeout(() => virtuoso.current?.scrollToIndex(rows.length));
       return;
     }
 
-    /* otherwise just show newMessage notification  */
+    /* otherwise just show newMessage notification with the number of new messages */
+    const prevLastIndex = messages.findIndex(({ id }) => id === prevMessageId);
+    setNewMessagesCount(
+      (count) =>
+        count +
+        (prevLastIndex === -1 ? 1 : messages.length - 1 - prevLastIndex),
+    );
     setNewMessagesNotification(true);
-  }, [client.userID, messages]);
+  }, [client.userID, hasMoreNewer, messages]);
+
+  useEffect(() => {
+    /* the rows of the older messages and their separators push the rows that were displayed down */
+    const index = rows.findIndex(({ id }) => !!id);
+    const previous = firstMessageRow.current;
+    firstMessageRow.current =
+      index === -1 ? null : { id: rows[index].id, index };
+    if (!previous) return;
+    const previousRowIndex = rows.findIndex(({ id }) => id === previous.id);
+    if (previousRowIndex > previous.index) {
+      virtuoso.current?.adjustForPrependedItems(
+        previousRowIndex - previous.index,
+      );
+    }
+  }, [rows]);
+
+  useEffect(() => {
+    /* center the message that has just been jumped to */
+    if (!highlightedMessageId || !messages) return;
+    const index = rows.findIndex(({ id }) => id === highlightedMessageId);
+    if (index !== -1) {
+      setTimeout(() =>
+        virtuoso.current?.scrollToIndex({ index, align: 'center' }),
+      );
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [highlightedMessageId]);
 
   useEffect(() => {
     /*
@@ -85,7 +187,7 @@ const VirtualizedMessageList = ({
     if (mounted.current) return;
     mounted.current = true;
     if (messages?.length && virtuoso.current) {
-      virtuoso.current.scrollToIndex(messages.length - 1);
+      virtuoso.current.scrollToIndex(rows.length - 1);
     }
   }, [messages?.length]);
 
@@ -95,7 +197,16 @@ const VirtualizedMessageList = ({
       if (customMessageRenderer) return customMessageRenderer(messageList, i);
 
       const message = messageList[i];
-      if (!message) return <div style={{ height: '1px' }}></div>; // returning null or zero height breaks the virtuoso
+      const emptyRow = <div style={{ height: '1px' }}></div>; // returning null or zero height breaks the virtuoso
+      if (!message || message.type === 'message.read') return emptyRow;
+
+      if (message.type === 'message.date') {
+        return <DateSeparator date={message.date} unread={message.unread} />;
+      }
+
+      if (message.type === 'channel.intro') {
+        return HeaderComponent ? <HeaderComponent /> : emptyRow;
+      }
 
       if (message.type === 'channel.event' || message.type === 'system')
         return <MessageSystem message={message} />;
@@ -103,18 +214,68 @@ const VirtualizedMessageList = ({
       if (message.deleted_at)
         return smartRender(MessageDeleted, { message }, null);
 
-      return (
-        <Message
-          message={message}
-          groupedByUser={
-            shouldGroupByUser &&
-            i > 0 &&
-            message.user.id === messageList[i - 1].user.id
-          }
-        />
+      const previousMessage = messageList[i - 1];
+      const groupStyle = groupStyles[message.id] || '';
+      const highlighted =
+        !!highlightedMessageId && message.id === highlightedMessageId;
+
+      const messageElement = (
+        <div
+          className={`str-chat__li str-chat__li--${groupStyle}${
+            highlighted ? ' str-chat__virtual-list-message--highlighted' : ''
+          }`}
+          data-message-id={message.id}
+        >
+          <MessageComponent
+            client={client}
+            groupedByUser={
+              shouldGroupByUser &&
+              !!previousMessage?.user &&
+              message.user?.id === previousMessage.user.id
+            }
+            groupStyles={[groupStyle]}
+            lastReceivedId={
+              message.id === lastReceivedId ? lastReceivedId : null
+            }
+            message={message}
+            Message={
+              /** @type {React.ElementType<import('types').MessageUIComponentProps>} */ (Message)
+            }
+            readBy={readData[message.id] || []}
+            threadList={threadList}
+          />
+        </div>
       );
+
+      // the separator is rendered with the message so that the list keeps a row per message
+      if (message.id === firstUnreadMessageId && !threadList) {
+        return (
+          <>
+            <UnreadMessagesSeparator />
+            {messageElement}
+          </>
+        );
+      }
+
+      return messageElement;
     },
-    [MessageDeleted, customMessageRenderer, shouldGroupByUser],
+    [
+      client,
+      DateSeparator,
+      groupStyles,
+      HeaderComponent,
+      lastReceivedId,
+      Message,
+      MessageDeleted,
+      MessageSystem,
+      readData,
+      threadList,
+      UnreadMessagesSeparator,
+      customMessageRenderer,
+      firstUnreadMessageId,
+      highlightedMessageId,
+      shouldGroupByUser,
+    ],
   );
 
   if (!messages) {
@@ -126,12 +287,12 @@ const VirtualizedMessageList = ({
       <Virtuoso
         // @ts-expect-error
         ref={virtuoso}
-        totalCount={messages.length}
+        totalCount={rows.length}
         overscan={overscan}
-        followOutput={true}
+        followOutput={!hasMoreNewer}
         maxHeightCacheSize={2000} // reset the cache once it reaches 2k
         scrollSeek={scrollSeekPlaceHolder}
-        item={(i) => messageRenderer(messages, i)}
+        item={(i) => messageRenderer(rows, i)}
         emptyComponent={() => <EmptyStateIndicator listType="message" />}
         header={() =>
           loadingMore ? (
@@ -142,34 +303,91 @@ const VirtualizedMessageList = ({
             <></>
           )
         }
-        footer={() =>
-          TypingIndicator ? <TypingIndicator avatarSize={24} /> : <></>
-        }
+        footer={() => {
+          if (hasMoreNewer && loadingMoreNewer) {
+            return (
+              <div className="str-chat__virtual-list__loading">
+                <LoadingIndicator size={20} />
+              </div>
+            );
+          }
+          // the text variant keeps the footer a single line
+          return TypingIndicator ? (
+            <TypingIndicator
+              avatarSize={24}
+              threadList={threadList}
+              variant="text"
+            />
+          ) : (
+            <></>
+          );
+        }}
         startReached={() => {
           // mounted.current prevents immediate loadMore on first render
           if (mounted.current && hasMore) {
-            loadMore(messageLimit).then(
-              virtuoso.current?.adjustForPrependedItems,
-            );
+            loadMore(messageLimit);
+          }
+        }}
+        endReached={() => {
+          if (mounted.current && hasMoreNewer && loadMoreNewer) {
+            loadMoreNewer(messageLimit);
           }
         }}
         atBottomStateChange={(isAtBottom) => {
           atBottom.current = isAtBottom;
-          if (isAtBottom && newMessagesNotification)
+          if (isAtBottom && newMessagesNotification) {
             setNewMessagesNotification(false);
+            setNewMessagesCount(0);
+          }
+        }}
+        rangeChanged={({ startIndex }) => {
+          const outOfView =
+            firstUnreadIndex !== -1 && firstUnreadIndex < startIndex;
+          // the channel marked unread is marked read again once the user has scrolled past its first unread message
+          if (
+            outOfView &&
+            !firstUnreadOutOfView &&
+            markedUnreadMessageId &&
+            markRead
+          ) {
+            markRead();
+          }
+          setFirstUnreadOutOfView(outOfView);
         }}
       />
 
       <div className="str-chat__list-notifications">
+        <UnreadMessagesNotification
+          onJumpToFirstUnread={() => {
+            setTimeout(() =>
+              virtuoso.current?.scrollToIndex({
+                index: firstUnreadIndex,
+                align: 'start',
+              }),
+            );
+            setFirstUnreadOutOfView(false);
+          }}
+          onMarkRead={() => {
+            markAllRead();
+            setFirstUnreadOutOfView(false);
+          }}
+          showNotification={firstUnreadOutOfView && firstUnreadIndex !== -1}
+          unreadCount={unreadCount}
+        />
         <MessageNotification
-          showNotification={newMessagesNotification}
-          onClick={() => {
-            if (virtuoso.current)
-              virtuoso.current.scrollToIndex(messages.length);
+          showNotification={newMessagesNotification || hasMoreNewer}
+          onClick={async () => {
+            if (hasMoreNewer && jumpToLatestMessage) {
+              await jumpToLatestMessage(messageLimit);
+            }
+            setTimeout(() => virtuoso.current?.scrollToIndex(rows.length));
             setNewMessagesNotification(false);
+            setNewMessagesCount(0);
           }}
         >
-          {t('New Messages!')}
+          {hasMoreNewer
+            ? t('Latest Messages')
+            : getNewMessagesLabel(newMessagesCount, t)}
         </MessageNotification>
       </div>
     </div>
@@ -179,27 +397,51 @@ const VirtualizedMessageList = ({
 // TODO: fix the types here when everything converted to proper TS
 /**
  * @param {import("types").VirtualizedMessageListProps} props
- * @returns {React.ElementType<import("types").VirtualizedMessageListInternalProps>}
+ * @returns {React.ReactElement}
  */
 export default function VirtualizedMessageListWithContext(props) {
-  // @ts-expect-error
   return (
     <ChannelContext.Consumer>
       {(
         /* {Required<Pick<import('types').ChannelContextValue, 'client' | 'messages' | 'loadMore' | 'hasMore' | 'loadingMore'>>} */ context,
-      ) => (
-        <VirtualizedMessageList
-          client={context.client}
-          messages={context.messages}
-          // @ts-expect-error
-          loadMore={context.loadMore}
-          // @ts-expect-error
-          hasMore={context.hasMore}
-          // @ts-expect-error
-          loadingMore={context.loadingMore}
-          {...props}
-        />
-      )}
+      ) =>
+        props.threadList ? (
+          // the replies of the open thread, always displayed from the latest one and without unread separator
+          <VirtualizedMessageList
+            client={context.client}
+            // @ts-expect-error
+            messages={context.threadMessages}
+            // @ts-expect-error
+            loadMore={context.loadMoreThread}
+            // @ts-expect-error
+            hasMore={context.threadHasMore}
+            // @ts-expect-error
+            loadingMore={context.threadLoadingMore}
+            read={context.read}
+            {...props}
+          />
+        ) : (
+          <VirtualizedMessageList
+            client={context.client}
+            messages={context.messages}
+            // @ts-expect-error
+            loadMore={context.loadMore}
+            // @ts-expect-error
+            hasMore={context.hasMore}
+            // @ts-expect-error
+            loadingMore={context.loadingMore}
+            loadMoreNewer={context.loadMoreNewer}
+            hasMoreNewer={context.hasMoreNewer}
+            loadingMoreNewer={context.loadingMoreNewer}
+            highlightedMessageId={context.highlightedMessageId}
+            jumpToLatestMessage={context.jumpToLatestMessage}
+            markRead={context.markRead}
+            markedUnreadMessageId={context.markedUnreadMessageId}
+            read={context.read}
+            {...props}
+          />
+        )
+      }
     </ChannelContext.Consumer>
   );
 }
@@ -1,5 +1,11 @@
-import React from 'react';
-import { cleanup, render, waitFor, act } from '@testing-library/react';
+import React, { useContext, useEffect } from 'react';
+import {
+  cleanup,
+  render,
+  waitFor,
+  act,
+  fireEvent,
+} from '@testing-library/react';
 import '@testing-library/jest-dom';
 
 import {
@@ -16,6 +22,8 @@ import {
 import { Chat } from '../../Chat';
 import MessageList from '../MessageList';
 import { Channel } from '../../Channel';
+import { MessageInput } from '../../MessageInput';
+import { ChannelContext } from '../../../context';
 
 describe('MessageList', () => {
   afterEach(cleanup);
@@ -93,4 +101,270 @@ describe('MessageList', () => {
       expect(getByTestId('custom-avatar')).toBeInTheDocument();
     });
   });
+
+  it('should highlight the message jumped to and jump back to the latest messages', async () => {
+    const user = generateUser();
+    const latestMessage = generateMessage({ user });
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+    const olderMessages = [
+      generateMessage({ user, created_at: minutesAgo(30) }),
+      generateMessage({ user, created_at: minutesAgo(20) }),
+    ];
+    const mockedChannel = generateChannel({
+      messages: [latestMessage],
+      members: [generateMember({ user })],
+    });
+    const channelWithMessages = (messages) =>
+      getOrCreateChannelApi({ ...mockedChannel, messages }).response;
+
+    chatClient = await getTestClientWithUser({ id: 'vishal' });
+    useMockedApis(chatClient, [getOrCreateChannelApi(mockedChannel)]);
+    const channel = chatClient.channel('messaging', mockedChannel.id);
+    await channel.watch();
+
+    jest
+      .spyOn(chatClient.axiosInstance, 'post')
+      .mockResolvedValueOnce(channelWithMessages(olderMessages.slice(0, 1)))
+      .mockResolvedValueOnce(channelWithMessages(olderMessages.slice(1)))
+      .mockResolvedValueOnce(channelWithMessages([latestMessage]));
+
+    const MessageJumper = () => {
+      const { jumpToMessage } = useContext(ChannelContext);
+      useEffect(() => {
+        jumpToMessage(olderMessages[0].id, 2);
+      }, []); // eslint-disable-line
+      return null;
+    };
+
+    const { container, findByText, queryByText } = render(
+      <Chat client={chatClient}>
+        <Channel channel={channel}>
+          <MessageJumper />
+          <MessageList messageLimit={1} />
+        </Channel>
+      </Chat>,
+    );
+
+    const latestMessagesButton = await findByText('Latest Messages');
+    expect(
+      container.querySelector('.str-chat__li--highlighted'),
+    ).toHaveTextContent(olderMessages[0].text);
+    expect(queryByText(latestMessage.text)).not.toBeInTheDocument();
+
+    fireEvent.click(latestMessagesButton);
+
+    expect(await findByText(latestMessage.text)).toBeInTheDocument();
+    expect(queryByText('Latest Messages')).not.toBeInTheDocument();
+    expect(queryByText(olderMessages[0].text)).not.toBeInTheDocument();
+  });
+
+  describe('Unread messages', () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+    const me = generateUser({ id: 'vishal' });
+    const other = generateUser();
+    const messages = [
+      generateMessage({ user: other, created_at: minutesAgo(30) }),
+      generateMessage({ user: other, created_at: minutesAgo(10) }),
+      generateMessage({ user: other, created_at: minutesAgo(5) }),
+    ];
+
+    const renderUnreadMessageList = async (lastRead) => {
+      const mockedChannel = generateChannel({
+        messages,
+        members: [
+          generateMember({ user: me }),
+          generateMember({ user: other }),
+        ],
+        read: [{ last_read: lastRead.toISOString(), user: me }],
+      });
+      chatClient = await getTestClientWithUser(me);
+      useMockedApis(chatClient, [getOrCreateChannelApi(mockedChannel)]); // eslint-disable-line react-hooks/rules-of-hooks
+      const channel = chatClient.channel('messaging', mockedChannel.id);
+      await channel.query();
+      const doMarkReadRequest = jest.fn();
+
+      const result = render(
+        <Chat client={chatClient}>
+          <Channel channel={channel} doMarkReadRequest={doMarkReadRequest}>
+            <MessageList />
+          </Channel>
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(
+          result.getByTestId('reverse-infinite-scroll'),
+        ).toBeInTheDocument();
+      });
+      return { ...result, doMarkReadRequest };
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should insert the unread messages separator before the first unread message', async () => {
+      const { getByTestId } = await renderUnreadMessageList(minutesAgo(20));
+
+      expect(
+        getByTestId('unread-messages-separator').closest('li').nextSibling,
+      ).toHaveTextContent(messages[1].text);
+    });
+
+    it('should not insert the unread messages separator when all the messages are read', async () => {
+      const { queryByTestId } = await renderUnreadMessageList(minutesAgo(1));
+
+      expect(
+        queryByTestId('unread-messages-separator'),
+      ).not.toBeInTheDocument();
+    });
+
+    it('should display the unread messages banner while the first unread message is out of view', async () => {
+      // the separator is above the list
+      jest
+        .spyOn(HTMLLIElement.prototype, 'getBoundingClientRect')
+        .mockReturnValue({ bottom: -50, top: -100 });
+      jest
+        .spyOn(HTMLDivElement.prototype, 'getBoundingClientRect')
+        .mockReturnValue({ bottom: 500, top: 0 });
+      const {
+        doMarkReadRequest,
+        findByTestId,
+        queryByTestId,
+      } = await renderUnreadMessageList(minutesAgo(20));
+
+      expect(
+        await findByTestId('unread-messages-notification'),
+      ).toHaveTextContent('2 new messages');
+      doMarkReadRequest.mockClear();
+
+      fireEvent.click(queryByTestId('unread-messages-notification-mark-read'));
+
+      expect(doMarkReadRequest).toHaveBeenCalledTimes(1);
+      expect(
+        queryByTestId('unread-messages-separator'),
+      ).not.toBeInTheDocument();
+      expect(
+        queryByTestId('unread-messages-notification'),
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe('keyboard navigation', () => {
+    const currentUser = generateUser({ id: 'vishal' });
+    const otherUser = generateUser({ name: 'Neil' });
+
+    const renderKeyboardMessageList = async (messages) => {
+      const mockedChannel = generateChannel({
+        messages,
+        members: [
+          generateMember({ user: currentUser }),
+          generateMember({ user: otherUser }),
+        ],
+      });
+      chatClient = await getTestClientWithUser(currentUser);
+      useMockedApis(chatClient, [getOrCreateChannelApi(mockedChannel)]); // eslint-disable-line react-hooks/rules-of-hooks
+      const channel = chatClient.channel('messaging', mockedChannel.id);
+      await channel.watch();
+
+      const result = render(
+        <Chat client={chatClient}>
+          <Channel channel={channel}>
+            <MessageList />
+            <MessageInput />
+          </Channel>
+        </Chat>,
+      );
+      await waitFor(() => {
+        expect(
+          result.getByTestId('reverse-infinite-scroll'),
+        ).toBeInTheDocument();
+      });
+      const getMessageElement = (message) =>
+        result.container.querySelector(`li[data-message-id="${message.id}"]`);
+      return { ...result, getMessageElement, mockedChannel };
+    };
+
+    it('should move the focus between the messages with the arrow keys, Home and End', async () => {
+      const messages = [
+        generateMessage({ user: otherUser }),
+        generateMessage({ user: otherUser }),
+        generateMessage({ user: otherUser }),
+      ];
+      const { getMessageElement } = await renderKeyboardMessageList(messages);
+      const [first, second, last] = messages.map(getMessageElement);
+
+      // only the last message is in the tab sequence
+      expect(last).toHaveAttribute('tabindex', '0');
+      expect(first).toHaveAttribute('tabindex', '-1');
+
+      act(() => last.focus());
+      fireEvent.keyDown(last, { key: 'ArrowUp' });
+      expect(second).toHaveFocus();
+      expect(second).toHaveAttribute('tabindex', '0');
+      expect(last).toHaveAttribute('tabindex', '-1');
+      fireEvent.keyDown(second, { key: 'Home' });
+      expect(first).toHaveFocus();
+      fireEvent.keyDown(first, { key: 'ArrowUp' });
+      expect(first).toHaveFocus();
+      fireEvent.keyDown(first, { key: 'End' });
+      expect(last).toHaveFocus();
+      fireEvent.keyDown(last, { key: 'ArrowDown' });
+      expect(last).toHaveFocus();
+    });
+
+    it('should trigger the controls of the focused message with their shortcuts', async () => {
+      const message = generateMessage({ user: otherUser });
+      const {
+        getByTestId,
+        getMessageElement,
+      } = await renderKeyboardMessageList([message]);
+      const messageElement = getMessageElement(message);
+
+      act(() => messageElement.focus());
+      fireEvent.keyDown(messageElement, { key: 'r' });
+
+      // the first reaction gets the focus
+      expect(getByTestId('reaction-selector')).toContainElement(
+        document.activeElement,
+      );
+    });
+
+    it('should edit the last message of the user with the Up arrow key in the empty input', async () => {
+      const ownMessage = generateMessage({ user: currentUser });
+      const {
+        container,
+        getByPlaceholderText,
+      } = await renderKeyboardMessageList([
+        ownMessage,
+        generateMessage({ user: otherUser }),
+      ]);
+
+      fireEvent.keyDown(getByPlaceholderText('Type your message'), {
+        key: 'ArrowUp',
+      });
+
+      await waitFor(() => {
+        expect(
+          container.querySelector('.str-chat__edit-message-form textarea'),
+        ).toHaveValue(ownMessage.text);
+      });
+    });
+
+    it('should announce the new messages of the other users', async () => {
+      const { getByRole, mockedChannel } = await renderKeyboardMessageList([
+        generateMessage({ user: otherUser }),
+      ]);
+      const newMessage = generateMessage({ user: otherUser });
+
+      act(() =>
+        dispatchMessageNewEvent(chatClient, newMessage, mockedChannel.channel),
+      );
+
+      await waitFor(() => {
+        expect(getByRole('status')).toHaveTextContent(
+          `New message from Neil: ${newMessage.text}`,
+        );
+      });
+    });
+  });
 });
@@ -0,0 +1,110 @@
+import React from 'react';
+import { cleanup, render } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import {
+  generateMessage,
+  generateUser,
+  getTestClientWithUser,
+} from '../../../mock-builders';
+
+import MessageListInner from '../MessageListInner';
+
+const me = generateUser({ id: 'uhtred' });
+const other = generateUser({ id: 'ragnar' });
+const messageCount = 2000;
+const startTime = new Date('2020-01-01T00:00:00.000Z').getTime();
+// a message every five minutes, so that the list spans a week of date separators
+const generateMessages = (count, offset = 0) =>
+  Array.from({ length: count }, (_, i) =>
+    generateMessage({
+      created_at: new Date(startTime + (offset + i) * 5 * 60 * 1000),
+      user: (offset + i) % 3 ? me : other,
+    }),
+  );
+
+const messageRenders = jest.fn();
+const MessageUI = ({ message }) => {
+  messageRenders(message.id);
+  return <div>{message.text}</div>;
+};
+
+const renderMessageListInner = (client, messages) => {
+  const props = {
+    client,
+    DateSeparator: () => null,
+    EmptyStateIndicator: () => null,
+    internalInfiniteScrollProps: { loadMore: () => null },
+    MessageSystem: () => null,
+    read: {},
+    TypingIndicator: () => null,
+    UnreadMessagesSeparator: () => null,
+  };
+  const { rerender } = render(
+    <MessageListInner
+      {...props}
+      internalMessageProps={{ Message: MessageUI }}
+      messages={messages}
+    />,
+  );
+
+  return (newMessages) =>
+    rerender(
+      <MessageListInner
+        {...props}
+        // a new object for the same props, as MessageList does on every render
+        internalMessageProps={{ Message: MessageUI }}
+        messages={newMessages}
+      />,
+    );
+};
+
+describe('MessageListInner', () => {
+  let client;
+
+  beforeAll(async () => {
+    client = await getTestClientWithUser(me);
+  });
+
+  afterEach(() => {
+    cleanup();
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('should only render the new message and its neighbour when a message is appended', () => {
+    const messages = generateMessages(messageCount);
+    const rerender = renderMessageListInner(client, messages);
+    expect(messageRenders).toHaveBeenCalledTimes(messageCount);
+
+    messageRenders.mockClear();
+    const [newMessage] = generateMessages(1, messageCount);
+    rerender([...messages, newMessage]);
+
+    // the previous last message is not the bottom of its group anymore
+    expect(messageRenders).toHaveBeenCalledTimes(2);
+    expect(messageRenders).toHaveBeenNthCalledWith(
+      1,
+      messages[messageCount - 1].id,
+    );
+    expect(messageRenders).toHaveBeenNthCalledWith(2, newMessage.id);
+  });
+
+  it('should keep the work of appending a message bounded by the size of the change', () => {
+    const toDateString = jest.spyOn(Date.prototype, 'toDateString');
+    const messages = generateMessages(messageCount);
+
+    const rerender = renderMessageListInner(client, messages);
+    expect(toDateString.mock.calls.length).toBeGreaterThanOrEqual(messageCount);
+    expect(messageRenders).toHaveBeenCalledTimes(messageCount);
+
+    toDateString.mockClear();
+    messageRenders.mockClear();
+    const [newMessage] = generateMessages(1, messageCount);
+    rerender([...messages, newMessage]);
+
+    // only the date of the new message is computed, the list is not compared nor rendered again
+    expect(toDateString).toHaveBeenCalledTimes(1);
+    expect(messageRenders).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,70 @@
+import React from 'react';
+import { cleanup, render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import UnreadMessagesNotification from '../UnreadMessagesNotification';
+import { TranslationContext } from '../../../context';
+
+afterEach(cleanup); // eslint-disable-line
+
+const t = (key, params) =>
+  key.replace('{{ messageCount }}', params?.messageCount);
+
+const renderComponent = (props) =>
+  render(
+    <TranslationContext.Provider value={{ t }}>
+      <UnreadMessagesNotification
+        onJumpToFirstUnread={jest.fn()}
+        onMarkRead={jest.fn()}
+        unreadCount={3}
+        {...props}
+      />
+    </TranslationContext.Provider>,
+  );
+
+describe('UnreadMessagesNotification', () => {
+  it('should render nothing if showNotification is false', () => {
+    const { queryByTestId } = renderComponent({ showNotification: false });
+    expect(queryByTestId('unread-messages-notification')).toBeNull();
+  });
+
+  it('should render nothing without unread messages', () => {
+    const { queryByTestId } = renderComponent({ unreadCount: 0 });
+    expect(queryByTestId('unread-messages-notification')).toBeNull();
+  });
+
+  it('should display the number of unread messages', () => {
+    const { getByTestId, rerender } = renderComponent();
+    expect(getByTestId('unread-messages-notification-jump')).toHaveTextContent(
+      '3 new messages · Jump to first unread',
+    );
+
+    rerender(
+      <TranslationContext.Provider value={{ t }}>
+        <UnreadMessagesNotification
+          onJumpToFirstUnread={jest.fn()}
+          onMarkRead={jest.fn()}
+          unreadCount={1}
+        />
+      </TranslationContext.Provider>,
+    );
+    expect(getByTestId('unread-messages-notification-jump')).toHaveTextContent(
+      '1 new message · Jump to first unread',
+    );
+  });
+
+  it('should trigger the handlers of the buttons', () => {
+    const onJumpToFirstUnread = jest.fn();
+    const onMarkRead = jest.fn();
+    const { getByTestId } = renderComponent({
+      onJumpToFirstUnread,
+      onMarkRead,
+    });
+
+    fireEvent.click(getByTestId('unread-messages-notification-jump'));
+    fireEvent.click(getByTestId('unread-messages-notification-mark-read'));
+
+    expect(onJumpToFirstUnread).toHaveBeenCalledTimes(1);
+    expect(onMarkRead).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,5 +1,5 @@
 import React from 'react';
-import { cleanup } from '@testing-library/react';
+import { cleanup, render, waitFor } from '@testing-library/react';
 import renderer from 'react-test-renderer';
 import '@testing-library/jest-dom';
 
@@ -16,6 +16,12 @@ import {
 import VirtualizedMessageList from '../VirtualizedMessageList';
 import { Chat } from '../../Chat';
 import { Channel } from '../../Channel';
+import { FixedHeightMessage } from '../../Message';
+import { ChannelContext } from '../../../context';
+
+const DateSeparator = jest.fn(() => <div data-testid="date-separator" />);
+const me = generateUser({ id: 'id' });
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
 
 jest.mock('react-virtuoso', () => {
   const { Virtuoso } = jest.requireActual('react-virtuoso');
@@ -39,6 +45,7 @@ jest.mock('../../Loading', () => ({
 }));
 
 jest.mock('../../Message', () => ({
+  ...jest.requireActual('../../Message'),
   FixedHeightMessage: jest.fn(({ groupedByUser }) => {
     return (
       <div data-testid="msg">
@@ -71,6 +78,16 @@ async function createChannel(empty = false) {
 
 // simple test since Virtuoso heavily relies on document height and jsdom doesn't support it
 describe('VirtualizedMessageList', () => {
+  let chatClient;
+
+  beforeAll(async () => {
+    // not implemented by jsdom, used by Virtuoso to scroll to the last message
+    Object.defineProperty(window.HTMLElement.prototype, 'scrollTo', {
+      configurable: true,
+      value: jest.fn(),
+    });
+    chatClient = await getTestClientWithUser(me);
+  });
   afterEach(cleanup);
   beforeEach(jest.clearAllMocks);
 
@@ -89,4 +106,171 @@ describe('VirtualizedMessageList', () => {
 
     expect(tree.toJSON()).toMatchSnapshot();
   });
+
+  it('should render the unread messages separator with the first unread message', async () => {
+    const user = generateUser();
+    const mockedChannel = generateChannel({
+      members: [generateMember({ user }), generateMember({ user: me })],
+      messages: [30, 20, 10].map((minutes) =>
+        generateMessage({ user, created_at: minutesAgo(minutes) }),
+      ),
+      read: [{ last_read: minutesAgo(25).toISOString(), user: me }],
+    });
+    const client = await getTestClientWithUser(me);
+    useMockedApis(client, [getOrCreateChannelApi(mockedChannel)]); // eslint-disable-line react-hooks/rules-of-hooks
+    const channel = client.channel('messaging', mockedChannel.id);
+    await channel.watch();
+
+    const { getAllByTestId, getByTestId } = render(
+      <Chat client={client}>
+        <Channel channel={channel} doMarkReadRequest={jest.fn()}>
+          <VirtualizedMessageList />
+        </Channel>
+      </Chat>,
+    );
+
+    await waitFor(() => {
+      expect(getAllByTestId('msg')).toHaveLength(3);
+    });
+    expect(getByTestId('unread-messages-separator').nextSibling).toBe(
+      getAllByTestId('msg')[1].parentElement,
+    );
+  });
+
+  it('should render a date separator before the messages of each day', async () => {
+    const user = generateUser();
+    const messages = [
+      generateMessage({ user, created_at: new Date('2020-03-01T10:00:00') }),
+      generateMessage({ user, created_at: new Date('2020-03-01T11:00:00') }),
+      generateMessage({ user, created_at: new Date('2020-03-02T10:00:00') }),
+    ];
+    const { container } = render(
+      <ChannelContext.Provider value={{ client: chatClient, messages }}>
+        <VirtualizedMessageList DateSeparator={DateSeparator} />
+      </ChannelContext.Provider>,
+    );
+
+    await waitFor(() => {
+      expect(
+        container.querySelectorAll('[data-testid="date-separator"]'),
+      ).toHaveLength(2);
+    });
+    expect(DateSeparator).toHaveBeenCalledWith(
+      expect.objectContaining({ date: messages[2].created_at }),
+      {},
+    );
+  });
+
+  it('should render the messages with the group styles and the read states of the Message UI components', async () => {
+    const reader = generateUser();
+    const messages = [
+      generateMessage({ user: me, created_at: minutesAgo(30) }),
+      generateMessage({ user: me, created_at: minutesAgo(20) }),
+    ];
+    const MessageUI = jest.fn(() => <div data-testid="message-ui" />);
+    render(
+      <ChannelContext.Provider
+        value={{
+          client: chatClient,
+          messages,
+          read: { [reader.id]: { last_read: minutesAgo(25), user: reader } },
+        }}
+      >
+        <VirtualizedMessageList
+          disableDateSeparator
+          Message={MessageUI}
+          shouldGroupByUser
+        />
+      </ChannelContext.Provider>,
+    );
+
+    await waitFor(() => {
+      expect(MessageUI).toHaveBeenCalledWith(
+        expect.objectContaining({
+          groupStyles: ['bottom'],
+          message: messages[1],
+        }),
+        {},
+      );
+    });
+    expect(MessageUI).toHaveBeenCalledWith(
+      expect.objectContaining({
+        groupStyles: ['top'],
+        message: messages[0],
+        readBy: [reader],
+      }),
+      {},
+    );
+  });
+
+  it('should render the replies of the open thread with threadList', async () => {
+    const messages = [generateMessage({ user: me })];
+    const threadMessages = [
+      generateMessage({ user: me }),
+      generateMessage({ user: me }),
+    ];
+    const Header = () => <div data-testid="thread-start" />;
+    const { getAllByTestId, getByTestId } = render(
+      <ChannelContext.Provider
+        value={{
+          client: chatClient,
+          loadMoreThread: jest.fn(),
+          messages,
+          threadHasMore: false,
+          threadLoadingMore: false,
+          threadMessages,
+        }}
+      >
+        <VirtualizedMessageList HeaderComponent={Header} threadList />
+      </ChannelContext.Provider>,
+    );
+
+    await waitFor(() => {
+      expect(getAllByTestId('msg')).toHaveLength(threadMessages.length);
+    });
+    expect(getByTestId('thread-start')).toBeInTheDocument();
+    expect(FixedHeightMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ message: threadMessages[0], threadList: true }),
+      {},
+    );
+  });
+
+  it('should render the read states of the replies of the open thread', async () => {
+    const reader = generateUser();
+    const threadMessages = [
+      generateMessage({ user: me, created_at: minutesAgo(30) }),
+      generateMessage({ user: me, created_at: minutesAgo(20) }),
+    ];
+    const MessageUI = jest.fn(() => <div data-testid="message-ui" />);
+    render(
+      <ChannelContext.Provider
+        value={{
+          client: chatClient,
+          loadMoreThread: jest.fn(),
+          messages: [],
+          read: { [reader.id]: { last_read: minutesAgo(25), user: reader } },
+          threadHasMore: false,
+          threadLoadingMore: false,
+          threadMessages,
+        }}
+      >
+        <VirtualizedMessageList
+          disableDateSeparator
+          Message={MessageUI}
+          threadList
+        />
+      </ChannelContext.Provider>,
+    );
+
+    await waitFor(() => {
+      expect(MessageUI).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: threadMessages[0],
+          readBy: [reader],
+          threadList: true,
+        }),
+        {},
+      );
+    });
+  });
 });
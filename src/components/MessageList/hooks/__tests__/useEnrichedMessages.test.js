@@ -0,0 +1,110 @@
+import { renderHook } from '@testing-library/react-hooks';
+import { generateMessage, generateUser } from 'mock-builders';
+
+import { getReadStates, useEnrichedMessages } from '../useEnrichedMessages';
+
+const me = generateUser({ id: 'uhtred' });
+const other = generateUser({ id: 'ragnar' });
+const client = { userID: me.id };
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+const messages = [
+  generateMessage({ user: me, created_at: minutesAgo(40) }),
+  generateMessage({ user: me, created_at: minutesAgo(30) }),
+  generateMessage({ user: me, created_at: minutesAgo(20) }),
+  generateMessage({ user: other, created_at: minutesAgo(10) }),
+];
+
+const renderEnrichedMessagesHook = (initialProps) =>
+  renderHook((params) => useEnrichedMessages(params), {
+    initialProps: { client, messages, ...initialProps },
+  });
+
+describe('getReadStates', () => {
+  it('should assign each user to the last message created before their last read', () => {
+    const readData = getReadStates(messages, {
+      [me.id]: { last_read: minutesAgo(5), user: me },
+      [other.id]: { last_read: minutesAgo(25), user: other },
+    });
+
+    expect(readData).toStrictEqual({
+      [messages[1].id]: [other],
+      [messages[3].id]: [me],
+    });
+  });
+
+  it('should ignore the users who read none of the messages', () => {
+    expect(
+      getReadStates(messages, {
+        [other.id]: { last_read: minutesAgo(50), user: other },
+        [me.id]: { user: me },
+      }),
+    ).toStrictEqual({});
+  });
+});
+
+describe('useEnrichedMessages custom hook', () => {
+  it('should insert a date separator before the first message', () => {
+    const { result } = renderEnrichedMessagesHook();
+
+    expect(result.current.enrichedMessages[0]).toMatchObject({
+      type: 'message.date',
+    });
+    expect(result.current.enrichedMessages).toHaveLength(messages.length + 1);
+  });
+
+  it('should group the consecutive messages of the same user', () => {
+    const { result } = renderEnrichedMessagesHook();
+
+    expect(result.current.groupStyles).toStrictEqual({
+      [messages[0].id]: 'top',
+      [messages[1].id]: 'middle',
+      [messages[2].id]: 'bottom',
+      [messages[3].id]: 'single',
+    });
+  });
+
+  it('should only report the read states of the own messages', () => {
+    const { result } = renderEnrichedMessagesHook({
+      read: { [other.id]: { last_read: new Date(), user: other } },
+    });
+
+    expect(result.current.readData).toStrictEqual({
+      [messages[2].id]: [other],
+    });
+  });
+
+  it('should keep the separators and the unchanged rows of the previous renders', () => {
+    const { rerender, result } = renderEnrichedMessagesHook({
+      firstUnreadMessageId: messages[3].id,
+    });
+    const [
+      dateSeparator,
+      ...previousMessages
+    ] = result.current.enrichedMessages;
+    const newMessage = generateMessage({ user: other });
+
+    rerender({
+      client,
+      firstUnreadMessageId: messages[3].id,
+      messages: [...messages, newMessage],
+    });
+
+    expect(result.current.enrichedMessages[0]).toBe(dateSeparator);
+    expect(result.current.enrichedMessages.slice(1, -1)).toStrictEqual(
+      previousMessages,
+    );
+    expect(result.current.groupStyles).toMatchObject({
+      [messages[3].id]: 'top',
+      [newMessage.id]: 'bottom',
+    });
+  });
+
+  it('should return the last received message', () => {
+    const { result } = renderEnrichedMessagesHook({
+      messages: [...messages, generateMessage({ status: 'sending', user: me })],
+    });
+
+    expect(result.current.lastReceivedId).toBe(messages[3].id);
+  });
+});
@@ -0,0 +1,126 @@
+import { act, renderHook } from '@testing-library/react-hooks';
+import { generateMessage, generateUser } from 'mock-builders';
+
+import { getUnreadMessages, useUnreadMessages } from '../useUnreadMessages';
+
+const me = generateUser({ id: 'uhtred' });
+const other = generateUser({ id: 'ragnar' });
+const client = { userID: me.id };
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+const readState = (lastRead) => ({
+  [me.id]: { last_read: lastRead, user: me },
+});
+
+const messages = [
+  generateMessage({ user: other, created_at: minutesAgo(40) }),
+  generateMessage({ user: me, created_at: minutesAgo(30) }),
+  generateMessage({ user: other, created_at: minutesAgo(20) }),
+  generateMessage({ user: other, created_at: minutesAgo(10) }),
+];
+
+const renderUnreadMessagesHook = (initialProps) =>
+  renderHook((params) => useUnreadMessages(params), {
+    initialProps: { client, messages, ...initialProps },
+  });
+
+describe('getUnreadMessages', () => {
+  it('should return the messages of other users created after the last read', () => {
+    expect(getUnreadMessages(messages, minutesAgo(35), me.id)).toStrictEqual(
+      messages.slice(2),
+    );
+  });
+
+  it('should ignore the deleted and system messages', () => {
+    const deleted = generateMessage({
+      user: other,
+      created_at: minutesAgo(5),
+      deleted_at: minutesAgo(1),
+    });
+    const system = generateMessage({
+      user: other,
+      created_at: minutesAgo(5),
+      type: 'system',
+    });
+
+    expect(
+      getUnreadMessages([deleted, system], minutesAgo(35), me.id),
+    ).toHaveLength(0);
+  });
+
+  it('should return no message without last read', () => {
+    expect(getUnreadMessages(messages, null, me.id)).toHaveLength(0);
+  });
+});
+
+describe('useUnreadMessages custom hook', () => {
+  it('should return the first unread message and the unread count from the read state', () => {
+    const { result } = renderUnreadMessagesHook({
+      read: readState(minutesAgo(25)),
+    });
+
+    expect(result.current.firstUnreadMessageId).toBe(messages[2].id);
+    expect(result.current.unreadCount).toBe(2);
+  });
+
+  it('should keep the unread messages when the channel is marked read while displayed', () => {
+    const { rerender, result } = renderUnreadMessagesHook({
+      read: readState(minutesAgo(25)),
+    });
+
+    rerender({ client, messages, read: readState(new Date()) });
+
+    expect(result.current.firstUnreadMessageId).toBe(messages[2].id);
+  });
+
+  it('should move the separator up when the read state goes back', () => {
+    const { rerender, result } = renderUnreadMessagesHook({
+      read: readState(new Date()),
+    });
+    expect(result.current.firstUnreadMessageId).toBeNull();
+
+    rerender({ client, messages, read: readState(minutesAgo(15)) });
+    expect(result.current.firstUnreadMessageId).toBe(messages[3].id);
+
+    rerender({ client, messages, read: readState(minutesAgo(45)) });
+    expect(result.current.firstUnreadMessageId).toBe(messages[0].id);
+    expect(result.current.unreadCount).toBe(3);
+  });
+
+  it('should not count the messages received while the list is displayed without unread messages', () => {
+    const read = readState(minutesAgo(5));
+    const { rerender, result } = renderUnreadMessagesHook({ read });
+
+    const newMessage = generateMessage({ user: other, created_at: new Date() });
+    rerender({
+      client,
+      messages: [...messages, newMessage],
+      read,
+    });
+
+    expect(result.current.firstUnreadMessageId).toBeNull();
+    expect(result.current.unreadCount).toBe(0);
+  });
+
+  it('should clear the unread messages and mark the channel read with markAllRead', () => {
+    const markRead = jest.fn();
+    const { result } = renderUnreadMessagesHook({
+      markRead,
+      read: readState(minutesAgo(25)),
+    });
+
+    act(() => result.current.markAllRead());
+
+    expect(markRead).toHaveBeenCalledTimes(1);
+    expect(result.current.firstUnreadMessageId).toBeNull();
+    expect(result.current.unreadCount).toBe(0);
+  });
+
+  it('should not return unread messages when disabled', () => {
+    const { result } = renderUnreadMessagesHook({
+      disabled: true,
+      read: readState(minutesAgo(25)),
+    });
+
+    expect(result.current.firstUnreadMessageId).toBeNull();
+  });
+});
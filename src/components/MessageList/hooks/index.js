@@ -0,0 +1,3 @@
+export * from './useEnrichedMessages';
+export * from './useMessageListKeyboardNavigation';
+export * from './useUnreadMessages';
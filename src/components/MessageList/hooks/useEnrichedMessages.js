@@ -0,0 +1,366 @@
+// @ts-check
+/* eslint-disable no-continue */
+import { useMemo, useRef } from 'react';
+
+/**
+ * The rows of a message list: the messages and the separators inserted between them
+ * @typedef {{ id?: string, type?: string, [key: string]: any }} EnrichedMessage
+ */
+
+/** @typedef {{ message: EnrichedMessage, previous?: EnrichedMessage, next?: EnrichedMessage, noGroupByUser?: boolean, style: string }} GroupStyleEntry */
+
+// the separators keep their identity between renders, so that the group styles of their neighbours stay cached
+/** @type {EnrichedMessage} */
+const UNREAD_SEPARATOR = { type: 'message.unread' };
+/** @type {EnrichedMessage} */
+const INTRO = { type: 'channel.intro' };
+
+/** @type {WeakMap<Date, string>} */
+const dateStrings = new WeakMap();
+
+/** @param {Date} date */
+const getDateString = (date) => {
+  let dateString = dateStrings.get(date);
+  if (dateString === undefined) {
+    dateString = date.toDateString();
+    dateStrings.set(date, dateString);
+  }
+  return dateString;
+};
+
+/**
+ * @param {EnrichedMessage[]} messages
+ * @param {boolean} hideDeletedMessages
+ * @param {Map<string, EnrichedMessage>} dateSeparators the separators created by the previous renders, by date
+ */
+const insertDates = (messages, hideDeletedMessages, dateSeparators) => {
+  let lastDateSeparator;
+  const newMessages = [];
+
+  for (let i = 0, l = messages.length; i < l; i += 1) {
+    const message = messages[i];
+
+    if (hideDeletedMessages && message.type === 'deleted') {
+      continue;
+    }
+
+    if (message.type === 'message.read') {
+      newMessages.push(message);
+      continue;
+    }
+
+    const messageDate = getDateString(message.created_at);
+    let prevMessageDate = messageDate;
+
+    if (i > 0) {
+      prevMessageDate = getDateString(messages[i - 1].created_at);
+    }
+
+    if (
+      (i === 0 ||
+        messageDate !== prevMessageDate ||
+        (hideDeletedMessages &&
+          messages[i - 1]?.type === 'deleted' &&
+          lastDateSeparator !== messageDate)) &&
+      newMessages[newMessages.length - 1]?.type !== 'message.date' // do not show two date separators in a row
+    ) {
+      lastDateSeparator = messageDate;
+
+      let dateSeparator = dateSeparators.get(messageDate);
+      if (!dateSeparator) {
+        dateSeparator = { type: 'message.date', date: message.created_at };
+        dateSeparators.set(messageDate, dateSeparator);
+      }
+      newMessages.push(dateSeparator, message);
+    } else {
+      newMessages.push(message);
+    }
+  }
+
+  return newMessages;
+};
+
+/**
+ * @param {EnrichedMessage[]} messages
+ * @param {string} firstUnreadMessageId
+ */
+const insertUnreadSeparator = (messages, firstUnreadMessageId) => {
+  const index = messages.findIndex(({ id }) => id === firstUnreadMessageId);
+  if (index === -1) return messages;
+
+  return [
+    ...messages.slice(0, index),
+    UNREAD_SEPARATOR,
+    ...messages.slice(index),
+  ];
+};
+
+/**
+ * @param {EnrichedMessage[]} messages
+ * @param {number} [headerPosition]
+ */
+const insertIntro = (messages, headerPosition) => {
+  const newMessages = [...messages];
+  // if no headerPosition is set, HeaderComponent will go at the top
+  if (!headerPosition) {
+    newMessages.unshift(INTRO);
+    return newMessages;
+  }
+
+  // if no messages, intro gets inserted
+  if (!newMessages.length) {
+    newMessages.unshift(INTRO);
+    return newMessages;
+  }
+
+  // else loop over the messages
+  for (let i = 0, l = messages.length; i < l; i += 1) {
+    const message = messages[i];
+
+    const messageTime = message.created_at
+      ? message.created_at.getTime()
+      : null;
+    const nextMessageTime =
+      messages[i + 1] && messages[i + 1].created_at
+        ? messages[i + 1].created_at.getTime()
+        : null;
+
+    // header position is smaller than message time so comes after;
+    if (messageTime < headerPosition) {
+      // if header position is also smaller than message time continue;
+      if (nextMessageTime < headerPosition) {
+        if (messages[i + 1] && messages[i + 1].type === 'message.date')
+          continue;
+        if (!nextMessageTime) {
+          newMessages.push(INTRO);
+          return newMessages;
+        }
+        continue;
+      } else {
+        newMessages.splice(i + 1, 0, INTRO);
+        return newMessages;
+      }
+    }
+  }
+
+  return newMessages;
+};
+
+/**
+ * @param {EnrichedMessage} message
+ * @param {EnrichedMessage | undefined} previousMessage
+ * @param {EnrichedMessage | undefined} nextMessage
+ * @param {boolean | undefined} noGroupByUser
+ */
+const getGroupStyles = (
+  message,
+  previousMessage,
+  nextMessage,
+  noGroupByUser,
+) => {
+  if (message.type === 'message.date') return '';
+  if (message.type === 'channel.event') return '';
+  if (message.type === 'channel.intro') return '';
+  if (message.type === 'message.unread') return '';
+
+  if (noGroupByUser || message.attachments.length !== 0) return 'single';
+
+  const isTopMessage =
+    !previousMessage ||
+    previousMessage.type === 'channel.intro' ||
+    previousMessage.type === 'message.date' ||
+    previousMessage.type === 'message.unread' ||
+    previousMessage.type === 'system' ||
+    previousMessage.type === 'channel.event' ||
+    previousMessage.attachments.length !== 0 ||
+    message.user.id !== previousMessage.user.id ||
+    previousMessage.type === 'error' ||
+    previousMessage.deleted_at;
+
+  const isBottomMessage =
+    !nextMessage ||
+    nextMessage.type === 'message.date' ||
+    nextMessage.type === 'message.unread' ||
+    nextMessage.type === 'system' ||
+    nextMessage.type === 'channel.event' ||
+    nextMessage.type === 'channel.intro' ||
+    nextMessage.attachments.length !== 0 ||
+    message.user.id !== nextMessage.user.id ||
+    nextMessage.type === 'error' ||
+    nextMessage.deleted_at;
+
+  if (!isTopMessage && !isBottomMessage) {
+    if (message.deleted_at || message.type === 'error') return 'single';
+    return 'middle';
+  }
+
+  if (isBottomMessage) {
+    if (isTopMessage || message.deleted_at || message.type === 'error')
+      return 'single';
+    return 'bottom';
+  }
+
+  if (isTopMessage) return 'top';
+
+  return '';
+};
+
+/**
+ * The group styles by message id, only the messages whose neighbours changed get their style computed again
+ * @param {EnrichedMessage[]} messages
+ * @param {boolean | undefined} noGroupByUser
+ * @param {Map<string, GroupStyleEntry>} cache the styles computed by the previous render, replaced with the current ones
+ */
+const getCachedGroupStyles = (messages, noGroupByUser, cache) => {
+  /** @type {Record<string, string>} */
+  const groupStyles = {};
+  const entries = new Map();
+
+  for (let i = 0, l = messages.length; i < l; i += 1) {
+    const message = messages[i];
+    if (!message.id) continue;
+    const previous = messages[i - 1];
+    const next = messages[i + 1];
+    let entry = cache.get(message.id);
+    if (
+      !entry ||
+      entry.message !== message ||
+      entry.previous !== previous ||
+      entry.next !== next ||
+      entry.noGroupByUser !== noGroupByUser
+    ) {
+      entry = {
+        message,
+        next,
+        noGroupByUser,
+        previous,
+        style: getGroupStyles(message, previous, next, noGroupByUser),
+      };
+    }
+    entries.set(message.id, entry);
+    if (entry.style) groupStyles[message.id] = entry.style;
+  }
+
+  cache.clear();
+  entries.forEach((entry, id) => cache.set(id, entry));
+  return groupStyles;
+};
+
+/**
+ * The users who read each message, by message id: a user read the messages created before their last read.
+ * The messages are sorted by creation date, so that the last read message of each user is found with a binary search.
+ * @param {EnrichedMessage[]} messages
+ * @param {import('types').ChannelContextValue['read']} read
+ */
+export const getReadStates = (messages, read = {}) => {
+  /** @type {Record<string, Array<import('stream-chat').UserResponse<import('types').StreamChatReactUserType>>>} */
+  const readData = {};
+  const timestamps = messages.map(({ created_at }) =>
+    new Date(created_at).getTime(),
+  );
+
+  Object.values(read).forEach((readState) => {
+    if (!readState.last_read) return;
+    const lastRead = new Date(readState.last_read).getTime();
+
+    // the index of the first message created after the last read
+    let low = 0;
+    let high = timestamps.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (timestamps[middle] < lastRead) low = middle + 1;
+      else high = middle;
+    }
+    if (!low) return;
+
+    const userLastReadMsgId = messages[low - 1].id;
+    if (!userLastReadMsgId) return;
+    if (!readData[userLastReadMsgId]) readData[userLastReadMsgId] = [];
+    readData[userLastReadMsgId].push(readState.user);
+  });
+
+  return readData;
+};
+
+/**
+ * fast since it usually iterates just the last few messages
+ * @param {EnrichedMessage[]} messages
+ */
+const getLastReceived = (messages) => {
+  for (let i = messages.length - 1; i > 0; i -= 1) {
+    if (messages[i].status === 'received') return messages[i].id || null;
+  }
+  return null;
+};
+
+/**
+ * The rows of a message list, with the date and unread separators and the channel intro, their group styles
+ * and the users who read them. The results of the previous renders are reused, so that a new message only costs
+ * the computation of its own row and its neighbours.
+ * @type {import('types').useEnrichedMessages}
+ */
+export const useEnrichedMessages = ({
+  client,
+  disableDateSeparator = false,
+  firstUnreadMessageId,
+  headerPosition,
+  hideDeletedMessages = false,
+  messages,
+  noGroupByUser,
+  read,
+  threadList,
+  withIntro = false,
+}) => {
+  const dateSeparators = useRef(
+    /** @type {Map<string, EnrichedMessage>} */ (new Map()),
+  ).current;
+  const groupStylesCache = useRef(
+    /** @type {Map<string, GroupStyleEntry>} */ (new Map()),
+  ).current;
+
+  const enrichedMessages = useMemo(() => {
+    const messageWithDates =
+      disableDateSeparator || threadList
+        ? messages
+        : insertDates(messages, hideDeletedMessages, dateSeparators);
+    const messagesWithUnreadSeparator =
+      firstUnreadMessageId && !threadList
+        ? insertUnreadSeparator(messageWithDates, firstUnreadMessageId)
+        : messageWithDates;
+    if (withIntro)
+      return insertIntro(messagesWithUnreadSeparator, headerPosition);
+
+    return messagesWithUnreadSeparator;
+  }, [
+    dateSeparators,
+    disableDateSeparator,
+    firstUnreadMessageId,
+    headerPosition,
+    hideDeletedMessages,
+    messages,
+    threadList,
+    withIntro,
+  ]);
+
+  const groupStyles = useMemo(
+    () =>
+      getCachedGroupStyles(enrichedMessages, noGroupByUser, groupStylesCache),
+    [enrichedMessages, groupStylesCache, noGroupByUser],
+  );
+
+  // get the readData, but only for messages submitted by the user themselves
+  const readData = useMemo(
+    () =>
+      getReadStates(
+        enrichedMessages.filter(({ user }) => user?.id === client.userID),
+        read,
+      ),
+    [client.userID, enrichedMessages, read],
+  );
+
+  const lastReceivedId = useMemo(() => getLastReceived(enrichedMessages), [
+    enrichedMessages,
+  ]);
+
+  return { enrichedMessages, groupStyles, lastReceivedId, readData };
+};
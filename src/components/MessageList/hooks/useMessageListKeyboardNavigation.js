@@ -0,0 +1,86 @@
+// @ts-check
+import { useCallback, useState } from 'react';
+
+const messageSelector = 'li[data-message-id]';
+
+/**
+ * The control of a message declaring the key among its `aria-keyshortcuts`
+ * @param {Element} messageElement
+ * @param {string} key
+ */
+const findShortcutControl = (messageElement, key) =>
+  Array.from(
+    messageElement.querySelectorAll('[aria-keyshortcuts]'),
+  ).find((control) =>
+    (control.getAttribute('aria-keyshortcuts') || '')
+      .toLowerCase()
+      .split(' ')
+      .includes(key.toLowerCase()),
+  );
+
+/**
+ * Roving focus over the messages of a list: only one message is in the tab sequence, the arrow keys,
+ * Home and End move the focus to the other messages and the keys declared by the controls of the focused message
+ * with `aria-keyshortcuts` trigger them
+ * @type {import('types').useMessageListKeyboardNavigation}
+ */
+export const useMessageListKeyboardNavigation = () => {
+  const [focusedMessageId, setFocusedMessageId] = useState(
+    /** @type {string | null} */ (null),
+  );
+
+  const onFocus = useCallback(
+    /** @param {React.FocusEvent} event */
+    (event) => {
+      const { target } = event;
+      if (target instanceof HTMLElement && target.matches(messageSelector)) {
+        setFocusedMessageId(target.dataset.messageId || null);
+      }
+    },
+    [],
+  );
+
+  const onKeyDown = useCallback(
+    /** @param {React.KeyboardEvent} event */
+    (event) => {
+      const { currentTarget, target } = event;
+      // the keys pressed in the controls of a message are theirs
+      if (!(target instanceof HTMLElement) || !target.matches(messageSelector))
+        return;
+      if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+      const messageElements = Array.from(
+        currentTarget.querySelectorAll(messageSelector),
+      );
+      const index = messageElements.indexOf(target);
+
+      /** @type {Element | undefined} */
+      let nextMessageElement;
+      if (event.key === 'ArrowUp') {
+        nextMessageElement = messageElements[Math.max(index - 1, 0)];
+      } else if (event.key === 'ArrowDown') {
+        nextMessageElement =
+          messageElements[Math.min(index + 1, messageElements.length - 1)];
+      } else if (event.key === 'Home') {
+        [nextMessageElement] = messageElements;
+      } else if (event.key === 'End') {
+        nextMessageElement = messageElements[messageElements.length - 1];
+      } else {
+        const control = findShortcutControl(target, event.key);
+        if (!(control instanceof HTMLElement)) return;
+        event.preventDefault();
+        control.click();
+        return;
+      }
+
+      event.preventDefault();
+      if (nextMessageElement instanceof HTMLElement) {
+        nextMessageElement.focus();
+        nextMessageElement.scrollIntoView?.({ block: 'nearest' });
+      }
+    },
+    [],
+  );
+
+  return { focusedMessageId, onFocus, onKeyDown };
+};
@@ -0,0 +1,91 @@
+// @ts-check
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+const NOT_UNREAD_MESSAGE_TYPES = [
+  'channel.event',
+  'deleted',
+  'ephemeral',
+  'error',
+  'system',
+];
+
+/**
+ * The messages the user has not read yet: the ones sent by other users after the user's last read
+ * @param {Array<import('types').StreamChatReactMessageResponse>} messages
+ * @param {Date | null} lastRead
+ * @param {string} [userID]
+ */
+export const getUnreadMessages = (messages, lastRead, userID) => {
+  if (!lastRead) return [];
+  return messages.filter(
+    (message) =>
+      !!message.created_at &&
+      new Date(message.created_at) > lastRead &&
+      message.user?.id !== userID &&
+      !message.deleted_at &&
+      !NOT_UNREAD_MESSAGE_TYPES.includes(message.type || ''),
+  );
+};
+
+/**
+ * Finds the first message the current user has not read yet, and counts the unread messages, from the read state of
+ * the channel.
+ *
+ * The unread messages stay unread while the list is displayed, even though the channel is marked read as soon
+ * as the user looks at it: the separator does not disappear before the user has seen it. It moves up when the read
+ * state of the user goes back, e.g. when a message is marked unread, and is cleared by `markAllRead`.
+ *
+ * @type {import('types').useUnreadMessages}
+ */
+export const useUnreadMessages = ({
+  client,
+  disabled = false,
+  markRead,
+  messages = [],
+  read,
+}) => {
+  const ownLastReadValue = read?.[client.userID || '']?.last_read;
+  const ownLastRead = ownLastReadValue ? new Date(ownLastReadValue) : null;
+  const ownLastReadTime = ownLastRead?.getTime();
+
+  const [lastRead, setLastRead] = useState(() =>
+    getUnreadMessages(messages, ownLastRead, client.userID).length
+      ? ownLastRead
+      : null,
+  );
+
+  // the messages are only needed to know if the new read state leaves unread messages
+  const latestMessages = useRef(messages);
+  latestMessages.current = messages;
+
+  useEffect(() => {
+    if (ownLastReadTime === undefined) return;
+    const nextLastRead = new Date(ownLastReadTime);
+    // marking the channel read while it is displayed does not remove the separator, moving it up does
+    if (
+      getUnreadMessages(latestMessages.current, nextLastRead, client.userID)
+        .length
+    ) {
+      setLastRead((current) =>
+        !current || nextLastRead < current ? nextLastRead : current,
+      );
+    }
+  }, [client.userID, ownLastReadTime]);
+
+  const unreadMessages = useMemo(
+    () =>
+      disabled ? [] : getUnreadMessages(messages, lastRead, client.userID),
+    [client.userID, disabled, lastRead, messages],
+  );
+
+  const markAllRead = useCallback(() => {
+    setLastRead(null);
+    if (markRead) markRead();
+  }, [markRead]);
+
+  return {
+    firstUnreadMessageId: unreadMessages[0]?.id || null,
+    markAllRead,
+    unreadCount: unreadMessages.length,
+  };
+};
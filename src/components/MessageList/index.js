@@ -2,3 +2,6 @@ export { default as MessageList } from './MessageList';
 export { default as VirtualizedMessageList } from './VirtualizedMessageList';
 export { default as MessageNotification } from './MessageNotification';
 export { default as ConnectionStatus } from './ConnectionStatus'; // TODO: export this under its own folder
+export { default as UnreadMessagesNotification } from './UnreadMessagesNotification';
+export { default as UnreadMessagesSeparator } from './UnreadMessagesSeparator';
+export * from './hooks';
@@ -0,0 +1,14 @@
+// @ts-check
+
+/**
+ * Label of the notifications counting the new messages
+ * @param {number} messageCount
+ * @param {import('i18next').TFunction} t
+ */
+export const getNewMessagesLabel = (messageCount, t) => {
+  if (messageCount === 1) return t('1 new message');
+  if (messageCount > 1) {
+    return t('{{ messageCount }} new messages', { messageCount });
+  }
+  return t('New Messages!');
+};
@@ -0,0 +1,183 @@
+// @ts-check
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from 'react';
+import PropTypes from 'prop-types';
+import debounce from 'lodash.debounce';
+
+import DefaultMessageSearchResult from './MessageSearchResult';
+import { useMessageSearch } from './hooks/useMessageSearch';
+import { LoadMoreButton as DefaultLoadMoreButton } from '../LoadMore';
+import { ChannelContext, ChatContext, TranslationContext } from '../../context';
+
+/**
+ * MessageSearch - Full-text search over the messages of the current channel, or of all the channels of the user
+ *
+ * @example ../../docs/MessageSearch.md
+ * @type {React.FC<import('types').MessageSearchProps>}
+ */
+const MessageSearch = ({
+  allChannels = false,
+  Avatar,
+  debounceInterval = 300,
+  filters,
+  limit,
+  LoadMoreButton = DefaultLoadMoreButton,
+  onSelectResult,
+  placeholder,
+  SearchResult = DefaultMessageSearchResult,
+}) => {
+  const { client, jumpToChannelMessage } = useContext(ChatContext);
+  const { channel: currentChannel } = useContext(ChannelContext);
+  const { t } = useContext(TranslationContext);
+
+  const [text, setText] = useState('');
+
+  const {
+    error,
+    hasMore,
+    loadMore,
+    query,
+    results,
+    search,
+    searching,
+  } = useMessageSearch({ allChannels, filters, limit });
+
+  // read by the debounced search, which is not created again when the filters change
+  const latestSearch = useRef(search);
+  latestSearch.current = search;
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const debouncedSearch = useCallback(
+    debounce(
+      /** @param {string} value */
+      (value) => latestSearch.current(value),
+      debounceInterval,
+    ),
+    [debounceInterval],
+  );
+
+  useEffect(() => () => debouncedSearch.cancel(), [debouncedSearch]);
+
+  /** @param {React.ChangeEvent<HTMLInputElement>} event */
+  const onChange = (event) => {
+    setText(event.target.value);
+    debouncedSearch(event.target.value);
+  };
+
+  /** @param {React.FormEvent} event */
+  const onSubmit = (event) => {
+    event.preventDefault();
+    debouncedSearch.cancel();
+    search(text);
+  };
+
+  /** @param {import('types').StreamChatReactMessageResponse} message */
+  const selectResult = (message) => {
+    if (onSelectResult) {
+      onSelectResult(message);
+      return;
+    }
+
+    const messageChannel = message.channel
+      ? client.channel(message.channel.type, message.channel.id)
+      : currentChannel;
+
+    if (messageChannel && jumpToChannelMessage) {
+      jumpToChannelMessage(messageChannel, message.id);
+    }
+  };
+
+  const showChannelName = allChannels || !currentChannel;
+
+  return (
+    <div className="str-chat__message-search">
+      <form className="str-chat__message-search-form" onSubmit={onSubmit}>
+        <input
+          aria-label={t('Search messages')}
+          onChange={onChange}
+          placeholder={placeholder || t('Search messages')}
+          type="search"
+          value={text}
+        />
+      </form>
+      {query && (
+        <div className="str-chat__message-search-results">
+          {error && (
+            <div className="str-chat__message-search-results-error">
+              {t('Error: {{ errorMessage }}', { errorMessage: error.message })}
+            </div>
+          )}
+          {!searching && !error && !results.length && (
+            <div className="str-chat__message-search-results-empty">
+              {t('No results found')}
+            </div>
+          )}
+          {results.map((message) => (
+            <SearchResult
+              Avatar={Avatar}
+              key={message.id}
+              message={message}
+              query={query}
+              selectResult={selectResult}
+              showChannelName={showChannelName}
+            />
+          ))}
+          {(hasMore || searching) && (
+            <LoadMoreButton onClick={loadMore} refreshing={searching} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+MessageSearch.propTypes = {
+  /**
+   * Search in all the channels matching `filters` instead of the channel from ChannelContext.
+   * Outside of a Channel component the search always covers all the channels.
+   */
+  allChannels: PropTypes.bool,
+  /**
+   * Custom UI component to display user avatar
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+  /** Time in ms to wait after the last keystroke before searching, defaults to 300 */
+  debounceInterval: PropTypes.number,
+  /**
+   * Channel filters for searches in all channels, e.g. the filters of your ChannelList.
+   * Defaults to the channels the current user is a member of.
+   * @see See [Channel query documentation](https://getstream.io/chat/docs/query_channels/?language=js) for a list of available fields for filter.
+   */
+  filters: /** @type {PropTypes.Validator<import('stream-chat').ChannelFilters>} */ (PropTypes.object),
+  /** Number of results per page, defaults to 20 */
+  limit: PropTypes.number,
+  /**
+   * Custom UI component to load the next page of results
+   *
+   * Defaults to and accepts same props as: [LoadMoreButton](https://github.com/GetStream/stream-chat-react/blob/master/src/components/LoadMore/LoadMoreButton.js)
+   */
+  LoadMoreButton: /** @type {PropTypes.Validator<React.ComponentType<import('types').LoadMoreButtonProps>>} */ (PropTypes.elementType),
+  /**
+   * Function that overrides the default behaviour when a result is clicked, which is jumping to the message in its channel
+   *
+   * @param {Object} message The selected message
+   */
+  onSelectResult: PropTypes.func,
+  /** Placeholder of the input, defaults to the translated `Search messages` */
+  placeholder: PropTypes.string,
+  /**
+   * Custom UI component to display a search result
+   *
+   * Defaults to and accepts same props as: [MessageSearchResult](https://github.com/GetStream/stream-chat-react/blob/master/src/components/MessageSearch/MessageSearchResult.js)
+   */
+  SearchResult: /** @type {PropTypes.Validator<React.ElementType<import('types').MessageSearchResultProps>>} */ (PropTypes.elementType),
+};
+
+export default React.memo(MessageSearch);
@@ -0,0 +1,78 @@
+// @ts-check
+import React, { useContext } from 'react';
+import PropTypes from 'prop-types';
+
+import { Avatar as DefaultAvatar } from '../Avatar';
+import MessageTimestamp from '../Message/MessageTimestamp';
+import { TranslationContext } from '../../context';
+import { getSnippet, highlightMatches } from './utils';
+
+/**
+ * MessageSearchResult - A message returned by MessageSearch, with the matched terms highlighted
+ * @type {React.FC<import('types').MessageSearchResultProps>}
+ */
+const MessageSearchResult = ({
+  Avatar = DefaultAvatar,
+  message,
+  query,
+  selectResult,
+  showChannelName = false,
+}) => {
+  const { t } = useContext(TranslationContext);
+
+  const channelName = message.channel?.name || message.channel?.id;
+
+  return (
+    <button
+      className="str-chat__message-search-result"
+      onClick={() => selectResult(message)}
+      type="button"
+    >
+      <Avatar
+        image={message.user?.image}
+        name={message.user?.name || message.user?.id}
+        size={32}
+      />
+      <div className="str-chat__message-search-result-content">
+        <div className="str-chat__message-search-result-header">
+          <strong className="str-chat__message-search-result-author">
+            {message.user?.name || message.user?.id}
+          </strong>
+          {showChannelName && channelName && (
+            <span className="str-chat__message-search-result-channel">
+              {t('in #{{ channelName }}', { channelName })}
+            </span>
+          )}
+          <MessageTimestamp
+            calendar
+            customClass="str-chat__message-search-result-timestamp"
+            message={message}
+          />
+        </div>
+        <div className="str-chat__message-search-result-text">
+          {highlightMatches(getSnippet(message.text || '', query), query)}
+        </div>
+      </div>
+    </button>
+  );
+};
+
+MessageSearchResult.propTypes = {
+  /** The message returned by the search */
+  message: /** @type {PropTypes.Validator<import('types').StreamChatReactMessageResponse>} */ (PropTypes
+    .object.isRequired),
+  /** The searched text, its terms are highlighted in the message */
+  query: PropTypes.string.isRequired,
+  /** Handler for clicks on the result */
+  selectResult: PropTypes.func.isRequired,
+  /** Show the name of the channel the message belongs to */
+  showChannelName: PropTypes.bool,
+  /**
+   * Custom UI component to display user avatar
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+};
+
+export default React.memo(MessageSearchResult);
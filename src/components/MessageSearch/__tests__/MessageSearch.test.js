@@ -0,0 +1,149 @@
+import React from 'react';
+import { cleanup, fireEvent, render, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import {
+  generateChannel,
+  generateMessage,
+  generateUser,
+  getTestClientWithUser,
+  searchApi,
+  useMockedApis,
+} from 'mock-builders';
+
+import { ChannelContext, ChatContext } from '../../../context';
+import MessageSearch from '../MessageSearch';
+
+afterEach(cleanup); // eslint-disable-line
+
+const user = generateUser({ id: 'uthred', name: 'Uthred' });
+const mockedChannel = generateChannel({
+  channel: { id: 'vikings', name: 'Vikings', type: 'messaging' },
+});
+const message = generateMessage({
+  channel: mockedChannel.channel,
+  text: 'The vikings are coming',
+  user,
+});
+
+let chatClient;
+let jumpToChannelMessage;
+
+const renderComponent = (props = {}, channel) =>
+  render(
+    <ChatContext.Provider value={{ client: chatClient, jumpToChannelMessage }}>
+      <ChannelContext.Provider value={{ channel }}>
+        <MessageSearch debounceInterval={0} {...props} />
+      </ChannelContext.Provider>
+    </ChatContext.Provider>,
+  );
+
+const typeSearch = (getByRole, value) =>
+  fireEvent.change(getByRole('searchbox'), { target: { value } });
+
+describe('MessageSearch', () => {
+  beforeEach(async () => {
+    chatClient = await getTestClientWithUser(user);
+    jumpToChannelMessage = jest.fn();
+    useMockedApis(chatClient, [searchApi([message])]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render the results with the matches highlighted', async () => {
+    const { getByRole, findByText, container } = renderComponent();
+
+    typeSearch(getByRole, 'vikings');
+
+    expect(await findByText('Uthred')).toBeInTheDocument();
+    expect(
+      container.querySelector('.str-chat__message-search-result-match'),
+    ).toHaveTextContent('vikings');
+    expect(
+      container.querySelector('.str-chat__message-search-result-channel'),
+    ).toBeInTheDocument();
+  });
+
+  it('should search once the filters are created again during the debounce', async () => {
+    const searchSpy = jest.spyOn(chatClient, 'search');
+    const renderSearch = (filters) => (
+      <ChatContext.Provider
+        value={{ client: chatClient, jumpToChannelMessage }}
+      >
+        <ChannelContext.Provider value={{}}>
+          <MessageSearch debounceInterval={50} filters={filters} />
+        </ChannelContext.Provider>
+      </ChatContext.Provider>
+    );
+    const { findByText, getByRole, rerender } = render(
+      renderSearch({ type: 'messaging' }),
+    );
+
+    typeSearch(getByRole, 'vikings');
+    rerender(renderSearch({ type: 'team' }));
+
+    expect(await findByText('Uthred')).toBeInTheDocument();
+    expect(searchSpy).toHaveBeenCalledTimes(1);
+    expect(searchSpy).toHaveBeenCalledWith(
+      { type: 'team' },
+      'vikings',
+      expect.any(Object),
+    );
+  });
+
+  it('should only search in the current channel inside of a Channel', async () => {
+    const channel = chatClient.channel('messaging', 'vikings');
+    const searchSpy = jest.spyOn(chatClient, 'search');
+    const { container, getByRole, findByText } = renderComponent({}, channel);
+
+    typeSearch(getByRole, 'vikings');
+
+    expect(await findByText('Uthred')).toBeInTheDocument();
+    expect(searchSpy).toHaveBeenCalledWith(
+      { cid: channel.cid },
+      'vikings',
+      expect.any(Object),
+    );
+    expect(
+      container.querySelector('.str-chat__message-search-result-channel'),
+    ).not.toBeInTheDocument();
+  });
+
+  it('should render a message if nothing is found', async () => {
+    useMockedApis(chatClient, [searchApi([])]);
+    const { getByRole, findByText } = renderComponent();
+
+    typeSearch(getByRole, 'nothing');
+
+    expect(await findByText('No results found')).toBeInTheDocument();
+  });
+
+  it('should jump to the message in its channel when a result is clicked', async () => {
+    const { getByRole, findByText } = renderComponent();
+
+    typeSearch(getByRole, 'vikings');
+    fireEvent.click(await findByText('Uthred'));
+
+    await waitFor(() =>
+      expect(jumpToChannelMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ cid: mockedChannel.channel.cid }),
+        message.id,
+      ),
+    );
+  });
+
+  it('should call onSelectResult instead of jumping to the message if provided', async () => {
+    const onSelectResult = jest.fn();
+    const { getByRole, findByText } = renderComponent({ onSelectResult });
+
+    typeSearch(getByRole, 'vikings');
+    fireEvent.click(await findByText('Uthred'));
+
+    expect(onSelectResult).toHaveBeenCalledWith(
+      expect.objectContaining({ id: message.id }),
+    );
+    expect(jumpToChannelMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,136 @@
+import React from 'react';
+import { act, renderHook } from '@testing-library/react-hooks';
+import {
+  generateMessage,
+  generateUser,
+  getTestClientWithUser,
+} from 'mock-builders';
+
+import { ChannelContext, ChatContext } from '../../../../context';
+import { useMessageSearch } from '../useMessageSearch';
+
+const user = generateUser({ id: 'uthred' });
+const channel = { cid: 'messaging:vikings' };
+let client;
+
+const toSearchResponse = (messages) => ({
+  results: messages.map((message) => ({ message })),
+});
+
+const renderMessageSearchHook = (
+  options,
+  channelContextValue = { channel },
+) => {
+  const wrapper = ({ children }) => (
+    <ChatContext.Provider value={{ client }}>
+      <ChannelContext.Provider value={channelContextValue}>
+        {children}
+      </ChannelContext.Provider>
+    </ChatContext.Provider>
+  );
+  return renderHook(() => useMessageSearch(options), { wrapper });
+};
+
+describe('useMessageSearch custom hook', () => {
+  beforeEach(async () => {
+    client = await getTestClientWithUser(user);
+  });
+
+  afterEach(jest.clearAllMocks);
+
+  it('should search in the channel from ChannelContext', async () => {
+    const messages = [generateMessage({ user })];
+    const searchSpy = jest
+      .spyOn(client, 'search')
+      .mockResolvedValue(toSearchResponse(messages));
+    const { result } = renderMessageSearchHook({ limit: 10 });
+
+    await act(() => result.current.search(' viking '));
+
+    expect(searchSpy).toHaveBeenCalledWith({ cid: channel.cid }, 'viking', {
+      limit: 10,
+      offset: 0,
+    });
+    expect(result.current.results).toStrictEqual(messages);
+    expect(result.current.query).toBe('viking');
+    expect(result.current.hasMore).toBe(false);
+  });
+
+  it('should search in the channels of the user if allChannels is true', async () => {
+    const searchSpy = jest
+      .spyOn(client, 'search')
+      .mockResolvedValue(toSearchResponse([]));
+    const { result } = renderMessageSearchHook({ allChannels: true });
+
+    await act(() => result.current.search('viking'));
+
+    expect(searchSpy).toHaveBeenCalledWith(
+      { members: { $in: [user.id] } },
+      'viking',
+      expect.any(Object),
+    );
+  });
+
+  it('should use the custom filters when searching outside of a channel', async () => {
+    const filters = { type: 'team' };
+    const searchSpy = jest
+      .spyOn(client, 'search')
+      .mockResolvedValue(toSearchResponse([]));
+    const { result } = renderMessageSearchHook({ filters }, {});
+
+    await act(() => result.current.search('viking'));
+
+    expect(searchSpy).toHaveBeenCalledWith(
+      filters,
+      'viking',
+      expect.any(Object),
+    );
+  });
+
+  it('should append the next page of results on loadMore', async () => {
+    const firstPage = [generateMessage({ user }), generateMessage({ user })];
+    const secondPage = [generateMessage({ user })];
+    const searchSpy = jest
+      .spyOn(client, 'search')
+      .mockResolvedValueOnce(toSearchResponse(firstPage))
+      .mockResolvedValueOnce(toSearchResponse(secondPage));
+    const { result } = renderMessageSearchHook({ limit: 2 });
+
+    await act(() => result.current.search('viking'));
+    expect(result.current.hasMore).toBe(true);
+
+    await act(() => result.current.loadMore());
+
+    expect(searchSpy).toHaveBeenLastCalledWith(expect.any(Object), 'viking', {
+      limit: 2,
+      offset: 2,
+    });
+    expect(result.current.results).toStrictEqual([...firstPage, ...secondPage]);
+    expect(result.current.hasMore).toBe(false);
+  });
+
+  it('should clear the results without searching for an empty text', async () => {
+    const searchSpy = jest
+      .spyOn(client, 'search')
+      .mockResolvedValue(toSearchResponse([generateMessage({ user })]));
+    const { result } = renderMessageSearchHook();
+
+    await act(() => result.current.search('viking'));
+    await act(() => result.current.search('  '));
+
+    expect(searchSpy).toHaveBeenCalledTimes(1);
+    expect(result.current.results).toStrictEqual([]);
+    expect(result.current.query).toBe('');
+  });
+
+  it('should expose the error if the search fails', async () => {
+    const error = new Error('search failed');
+    jest.spyOn(client, 'search').mockRejectedValue(error);
+    const { result } = renderMessageSearchHook();
+
+    await act(() => result.current.search('viking'));
+
+    expect(result.current.error).toBe(error);
+    expect(result.current.searching).toBe(false);
+  });
+});
@@ -0,0 +1,116 @@
+// @ts-check
+import { useCallback, useContext, useEffect, useRef, useState } from 'react';
+
+import { ChannelContext, ChatContext } from '../../../context';
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+
+/**
+ * Searches messages through `client.search`, either in the channel from ChannelContext or in
+ * all the channels matching `filters` (by default the channels the current user is a member of).
+ *
+ * @type {import('types').useMessageSearch}
+ */
+export const useMessageSearch = ({
+  allChannels = false,
+  filters,
+  limit = DEFAULT_SEARCH_LIMIT,
+} = {}) => {
+  const { client } = useContext(ChatContext);
+  const { channel } = useContext(ChannelContext);
+
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(
+    /** @type {import('types').StreamChatReactMessageResponse[]} */ ([]),
+  );
+  const [searching, setSearching] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState(/** @type {Error | null} */ (null));
+
+  // guards against responses of outdated queries overwriting newer ones
+  const latestRequest = useRef(0);
+
+  const getChannelFilters = useCallback(() => {
+    if (!allChannels && channel?.cid) return { cid: channel.cid };
+    return filters || { members: { $in: [client.userID || ''] } };
+  }, [allChannels, channel, client.userID, filters]);
+
+  const runSearch = useCallback(
+    /**
+     * @param {string} text
+     * @param {number} offset
+     */
+    async (text, offset) => {
+      latestRequest.current += 1;
+      const requestId = latestRequest.current;
+
+      setSearching(true);
+      setError(null);
+
+      try {
+        const response = await client.search(getChannelFilters(), text, {
+          limit,
+          offset,
+        });
+        if (requestId !== latestRequest.current) return;
+
+        const messages = response.results.map(({ message }) => message);
+        setResults((prevResults) =>
+          offset ? [...prevResults, ...messages] : messages,
+        );
+        setHasMore(messages.length === limit);
+      } catch (e) {
+        if (requestId !== latestRequest.current) return;
+        setError(e);
+        setHasMore(false);
+      }
+
+      setSearching(false);
+    },
+    [client, getChannelFilters, limit],
+  );
+
+  const search = useCallback(
+    /** @param {string} text */
+    (text) => {
+      const trimmedText = text.trim();
+      setQuery(trimmedText);
+
+      if (!trimmedText) {
+        latestRequest.current += 1;
+        setResults([]);
+        setHasMore(false);
+        setSearching(false);
+        setError(null);
+        return Promise.resolve();
+      }
+
+      return runSearch(trimmedText, 0);
+    },
+    [runSearch],
+  );
+
+  const loadMore = useCallback(() => {
+    if (!query || searching || !hasMore) return Promise.resolve();
+    return runSearch(query, results.length);
+  }, [hasMore, query, results.length, runSearch, searching]);
+
+  const clear = useCallback(() => search(''), [search]);
+
+  // results of another scope are meaningless, start over when the scope changes
+  useEffect(() => {
+    clear();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [allChannels, channel?.cid]);
+
+  return {
+    clear,
+    error,
+    hasMore,
+    loadMore,
+    query,
+    results,
+    search,
+    searching,
+  };
+};
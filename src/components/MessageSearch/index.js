@@ -0,0 +1,3 @@
+export { default as MessageSearch } from './MessageSearch';
+export { default as MessageSearchResult } from './MessageSearchResult';
+export * from './hooks';
@@ -0,0 +1,51 @@
+// @ts-check
+import React from 'react';
+
+/** @param {string} text */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns an excerpt of the text starting shortly before the first match of the query, so that
+ * matches at the end of long messages are still visible in the results.
+ * @param {string} text
+ * @param {string} query
+ * @param {number} [maxLength]
+ */
+export const getSnippet = (text, query, maxLength = 120) => {
+  if (text.length <= maxLength) return text;
+
+  const firstTerm = query.split(/\s+/).find(Boolean) || '';
+  const matchIndex = firstTerm
+    ? text.toLowerCase().indexOf(firstTerm.toLowerCase())
+    : -1;
+  const start = matchIndex > 30 ? matchIndex - 30 : 0;
+  const end = start + maxLength;
+
+  return `${start > 0 ? '...' : ''}${text.slice(start, end)}${
+    end < text.length ? '...' : ''
+  }`;
+};
+
+/**
+ * Wraps every occurrence of the terms of the query in the text with a <mark> element.
+ * @param {string} text
+ * @param {string} query
+ * @returns {React.ReactNode}
+ */
+export const highlightMatches = (text, query) => {
+  const terms = query.split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (!text || !terms.length) return text;
+
+  // with a capturing group, split puts the matches at the odd indexes
+  const parts = text.split(new RegExp(`(${terms.join('|')})`, 'gi'));
+
+  return parts.map((part, i) =>
+    i % 2 ? (
+      <mark className="str-chat__message-search-result-match" key={i}>
+        {part}
+      </mark>
+    ) : (
+      part
+    ),
+  );
+};
@@ -0,0 +1,108 @@
+// @ts-check
+import React, { useContext, useMemo } from 'react';
+import PropTypes from 'prop-types';
+
+import { Avatar as DefaultAvatar } from '../Avatar';
+import { usePinHandler } from '../Message/hooks';
+import { PinIcon } from '../Message/icons';
+import { defaultPinPermissions } from '../Message/utils';
+import { TranslationContext } from '../../context';
+
+/**
+ * PinnedMessage - A pinned message displayed in PinnedMessageList, with who pinned it and when
+ * @type {React.FC<import('types').PinnedMessageProps>}
+ */
+const PinnedMessage = ({
+  Avatar = DefaultAvatar,
+  message,
+  notify,
+  pinPermissions = defaultPinPermissions,
+  selectMessage,
+}) => {
+  const { t, tDateTimeParser } = useContext(TranslationContext);
+
+  const { canPin, handlePin } = usePinHandler(message, pinPermissions, {
+    notify,
+  });
+
+  const pinnedAt = message.pinned_at;
+  const pinnedWhen = useMemo(() => {
+    if (!pinnedAt || !tDateTimeParser) return null;
+    const parsedTime = tDateTimeParser(pinnedAt);
+    return typeof parsedTime.calendar === 'function'
+      ? parsedTime.calendar()
+      : null;
+  }, [pinnedAt, tDateTimeParser]);
+
+  const authorName = message.user?.name || message.user?.id;
+  const pinnedByName = message.pinned_by?.name || message.pinned_by?.id;
+
+  return (
+    <li className="str-chat__pinned-message" data-testid="pinned-message">
+      <button
+        className="str-chat__pinned-message-select"
+        onClick={() => selectMessage(message)}
+        type="button"
+      >
+        <Avatar image={message.user?.image} name={authorName} size={32} />
+        <div className="str-chat__pinned-message-content">
+          <strong className="str-chat__pinned-message-author">
+            {authorName}
+          </strong>
+          <span className="str-chat__pinned-message-text">
+            {message.text ||
+              (message.attachments?.length ? t('🏙 Attachment...') : '')}
+          </span>
+          <span className="str-chat__pinned-message-pinned-by">
+            {pinnedByName ? `${t('Pinned by')} ${pinnedByName}` : null}
+            {pinnedByName && pinnedWhen ? ' · ' : null}
+            {pinnedWhen && pinnedAt && (
+              <time dateTime={String(pinnedAt)} title={String(pinnedAt)}>
+                {pinnedWhen}
+              </time>
+            )}
+          </span>
+        </div>
+      </button>
+      {canPin && (
+        <button
+          aria-label={t('Unpin')}
+          className="str-chat__pinned-message-unpin"
+          data-testid="pinned-message-unpin"
+          onClick={handlePin}
+          title={t('Unpin')}
+          type="button"
+        >
+          <PinIcon />
+        </button>
+      )}
+    </li>
+  );
+};
+
+PinnedMessage.propTypes = {
+  /** The pinned [message object](https://getstream.io/chat/docs/#message_format) */
+  message: /** @type {PropTypes.Validator<import('types').StreamChatReactMessageResponse>} */ (PropTypes
+    .object.isRequired),
+  /** Handler for clicks on the message */
+  selectMessage: PropTypes.func.isRequired,
+  /**
+   * Function to display a notification, e.g. when unpinning the message fails
+   *
+   * @param text Notification text to display
+   * @param type Type of notification. 'success' | 'error'
+   * */
+  notify: PropTypes.func,
+  /**
+   * The user roles allowed to pin and unpin messages in various channel types
+   */
+  pinPermissions: /** @type {PropTypes.Validator<import('types').PinPermissions>} */ (PropTypes.object),
+  /**
+   * Custom UI component to display user avatar
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+};
+
+export default React.memo(PinnedMessage);
@@ -0,0 +1,119 @@
+// @ts-check
+import React, { useCallback, useContext, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+
+import DefaultPinnedMessage from './PinnedMessage';
+import { defaultPinPermissions } from '../Message/utils';
+import { ChannelContext, TranslationContext } from '../../context';
+
+/**
+ * PinnedMessageList - The pinned messages of the current channel, latest pin first. Clicking a message jumps to it in the message list.
+ *
+ * @example ../../docs/PinnedMessageList.md
+ * @type {React.FC<import('types').PinnedMessageListProps>}
+ */
+const PinnedMessageList = ({
+  Avatar,
+  onClose,
+  onSelectMessage,
+  PinnedMessage = DefaultPinnedMessage,
+  pinPermissions = defaultPinPermissions,
+}) => {
+  const { jumpToMessage, pinnedMessages } = useContext(ChannelContext);
+  const { t } = useContext(TranslationContext);
+
+  const [error, setError] = useState(/** @type {string | null} */ (null));
+
+  const messages = useMemo(() => [...(pinnedMessages || [])].reverse(), [
+    pinnedMessages,
+  ]);
+
+  /** @type {(text: string, type: string) => void} */
+  const notify = useCallback((text, type) => {
+    setError(type === 'error' ? text : null);
+  }, []);
+
+  /** @param {import('types').StreamChatReactMessageResponse} message */
+  const selectMessage = (message) => {
+    if (onSelectMessage) {
+      onSelectMessage(message);
+    } else if (jumpToMessage) {
+      jumpToMessage(message.id);
+    }
+    if (onClose) onClose();
+  };
+
+  return (
+    <div className="str-chat__pinned-message-list">
+      <div className="str-chat__pinned-message-list-header">
+        <strong>{t('Pinned messages')}</strong>
+        {onClose && (
+          <button
+            aria-label={t('Close')}
+            className="str-chat__square-button"
+            data-testid="pinned-message-list-close"
+            onClick={onClose}
+            type="button"
+          >
+            <svg width="10" height="10" xmlns="http://www.w3.org/2000/svg">
+              <path
+                d="M9.916 1.027L8.973.084 5 4.058 1.027.084l-.943.943L4.058 5 .084 8.973l.943.943L5 5.942l3.973 3.974.943-.943L5.942 5z"
+                fillRule="evenodd"
+              />
+            </svg>
+          </button>
+        )}
+      </div>
+      {error && (
+        <div className="str-chat__pinned-message-list-error">{error}</div>
+      )}
+      {!messages.length ? (
+        <div className="str-chat__pinned-message-list-empty">
+          {t('No pinned messages')}
+        </div>
+      ) : (
+        <ul className="str-chat__pinned-message-list-messages">
+          {messages.map((message) => (
+            <PinnedMessage
+              Avatar={Avatar}
+              key={message.id}
+              message={message}
+              notify={notify}
+              pinPermissions={pinPermissions}
+              selectMessage={selectMessage}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+PinnedMessageList.propTypes = {
+  /**
+   * Custom UI component to display user avatar
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+  /** Function called when the list should be closed: after a message is selected or when the close button is clicked. The close button is only shown if it is defined */
+  onClose: PropTypes.func,
+  /**
+   * Function that overrides the default behaviour when a message is clicked, which is jumping to the message in the message list
+   *
+   * @param {Object} message The selected message
+   */
+  onSelectMessage: PropTypes.func,
+  /**
+   * Custom UI component to display a pinned message
+   *
+   * Defaults to and accepts same props as: [PinnedMessage](https://github.com/GetStream/stream-chat-react/blob/master/src/components/PinnedMessageList/PinnedMessage.js)
+   */
+  PinnedMessage: /** @type {PropTypes.Validator<React.ElementType<import('types').PinnedMessageProps>>} */ (PropTypes.elementType),
+  /**
+   * The user roles allowed to pin and unpin messages in various channel types, defaults to `defaultPinPermissions`
+   */
+  pinPermissions: /** @type {PropTypes.Validator<import('types').PinPermissions>} */ (PropTypes.object),
+};
+
+export default React.memo(PinnedMessageList);
@@ -0,0 +1,156 @@
+import React from 'react';
+import { cleanup, fireEvent, render, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import {
+  generateMessage,
+  generateUser,
+  getTestClientWithUser,
+} from 'mock-builders';
+import PinnedMessageList from '../PinnedMessageList';
+import { ChannelContext, TranslationContext } from '../../../context';
+
+const alice = generateUser({ name: 'alice' });
+const bob = generateUser({ name: 'bob' });
+
+const pinnedMessage = (options) =>
+  generateMessage({
+    pinned: true,
+    pinned_at: new Date().toISOString(),
+    pinned_by: bob,
+    user: alice,
+    ...options,
+  });
+
+async function renderComponent(props = {}, channelContext = {}, role) {
+  const client = await getTestClientWithUser(alice);
+  const channel = {
+    type: 'messaging',
+    state: {
+      members: role ? { [alice.id]: { role, user: alice } } : {},
+      watchers: {},
+    },
+  };
+  const t = (key) => key;
+  const tDateTimeParser = () => ({ calendar: () => 'Today' });
+
+  const renderResult = render(
+    <ChannelContext.Provider value={{ client, channel, ...channelContext }}>
+      <TranslationContext.Provider value={{ t, tDateTimeParser }}>
+        <PinnedMessageList {...props} />
+      </TranslationContext.Provider>
+    </ChannelContext.Provider>,
+  );
+  return { client, ...renderResult };
+}
+
+afterEach(cleanup); // eslint-disable-line
+
+describe('PinnedMessageList', () => {
+  it('should render the pinned messages, latest pin first', async () => {
+    const first = pinnedMessage({ text: 'first pin' });
+    const second = pinnedMessage({ text: 'second pin' });
+    const { getAllByTestId } = await renderComponent(
+      {},
+      { pinnedMessages: [first, second] },
+    );
+
+    const messages = getAllByTestId('pinned-message');
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toHaveTextContent('second pin');
+    expect(messages[1]).toHaveTextContent('first pin');
+    expect(messages[0]).toHaveTextContent('bob');
+  });
+
+  it('should render the empty state when there are no pinned messages', async () => {
+    const { getByText, queryByTestId } = await renderComponent(
+      {},
+      { pinnedMessages: [] },
+    );
+    expect(getByText('No pinned messages')).toBeInTheDocument();
+    expect(queryByTestId('pinned-message')).not.toBeInTheDocument();
+  });
+
+  it('should jump to the message and close the list when a message is clicked', async () => {
+    const message = pinnedMessage({ text: 'pinned text' });
+    const jumpToMessage = jest.fn();
+    const onClose = jest.fn();
+    const { getByText } = await renderComponent(
+      { onClose },
+      { jumpToMessage, pinnedMessages: [message] },
+    );
+
+    fireEvent.click(getByText('pinned text'));
+
+    expect(jumpToMessage).toHaveBeenCalledWith(message.id);
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it('should call onSelectMessage instead of jumping when it is set', async () => {
+    const message = pinnedMessage({ text: 'pinned text' });
+    const jumpToMessage = jest.fn();
+    const onSelectMessage = jest.fn();
+    const { getByText } = await renderComponent(
+      { onSelectMessage },
+      { jumpToMessage, pinnedMessages: [message] },
+    );
+
+    fireEvent.click(getByText('pinned text'));
+
+    expect(onSelectMessage).toHaveBeenCalledWith(message);
+    expect(jumpToMessage).not.toHaveBeenCalled();
+  });
+
+  it('should only show the close button when onClose is set', async () => {
+    const onClose = jest.fn();
+    const { getByTestId } = await renderComponent(
+      { onClose },
+      { pinnedMessages: [] },
+    );
+    fireEvent.click(getByTestId('pinned-message-list-close'));
+    expect(onClose).toHaveBeenCalledTimes(1);
+    cleanup();
+
+    const { queryByTestId } = await renderComponent({}, { pinnedMessages: [] });
+    expect(queryByTestId('pinned-message-list-close')).not.toBeInTheDocument();
+  });
+
+  it('should unpin a message if the user is allowed to', async () => {
+    const message = pinnedMessage();
+    const { client, getByTestId } = await renderComponent(
+      {},
+      { pinnedMessages: [message] },
+      'member',
+    );
+    jest.spyOn(client, 'unpinMessage').mockResolvedValue({});
+
+    fireEvent.click(getByTestId('pinned-message-unpin'));
+
+    await waitFor(() =>
+      expect(client.unpinMessage).toHaveBeenCalledWith(message),
+    );
+  });
+
+  it('should not allow to unpin if the user is not allowed to', async () => {
+    const { queryByTestId } = await renderComponent(
+      {},
+      { pinnedMessages: [pinnedMessage()] },
+      'user',
+    );
+    expect(queryByTestId('pinned-message-unpin')).not.toBeInTheDocument();
+  });
+
+  it('should show an error if unpinning fails', async () => {
+    const { client, getByTestId, getByText } = await renderComponent(
+      {},
+      { pinnedMessages: [pinnedMessage()] },
+      'member',
+    );
+    jest.spyOn(client, 'unpinMessage').mockRejectedValue(new Error());
+
+    fireEvent.click(getByTestId('pinned-message-unpin'));
+
+    await waitFor(() =>
+      expect(getByText('Error removing message pin')).toBeInTheDocument(),
+    );
+  });
+});
@@ -0,0 +1,2 @@
+export { default as PinnedMessageList } from './PinnedMessageList';
+export { default as PinnedMessage } from './PinnedMessage';
@@ -5,11 +5,18 @@ import React, {
   useImperativeHandle,
   useEffect,
   useContext,
+  useMemo,
 } from 'react';
 import PropTypes from 'prop-types';
 
 import { Avatar as DefaultAvatar } from '../Avatar';
-import { getStrippedEmojiData } from '../Channel/emojiData';
+import {
+  getDefaultReactionOptions,
+  getEmojiId,
+  getStrippedEmojiData,
+} from '../Channel/emojiData';
+import { sortByRecentEmojis } from '../Channel/emojiPreferences';
+import { useMenuKeyboardNavigation } from '../Message/hooks';
 import { ChannelContext } from '../../context';
 
 /** @type {React.ForwardRefRenderFunction<HTMLDivElement | null, import("types").ReactionSelectorProps>} */
@@ -17,6 +24,7 @@ const ReactionSelectorWithRef = (
   {
     Avatar = DefaultAvatar,
     latest_reactions,
+    own_reactions,
     reaction_counts,
     reactionOptions: reactionOptionsProp,
     reverse = false,
@@ -27,11 +35,27 @@ const ReactionSelectorWithRef = (
 ) => {
   const { emojiConfig } = useContext(ChannelContext);
 
-  const { defaultMinimalEmojis, Emoji, emojiData: fullEmojiData, emojiSetDef } =
-    emojiConfig || {};
+  const {
+    Emoji,
+    emojiData: fullEmojiData,
+    emojiSetDef,
+    recentEmojis,
+    recordEmojiUsage,
+  } = emojiConfig || {};
 
   const emojiData = getStrippedEmojiData(fullEmojiData);
-  const reactionOptions = reactionOptionsProp || defaultMinimalEmojis;
+  // the order is kept while the selector is open, so that the reactions do not move under the pointer
+  const [initialRecentEmojis] = useState(recentEmojis);
+  const reactionOptions = useMemo(
+    () =>
+      reactionOptionsProp ||
+      sortByRecentEmojis(
+        getDefaultReactionOptions(emojiConfig),
+        initialRecentEmojis,
+        getEmojiId,
+      ),
+    [emojiConfig, initialRecentEmojis, reactionOptionsProp],
+  );
   const [tooltipReactionType, setTooltipReactionType] = useState(null);
   const [tooltipPositions, setTooltipPositions] = useState(
     /** @type {{ tooltip: number, arrow: number } | null} */ (null),
@@ -43,6 +67,12 @@ const ReactionSelectorWithRef = (
   // @ts-expect-error because it's okay for our ref to be null in the parent component.
   useImperativeHandle(ref, () => containerRef.current);
 
+  // closed with the Escape key by the message, like with a click outside
+  const { menuRef, onKeyDown } = useMenuKeyboardNavigation({
+    open: true,
+    orientation: 'horizontal',
+  });
+
   const showTooltip = useCallback((e, reactionType) => {
     targetRef.current = e.target;
     setTooltipReactionType(reactionType);
@@ -124,19 +154,34 @@ const ReactionSelectorWithRef = (
           )}
         </div>
       )}
-      <ul className="str-chat__message-reactions-list">
+      <ul
+        aria-orientation="horizontal"
+        className="str-chat__message-reactions-list"
+        onKeyDown={onKeyDown}
+        ref={menuRef}
+        role="menu"
+      >
         {reactionOptions.map((reactionOption) => {
           const latestUser = getLatestUserForReactionType(reactionOption.id);
 
           const count = reaction_counts && reaction_counts[reactionOption.id];
           return (
             <li
+              aria-label={reactionOption.name || reactionOption.id}
               key={`item-${reactionOption.id}`}
               className="str-chat__message-reactions-list-item"
               data-text={reactionOption.id}
-              onClick={() =>
-                handleReaction && handleReaction(reactionOption.id)
-              }
+              role="menuitem"
+              tabIndex={-1}
+              onClick={() => {
+                if (handleReaction) handleReaction(reactionOption.id);
+                const isOwnReaction = own_reactions?.some(
+                  ({ type }) => type === reactionOption.id,
+                );
+                if (recordEmojiUsage && !isOwnReaction) {
+                  recordEmojiUsage(getEmojiId(reactionOption));
+                }
+              }}
             >
               {!!count && detailedView && (
                 <React.Fragment>
@@ -205,9 +250,14 @@ ReactionSelector.propTypes = {
    * ```
    * */
   latest_reactions: PropTypes.array,
+  /** Array of the reactions of the current user, using one does not count as a use of its emoji */
+  own_reactions: PropTypes.array,
   /** Object/map of reaction id/type (e.g. 'like' | 'love' | 'haha' | 'wow' | 'sad' | 'angry') vs count */
   reaction_counts: PropTypes.objectOf(PropTypes.number.isRequired),
-  /** Provide a list of reaction options [{id: 'angry', emoji: 'angry'}] */
+  /**
+   * Provide a list of reaction options [{id: 'angry', emoji: 'angry'}].
+   * Defaults to the default reactions and the custom emojis of the Channel, the ones the user used the most first
+   */
   reactionOptions: PropTypes.array,
   reverse: PropTypes.bool,
   /**
@@ -0,0 +1,208 @@
+// @ts-check
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { Avatar as DefaultAvatar } from '../Avatar';
+import { LoadMoreButton as DefaultLoadMoreButton } from '../LoadMore';
+import { Modal } from '../Modal';
+import {
+  getDefaultReactionOptions,
+  getStrippedEmojiData,
+} from '../Channel/emojiData';
+import { useMessageReactions } from './hooks';
+import { ChannelContext, TranslationContext } from '../../context';
+
+/**
+ * ReactionsDetailsModal - Everyone who reacted to a message, by reaction type
+ *
+ * @example ../../docs/ReactionsDetailsModal.md
+ * @type {React.FC<import('types').ReactionsDetailsModalProps>}
+ */
+const ReactionsDetailsModal = ({
+  Avatar = DefaultAvatar,
+  handleReaction,
+  initialReactionType = null,
+  LoadMoreButton = DefaultLoadMoreButton,
+  messageId,
+  onClose,
+  reaction_counts = {},
+  reactionOptions: reactionOptionsProp,
+}) => {
+  const { client, emojiConfig } = useContext(ChannelContext);
+  const { t } = useContext(TranslationContext);
+
+  const { Emoji, emojiData: fullEmojiData, emojiSetDef } = emojiConfig || {};
+
+  const emojiData = useMemo(
+    () => fullEmojiData && getStrippedEmojiData(fullEmojiData),
+    [fullEmojiData],
+  );
+  const reactionOptions =
+    reactionOptionsProp || getDefaultReactionOptions(emojiConfig);
+
+  const [selectedType, setSelectedType] = useState(initialReactionType);
+  const {
+    discardReaction,
+    error,
+    hasMore,
+    loadMore,
+    loading,
+    reactions,
+  } = useMessageReactions(messageId);
+
+  const reactionTypes = Object.keys(reaction_counts)
+    .filter((type) => reaction_counts[type] > 0)
+    .sort((a, b) => reaction_counts[b] - reaction_counts[a]);
+  const totalCount = reactionTypes.reduce(
+    (total, type) => total + reaction_counts[type],
+    0,
+  );
+
+  const shownReactions = selectedType
+    ? reactions.filter(({ type }) => type === selectedType)
+    : reactions;
+  const shownCount = selectedType
+    ? reaction_counts[selectedType] || 0
+    : totalCount;
+
+  // the reactions of a rare type can all be in the next pages, after an error they are loaded with the button
+  useEffect(() => {
+    if (!shownReactions.length && hasMore && !loading && !error) loadMore();
+  }, [error, hasMore, loadMore, loading, shownReactions.length]);
+
+  /** @param {string} type */
+  const renderEmoji = (type) => {
+    const emojiDefinition = reactionOptions.find(
+      (option) => option.id === type,
+    );
+    if (!emojiDefinition || !Emoji || !emojiData) return type;
+    return (
+      <Emoji
+        // emoji-mart type defs don't support spriteSheet use case
+        // (but implementation does)
+        // @ts-expect-error
+        emoji={emojiDefinition}
+        {...emojiSetDef}
+        size={16}
+        data={emojiData}
+      />
+    );
+  };
+
+  /** @param {string | null} type */
+  const renderTab = (type) => (
+    <button
+      aria-selected={selectedType === type}
+      className={`str-chat__reactions-details-tab ${
+        selectedType === type ? 'str-chat__reactions-details-tab--selected' : ''
+      }`}
+      data-testid={`reactions-details-tab-${type || 'all'}`}
+      key={type || 'all'}
+      onClick={() => setSelectedType(type)}
+      role="tab"
+      type="button"
+    >
+      {type ? renderEmoji(type) : t('All')}
+      <span className="str-chat__reactions-details-tab-count">
+        {type ? reaction_counts[type] : totalCount}
+      </span>
+    </button>
+  );
+
+  return (
+    // clicks in the modal must not reach the message, which would open the reaction selector or the thread
+    <div onClick={(event) => event.stopPropagation()}>
+      <Modal onClose={onClose} open>
+        <div
+          className="str-chat__reactions-details"
+          data-testid="reactions-details"
+        >
+          <div className="str-chat__reactions-details-tabs" role="tablist">
+            {renderTab(null)}
+            {reactionTypes.map(renderTab)}
+          </div>
+          <ul className="str-chat__reactions-details-list" role="tabpanel">
+            {shownReactions.map((reaction) => {
+              const { type, user, user_id } = reaction;
+              const isOwnReaction = (user?.id || user_id) === client?.userID;
+              return (
+                <li
+                  className="str-chat__reactions-details-item"
+                  key={`${type}-${user?.id || user_id}`}
+                >
+                  <Avatar
+                    image={user?.image}
+                    name={user?.name || user?.id || user_id}
+                    size={32}
+                  />
+                  <span className="str-chat__reactions-details-item-name">
+                    {user?.name || user?.id || user_id}
+                  </span>
+                  {!selectedType && (
+                    <span className="str-chat__reactions-details-item-emoji">
+                      {renderEmoji(type)}
+                    </span>
+                  )}
+                  {isOwnReaction && handleReaction && (
+                    <button
+                      className="str-chat__reactions-details-item-remove"
+                      data-testid="reactions-details-remove"
+                      onClick={() => {
+                        handleReaction(type);
+                        discardReaction(reaction);
+                      }}
+                      type="button"
+                    >
+                      {t('Remove')}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {error && (
+            <div className="str-chat__reactions-details-error">
+              {t('Error loading reactions')}
+            </div>
+          )}
+          {((hasMore && shownReactions.length < shownCount) || loading) && (
+            <LoadMoreButton onClick={loadMore} refreshing={loading} />
+          )}
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+ReactionsDetailsModal.propTypes = {
+  /**
+   * Custom UI component to display user avatar
+   *
+   * Defaults to and accepts same props as: [Avatar](https://github.com/GetStream/stream-chat-react/blob/master/src/components/Avatar/Avatar.js)
+   * */
+  Avatar: /** @type {PropTypes.Validator<React.ElementType<import('types').AvatarProps>>} */ (PropTypes.elementType),
+  /**
+   * Handler to set/unset reaction on message, lets the current user remove their reactions when it is set
+   *
+   * @param type e.g. 'like' | 'love' | 'haha' | 'wow' | 'sad' | 'angry'
+   * */
+  handleReaction: PropTypes.func,
+  /** The reaction type whose users are shown first, all the reactions are shown by default */
+  initialReactionType: PropTypes.string,
+  /**
+   * Custom UI component to load the next page of reactions
+   *
+   * Defaults to and accepts same props as: [LoadMoreButton](https://github.com/GetStream/stream-chat-react/blob/master/src/components/LoadMore/LoadMoreButton.js)
+   */
+  LoadMoreButton: /** @type {PropTypes.Validator<React.ComponentType<import('types').LoadMoreButtonProps>>} */ (PropTypes.elementType),
+  /** Id of the message whose reactions are shown */
+  messageId: PropTypes.string.isRequired,
+  /** Callback handler for closing of modal. */
+  onClose: PropTypes.func.isRequired,
+  /** Object/map of reaction id/type (e.g. 'like' | 'love' | 'haha' | 'wow' | 'sad' | 'angry') vs count */
+  reaction_counts: PropTypes.objectOf(PropTypes.number.isRequired),
+  /** Provide a list of reaction options [{id: 'angry', emoji: 'angry'}] */
+  reactionOptions: PropTypes.array,
+};
+
+export default React.memo(ReactionsDetailsModal);
@@ -1,11 +1,17 @@
-import React, { useContext, useMemo } from 'react';
+import React, { useContext, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 
-import { getStrippedEmojiData } from '../Channel/emojiData';
+import {
+  getDefaultReactionOptions,
+  getStrippedEmojiData,
+} from '../Channel/emojiData';
+import ReactionsDetailsModal from './ReactionsDetailsModal';
 import { ChannelContext } from '../../context';
 
 /** @type {React.FC<import("types").ReactionsListProps>} */
 const ReactionsList = ({
+  handleReaction,
+  messageId,
   reactions,
   reaction_counts,
   reactionOptions: reactionOptionsProp,
@@ -14,13 +20,16 @@ const ReactionsList = ({
 }) => {
   const { emojiConfig } = useContext(ChannelContext);
 
-  const { defaultMinimalEmojis, Emoji, emojiData: fullEmojiData, emojiSetDef } =
-    emojiConfig || {};
+  const { Emoji, emojiData: fullEmojiData, emojiSetDef } = emojiConfig || {};
 
   const emojiData = useMemo(() => getStrippedEmojiData(fullEmojiData), [
     fullEmojiData,
   ]);
-  const reactionOptions = reactionOptionsProp || defaultMinimalEmojis;
+  const reactionOptions =
+    reactionOptionsProp || getDefaultReactionOptions(emojiConfig);
+  const [detailsReactionType, setDetailsReactionType] = useState(
+    /** @type {string | null} */ (null),
+  );
   const getTotalReactionCount = () =>
     Object.values(reaction_counts || {}).reduce(
       (total, count) => total + count,
@@ -41,44 +50,72 @@ const ReactionsList = ({
   };
 
   return (
-    <div
-      data-testid="reaction-list"
-      className={`str-chat__reaction-list ${
-        reverse ? 'str-chat__reaction-list--reverse' : ''
-      }`}
-      onClick={onClick}
-    >
-      <ul>
-        {getReactionTypes().map((reactionType) => {
-          const emojiDefinition = getOptionForType(reactionType);
-          return emojiDefinition ? (
-            <li key={emojiDefinition.id}>
-              {Emoji && (
-                <Emoji
-                  // emoji-mart type defs don't support spriteSheet use case
-                  // (but implementation does)
-                  // @ts-expect-error
-                  emoji={emojiDefinition}
-                  {...emojiSetDef}
-                  size={16}
-                  data={emojiData}
-                />
-              )}
-              ${' '}
-            </li>
-          ) : null;
-        })}
-        <li>
-          <span className="str-chat__reaction-list--counter">
-            {getTotalReactionCount()}
-          </span>
-        </li>
-      </ul>
-    </div>
+    <>
+      <div
+        data-testid="reaction-list"
+        className={`str-chat__reaction-list ${
+          reverse ? 'str-chat__reaction-list--reverse' : ''
+        }`}
+        onClick={onClick}
+      >
+        <ul>
+          {getReactionTypes().map((reactionType) => {
+            const emojiDefinition = getOptionForType(reactionType);
+            return emojiDefinition ? (
+              <li
+                key={emojiDefinition.id}
+                onClick={(event) => {
+                  if (!messageId) return;
+                  // the click on the count still opens the reaction selector
+                  event.stopPropagation();
+                  setDetailsReactionType(reactionType);
+                }}
+              >
+                {Emoji && (
+                  <Emoji
+                    // emoji-mart type defs don't support spriteSheet use case
+                    // (but implementation does)
+                    // @ts-expect-error
+                    emoji={emojiDefinition}
+                    {...emojiSetDef}
+                    size={16}
+                    data={emojiData}
+                  />
+                )}
+                ${' '}
+              </li>
+            ) : null;
+          })}
+          <li>
+            <span className="str-chat__reaction-list--counter">
+              {getTotalReactionCount()}
+            </span>
+          </li>
+        </ul>
+      </div>
+      {messageId && detailsReactionType && (
+        <ReactionsDetailsModal
+          handleReaction={handleReaction}
+          initialReactionType={detailsReactionType}
+          messageId={messageId}
+          onClose={() => setDetailsReactionType(null)}
+          reaction_counts={reaction_counts}
+          reactionOptions={reactionOptions}
+        />
+      )}
+    </>
   );
 };
 
 ReactionsList.propTypes = {
+  /**
+   * Handler to set/unset reaction on message, lets the current user remove their reactions from the details of the reactions
+   *
+   * @param type e.g. 'like' | 'love' | 'haha' | 'wow' | 'sad' | 'angry'
+   * */
+  handleReaction: PropTypes.func,
+  /** Id of the message, clicking a reaction shows who reacted to the message when it is set */
+  messageId: PropTypes.string,
   reactions: PropTypes.array,
   /** Object/map of reaction id/type (e.g. 'like' | 'love' | 'haha' | 'wow' | 'sad' | 'angry') vs count */
   reaction_counts: PropTypes.objectOf(PropTypes.number.isRequired),
@@ -1,11 +1,16 @@
 import React, { useContext, useState } from 'react';
 import PropTypes from 'prop-types';
 
-import { getStrippedEmojiData } from '../Channel/emojiData';
+import {
+  getDefaultReactionOptions,
+  getStrippedEmojiData,
+} from '../Channel/emojiData';
+import ReactionsDetailsModal from './ReactionsDetailsModal';
 import { ChannelContext } from '../../context';
 
 /** @type {React.FC<import("types").SimpleReactionsListProps>} */
 const SimpleReactionsList = ({
+  messageId,
   reactions,
   reaction_counts,
   reactionOptions: reactionOptionsProp,
@@ -13,17 +18,13 @@ const SimpleReactionsList = ({
 }) => {
   const { emojiConfig } = useContext(ChannelContext);
 
-  const {
-    defaultMinimalEmojis,
-    Emoji,
-    emojiData: defaultEmojiData,
-    emojiSetDef,
-  } = emojiConfig || {};
+  const { Emoji, emojiData: defaultEmojiData, emojiSetDef } = emojiConfig || {};
 
   const emojiData = getStrippedEmojiData(defaultEmojiData);
   const [tooltipReactionType, setTooltipReactionType] = useState(null);
-  /** @type{import('types').MinimalEmojiInterface[]} */
-  const reactionOptions = reactionOptionsProp || defaultMinimalEmojis;
+  const [showDetails, setShowDetails] = useState(false);
+  const reactionOptions =
+    reactionOptionsProp || getDefaultReactionOptions(emojiConfig);
 
   if (!reactions || reactions.length === 0) {
     return null;
@@ -60,53 +61,69 @@ const SimpleReactionsList = ({
     reactionOptions.find((option) => option.id === type);
 
   return (
-    <ul
-      data-testid="simple-reaction-list"
-      className="str-chat__simple-reactions-list"
-      onMouseLeave={() => setTooltipReactionType(null)}
-    >
-      {getReactionTypes().map((reactionType, i) => {
-        const emojiDefinition = getOptionForType(reactionType);
-        return emojiDefinition ? (
+    <>
+      <ul
+        data-testid="simple-reaction-list"
+        className="str-chat__simple-reactions-list"
+        onMouseLeave={() => setTooltipReactionType(null)}
+      >
+        {getReactionTypes().map((reactionType, i) => {
+          const emojiDefinition = getOptionForType(reactionType);
+          return emojiDefinition ? (
+            <li
+              className="str-chat__simple-reactions-list-item"
+              key={`${emojiDefinition?.id}-${i}`}
+              onClick={() => handleReaction && handleReaction(reactionType)}
+            >
+              <span onMouseEnter={() => setTooltipReactionType(reactionType)}>
+                {Emoji && (
+                  <Emoji
+                    // emoji-mart type defs don't support spriteSheet use case
+                    // (but implementation does)
+                    // @ts-expect-error
+                    emoji={emojiDefinition}
+                    {...emojiSetDef}
+                    size={13}
+                    data={emojiData}
+                  />
+                )}
+                &nbsp;
+              </span>
+
+              {tooltipReactionType === getOptionForType(reactionType)?.id && (
+                <div className="str-chat__simple-reactions-list-tooltip">
+                  <div className="arrow" />
+                  {getUsersPerReactionType(tooltipReactionType)?.join(', ')}
+                </div>
+              )}
+            </li>
+          ) : null;
+        })}
+        {reactions?.length !== 0 && (
           <li
-            className="str-chat__simple-reactions-list-item"
-            key={`${emojiDefinition?.id}-${i}`}
-            onClick={() => handleReaction && handleReaction(reactionType)}
+            className="str-chat__simple-reactions-list-item--last-number"
+            onClick={() => messageId && setShowDetails(true)}
           >
-            <span onMouseEnter={() => setTooltipReactionType(reactionType)}>
-              {Emoji && (
-                <Emoji
-                  // emoji-mart type defs don't support spriteSheet use case
-                  // (but implementation does)
-                  // @ts-expect-error
-                  emoji={emojiDefinition}
-                  {...emojiSetDef}
-                  size={13}
-                  data={emojiData}
-                />
-              )}
-              &nbsp;
-            </span>
-
-            {tooltipReactionType === getOptionForType(reactionType)?.id && (
-              <div className="str-chat__simple-reactions-list-tooltip">
-                <div className="arrow" />
-                {getUsersPerReactionType(tooltipReactionType)?.join(', ')}
-              </div>
-            )}
+            {getTotalReactionCount()}
           </li>
-        ) : null;
-      })}
-      {reactions?.length !== 0 && (
-        <li className="str-chat__simple-reactions-list-item--last-number">
-          {getTotalReactionCount()}
-        </li>
+        )}
+      </ul>
+      {messageId && showDetails && (
+        <ReactionsDetailsModal
+          handleReaction={handleReaction}
+          messageId={messageId}
+          onClose={() => setShowDetails(false)}
+          reaction_counts={reaction_counts}
+          reactionOptions={reactionOptions}
+        />
       )}
-    </ul>
+    </>
   );
 };
 
 SimpleReactionsList.propTypes = {
+  /** Id of the message, clicking the reaction count shows who reacted to the message when it is set */
+  messageId: PropTypes.string,
   reactions: PropTypes.array,
   /** Object/map of reaction id/type (e.g. 'like' | 'love' | 'haha' | 'wow' | 'sad' | 'angry') vs count */
   reaction_counts: PropTypes.objectOf(PropTypes.number.isRequired),
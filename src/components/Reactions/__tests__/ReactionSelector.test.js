@@ -4,7 +4,10 @@ import '@testing-library/jest-dom';
 import EmojiComponentMock from 'emoji-mart/dist-modern/components/emoji/nimble-emoji';
 import { generateUser, generateReaction, emojiMockConfig } from 'mock-builders';
 import { ChannelContext } from '../../../context';
-import { defaultMinimalEmojis } from '../../Channel/emojiData';
+import {
+  defaultMinimalEmojis,
+  toEmojiMartCustomEmoji,
+} from '../../Channel/emojiData';
 import ReactionSelector from '../ReactionSelector';
 import { Avatar as AvatarMock } from '../../Avatar';
 
@@ -157,4 +160,82 @@ describe('ReactionSelector', () => {
 
     expect(handleReactionMock).toHaveBeenCalledWith('love');
   });
+
+  it('should let the user pick a reaction with the keyboard', () => {
+    const { getAllByRole, getByRole } = renderComponent();
+    const menu = getByRole('menu');
+    const items = getAllByRole('menuitem');
+
+    expect(menu).toHaveAttribute('aria-orientation', 'horizontal');
+    expect(items[0]).toHaveFocus();
+    fireEvent.keyDown(menu, { key: 'ArrowRight' });
+    expect(items[1]).toHaveFocus();
+    fireEvent.keyDown(menu, { key: 'ArrowLeft' });
+    fireEvent.keyDown(menu, { key: 'ArrowLeft' });
+    expect(items[items.length - 1]).toHaveFocus();
+    fireEvent.keyDown(menu, { key: 'Enter' });
+
+    expect(handleReactionMock).toHaveBeenCalledWith(
+      defaultMinimalEmojis[defaultMinimalEmojis.length - 1].id,
+    );
+  });
+
+  it('should record the use of the emoji of a new reaction', () => {
+    const recordEmojiUsage = jest.fn();
+    const { getByTestId } = render(
+      <ChannelContext.Provider
+        value={{ emojiConfig: { ...emojiMockConfig, recordEmojiUsage } }}
+      >
+        <ReactionSelector
+          handleReaction={handleReactionMock}
+          own_reactions={[generateReaction({ user: alice, type: 'haha' })]}
+        />
+      </ChannelContext.Provider>,
+    );
+
+    fireEvent.click(getByTestId('emoji-love'));
+    fireEvent.click(getByTestId('emoji-haha'));
+
+    expect(recordEmojiUsage).toHaveBeenCalledTimes(1);
+    expect(recordEmojiUsage).toHaveBeenCalledWith('heart');
+  });
+
+  it('should render the recently used reactions first', () => {
+    const { getAllByTestId } = render(
+      <ChannelContext.Provider
+        value={{
+          emojiConfig: { ...emojiMockConfig, recentEmojis: ['joy', 'heart'] },
+        }}
+      >
+        <ReactionSelector handleReaction={handleReactionMock} />
+      </ChannelContext.Provider>,
+    );
+
+    expect(
+      getAllByTestId(/^emoji-/)
+        .slice(0, 3)
+        .map((emoji) => emoji.dataset.testid),
+    ).toStrictEqual(['emoji-haha', 'emoji-love', 'emoji-like']);
+  });
+
+  it('should render the custom emojis as reactions', () => {
+    const customEmoji = toEmojiMartCustomEmoji({
+      id: 'stream_logo',
+      imageUrl: 'https://example.com/stream.png',
+      name: 'Stream Logo',
+    });
+    const { getByTestId } = render(
+      <ChannelContext.Provider
+        value={{
+          emojiConfig: { ...emojiMockConfig, customEmojis: [customEmoji] },
+        }}
+      >
+        <ReactionSelector handleReaction={handleReactionMock} />
+      </ChannelContext.Provider>,
+    );
+
+    fireEvent.click(getByTestId('emoji-stream_logo'));
+
+    expect(handleReactionMock).toHaveBeenCalledWith('stream_logo');
+  });
 });
@@ -0,0 +1,171 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { generateReaction, generateUser, emojiMockConfig } from 'mock-builders';
+import ReactionsDetailsModal from '../ReactionsDetailsModal';
+import { ChannelContext } from '../../../context';
+
+jest.mock('emoji-mart/dist-modern/components/emoji/nimble-emoji', () =>
+  jest.fn(({ emoji }) => <div data-testid={`emoji-${emoji.id}`} />),
+);
+
+const alice = generateUser({ id: 'alice', name: 'Alice' });
+const bob = generateUser({ id: 'bob', name: 'Bob' });
+const handleReactionMock = jest.fn();
+const messageId = 'message-id';
+
+const renderComponent = (getReactions, props = {}) =>
+  render(
+    <ChannelContext.Provider
+      value={{
+        channel: { getReactions },
+        client: { userID: alice.id },
+        emojiConfig: emojiMockConfig,
+      }}
+    >
+      <ReactionsDetailsModal
+        handleReaction={handleReactionMock}
+        messageId={messageId}
+        onClose={jest.fn()}
+        {...props}
+      />
+    </ChannelContext.Provider>,
+  );
+
+describe('ReactionsDetailsModal', () => {
+  afterEach(jest.clearAllMocks);
+
+  it('should list everyone who reacted with a tab for each reaction type', async () => {
+    const getReactions = jest.fn().mockResolvedValue({
+      reactions: [
+        generateReaction({ type: 'love', user: alice }),
+        generateReaction({ type: 'haha', user: bob }),
+      ],
+    });
+    const { findByText, getByText, getByTestId } = renderComponent(
+      getReactions,
+      { reaction_counts: { haha: 1, love: 1 } },
+    );
+
+    expect(await findByText('Alice')).toBeInTheDocument();
+    expect(getByText('Bob')).toBeInTheDocument();
+    expect(getReactions).toHaveBeenCalledWith(messageId, {
+      limit: 25,
+      offset: 0,
+    });
+    expect(getByTestId('reactions-details-tab-all')).toHaveTextContent('2');
+    expect(getByTestId('reactions-details-tab-love')).toHaveTextContent('1');
+
+    fireEvent.click(getByTestId('reactions-details-tab-haha'));
+
+    expect(getByText('Bob')).toBeInTheDocument();
+    expect(getByTestId('reactions-details')).not.toHaveTextContent('Alice');
+  });
+
+  it('should load the next page of reactions when there are more', async () => {
+    const firstPage = Array.from({ length: 25 }, (_, i) =>
+      generateReaction({ type: 'love', user: generateUser({ id: `u${i}` }) }),
+    );
+    const getReactions = jest
+      .fn()
+      .mockResolvedValueOnce({ reactions: firstPage })
+      .mockResolvedValueOnce({
+        reactions: [
+          firstPage[24],
+          generateReaction({ type: 'love', user: bob }),
+        ],
+      });
+    const {
+      findByText,
+      getAllByRole,
+      getByTestId,
+    } = renderComponent(getReactions, { reaction_counts: { love: 26 } });
+
+    fireEvent.click(await findByText('Load more'));
+
+    expect(await findByText('Bob')).toBeInTheDocument();
+    expect(getReactions).toHaveBeenLastCalledWith(messageId, {
+      limit: 25,
+      offset: 25,
+    });
+    expect(getAllByRole('listitem')).toHaveLength(26);
+    await waitFor(() =>
+      expect(getByTestId('reactions-details')).not.toHaveTextContent(
+        'Load more',
+      ),
+    );
+  });
+
+  it('should load the next pages when none of the reactions of the selected type are loaded', async () => {
+    const getReactions = jest
+      .fn()
+      .mockResolvedValueOnce({
+        reactions: Array.from({ length: 25 }, () =>
+          generateReaction({ type: 'love' }),
+        ),
+      })
+      .mockResolvedValueOnce({
+        reactions: [generateReaction({ type: 'haha', user: bob })],
+      });
+    const { findByText } = renderComponent(getReactions, {
+      initialReactionType: 'haha',
+      reaction_counts: { haha: 1, love: 25 },
+    });
+
+    expect(await findByText('Bob')).toBeInTheDocument();
+    expect(getReactions).toHaveBeenCalledTimes(2);
+  });
+
+  it('should let the current user remove their reaction', async () => {
+    const getReactions = jest.fn().mockResolvedValue({
+      reactions: [
+        generateReaction({ type: 'love', user: alice }),
+        generateReaction({ type: 'love', user: bob }),
+      ],
+    });
+    const {
+      findByText,
+      getAllByTestId,
+      queryByText,
+    } = renderComponent(getReactions, { reaction_counts: { love: 2 } });
+    await findByText('Alice');
+
+    expect(getAllByTestId('reactions-details-remove')).toHaveLength(1);
+    fireEvent.click(getAllByTestId('reactions-details-remove')[0]);
+
+    expect(handleReactionMock).toHaveBeenCalledWith('love');
+    expect(queryByText('Alice')).not.toBeInTheDocument();
+  });
+
+  it('should show an error when the reactions cannot be loaded', async () => {
+    const getReactions = jest.fn().mockRejectedValue(new Error('offline'));
+    const { findByText } = renderComponent(getReactions, {
+      reaction_counts: { love: 2 },
+    });
+
+    expect(await findByText('Error loading reactions')).toBeInTheDocument();
+  });
+
+  it('should load the page which failed again with the load more button', async () => {
+    const getReactions = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValueOnce({
+        reactions: [generateReaction({ type: 'love', user: bob })],
+      });
+    const { findByText, queryByText } = renderComponent(getReactions, {
+      reaction_counts: { love: 1 },
+    });
+    await findByText('Error loading reactions');
+
+    fireEvent.click(await findByText('Load more'));
+
+    expect(await findByText('Bob')).toBeInTheDocument();
+    expect(queryByText('Error loading reactions')).not.toBeInTheDocument();
+    expect(getReactions).toHaveBeenCalledTimes(2);
+    expect(getReactions).toHaveBeenLastCalledWith(messageId, {
+      limit: 25,
+      offset: 0,
+    });
+  });
+});
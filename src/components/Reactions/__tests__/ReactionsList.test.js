@@ -1,5 +1,5 @@
 import React from 'react';
-import { render } from '@testing-library/react';
+import { render, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import { generateReaction, emojiMockConfig } from 'mock-builders';
 import EmojiComponentMock from 'emoji-mart/dist-modern/components/emoji/nimble-emoji';
@@ -10,7 +10,7 @@ jest.mock('emoji-mart/dist-modern/components/emoji/nimble-emoji', () =>
   jest.fn(({ emoji }) => <div data-testid={`emoji-${emoji.id}`} />),
 );
 
-const renderComponent = ({ reaction_counts = {}, ...props }) => {
+const renderComponent = ({ reaction_counts = {}, channel, ...props }) => {
   const reactions = Object.entries(reaction_counts)
     .map(([type, count]) =>
       Array(count)
@@ -20,7 +20,7 @@ const renderComponent = ({ reaction_counts = {}, ...props }) => {
     .flat();
 
   return render(
-    <ChannelContext.Provider value={{ emojiConfig: emojiMockConfig }}>
+    <ChannelContext.Provider value={{ channel, emojiConfig: emojiMockConfig }}>
       <ReactionsList
         reaction_counts={reaction_counts}
         reactions={reactions}
@@ -101,4 +101,26 @@ describe('ReactionsList', () => {
       ),
     ).not.toBeInTheDocument();
   });
+
+  it('should show who reacted a certain way if the emoji is clicked', async () => {
+    const onClick = jest.fn();
+    const getReactions = jest.fn().mockResolvedValue({
+      reactions: [generateReaction({ type: 'love' })],
+    });
+    const { findByTestId, getByTestId } = renderComponent({
+      channel: { getReactions },
+      messageId: 'message-id',
+      onClick,
+      reaction_counts: { love: 1 },
+    });
+
+    fireEvent.click(getByTestId('emoji-love'));
+
+    expect(await findByTestId('reactions-details')).toBeInTheDocument();
+    expect(getByTestId('reactions-details-tab-love')).toHaveAttribute(
+      'aria-selected',
+      'true',
+    );
+    expect(onClick).not.toHaveBeenCalled();
+  });
 });
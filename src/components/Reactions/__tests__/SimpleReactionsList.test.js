@@ -13,7 +13,7 @@ jest.mock('emoji-mart/dist-modern/components/emoji/nimble-emoji', () =>
 const handleReactionMock = jest.fn();
 const loveEmojiTestId = 'emoji-love';
 
-const renderComponent = ({ reaction_counts = {}, ...props }) => {
+const renderComponent = ({ reaction_counts = {}, channel, ...props }) => {
   const reactions = Object.entries(reaction_counts)
     .map(([type, count]) =>
       Array(count)
@@ -24,7 +24,9 @@ const renderComponent = ({ reaction_counts = {}, ...props }) => {
 
   return {
     ...render(
-      <ChannelContext.Provider value={{ emojiConfig: emojiMockConfig }}>
+      <ChannelContext.Provider
+        value={{ channel, emojiConfig: emojiMockConfig }}
+      >
         <SimpleReactionsList
           reaction_counts={reaction_counts}
           reactions={reactions}
@@ -140,4 +142,21 @@ describe('SimpleReactionsList', () => {
       expect(queryByText(user.id, { exact: false })).not.toBeInTheDocument();
     });
   });
+
+  it('should show who reacted if the reaction count is clicked', async () => {
+    const getReactions = jest.fn().mockResolvedValue({ reactions: [] });
+    const { findByTestId, getByText } = renderComponent({
+      channel: { getReactions },
+      messageId: 'message-id',
+      reaction_counts: { love: 1 },
+    });
+
+    fireEvent.click(getByText('1'));
+
+    expect(await findByTestId('reactions-details')).toBeInTheDocument();
+    expect(getReactions).toHaveBeenCalledWith('message-id', {
+      limit: 25,
+      offset: 0,
+    });
+  });
 });
@@ -0,0 +1,93 @@
+// @ts-check
+import { useCallback, useContext, useEffect, useRef, useState } from 'react';
+
+import { ChannelContext } from '../../../context';
+
+export const DEFAULT_REACTIONS_PAGE_SIZE = 25;
+
+/** @param {import('types').StreamChatReactReactionResponse} reaction */
+const getReactionUserId = ({ user, user_id }) => user?.id || user_id;
+
+/**
+ * Pages through all the reactions of a message with `channel.getReactions`,
+ * unlike `latest_reactions` which the server caps
+ *
+ * @type {import('types').useMessageReactions}
+ */
+export const useMessageReactions = (
+  messageId,
+  { limit = DEFAULT_REACTIONS_PAGE_SIZE } = {},
+) => {
+  const { channel } = useContext(ChannelContext);
+
+  const [reactions, setReactions] = useState(
+    /** @type {import('types').StreamChatReactReactionResponse[]} */ ([]),
+  );
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [error, setError] = useState(/** @type {Error | null} */ (null));
+
+  const loadingRef = useRef(false);
+  const isMounted = useRef(true);
+  useEffect(
+    () => () => {
+      isMounted.current = false;
+    },
+    [],
+  );
+
+  const loadMore = useCallback(async () => {
+    if (!channel || !hasMore || loadingRef.current) return;
+
+    loadingRef.current = true;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await channel.getReactions(messageId, {
+        limit,
+        offset: reactions.length,
+      });
+      if (!isMounted.current) return;
+
+      // reactions added meanwhile shift the pages, the ones already loaded come again
+      setReactions((prevReactions) => [
+        ...prevReactions,
+        ...response.reactions.filter(
+          (reaction) =>
+            !prevReactions.some(
+              (prevReaction) =>
+                prevReaction.type === reaction.type &&
+                getReactionUserId(prevReaction) === getReactionUserId(reaction),
+            ),
+        ),
+      ]);
+      setHasMore(response.reactions.length === limit);
+    } catch (e) {
+      if (!isMounted.current) return;
+      // the page is loaded again by the next call
+      setError(e);
+    }
+
+    loadingRef.current = false;
+    setLoading(false);
+  }, [channel, hasMore, limit, messageId, reactions.length]);
+
+  const discardReaction = useCallback(
+    /** @param {import('types').StreamChatReactReactionResponse} reaction */
+    (reaction) => {
+      setReactions((prevReactions) =>
+        prevReactions.filter((prevReaction) => prevReaction !== reaction),
+      );
+    },
+    [],
+  );
+
+  useEffect(() => {
+    loadMore();
+    // only the first page is loaded by itself, the next ones when they are needed
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return { discardReaction, error, hasMore, loadMore, loading, reactions };
+};
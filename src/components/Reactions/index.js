@@ -1,3 +1,5 @@
 export { default as ReactionSelector } from './ReactionSelector';
+export { default as ReactionsDetailsModal } from './ReactionsDetailsModal';
 export { default as ReactionsList } from './ReactionsList';
 export { default as SimpleReactionsList } from './SimpleReactionsList';
+export * from './hooks';
@@ -4,7 +4,7 @@ import PropTypes from 'prop-types';
 
 import { Message } from '../Message';
 import { MessageInput, MessageInputSmall } from '../MessageInput';
-import { MessageList } from '../MessageList';
+import { MessageList, VirtualizedMessageList } from '../MessageList';
 
 import { ChannelContext, ChatContext, TranslationContext } from '../../context';
 import { smartRender } from '../../utils';
@@ -61,6 +61,8 @@ Thread.propTypes = {
   MessageInput: /** @type {PropTypes.Validator<React.ComponentType<import('types').MessageInputProps>>} */ (PropTypes.elementType),
   /** UI component used to override the default header of the thread */
   ThreadHeader: /** @type {PropTypes.Validator<React.ComponentType<import('types').ThreadHeaderProps>>} */ (PropTypes.elementType),
+  /** Display the replies in a [VirtualizedMessageList](https://getstream.github.io/stream-chat-react/#virtualizedmessagelist), for long threads */
+  virtualized: PropTypes.bool,
 };
 
 Thread.defaultProps = {
@@ -103,6 +105,45 @@ const DefaultThreadHeader = ({ closeThread, t, thread }) => {
   );
 };
 
+/**
+ * The props of the Thread used by its start, which the virtualized list renders without props
+ * @type {React.Context<Pick<import('types').ThreadProps, 'additionalParentMessageProps' | 'Message'>>}
+ */
+const ThreadStartContext = React.createContext({});
+
+/**
+ * The parent message scrolls with the replies, as the first row of the virtualized list. The component is defined once
+ * so that the list does not mount the row again when the thread changes.
+ * @type {React.FC}
+ */
+const ThreadStart = () => {
+  const { channel, thread } = useContext(ChannelContext);
+  const { client } = useContext(ChatContext);
+  const { t } = useContext(TranslationContext);
+  const { additionalParentMessageProps, Message: ThreadMessage } = useContext(
+    ThreadStartContext,
+  );
+
+  return (
+    <>
+      {thread && (
+        <Message
+          channel={channel}
+          client={client}
+          initialMessage
+          message={thread}
+          Message={ThreadMessage}
+          threadList
+          {...additionalParentMessageProps}
+        />
+      )}
+      <div className="str-chat__thread-start">
+        {t && t('Start of a new thread')}
+      </div>
+    </>
+  );
+};
+
 /**
  * @typedef {import('types').ThreadProps & {key: string}} ThreadInnerProps
  * @type { React.FC<ThreadInnerProps>}
@@ -117,6 +158,7 @@ const ThreadInner = (props) => {
     Message: PropMessage,
     MessageInput: ThreadMessageInput,
     ThreadHeader = DefaultThreadHeader,
+    virtualized,
   } = props;
 
   const {
@@ -165,30 +207,45 @@ const ThreadInner = (props) => {
       }`}
     >
       <ThreadHeader closeThread={closeThread} t={t} thread={thread} />
-      <div className="str-chat__thread-list" ref={messageList}>
-        <Message
-          channel={channel}
-          client={client}
-          initialMessage
-          message={thread}
-          Message={ThreadMessage}
-          threadList
-          {...additionalParentMessageProps}
-        />
-        <div className="str-chat__thread-start">
-          {t && t('Start of a new thread')}
+      {virtualized ? (
+        <div className="str-chat__thread-list str-chat__thread-list--virtualized">
+          <ThreadStartContext.Provider
+            value={{ additionalParentMessageProps, Message: ThreadMessage }}
+          >
+            <VirtualizedMessageList
+              HeaderComponent={ThreadStart}
+              Message={ThreadMessage}
+              threadList
+              {...additionalMessageListProps}
+            />
+          </ThreadStartContext.Provider>
         </div>
-        <MessageList
-          hasMore={threadHasMore}
-          loadMore={loadMoreThread}
-          loadingMore={threadLoadingMore}
-          messages={threadMessages}
-          Message={ThreadMessage}
-          read={read}
-          threadList
-          {...additionalMessageListProps}
-        />
-      </div>
+      ) : (
+        <div className="str-chat__thread-list" ref={messageList}>
+          <Message
+            channel={channel}
+            client={client}
+            initialMessage
+            message={thread}
+            Message={ThreadMessage}
+            threadList
+            {...additionalParentMessageProps}
+          />
+          <div className="str-chat__thread-start">
+            {t && t('Start of a new thread')}
+          </div>
+          <MessageList
+            hasMore={threadHasMore}
+            loadMore={loadMoreThread}
+            loadingMore={threadLoadingMore}
+            messages={threadMessages}
+            Message={ThreadMessage}
+            read={read}
+            threadList
+            {...additionalMessageListProps}
+          />
+        </div>
+      )}
       {smartRender(ThreadMessageInput, {
         Input: MessageInputSmall,
         parent: thread,
@@ -11,7 +11,10 @@ import {
   generateChannel,
 } from 'mock-builders';
 import { Message as MessageMock } from '../../Message';
-import { MessageList as MessageListMock } from '../../MessageList';
+import {
+  MessageList as MessageListMock,
+  VirtualizedMessageList as VirtualizedMessageListMock,
+} from '../../MessageList';
 import { MessageInput as MessageInputMock } from '../../MessageInput';
 import Thread from '../Thread';
 import { ChannelContext, TranslationContext } from '../../../context';
@@ -21,6 +24,7 @@ jest.mock('../../Message', () => ({
 }));
 jest.mock('../../MessageList', () => ({
   MessageList: jest.fn(() => <div />),
+  VirtualizedMessageList: jest.fn(({ HeaderComponent }) => <HeaderComponent />),
 }));
 jest.mock('../../MessageInput', () => ({
   MessageInput: jest.fn(() => <div />),
@@ -99,6 +103,55 @@ describe('Thread', () => {
     );
   });
 
+  it('should render the replies in the VirtualizedMessageList after the thread start if virtualized is set', () => {
+    const additionalMessageListProps = { propName: 'value' };
+    const { getByText } = renderComponent({
+      additionalMessageListProps,
+      Message: MessageMock,
+      virtualized: true,
+    });
+
+    expect(MessageListMock).not.toHaveBeenCalled();
+    expect(VirtualizedMessageListMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        Message: MessageMock,
+        threadList: true,
+        ...additionalMessageListProps,
+      }),
+      {},
+    );
+    expect(MessageMock).toHaveBeenCalledWith(
+      expect.objectContaining({ message: threadStart }),
+      {},
+    );
+    expect(getByText('Start of a new thread')).toBeInTheDocument();
+  });
+
+  it('should keep the same thread start component in the VirtualizedMessageList when the thread changes', () => {
+    const { rerender } = renderComponent({ virtualized: true });
+    const updatedThread = { ...threadStart, reply_count: 3 };
+
+    rerender(
+      <TranslationContext.Provider value={{ t: i18nMock }}>
+        <ChannelContext.Provider
+          value={{ ...channelContextMock, thread: updatedThread }}
+        >
+          <Thread virtualized />
+        </ChannelContext.Provider>
+      </TranslationContext.Provider>,
+    );
+
+    const { calls } = VirtualizedMessageListMock.mock;
+    expect(calls.length).toBeGreaterThan(1);
+    expect(calls[calls.length - 1][0].HeaderComponent).toBe(
+      calls[0][0].HeaderComponent,
+    );
+    expect(MessageMock).toHaveBeenLastCalledWith(
+      expect.objectContaining({ message: updatedThread }),
+      {},
+    );
+  });
+
   it('should render the default MessageInput if nothing was passed into the prop', () => {
     const additionalMessageInputProps = { propName: 'value' };
     renderComponent({ autoFocus: true, additionalMessageInputProps });
@@ -1,57 +1,106 @@
 // @ts-check
 import React, { useContext } from 'react';
 
-import { ChannelContext } from '../../context';
+import { ChannelContext, ChatContext, TranslationContext } from '../../context';
 import { Avatar as DefaultAvatar } from '../Avatar';
+import { useTypingUsers } from './hooks';
+import { getTypingIndicatorText } from './utils';
 
 /**
- * TypingIndicator lists users currently typing, it needs to be a child of Channel component
- * @typedef {import('types').TypingIndicatorProps} Props
- * @type {React.FC<Props>}
+ * TypingIndicator lists users currently typing, it needs to be a child of Channel component,
+ * unless the channel is given as a prop
+ * @example ../../docs/TypingIndicator.md
+ * @type {React.FC<import('types').TypingIndicatorProps>}
  */
 const TypingIndicator = ({
   Avatar = DefaultAvatar,
   avatarSize = 32,
+  channel: propChannel,
+  maxAvatars,
+  staleTimeout,
   threadList,
+  variant = 'avatars',
 }) => {
-  const { channel, client, thread, typing } = useContext(ChannelContext);
+  const channelContext = useContext(ChannelContext);
+  const { client: chatClient } = useContext(ChatContext);
+  const { t } = useContext(TranslationContext);
 
-  if (!typing || !client || channel?.getConfig()?.typing_events === false) {
+  const channel = propChannel || channelContext.channel;
+  const client = channelContext.client || (propChannel && chatClient);
+  // the typing state of the context belongs to the channel of the context
+  const typing = propChannel ? undefined : channelContext.typing;
+
+  const typingUsers = useTypingUsers({
+    channel: propChannel,
+    client,
+    parentId: threadList ? channelContext.thread?.id || null : undefined,
+    staleTimeout,
+    typing,
+  });
+
+  if (
+    (!typing && !propChannel) ||
+    !client ||
+    channel?.getConfig()?.typing_events === false
+  ) {
     return null;
   }
 
-  const typingInChannel = Object.values(typing).filter(
-    ({ user, parent_id }) => user?.id !== client.user?.id && parent_id == null,
-  );
+  // a thread list without an open thread has nobody typing
+  const users = threadList && !channelContext.thread ? [] : typingUsers;
 
-  const typingInThread = Object.values(typing).some(
-    (event) => event?.parent_id === thread?.id,
-  );
+  if (variant === 'header') {
+    if (!users.length) return null;
+    return (
+      <span
+        className="str-chat__typing-indicator-header"
+        data-testid="typing-indicator-header"
+      >
+        {getTypingIndicatorText(users, t)}
+      </span>
+    );
+  }
+
+  const avatarUsers =
+    maxAvatars !== undefined ? users.slice(0, maxAvatars) : users;
+  const hiddenAvatarsCount = users.length - avatarUsers.length;
 
   return (
     <div
       className={`str-chat__typing-indicator ${
-        (threadList && typingInThread) ||
-        (!threadList && typingInChannel.length)
-          ? 'str-chat__typing-indicator--typing'
-          : ''
-      }`}
+        users.length ? 'str-chat__typing-indicator--typing' : ''
+      }${variant === 'text' ? ' str-chat__typing-indicator--text' : ''}`}
     >
-      <div className="str-chat__typing-indicator__avatars">
-        {typingInChannel.map(({ user }, i) => (
-          <Avatar
-            image={user?.image}
-            size={avatarSize}
-            name={user?.name || user?.id}
-            key={`${user?.id}-${i}`}
-          />
-        ))}
-      </div>
+      {variant === 'text' ? null : (
+        <div className="str-chat__typing-indicator__avatars">
+          {avatarUsers.map((user, i) => (
+            <Avatar
+              image={user?.image}
+              size={avatarSize}
+              name={user?.name || user?.id}
+              key={`${user?.id}-${i}`}
+            />
+          ))}
+          {hiddenAvatarsCount > 0 && (
+            <span className="str-chat__typing-indicator__avatars-more">
+              +{hiddenAvatarsCount}
+            </span>
+          )}
+        </div>
+      )}
       <div className="str-chat__typing-indicator__dots">
         <span className="str-chat__typing-indicator__dot" />
         <span className="str-chat__typing-indicator__dot" />
         <span className="str-chat__typing-indicator__dot" />
       </div>
+      {variant === 'text' && (
+        <div
+          className="str-chat__typing-indicator__text"
+          data-testid="typing-indicator-text"
+        >
+          {getTypingIndicatorText(users, t)}
+        </div>
+      )}
     </div>
   );
 };
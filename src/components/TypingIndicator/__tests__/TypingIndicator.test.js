@@ -18,16 +18,26 @@ afterEach(cleanup); // eslint-disable-line
 
 const alice = generateUser();
 
-async function renderComponent(typing = {}, threadList, value = {}) {
+async function renderComponent(
+  typing = {},
+  threadList,
+  value = {},
+  props = {},
+) {
   const client = await getTestClientWithUser(alice);
 
   return render(
     <ChannelContext.Provider value={{ client, typing, ...value }}>
-      <TypingIndicator threadList={threadList} />
+      <TypingIndicator threadList={threadList} {...props} />
     </ChannelContext.Provider>,
   );
 }
 
+const jessica = { id: 'jessica', image: 'jessica.jpg', name: 'Jessica' };
+const joris = { id: 'joris', image: 'joris.jpg', name: 'Joris' };
+const margriet = { id: 'margriet', image: 'margriet.jpg', name: 'Margriet' };
+const wouter = { id: 'wouter', image: 'wouter.jpg', name: 'Wouter' };
+
 describe('TypingIndicator', () => {
   it('should render null without proper context values', () => {
     const tree = renderer
@@ -121,6 +131,88 @@ describe('TypingIndicator', () => {
     expect(getAllByTestId('avatar-img')).toHaveLength(3);
   });
 
+  it('should limit the number of avatars to maxAvatars and count the other typing users', async () => {
+    const { getAllByTestId, getByText } = await renderComponent(
+      {
+        jessica: { user: jessica },
+        joris: { user: joris },
+        margriet: { user: margriet },
+      },
+      false,
+      {},
+      { maxAvatars: 2 },
+    );
+    expect(getAllByTestId('avatar-img')).toHaveLength(2);
+    expect(getByText('+1')).toBeInTheDocument();
+  });
+
+  it('should not display the users whose typing.start event is older than the stale timeout', async () => {
+    const { container, getAllByTestId } = await renderComponent({
+      jessica: { received_at: new Date(), user: jessica },
+      joris: { received_at: new Date(Date.now() - 10000), user: joris },
+    });
+    expect(getAllByTestId('avatar-img')).toHaveLength(1);
+    expect(
+      container.firstChild.classList.contains(
+        'str-chat__typing-indicator--typing',
+      ),
+    ).toBe(true);
+  });
+
+  describe('text variant', () => {
+    it.each([
+      [[jessica], '{{ user }} is typing...'],
+      [[jessica, joris], '{{ firstUser }} and {{ secondUser }} are typing...'],
+      [
+        [jessica, joris, margriet],
+        '{{ commaSeparatedUsers }} and {{ lastUser }} are typing...',
+      ],
+      [[jessica, joris, margriet, wouter], 'Several people are typing...'],
+    ])(
+      'should tell who is typing instead of displaying avatars',
+      async (users, expectedText) => {
+        const typing = users.reduce(
+          (acc, user) => ({ ...acc, [user.id]: { user } }),
+          { alice: { user: alice } },
+        );
+        const { getByTestId, queryByTestId } = await renderComponent(
+          typing,
+          false,
+          {},
+          { variant: 'text' },
+        );
+        expect(getByTestId('typing-indicator-text')).toHaveTextContent(
+          expectedText,
+        );
+        expect(queryByTestId('avatar-img')).not.toBeInTheDocument();
+      },
+    );
+  });
+
+  describe('header variant', () => {
+    it('should render nothing while nobody else is typing', async () => {
+      const { container } = await renderComponent(
+        { alice: { user: alice } },
+        false,
+        {},
+        { variant: 'header' },
+      );
+      expect(container).toBeEmptyDOMElement();
+    });
+
+    it('should tell who is typing', async () => {
+      const { getByTestId } = await renderComponent(
+        { jessica: { user: jessica } },
+        false,
+        {},
+        { variant: 'header' },
+      );
+      expect(getByTestId('typing-indicator-header')).toHaveTextContent(
+        '{{ user }} is typing...',
+      );
+    });
+  });
+
   it('should render null if typing_events is disabled', async () => {
     const client = await getTestClientWithUser();
     const ch = generateChannel({ config: { typing_events: false } });
@@ -172,6 +264,24 @@ describe('TypingIndicator', () => {
       ).toBe(true);
     });
 
+    it('should render the avatars of the users typing in the thread only', async () => {
+      const { getByTestId, getAllByTestId } = await renderComponent(
+        {
+          jessica: { parent_id: 'sample-thread', user: jessica },
+          joris: { user: joris },
+        },
+        true,
+        {
+          client,
+          channel,
+          thread: { id: 'sample-thread' },
+        },
+      );
+
+      expect(getAllByTestId('avatar-img')).toHaveLength(1);
+      expect(getByTestId('avatar-img')).toHaveAttribute('src', 'jessica.jpg');
+    });
+
     it('should not render TypingIndicator in main channel if user is typing in thread', async () => {
       const { container } = await renderComponent(
         { example: { parent_id: 'sample-thread', user: 'test-user' } },
@@ -0,0 +1,88 @@
+import { act, renderHook } from '@testing-library/react-hooks';
+import {
+  generateChannel,
+  generateUser,
+  getOrCreateChannelApi,
+  getTestClientWithUser,
+  useMockedApis,
+} from 'mock-builders';
+import { useTypingUsers } from '../useTypingUsers';
+
+const alice = generateUser();
+const bob = generateUser();
+const carol = generateUser();
+
+describe('useTypingUsers', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await getTestClientWithUser(alice);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should return the other users typing in the channel', () => {
+    const typing = {
+      [alice.id]: { user: alice },
+      [bob.id]: { user: bob },
+      [carol.id]: { parent_id: 'thread-id', user: carol },
+    };
+    const { result } = renderHook(() => useTypingUsers({ client, typing }));
+    expect(result.current).toStrictEqual([bob]);
+  });
+
+  it('should return the users typing in the thread', () => {
+    const typing = {
+      [bob.id]: { user: bob },
+      [carol.id]: { parent_id: 'thread-id', user: carol },
+    };
+    const { result } = renderHook(() =>
+      useTypingUsers({ client, parentId: 'thread-id', typing }),
+    );
+    expect(result.current).toStrictEqual([carol]);
+  });
+
+  it('should remove the users typing for longer than the stale timeout without a new typing.start event', () => {
+    jest.useFakeTimers('modern');
+    const typing = { [bob.id]: { received_at: new Date(), user: bob } };
+    const { result } = renderHook(() =>
+      useTypingUsers({ client, staleTimeout: 5000, typing }),
+    );
+    expect(result.current).toStrictEqual([bob]);
+
+    act(() => {
+      jest.advanceTimersByTime(5000);
+    });
+    expect(result.current).toStrictEqual([]);
+  });
+
+  it('should listen to the typing events of the channel when no typing state is given', async () => {
+    const mockedChannel = generateChannel();
+    useMockedApis(client, [getOrCreateChannelApi(mockedChannel)]);
+    const channel = client.channel('messaging', mockedChannel.channel.id);
+    await channel.watch();
+
+    const { result } = renderHook(() => useTypingUsers({ channel, client }));
+    expect(result.current).toStrictEqual([]);
+
+    act(() => {
+      client.dispatchEvent({
+        cid: channel.cid,
+        type: 'typing.start',
+        user: bob,
+      });
+    });
+    expect(result.current).toStrictEqual([bob]);
+
+    act(() => {
+      client.dispatchEvent({
+        cid: channel.cid,
+        type: 'typing.stop',
+        user: bob,
+      });
+    });
+    expect(result.current).toStrictEqual([]);
+  });
+});
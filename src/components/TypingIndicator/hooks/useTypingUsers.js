@@ -0,0 +1,82 @@
+// @ts-check
+import { useEffect, useRef, useState } from 'react';
+
+// same delay as the cleaning of the typing state done by stream-chat
+const DEFAULT_STALE_TIMEOUT = 7000;
+
+/**
+ * The other users typing in the channel or in a thread. A user is not considered typing anymore once the last
+ * typing.start event is older than the stale timeout, in case the typing.stop event is never received.
+ * @type {import('types').useTypingUsers}
+ */
+export const useTypingUsers = ({
+  channel,
+  client,
+  parentId,
+  staleTimeout = DEFAULT_STALE_TIMEOUT,
+  typing,
+}) => {
+  const [channelTyping, setChannelTyping] = useState(
+    () => channel?.state?.typing || {},
+  );
+  // forces a render once the oldest typing event becomes stale
+  const [, setStaleCheck] = useState(0);
+  const receivedAt = useRef(
+    /** @type {WeakMap<import('stream-chat').Event, number>} */ (new WeakMap()),
+  );
+
+  const listensToChannel = !typing && !!channel;
+
+  // outside of a Channel component, the typing state is read from the channel
+  useEffect(() => {
+    if (!listensToChannel || !channel) return undefined;
+    const handleEvent = () => setChannelTyping({ ...channel.state.typing });
+    setChannelTyping({ ...channel.state.typing });
+
+    channel.on('typing.start', handleEvent);
+    channel.on('typing.stop', handleEvent);
+    return () => {
+      channel.off('typing.start', handleEvent);
+      channel.off('typing.stop', handleEvent);
+    };
+  }, [channel, listensToChannel]);
+
+  /** @param {import('stream-chat').Event} event */
+  const getReceivedAt = (event) => {
+    if (event.received_at) return new Date(event.received_at).getTime();
+    // the events dispatched locally have no received_at, the first time they are seen is used instead
+    const seenAt = receivedAt.current.get(event) || Date.now();
+    receivedAt.current.set(event, seenAt);
+    return seenAt;
+  };
+
+  const now = Date.now();
+  const typingEvents = Object.values(
+    (listensToChannel ? channelTyping : typing) || {},
+  )
+    .filter(
+      (event) =>
+        !!event?.user &&
+        event.user.id !== client?.user?.id &&
+        (parentId ? event.parent_id === parentId : !event.parent_id),
+    )
+    .filter((event) => now - getReceivedAt(event) < staleTimeout);
+
+  const nextStaleAt = Math.min(
+    ...typingEvents.map((event) => getReceivedAt(event) + staleTimeout),
+  );
+
+  useEffect(() => {
+    if (!Number.isFinite(nextStaleAt)) return undefined;
+    const timeout = setTimeout(
+      () => setStaleCheck((staleCheck) => staleCheck + 1),
+      Math.max(nextStaleAt - Date.now(), 0),
+    );
+    return () => clearTimeout(timeout);
+  }, [nextStaleAt]);
+
+  return typingEvents.map(
+    ({ user }) =>
+      /** @type {import('stream-chat').UserResponse<import('types').StreamChatReactUserType>} */ (user),
+  );
+};
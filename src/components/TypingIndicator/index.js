@@ -1 +1,3 @@
 export { default as TypingIndicator } from './TypingIndicator';
+export * from './hooks';
+export * from './utils';
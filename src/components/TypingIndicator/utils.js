@@ -0,0 +1,31 @@
+// @ts-check
+
+/**
+ * The sentence telling who is typing, e.g. "Alice and Bob are typing..."
+ * @param {Array<import('stream-chat').UserResponse | undefined>} users The users typing, without the current user
+ * @param {import('i18next').TFunction} t
+ */
+export const getTypingIndicatorText = (users, t) => {
+  const names = users.map((user) => user?.name || user?.id || '');
+  if (names.length === 0) return '';
+  if (names.length === 1) {
+    return t('{{ user }} is typing...', { user: names[0] });
+  }
+  if (names.length === 2) {
+    // joins all with "and" but =no commas
+    // example: "bob and sam"
+    return t('{{ firstUser }} and {{ secondUser }} are typing...', {
+      firstUser: names[0],
+      secondUser: names[1],
+    });
+  }
+  if (names.length === 3) {
+    // joins all with commas, but last one gets "and"
+    // example: "bob, joe and sam"
+    return t('{{ commaSeparatedUsers }} and {{ lastUser }} are typing...', {
+      commaSeparatedUsers: names.slice(0, -1).join(', '),
+      lastUser: names[names.length - 1],
+    });
+  }
+  return t('Several people are typing...');
+};
@@ -5,11 +5,14 @@ export * from './ChannelPreview';
 export * from './Channel';
 export * from './ChannelHeader';
 export * from './ChannelList';
+export * from './ChannelMembers';
 export * from './ChannelSearch';
+export * from './ChannelSettings';
 export * from './Chat';
 export * from './ChatAutoComplete';
 export * from './ChatDown';
 export * from './CommandItem';
+export * from './CreateChannel';
 export * from './DateSeparator';
 export * from './EmoticonItem';
 export * from './EmptyStateIndicator';
@@ -22,7 +25,9 @@ export * from './Message';
 export * from './MessageActions';
 export * from './MessageInput';
 export * from './MessageList';
+export * from './MessageSearch';
 export * from './Modal';
+export * from './PinnedMessageList';
 export * from './Reactions';
 export * from './SafeAnchor';
 export * from './Thread';
@@ -20,6 +20,7 @@ export const getOrCreateChannelApi = (
     messages: channel.messages,
     members: channel.members,
     pinnedMessages: channel.pinnedMessages,
+    read: channel.read,
     duration: 0.01,
   };
 
@@ -18,6 +18,8 @@ export const useMockedApis = (client, apiResponses) => {
 
 export * from './queryChannels';
 export * from './queryMembers';
+export * from './queryUsers';
+export * from './search';
 export * from './getOrCreateChannel';
 export * from './threadReplies';
 export * from './sendMessage';
@@ -0,0 +1,17 @@
+import { mockedApiResponse } from './utils.js';
+
+/**
+ * Returns the api response for search api
+ *
+ * api - /search
+ *
+ * @param {*} messages Array of message objects.
+ */
+export const searchApi = (messages = []) => {
+  const result = {
+    results: messages.map((message) => ({ message })),
+    duration: 0.01,
+  };
+
+  return mockedApiResponse(result, 'get');
+};
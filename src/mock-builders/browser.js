@@ -0,0 +1,101 @@
+/**
+ * Mocks the MediaRecorder, getUserMedia and AudioContext browser APIs, which jsdom lacks.
+ * The recorders emit a single chunk when they are stopped, the analysers report a loud signal.
+ */
+export const mockMediaRecorder = () => {
+  const recorders = [];
+  const track = { stop: jest.fn() };
+  const stream = { getTracks: () => [track] };
+  const getUserMedia = jest.fn(() => Promise.resolve(stream));
+
+  class MediaRecorder {
+    constructor(mediaStream, options = {}) {
+      this.mimeType = options.mimeType || 'audio/webm';
+      this.state = 'inactive';
+      this.stream = mediaStream;
+      this.ondataavailable = null;
+      this.onstop = null;
+      ['pause', 'resume', 'start', 'stop'].forEach((method) =>
+        jest.spyOn(this, method),
+      );
+      recorders.push(this);
+    }
+
+    pause() {
+      this.state = 'paused';
+    }
+
+    resume() {
+      this.state = 'recording';
+    }
+
+    start() {
+      this.state = 'recording';
+    }
+
+    stop() {
+      this.state = 'inactive';
+      if (this.ondataavailable) {
+        this.ondataavailable({
+          data: new Blob(['voice message'], { type: this.mimeType }),
+        });
+      }
+      if (this.onstop) this.onstop();
+    }
+  }
+  MediaRecorder.isTypeSupported = (type) => type === 'audio/webm;codecs=opus';
+
+  const audioContexts = [];
+  class AudioContext {
+    constructor() {
+      this.state = 'running';
+      jest.spyOn(this, 'close');
+      audioContexts.push(this);
+    }
+
+    close() {
+      this.state = 'closed';
+      return Promise.resolve();
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    createAnalyser() {
+      return {
+        fftSize: 2048,
+        getByteTimeDomainData: (buffer) => buffer.fill(192),
+      };
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    createMediaStreamSource() {
+      return { connect: () => {} };
+    }
+  }
+
+  const originals = {
+    AudioContext: window.AudioContext,
+    MediaRecorder: window.MediaRecorder,
+    mediaDevices: navigator.mediaDevices,
+  };
+  window.AudioContext = AudioContext;
+  window.MediaRecorder = MediaRecorder;
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: { getUserMedia },
+  });
+
+  return {
+    audioContexts,
+    getUserMedia,
+    recorders,
+    restore: () => {
+      window.AudioContext = originals.AudioContext;
+      window.MediaRecorder = originals.MediaRecorder;
+      Object.defineProperty(navigator, 'mediaDevices', {
+        configurable: true,
+        value: originals.mediaDevices,
+      });
+    },
+    track,
+  };
+};
@@ -12,3 +12,4 @@ export { default as dispatchNotificationRemovedFromChannel } from './notificatio
 export { default as dispatchConnectionRecoveredEvent } from './connectionRecovered';
 export { default as dispatchConnectionChangedEvent } from './connectionChanged';
 export { default as dispatchNotificationMutesUpdated } from './notificationMutesUpdated';
+export { default as dispatchMessageReadEvent } from './messageRead';
@@ -48,5 +48,6 @@ export const getRandomInt = (min, max) => {
 };
 
 export * from './api';
+export * from './browser';
 export * from './event';
 export * from './generator';
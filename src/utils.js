@@ -85,8 +85,29 @@ const markDownRenderers = {
   },
 };
 
-/** @type {(input: string | undefined, mentioned_users: import('stream-chat').UserResponse[] | undefined) => React.ReactNode} */
-export const renderText = (text, mentioned_users) => {
+/**
+ * Renders the custom emojis written as `:id:` in a text as images
+ * @param {string} text
+ * @param {Record<string, string>} imageUrls The images of the custom emojis, by id
+ */
+const renderCustomEmojis = (text, imageUrls) =>
+  // the ids of the emojis are at the odd indexes, between the rest of the text
+  text.split(/(:[\w+-]+:)/).map((part, i) => {
+    const imageUrl = i % 2 ? imageUrls[part.slice(1, -1)] : undefined;
+    if (!imageUrl) return part;
+    return (
+      <img
+        alt={part}
+        className="str-chat__custom-emoji"
+        key={i}
+        src={imageUrl}
+        title={part}
+      />
+    );
+  });
+
+/** @type {(input: string | undefined, mentioned_users: import('stream-chat').UserResponse[] | undefined, customEmojis?: Array<{ id: string, imageUrl: string }>) => React.ReactNode} */
+export const renderText = (text, mentioned_users, customEmojis) => {
   // take the @ mentions and turn them into markdown?
   // translate links
   if (!text) return null;
@@ -120,11 +141,26 @@ export const renderText = (text, mentioned_users) => {
     }
   }
 
+  /** @type {import('react-markdown').ReactMarkdownProps['renderers']} */
+  let renderers = markDownRenderers;
+  if (customEmojis && customEmojis.length) {
+    /** @type {Record<string, string>} */
+    const imageUrls = {};
+    customEmojis.forEach(({ id, imageUrl }) => {
+      imageUrls[id] = imageUrl;
+    });
+    renderers = {
+      ...markDownRenderers,
+      /** @param {{ children: string }} props */
+      text: ({ children }) => <>{renderCustomEmojis(children, imageUrls)}</>,
+    };
+  }
+
   return (
     <ReactMarkdown
       allowedTypes={allowedMarkups}
       source={newText}
-      renderers={markDownRenderers}
+      renderers={renderers}
       escapeHtml={true}
       unwrapDisallowed={true}
       transformLinkUri={(uri) =>
@@ -139,6 +175,16 @@ function escapeRegExp(text) {
   return text.replace(/[-[\]{}()*+?.,\\^$|#]/g, '\\$&');
 }
 
+/**
+ * Formats a duration in seconds as `m:ss`, e.g. 75 as `1:15`
+ * @type {(seconds: number) => string}
+ */
+export const formatDuration = (seconds) => {
+  const totalSeconds = Math.max(Math.floor(seconds || 0), 0);
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
 // https://stackoverflow.com/a/6860916/2570866
 export function generateRandomId() {
   // prettier-ignore
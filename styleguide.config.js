@@ -27,9 +27,15 @@ module.exports = {
         'src/components/Chat/Chat.js',
         'src/components/Channel/Channel.js',
         'src/components/ChannelList/ChannelList.js',
+        'src/components/ChannelSearch/ChannelSearch.js',
+        'src/components/CreateChannel/CreateChannel.js',
+        'src/components/ChannelMembers/ChannelMembers.js',
         'src/components/MessageList/MessageList.js',
         'src/components/MessageList/VirtualizedMessageList.js',
+        'src/components/MessageSearch/MessageSearch.js',
         'src/components/ChannelHeader/ChannelHeader.js',
+        'src/components/ChannelSettings/ChannelSettings.js',
+        'src/components/PinnedMessageList/PinnedMessageList.js',
         'src/components/Thread/Thread.js',
       ],
       exampleMode: 'collapse',
@@ -49,6 +55,7 @@ module.exports = {
             'src/components/Attachment/Attachment.js',
             'src/components/Attachment/AttachmentActions.js',
             'src/components/Reactions/ReactionSelector.js',
+            'src/components/Reactions/ReactionsDetailsModal.js',
             'src/components/MessageActions/MessageActionsBox.js',
           ],
           exampleMode: 'collapse',
@@ -128,6 +135,8 @@ module.exports = {
         'src/components/Loading/LoadingIndicator.js',
         'src/components/Image/Image.js',
         'src/components/DateSeparator/DateSeparator.js',
+        'src/components/MessageList/UnreadMessagesSeparator.js',
+        'src/components/TypingIndicator/TypingIndicator.js',
         'src/components/Window/Window.js',
         'src/components/ChannelList/ChannelListMessenger.js',
         'src/components/ChannelList/ChannelListTeam.js',
@@ -55,6 +55,10 @@ export type StreamChatReactMessageResponse = Client.MessageResponse<
   AnyType,
   StreamChatReactUserType
 >;
+export type StreamChatReactReactionResponse = Client.ReactionResponse<
+  AnyType,
+  StreamChatReactUserType
+>;
 export type StreamChatReactClient = Client.StreamChat<
   AnyType,
   StreamChatReactChannelType,
@@ -87,6 +91,32 @@ export interface ChatContextValue {
   closeMobileNav?(): void;
   theme?: string;
   mutes?: Mute[];
+  /** Sets the channel as active and jumps to the message once the channel is loaded */
+  jumpToChannelMessage?(
+    channel: ReturnType<StreamChatReactClient['channel']>,
+    messageId: string,
+  ): Promise<void>;
+  /** The message the Channel of the same cid has to jump to */
+  messageToJumpTo?: {
+    channel: ReturnType<StreamChatReactClient['channel']>;
+    messageId: string;
+  };
+  clearMessageToJumpTo?(): void;
+  draftStorage?: DraftStorage | null;
+}
+
+/** The message being typed in a MessageInput, kept when the input is unmounted */
+export interface MessageInputDraft {
+  text: string;
+  mentioned_users: Client.UserResponse[];
+  attachments: Client.Attachment[];
+}
+
+/** Storage of the drafts, by user id and channel cid for the main input and by user id, cid and parent message id for the thread inputs */
+export interface DraftStorage {
+  getDraft(key: string): MessageInputDraft | null;
+  setDraft(key: string, draft: MessageInputDraft): void;
+  removeDraft(key: string): void;
 }
 
 export interface EmojiConfig {
@@ -103,8 +133,75 @@ export interface EmojiConfig {
     sheetRows: number;
     sheetSize: number;
   };
+  /** The custom emojis of the `customEmojis` prop of the Channel */
+  customEmojis?: EmojiMartCustomEmoji[];
+  /** Ids of the emojis used by the user, the most frequently used first */
+  recentEmojis?: string[];
+  /** Counts one more use of an emoji, by emoji id */
+  recordEmojiUsage?(emojiId: string): void;
+  setSkinTone?(skinTone: number): void;
+  /** The skin tone chosen by the user, from 1 (no skin tone) to 6 */
+  skinTone?: number;
+}
+
+/** Custom image emoji, e.g. an emoji of a team */
+export interface CustomEmoji {
+  /** The id the emoji is written with between colons in the messages, e.g. `party_parrot` for `:party_parrot:` */
+  id: string;
+  name: string;
+  imageUrl: string;
+  /** Other words the emoji is found with in the picker and the autocomplete */
+  keywords?: string[];
+  /** The category of the emoji in the picker, defaults to `Custom` */
+  category?: string;
 }
 
+/** Custom emoji in the format of the emoji-mart custom emojis */
+export interface EmojiMartCustomEmoji {
+  colons: string;
+  custom: true;
+  customCategory?: string;
+  emoticons: string[];
+  id: string;
+  imageUrl: string;
+  keywords: string[];
+  name: string;
+  short_names: string[];
+  text: string;
+}
+
+export interface EmojiUsage {
+  id: string;
+  count: number;
+  /** Timestamp of the last use, in milliseconds */
+  lastUsedAt: number;
+}
+
+export interface EmojiPreferences {
+  /** From 1 (no skin tone) to 6 */
+  skinTone: number;
+  usage: EmojiUsage[];
+}
+
+/** Storage of the skin tone and of the emoji usage of the user */
+export interface EmojiPreferencesStorage {
+  getPreferences(): EmojiPreferences;
+  setPreferences(preferences: EmojiPreferences): void;
+}
+
+export function createLocalStorageEmojiPreferencesStorage(
+  key?: string,
+): EmojiPreferencesStorage;
+
+export function useEmojiPreferences(
+  storage: EmojiPreferencesStorage,
+): {
+  recentEmojis: string[];
+  recordEmojiUsage(emojiId: string): void;
+  setSkinTone(skinTone: number): void;
+  skinTone: number;
+};
+
 export interface ChannelContextValue extends ChatContextValue {
   Message?: React.ElementType<MessageUIComponentProps>;
   Attachment?: React.ElementType<WrapperAttachmentUIComponentProps>;
@@ -114,6 +211,7 @@ export interface ChannelContextValue extends ChatContextValue {
   members?: StreamChatChannelState['members'];
   read?: Client.ChannelState['read'];
   thread?: Client.MessageResponse | null;
+  pinnedMessages?: Array<StreamChatReactMessageResponse>;
   online?: boolean;
   watcher_count?: number;
   error?: Error | null;
@@ -122,13 +220,28 @@ export interface ChannelContextValue extends ChatContextValue {
   // Loading more messages
   loadingMore?: boolean;
   hasMore?: boolean;
+  // Loading newer messages after a jump to an older one
+  loadingMoreNewer?: boolean;
+  hasMoreNewer?: boolean;
+  /** The id of the message that has just been jumped to */
+  highlightedMessageId?: string | null;
+  /** The message quoted in the reply being typed */
+  quotedMessage?: Client.MessageResponse | null;
   threadLoadingMore?: boolean;
   threadHasMore?: boolean;
   threadMessages?: Array<ReturnType<StreamChatChannelState['formatMessage']>>;
+  /** The messages waiting in the outbox to be sent again, in sending order */
+  queuedMessages?: Array<OutboxEntry>;
 
   multipleUploads?: boolean;
   acceptedFiles?: string[];
   maxNumberOfFiles?: number;
+  /** File types which cannot be uploaded, extensions like `.exe` or MIME types like `application/zip` or `video/*` */
+  deniedFiles?: string[];
+  /** Max size of a file, in bytes */
+  maxFileSize?: number;
+  /** Max size of all the files of a message, in bytes */
+  maxTotalFileSize?: number;
   sendMessage?(message: {
     text?: string;
     attachments?: (
@@ -149,7 +262,10 @@ export interface ChannelContextValue extends ChatContextValue {
     mentioned_users?: string[];
     parent?: StreamChatReactMessageResponse;
     id?: string;
+    quoted_message_id?: string;
   }): Promise<any>;
+  /** Sets the message quoted in the reply being typed, null removes the quote */
+  setQuotedMessage?(message: Client.MessageResponse | null): void;
   editMessage?(
     updatedMessage: StreamChatReactMessage,
   ): Promise<Client.UpdateMessageAPIResponse | void>;
@@ -171,6 +287,27 @@ export interface ChannelContextValue extends ChatContextValue {
   ): void;
 
   loadMore?(messageLimit?: number): Promise<number>;
+  loadMoreNewer?(messageLimit?: number): Promise<number>;
+  /** Loads the messages around the given message if needed, then highlights it */
+  jumpToMessage?(messageId: string, messageLimit?: number): Promise<void>;
+  /** Loads the latest messages again after a jump to an older message */
+  jumpToLatestMessage?(messageLimit?: number): Promise<void>;
+  /** Marks the channel read for the current user */
+  markRead?(): void;
+  /** Marks the channel unread for the current user from the given message, the messages before it stay read */
+  markUnread?(messageId: string): Promise<void>;
+  /** The id of the message the channel has been marked unread from, until the channel is marked read again */
+  markedUnreadMessageId?: string | null;
+  /** Whether the messages are shown translated in the language of the user by default */
+  autoTranslate?: boolean;
+  /** Whether the user chose to show the translation or the original text of a message, by message id */
+  shownTranslations?: Record<string, boolean>;
+  /** Shows the translation of a message, or its original text */
+  setShowTranslation?(messageId: string, show: boolean): void;
+  /** The message the user asked to edit from the message input, it switches to its edit mode */
+  editRequest?: MessageEditRequest | null;
+  /** Switches a message to its edit mode, e.g. the last own message when the Up arrow key is pressed in an empty message input */
+  requestMessageEdit?(messageId: string, threadList?: boolean): void;
   // thread related
   closeThread?(event: React.SyntheticEvent): void;
   loadMoreThread?(): void;
@@ -181,8 +318,16 @@ export interface ChannelContextValue extends ChatContextValue {
   dispatch?: React.Dispatch<ChannelStateReducerAction>;
 }
 
+export interface MessageEditRequest {
+  messageId: string;
+  /** Whether the message is edited in the thread */
+  threadList: boolean;
+}
+
 export interface ChatProps {
   client: Client.StreamChat;
+  /** Storage of the drafts of the MessageInput components, null disables the drafts */
+  draftStorage?: DraftStorage | null;
   initialNavOpen?: boolean;
   i18nInstance?: Streami18n;
   theme?: string;
@@ -204,6 +349,14 @@ export interface ChannelProps {
   multipleUploads?: boolean;
   acceptedFiles?: string[];
   maxNumberOfFiles?: number;
+  /** File types which cannot be uploaded, extensions like `.exe` or MIME types like `application/zip` or `video/*` */
+  deniedFiles?: string[];
+  /** Max size of a file, in bytes */
+  maxFileSize?: number;
+  /** Max size of all the files of a message, in bytes */
+  maxTotalFileSize?: number;
+  /** Show the messages translated in the language of the user when they have a translation, true by default */
+  autoTranslate?: boolean;
 
   /** Function to be called when a @mention is clicked. Function has access to the DOM event and the target user object */
   onMentionsClick?(e: React.MouseEvent, user?: Client.UserResponse): void;
@@ -218,11 +371,53 @@ export interface ChannelProps {
   doMarkReadRequest?(
     channel: Client.Channel,
   ): Promise<Client.MessageResponse> | void;
+  /** Mark channel unread request, the mark unread message action is only available when it is provided (Advanced usage only) */
+  doMarkUnreadRequest?(
+    channel: Client.Channel,
+    messageId: string,
+  ): Promise<unknown> | void;
   /** Override update(edit) message request (Advanced usage only) */
   doUpdateMessageRequest?(
     channelId: string,
     updatedMessage: Client.Message,
   ): Promise<Client.UpdateMessageAPIResponse>;
+  /** Storage of the messages which could not be sent because of a connection issue, defaults to an in-memory storage */
+  outboxStorage?: OutboxStorage;
+  /** Custom image emojis, available in the emoji picker, the autocomplete and the reactions */
+  customEmojis?: CustomEmoji[];
+  /** Storage of the skin tone and of the recently used emojis of the user, defaults to a localStorage storage */
+  emojiPreferencesStorage?: EmojiPreferencesStorage;
+}
+
+/** The notification.mark_unread event, which is not part of the event types of stream-chat */
+export interface MarkUnreadEvent {
+  type: 'notification.mark_unread';
+  channel_id?: string;
+  channel_type?: string;
+  cid?: string;
+  created_at?: string;
+  /** The id of the first unread message */
+  first_unread_message_id?: string;
+  /** The new last read date of the user */
+  last_read_at?: string;
+  unread_messages?: number;
+  user?: Client.UserResponse | null;
+}
+
+export interface OutboxEntry {
+  /** The local preview of the message, identified by its client-side id */
+  message: StreamChatReactMessage & { id: string };
+  /** The number of failed attempts to send the message */
+  attempts: number;
+}
+
+/**
+ * Storage of the outbox by user id and channel cid, see `getOutboxKey`. Its methods may return promises so that it can
+ * be backed by an asynchronous storage like IndexedDB
+ */
+export interface OutboxStorage {
+  getEntries(key: string): Array<OutboxEntry> | Promise<Array<OutboxEntry>>;
+  setEntries(key: string, entries: Array<OutboxEntry>): void | Promise<void>;
 }
 
 export type ArrayTwoOrMore<T> = {
@@ -304,6 +499,8 @@ export interface ChannelListProps {
    * Default value is true.
    */
   allowNewMessagesFromUnfilteredChannels?: boolean;
+  /** Keeps the list consistent with its filters on the events, evaluating them locally when possible */
+  evaluateFilters?: boolean;
   onMessageNew?(
     thisArg: React.Dispatch<React.SetStateAction<Client.Channel[]>>,
     e: Client.Event,
@@ -351,10 +548,76 @@ export interface ChannelListProps {
   /** Object containing sort parameters */
   sort?: Client.ChannelSort;
   showSidebar?: boolean;
+  /** Called by the button of the header of ChannelListTeam */
+  onCreateChannel?(): void;
+  /** Sections of the list, e.g. favourites, direct messages and channels */
+  sections?: ChannelListSectionConfig[];
+  /** Displays the channels with unread messages first */
+  unreadFirst?: boolean;
   watchers?: { limit?: number; offset?: number };
   customActiveChannel?: string;
 }
 
+export interface ChannelListSectionConfig {
+  /** If the section is collapsed initially */
+  collapsed?: boolean;
+  /** Query of the channels of the section, they are then loaded and paginated independently of the other sections */
+  filters?: Client.ChannelFilters;
+  /** Unique key of the section */
+  id: string;
+  options?: Client.ChannelOptions;
+  /** Picks the channels of the section among the channels of the list, when the section has no filters */
+  predicate?(channel: Client.Channel): boolean;
+  sort?: Client.ChannelSort;
+  /** Title of the section, translated */
+  title: string;
+  /** Overrides the unreadFirst prop of the ChannelList */
+  unreadFirst?: boolean;
+}
+
+export interface ChannelListSectionProps {
+  channels: Client.Channel[];
+  hasNextPage?: boolean;
+  loadNextPage(): void;
+  /** Number of channels displayed at a time when the channels are not loaded by pages */
+  pageSize?: number;
+  Paginator?: React.ElementType<PaginatorProps>;
+  refreshing?: boolean;
+  renderChannel(channel: Client.Channel): React.ReactNode;
+  section: ChannelListSectionConfig;
+  unreadFirst?: boolean;
+}
+
+/**
+ * Decides if a channel matches the filters of a channel list, `updated` when its data changed since it was added to
+ * the list
+ */
+export type ChannelFilterMatcher = (
+  channel: Client.Channel,
+  updated?: boolean,
+) => Promise<boolean>;
+
+export interface QueriedChannelListSectionProps
+  extends Omit<
+    ChannelListSectionProps,
+    'channels' | 'hasNextPage' | 'loadNextPage' | 'pageSize' | 'refreshing'
+  > {
+  channelRenderFilterFn?: ChannelListProps['channelRenderFilterFn'];
+  /** Adds the channels receiving messages to the section and removes the updated ones, according to its filters */
+  evaluateFilters?: boolean;
+  forceUpdate(): void;
+  /** The ChannelList props overriding the default handlers of the events */
+  listenerProps?: Pick<
+    ChannelListProps,
+    | 'onChannelDeleted'
+    | 'onChannelHidden'
+    | 'onChannelTruncated'
+    | 'onChannelUpdated'
+    | 'onRemovedFromChannel'
+  >;
+  lockChannelOrder?: boolean;
+}
+
 export interface ChannelListUIComponentProps {
   /** If channel list ran into error */
   error?: boolean;
@@ -379,6 +642,12 @@ export interface ChannelListUIComponentProps {
    *
    */
   LoadingErrorIndicator?: React.ElementType<ChatDownProps>;
+  /** Called by the button of the header of ChannelListTeam */
+  onCreateChannel?(): void;
+  /** Queries the first page of channels again */
+  reload?(): void;
+  /** Runs the query of channels which failed again */
+  retry?(): void;
 }
 
 export interface ChannelPreviewProps {
@@ -411,6 +680,10 @@ export interface ChannelPreviewUIComponentProps extends ChannelPreviewProps {
   displayImage?: string;
   /** Latest message's text. */
   latestMessage?: string;
+  /** If the latest message is the draft typed in the channel */
+  hasDraft?: boolean;
+  /** If someone is typing in the channel, the latest message is then who is typing */
+  isTyping?: boolean;
   setActiveChannel?(
     channel?: Client.Channel,
     watchers?: { limit?: number; offset?: number },
@@ -428,6 +701,141 @@ export interface ChannelPreviewUIComponentProps extends ChannelPreviewProps {
   lastRead?: Date;
 }
 
+export type ChannelSearchResult =
+  | ReturnType<StreamChatReactClient['channel']>
+  | Client.UserResponse<StreamChatReactUserType>;
+
+export interface ChannelSearchQuery<Filters, Sort, Options> {
+  filters?: Filters;
+  sort?: Sort;
+  options?: Options;
+}
+
+export interface ChannelSearchQueryParams {
+  channelFilters?: ChannelSearchQuery<
+    Client.ChannelFilters,
+    Client.ChannelSort,
+    Client.ChannelOptions
+  >;
+  userFilters?: ChannelSearchQuery<
+    Client.UserFilters,
+    Client.UserSort,
+    Client.UserOptions
+  >;
+}
+
+export interface ChannelSearchProps {
+  Avatar?: React.ElementType<AvatarProps>;
+  /** Type of the distinct channel created when a user is selected, defaults to `messaging` */
+  channelType?: string;
+  /** Time in ms to wait after the last keystroke before searching, defaults to 300 */
+  debounceInterval?: number;
+  /** Overrides the default behaviour when a result is selected */
+  onSelectResult?(result: ChannelSearchResult): void;
+  placeholder?: string;
+  /** Include channels in the results, defaults to true */
+  searchForChannels?: boolean;
+  /** Include users in the results, defaults to true */
+  searchForUsers?: boolean;
+  /** Overrides the default search of users and channels */
+  searchFunction?(text: string): Promise<ChannelSearchResult[]>;
+  /** Extra filters, sort and options merged into the default queries */
+  searchQueryParams?: ChannelSearchQueryParams;
+  SearchResult?: React.ElementType<SearchResultProps>;
+  SearchResultsList?: React.ElementType<SearchResultsListProps>;
+}
+
+export type UserPickerUser = Client.UserResponse<StreamChatReactUserType>;
+
+export interface UserPickerProps {
+  Avatar?: React.ElementType<AvatarProps>;
+  /** Time in ms to wait after the last keystroke before querying the users, defaults to 300 */
+  debounceInterval?: number;
+  /** Ids of the users left out of the results, the current user is always left out */
+  excludedUserIds?: string[];
+  onChange(users: UserPickerUser[]): void;
+  placeholder?: string;
+  selectedUsers: UserPickerUser[];
+  /** Extra filters, sort and options merged into the query of the users */
+  userFilters?: ChannelSearchQuery<
+    Client.UserFilters,
+    Client.UserSort,
+    Client.UserOptions
+  >;
+}
+
+export interface CreateChannelProps
+  extends Pick<UserPickerProps, 'Avatar' | 'debounceInterval' | 'userFilters'> {
+  /** Type of the created channel, defaults to `messaging` */
+  channelType?: string;
+  onClose?(): void;
+  /** Called once the channel is created and set as the active channel */
+  onCreate?(channel: ReturnType<StreamChatReactClient['channel']>): void;
+}
+
+export interface ChannelMembersProps
+  extends Pick<UserPickerProps, 'Avatar' | 'debounceInterval' | 'userFilters'> {
+  onClose?(): void;
+}
+
+export interface ChannelSettingsField {
+  /** Label of the input, translated */
+  label: string;
+  /** Key of the custom field in the channel data */
+  name: string;
+}
+
+export interface ChannelSettingsMuteDuration {
+  /** Label of the option, translated */
+  label: string;
+  /** Duration of the mute in milliseconds, null mutes the channel until it is unmuted */
+  value: number | null;
+}
+
+/** Partially updates the membership of a user, e.g. `{ favourite: true }` */
+export type UpdateMemberRequest = (
+  channel: Client.Channel,
+  userId: string,
+  set: Record<string, unknown>,
+) => Promise<unknown> | void;
+
+export interface ChannelSettingsProps {
+  /** Update member request, the favourite button is only displayed when it is provided */
+  doUpdateMemberRequest?: UpdateMemberRequest;
+  fields?: ChannelSettingsField[];
+  muteDurations?: ChannelSettingsMuteDuration[];
+  onClose?(): void;
+}
+
+export interface ConfirmationDialogProps {
+  cancelText?: string;
+  confirmText: string;
+  onCancel(): void;
+  onConfirm(): void;
+  text: string;
+}
+
+export interface SearchResultProps {
+  /** The channel or user returned by the search */
+  result: ChannelSearchResult;
+  /** Position of the result in the list */
+  index: number;
+  /** If the result is highlighted through keyboard navigation */
+  focused: boolean;
+  selectResult(result: ChannelSearchResult): void;
+  Avatar?: React.ElementType<AvatarProps>;
+}
+
+export interface SearchResultsListProps {
+  results: ChannelSearchResult[];
+  focusedIndex: number;
+  /** If a search request is in progress */
+  searching: boolean;
+  selectResult(result: ChannelSearchResult): void;
+  SearchResult?: React.ElementType<SearchResultProps>;
+  Avatar?: React.ElementType<AvatarProps>;
+}
+
 /** Channel custom hooks */
 export function useEditMessageHandler(
   doUpdateMessageRequest?: (
@@ -438,6 +846,45 @@ export function useEditMessageHandler(
   updatedMessage: Client.Message,
 ) => ReturnType<Client.StreamChat['updateMessage']>;
 
+export function useOutbox(params: {
+  channel: Client.Channel;
+  client: Client.StreamChat;
+  loading: boolean;
+  sendMessageRequest(
+    message: OutboxEntry['message'],
+  ): Promise<Client.SendMessageAPIResponse | undefined>;
+  storage: OutboxStorage;
+  updateMessage(message: StreamChatReactMessage | Client.MessageResponse): void;
+}): {
+  enqueueMessage(
+    message: OutboxEntry['message'],
+    retry?: boolean,
+  ): Promise<void>;
+  flush(): Promise<void>;
+  queuedMessages: Array<OutboxEntry>;
+};
+
+export function createInMemoryOutboxStorage(): OutboxStorage;
+export function createLocalStorageDraftStorage(
+  keyPrefix?: string,
+): DraftStorage;
+export function getDraftKey(
+  userId: string,
+  cid: string,
+  parentId?: string,
+): string;
+export function processImage(
+  file: File,
+  options?: ImageProcessingOptions,
+): Promise<ProcessedImage>;
+export function useVoiceRecorder(
+  options: VoiceRecorderOptions,
+): VoiceRecorderState;
+export function createLocalStorageOutboxStorage(
+  keyPrefix?: string,
+): OutboxStorage;
+export function getOutboxKey(userId: string, cid: string): string;
+
 export function useMentionsHandlers(
   onMentionsHover?: (e: React.MouseEvent, user?: Client.UserResponse) => void,
   onMentionsClick?: (e: React.MouseEvent, user?: Client.UserResponse) => void,
@@ -557,6 +1004,22 @@ export interface VirtualizedMessageListInternalProps {
   hasMore: boolean;
   /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
   loadingMore: boolean;
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  loadMoreNewer?(messageLimit?: number): Promise<number>;
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  hasMoreNewer?: boolean;
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  loadingMoreNewer?: boolean;
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  highlightedMessageId?: string | null;
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  jumpToLatestMessage?(messageLimit?: number): Promise<void>;
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  markRead?(): void;
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  markedUnreadMessageId?: string | null;
+  /** **Available from [channel context](https://getstream.github.io/stream-chat-react/#channel)** */
+  read?: Client.ChannelState['read'];
   /** Set the limit to use when paginating messages */
   messageLimit?: number;
   /**
@@ -565,12 +1028,27 @@ export interface VirtualizedMessageListInternalProps {
    */
   shouldGroupByUser?: boolean;
   /** Custom render function, if passed, certain UI props are ignored */
-  customMessageRenderer(
+  customMessageRenderer?(
     messageList: Array<Client.MessageResponse>,
     index: number,
   ): React.ReactElement;
-  /** Custom UI component to display messages. */
-  Message?: React.ElementType<FixedHeightMessageProps>;
+  /**
+   * Custom UI component to display messages, defaults to FixedHeightMessage.
+   * The rows are measured once rendered, the UI components of the MessageList like MessageSimple or MessageTeam can be used as well.
+   */
+  Message?:
+    | React.ElementType<FixedHeightMessageProps>
+    | React.ElementType<MessageUIComponentProps>;
+  /** Date separator component to render, defaults to DateSeparator */
+  DateSeparator?: React.ElementType<DateSeparatorProps>;
+  /** Disables the date separators between the messages of different days, defaults to false */
+  disableDateSeparator?: boolean;
+  /** Component to render as the first row of the list */
+  HeaderComponent?: React.ElementType;
+  /** Hides the deleted messages from the list, defaults to false */
+  hideDeletedMessages?: boolean;
+  /** Whether the list displays the replies of the open thread, defaults to false */
+  threadList?: boolean;
   /** Custom UI component to display deleted messages. */
   MessageDeleted?: React.ElementType<MessageDeletedProps>;
   /** Custom UI component to display system messages */
@@ -579,6 +1057,8 @@ export interface VirtualizedMessageListInternalProps {
   EmptyStateIndicator?: React.ElementType<EmptyStateIndicatorProps>;
   /** The UI Indicator to use when someone is typing, default to null */
   TypingIndicator?: React.ElementType<TypingIndicatorProps>;
+  /** Custom UI component to display the separator before the first unread message */
+  UnreadMessagesSeparator?: React.ElementType;
   /** Component to render at the top of the MessageList while loading new messages */
   LoadingIndicator?: React.ElementType<LoadingIndicatorProps>;
   /** Causes the underlying list to render extra content in addition to the necessary one to fill in the visible viewport. */
@@ -605,6 +1085,8 @@ export interface MessageListProps {
   EmptyStateIndicator?: React.ElementType<EmptyStateIndicatorProps>;
   LoadingIndicator?: React.ElementType<LoadingIndicatorProps>;
   TypingIndicator?: React.ElementType<TypingIndicatorProps>;
+  /** Custom UI component to display the separator before the first unread message */
+  UnreadMessagesSeparator?: React.ElementType;
   /** Date separator component to render  */
   dateSeparator?: React.ElementType<DateSeparatorProps>;
   DateSeparator?: React.ElementType<DateSeparatorProps>;
@@ -667,13 +1149,146 @@ export interface MessageListProps {
   ): void;
 }
 
+export interface MessageSearchProps {
+  /** Search in all the channels matching `filters` instead of the channel from ChannelContext */
+  allChannels?: boolean;
+  Avatar?: React.ElementType<AvatarProps>;
+  /** Time in ms to wait after the last keystroke before searching, defaults to 300 */
+  debounceInterval?: number;
+  /** Channel filters for searches in all channels, defaults to the channels of the current user */
+  filters?: Client.ChannelFilters;
+  /** Number of results per page, defaults to 20 */
+  limit?: number;
+  LoadMoreButton?: React.ComponentType<LoadMoreButtonProps>;
+  /** Overrides the default behaviour when a result is clicked */
+  onSelectResult?(message: StreamChatReactMessageResponse): void;
+  placeholder?: string;
+  SearchResult?: React.ElementType<MessageSearchResultProps>;
+}
+
+export interface MessageSearchResultProps {
+  message: StreamChatReactMessageResponse;
+  /** The searched text, its terms are highlighted in the message */
+  query: string;
+  selectResult(message: StreamChatReactMessageResponse): void;
+  /** Show the name of the channel the message belongs to */
+  showChannelName?: boolean;
+  Avatar?: React.ElementType<AvatarProps>;
+}
+
+export function useTypingUsers(params: {
+  /** The channel to listen to the typing events of, when the typing state is not given */
+  channel?: Client.Channel;
+  client?: Client.StreamChat;
+  /** The id of the thread, the typing users of the channel are the ones not typing in a thread */
+  parentId?: string | null;
+  staleTimeout?: number;
+  typing?: StreamChatChannelState['typing'];
+}): Array<Client.UserResponse<StreamChatReactUserType>>;
+
+export function getTypingIndicatorText(
+  users: Array<Client.UserResponse | undefined>,
+  t: i18next.TFunction,
+): string;
+
+export function useUnreadMessages(params: {
+  client: Client.StreamChat;
+  /** Disables the unread messages, e.g. in threads */
+  disabled?: boolean;
+  markRead?(): void;
+  messages?: Array<Client.MessageResponse>;
+  read?: Client.ChannelState['read'];
+}): {
+  firstUnreadMessageId: string | null;
+  /** Marks the channel read and removes the unread messages separator */
+  markAllRead(): void;
+  unreadCount: number;
+};
+
+export interface EnrichedMessagesOptions {
+  client: Client.StreamChat;
+  disableDateSeparator?: boolean;
+  /** The unread messages separator is inserted before this message */
+  firstUnreadMessageId?: string | null;
+  /** The time the channel intro is inserted at, at the top when it is not set */
+  headerPosition?: number;
+  hideDeletedMessages?: boolean;
+  messages: Array<StreamChatReactMessageResponse>;
+  noGroupByUser?: boolean;
+  read?: Client.ChannelState['read'];
+  /** The thread lists have neither date nor unread separators */
+  threadList?: boolean;
+  /** Inserts the channel intro */
+  withIntro?: boolean;
+}
+export function useEnrichedMessages(
+  options: EnrichedMessagesOptions,
+): {
+  /** The messages with the date and unread separators and the channel intro */
+  enrichedMessages: Array<{ id?: string; type?: string; [key: string]: any }>;
+  /** The group style of each message, by message id: 'top', 'middle', 'bottom' or 'single' */
+  groupStyles: Record<string, string>;
+  lastReceivedId: string | null;
+  /** The users whose last read message is this one, by message id, for the messages of the current user */
+  readData: Record<string, Array<Client.UserResponse<StreamChatReactUserType>>>;
+};
+
+export function useMessageListKeyboardNavigation(): {
+  /** The message in the tab sequence, the last message when none got the focus yet */
+  focusedMessageId: string | null;
+  onFocus: React.FocusEventHandler;
+  onKeyDown: React.KeyboardEventHandler;
+};
+
+export interface MessageSearchOptions {
+  /** Search in all the channels matching `filters` instead of the channel from ChannelContext */
+  allChannels?: boolean;
+  filters?: Client.ChannelFilters;
+  limit?: number;
+}
+
+export function useMessageSearch(
+  options?: MessageSearchOptions,
+): {
+  clear(): Promise<void>;
+  error: Error | null;
+  hasMore: boolean;
+  loadMore(): Promise<void>;
+  query: string;
+  results: StreamChatReactMessageResponse[];
+  search(text: string): Promise<void>;
+  searching: boolean;
+};
+
 export interface ChannelHeaderProps {
   Avatar?: React.ElementType<AvatarProps>;
+  /** Opened from the settings button, null hides the button */
+  ChannelSettings?: React.ElementType<ChannelSettingsProps> | null;
   image?: string;
   /** Show a little indicator that the channel is live right now */
   live?: boolean;
+  PinnedMessageList?: React.ElementType<PinnedMessageListProps>;
+  pinPermissions?: PinPermissions;
   /** Set title manually */
   title?: string;
+  /** Rendered with the `header` variant instead of the members count while someone is typing, null disables it */
+  TypingIndicator?: React.ElementType<TypingIndicatorProps> | null;
+}
+
+export interface PinnedMessageListProps {
+  Avatar?: React.ElementType<AvatarProps>;
+  onClose?(): void;
+  onSelectMessage?(message: StreamChatReactMessageResponse): void;
+  PinnedMessage?: React.ElementType<PinnedMessageProps>;
+  pinPermissions?: PinPermissions;
+}
+
+export interface PinnedMessageProps {
+  Avatar?: React.ElementType<AvatarProps>;
+  message: StreamChatReactMessageResponse;
+  notify?(text: string, type: string): void;
+  pinPermissions?: PinPermissions;
+  selectMessage(message: StreamChatReactMessageResponse): void;
 }
 
 export interface MessageInputProps {
@@ -710,18 +1325,32 @@ export interface MessageInputProps {
   /** Override default suggestion list component */
   SuggestionList?: React.ElementType<SuggestionListProps>;
 
+  /** Change the VoiceRecorder component, `null` disables voice messages */
+  VoiceRecorder?: React.ElementType<VoiceRecorderProps> | null;
+
+  /** Max duration of a voice message in seconds. Default: 120 */
+  maxRecordingDuration?: number;
+
   /** Override image upload request */
   doImageUploadRequest?(
     file: object,
     channel: Client.Channel,
+    options: UploadRequestOptions,
   ): Promise<Client.SendFileAPIResponse>;
 
   /** Override file upload request */
   doFileUploadRequest?(
     file: File,
     channel: Client.Channel,
+    options: UploadRequestOptions,
   ): Promise<Client.SendFileAPIResponse>;
 
+  /**
+   * Process the images before uploading them: downscale them, apply their Exif orientation and strip their metadata.
+   * `true` uses the default options.
+   */
+  imageProcessing?: boolean | ImageProcessingOptions;
+
   /** Completely override the submit handler (advanced usage only) */
   overrideSubmitHandler?(
     message: object,
@@ -743,16 +1372,113 @@ export interface MessageInputProps {
   clearEditingState?: () => void;
   /** If true, file uploads are disabled. Default: false */
   noFiles?: boolean;
-  /** Custom error handler, called when file/image uploads fail. */
+  /**
+   * Custom error handler, called when file/image uploads fail with the type `upload-file` or `upload-image`,
+   * and for each file which is not added to the input with the type `upload-rejected` and the rejection.
+   */
   errorHandler?: (e: Error, type: string, file: object) => Promise<any> | void;
 }
 
+export interface UploadRejection {
+  file: File;
+  reason:
+    | 'file-too-large'
+    | 'file-type-not-allowed'
+    | 'too-many-files'
+    | 'total-too-large';
+  /** The limit the file exceeds: a size in bytes, or the max number of attachments */
+  limit?: number;
+}
+
+export interface UploadValidationOptions {
+  acceptedFiles?: string[];
+  deniedFiles?: string[];
+  maxFileSize?: number;
+  /** Number of files which can still be added to the input */
+  maxFilesLeft: number;
+  maxNumberOfFiles: number;
+  maxTotalFileSize?: number;
+  /** Whether only images can be uploaded */
+  noFiles?: boolean;
+  /** Size of the files already added to the input */
+  totalFileSize?: number;
+}
+
+export interface ImageProcessingOptions {
+  /** Max width and height of the images, the larger ones are downscaled. Default: 2048 */
+  maxDimension?: number;
+  /** Format the images are encoded to. Default: image/jpeg */
+  mimeType?: 'image/jpeg' | 'image/webp';
+  /** Encoding quality, from 0 to 1. Default: 0.85 */
+  quality?: number;
+}
+
+export interface ProcessedImage {
+  file: File;
+  height: number;
+  width: number;
+}
+
+export interface VoiceRecordingAttachmentFields
+  extends Record<string, unknown> {
+  /** Duration of the recording in seconds */
+  duration: number;
+  /** Amplitudes of the recording, from 0 to 1 */
+  waveform_data: number[];
+}
+
+export interface VoiceRecorderOptions {
+  /** Max duration of a recording in seconds. Default: 120 */
+  maxDuration?: number;
+  onRecorded(
+    file: File,
+    attachmentFields: VoiceRecordingAttachmentFields,
+  ): void;
+}
+
+export interface VoiceRecorderState {
+  /** Amplitudes of the last 100 samples of the recording, from 0 to 1 */
+  amplitudes: number[];
+  /** Duration of the recording in seconds */
+  duration: number;
+  /** Error raised when the microphone could not be accessed */
+  error: Error | null;
+  /** `requesting` while the access to the microphone is asked for */
+  status: 'idle' | 'requesting' | 'recording' | 'paused';
+  cancel(): void;
+  pause(): void;
+  resume(): void;
+  start(): Promise<void>;
+  stop(): void;
+}
+
+export interface VoiceRecorderProps {
+  uploadNewFiles(
+    files: File[],
+    attachmentFields?: Record<string, unknown>,
+  ): void;
+  disabled?: boolean;
+  maxDuration?: number;
+}
+
+export interface UploadRequestOptions {
+  /** Reports the progress of the upload, from 0 to 1 */
+  onProgress(progress: number): void;
+  /** Aborted when the upload is removed from the input or the input is cleared */
+  signal: AbortSignal;
+}
+
 export type ImageUpload = {
   id: string;
   file: File;
   state: 'finished' | 'failed' | 'uploading';
   previewUri?: string;
+  /** Progress of the upload, from 0 to 1 */
+  progress?: number;
   url?: string;
+  /** Dimensions of the uploaded image, when it has been processed */
+  height?: number;
+  width?: number;
 };
 
 export type FileUpload = {
@@ -760,6 +1486,10 @@ export type FileUpload = {
   url: string;
   state: 'finished' | 'failed' | 'uploading';
   file: File;
+  /** Progress of the upload, from 0 to 1 */
+  progress?: number;
+  /** Fields added to the attachment of the file, e.g. the duration and waveform of a voice recording */
+  attachmentFields?: Record<string, unknown>;
 };
 
 export interface MessageInputState {
@@ -775,16 +1505,28 @@ export interface MessageInputState {
   // ids of users mentioned in message
   mentioned_users: Client.UserResponse[];
   numberOfUploads: number;
+  /** The files which were not added to the input the last time files were added, with the reason why */
+  uploadRejections: UploadRejection[];
 }
 
 export interface MessageInputUploadsProps extends MessageInputState {
-  uploadNewFiles?(files: FileList): void;
+  uploadNewFiles?(
+    files: FileList | File[],
+    attachmentFields?: Record<string, unknown>,
+  ): void;
+  dismissUploadRejections?(): void;
   removeImage?(id: string): void;
   uploadImage?(id: string): void;
   removeFile?(id: string): void;
   uploadFile?(id: string): void;
 }
 
+export interface MessageInputQuotedMessageProps {
+  Avatar?: React.ElementType<AvatarProps>;
+  quotedMessage?: Client.MessageResponse;
+  clearQuotedMessage?(): void;
+}
+
 export interface MessageInputEmojiPickerProps extends MessageInputState {
   onSelectEmoji(emoji: object): void;
   emojiPickerRef: React.RefObject<HTMLDivElement>;
@@ -794,16 +1536,22 @@ export interface MessageInputEmojiPickerProps extends MessageInputState {
 interface MessageInputHookProps {
   isUploadEnabled: boolean;
   maxFilesLeft: number;
+  quotedMessage?: Client.MessageResponse;
   // refs
   textareaRef: React.MutableRefObject<HTMLTextAreaElement | undefined>;
   emojiPickerRef: React.MutableRefObject<HTMLDivElement | null>;
   // handlers
-  uploadNewFiles(files: FileList): void;
+  uploadNewFiles(
+    files: FileList | File[],
+    attachmentFields?: Record<string, unknown>,
+  ): void;
+  dismissUploadRejections(): void;
   removeImage(id: string): void;
   uploadImage(id: string): void;
   removeFile(id: string): void;
   uploadFile(id: string): void;
-  onSelectEmoji(emoji: { native: string }): void;
+  clearQuotedMessage(): void;
+  onSelectEmoji(emoji: { colons?: string; id: string; native?: string }): void;
   getUsers(): (
     | Client.ChannelMemberAPIResponse<StreamChatReactUserType>
     | undefined
@@ -811,6 +1559,8 @@ interface MessageInputHookProps {
   getCommands(): Client.CommandResponse[] | undefined;
   handleSubmit(event: React.FormEvent | React.MouseEvent): void;
   handleChange(event: React.ChangeEventHandler): void;
+  /** Edits the last message of the user when the Up arrow key is pressed in the empty input */
+  handleKeyDown(event: React.KeyboardEvent): void;
   onPaste(event: React.ClipboardEvent): void;
   onSelectItem(item: Client.UserResponse): void;
   openEmojiPicker(): void;
@@ -912,6 +1662,8 @@ export interface MessageComponentProps
     TranslationContextValue {
   /** The current channel this message is displayed in */
   channel?: Client.Channel;
+  /** Whether the message follows another message of the same user, set by the VirtualizedMessageList for FixedHeightMessage */
+  groupedByUser?: boolean;
   /** Function to be called when a @mention is clicked. Function has access to the DOM event and the target user object */
   onMentionsClick?(
     e: React.MouseEvent,
@@ -956,6 +1708,9 @@ export interface MessageUIComponentProps
   handleFlag?(event?: React.BaseSyntheticEvent): void;
   handleMute?(event?: React.BaseSyntheticEvent): void;
   handlePin?(event?: React.BaseSyntheticEvent): void;
+  handleQuote?(event?: React.BaseSyntheticEvent): void;
+  handleMarkUnread?(event?: React.BaseSyntheticEvent): Promise<void>;
+  handleTranslate?(event?: React.BaseSyntheticEvent): Promise<void>;
   handleAction?(
     name: string,
     value: string,
@@ -992,6 +1747,8 @@ export interface MessageDeletedProps extends TranslationContextValue {
 
 export interface ThreadProps {
   fullWidth?: boolean;
+  /** Display the replies in a VirtualizedMessageList, for long threads */
+  virtualized?: boolean;
   autoFocus?: boolean;
   additionalParentMessageProps?: object;
   additionalMessageListProps?: object;
@@ -1010,7 +1767,19 @@ export interface ThreadHeaderProps {
 export interface TypingIndicatorProps {
   Avatar?: React.ElementType<AvatarProps>;
   avatarSize?: number;
+  /** The channel to display the typing users of, when the indicator is not a child of the Channel component */
+  channel?: Client.Channel;
+  /** The maximum number of avatars displayed, the other typing users are counted */
+  maxAvatars?: number;
+  /** Milliseconds after which a user is not considered typing anymore without a new typing.start event, defaults to 7000 */
+  staleTimeout?: number;
   threadList?: boolean;
+  /**
+   * - `avatars` the avatars of the typing users and three dots
+   * - `text` three dots followed by who is typing, e.g. "Alice and Bob are typing..."
+   * - `header` who is typing as inline text, rendered only while someone is typing, e.g. in a channel header or preview
+   */
+  variant?: 'avatars' | 'text' | 'header';
 }
 
 export interface ReactionSelectorProps {
@@ -1045,7 +1814,7 @@ export interface ReactionSelectorProps {
   /** Enable the avatar display */
   detailedView?: boolean;
   /** Provide a list of reaction options [{name: 'angry', emoji: 'angry'}] */
-  reactionOptions?: MinimalEmojiInterface[];
+  reactionOptions?: Array<MinimalEmojiInterface | EmojiMartCustomEmoji>;
   reverse?: boolean;
   handleReaction?(reactionType: string, event?: React.BaseSyntheticEvent): void;
 }
@@ -1087,12 +1856,50 @@ export interface ReactionsListProps {
   };
   own_reactions?: StreamChatReactMessageResponse['own_reactions'];
   /** Provide a list of reaction options [{name: 'angry', emoji: 'angry'}] */
-  reactionOptions?: MinimalEmojiInterface[];
+  reactionOptions?: Array<MinimalEmojiInterface | EmojiMartCustomEmoji>;
   onClick?(): void;
   reverse?: boolean;
   emojiSetDef?: EnojiSetDef;
+  /** Lets the current user remove their reactions from the details of the reactions */
+  handleReaction?(reactionType: string, event?: React.BaseSyntheticEvent): void;
+  /** Clicking a reaction shows who reacted to the message when it is set */
+  messageId?: string;
+}
+
+export interface ReactionsDetailsModalProps {
+  Avatar?: React.ElementType<AvatarProps>;
+  /** Lets the current user remove their reactions when it is set */
+  handleReaction?(reactionType: string, event?: React.BaseSyntheticEvent): void;
+  /** The reaction type whose users are shown first, all the reactions are shown by default */
+  initialReactionType?: string | null;
+  LoadMoreButton?: React.ComponentType<LoadMoreButtonProps>;
+  messageId: string;
+  onClose(): void;
+  reaction_counts?: {
+    [reaction_type: string]: number;
+  };
+  reactionOptions?: Array<MinimalEmojiInterface | EmojiMartCustomEmoji>;
+}
+
+export interface MessageReactionsOptions {
+  /** Number of reactions per page, defaults to 25 */
+  limit?: number;
 }
 
+export function useMessageReactions(
+  messageId: string,
+  options?: MessageReactionsOptions,
+): {
+  /** Removes a reaction from the loaded ones, e.g. once the user removed it */
+  discardReaction(reaction: StreamChatReactReactionResponse): void;
+  /** The error of the last page loaded, calling `loadMore` again loads the page again */
+  error: Error | null;
+  hasMore: boolean;
+  loadMore(): Promise<void>;
+  loading: boolean;
+  reactions: StreamChatReactReactionResponse[];
+};
+
 export interface WindowProps {
   /** show or hide the window when a thread is active */
   hideOnThread?: boolean;
@@ -1111,7 +1918,20 @@ export interface AttachmentActionsProps {
 }
 
 export interface AudioProps {
-  og: Client.Attachment;
+  og: ExtendedAttachment & {
+    /** Duration of a voice message in seconds */
+    duration?: number;
+    /** Amplitudes of a voice message, from 0 to 1 */
+    waveform_data?: number[];
+  };
+}
+
+export interface WaveformProps {
+  /** Amplitudes of the audio, from 0 to 1 */
+  waveform: number[];
+  /** Share of the audio which has been played, from 0 to 1 */
+  progress?: number;
+  onSeek?(progress: number): void;
 }
 
 export interface CardProps extends TranslationContextValue {
@@ -1141,6 +1961,7 @@ export interface ChatAutoCompleteProps {
   triggers?: object;
   onFocus?: React.FocusEventHandler;
   onPaste?: React.ClipboardEventHandler;
+  onKeyDown?: React.KeyboardEventHandler;
   additionalTextareaProps?: object;
   innerRef: React.MutableRefObject<HTMLTextAreaElement | undefined>;
   SuggestionList?: React.ElementType<SuggestionListProps>;
@@ -1166,7 +1987,10 @@ export interface EditMessageFormProps
 export interface EmoticonItemProps {
   entity: {
     name: string;
-    native: string;
+    /** The character of the emoji, custom emojis have an image instead */
+    native?: string | null;
+    colons?: string | null;
+    imageUrl?: string | null;
   };
 }
 
@@ -1185,13 +2009,18 @@ export interface EventComponentProps {
 }
 
 export interface GalleryProps {
-  images: Client.Attachment[];
+  images: Client.Attachment<{
+    original_height?: number;
+    original_width?: number;
+  }>[];
 }
 
 export interface ImageProps {
   image_url?: string;
   thumb_url?: string;
   fallback?: string;
+  original_height?: number;
+  original_width?: number;
 }
 
 export interface ModalWrapperProps {
@@ -1203,11 +2032,15 @@ export interface ModalWrapperProps {
 
 export interface InfiniteScrollProps {
   loadMore(): any;
+  /** Loads the items below the current ones in a reversed list */
+  loadMoreNewer?(): any;
   hasMore?: boolean;
+  hasMoreNewer?: boolean;
   initialLoad?: boolean;
   isReverse?: boolean;
   pageStart?: number;
   isLoading?: boolean;
+  isLoadingNewer?: boolean;
   useCapture?: boolean;
   useWindow?: boolean;
   element?: React.ElementType;
@@ -1268,13 +2101,27 @@ export interface MessageActionsBoxProps {
   handleFlag?(event?: React.BaseSyntheticEvent): void;
   handleMute?(event?: React.BaseSyntheticEvent): void;
   handlePin?(event?: React.BaseSyntheticEvent): void;
+  handleQuote?(event?: React.BaseSyntheticEvent): void;
+  handleMarkUnread?(event?: React.BaseSyntheticEvent): Promise<void>;
+  handleTranslate?(event?: React.BaseSyntheticEvent): Promise<void>;
   getMessageActions(): Array<string>;
+  /** Closes the message actions box, when the Escape key is pressed in it */
+  onClose?(): void;
 }
 export interface MessageNotificationProps {
   showNotification: boolean;
   onClick: React.MouseEventHandler;
   children?: any;
 }
+export interface UnreadMessagesNotificationProps {
+  /** Scrolls to the first unread message */
+  onJumpToFirstUnread: React.MouseEventHandler;
+  /** Marks the channel read, which removes the unread messages separator */
+  onMarkRead: React.MouseEventHandler;
+  showNotification?: boolean;
+  /** Number of messages the user has not read yet */
+  unreadCount: number;
+}
 export interface MessageRepliesCountButtonProps
   extends TranslationContextValue {
   labelSingle?: string;
@@ -1300,8 +2147,10 @@ export interface SimpleReactionsListProps {
     [reaction_type: string]: number;
   };
   /** Provide a list of reaction options [{name: 'angry', emoji: 'angry'}] */
-  reactionOptions?: MinimalEmojiInterface[];
+  reactionOptions?: Array<MinimalEmojiInterface | EmojiMartCustomEmoji>;
   handleReaction?(reactionType: string): void;
+  /** Clicking the reaction count shows who reacted to the message when it is set */
+  messageId?: string;
 }
 export interface TooltipProps {}
 
@@ -1340,7 +2189,11 @@ export class MessageActionsBox extends React.PureComponent<
   any
 > {}
 export const MessageNotification: React.FC<MessageNotificationProps>;
+export const UnreadMessagesNotification: React.FC<UnreadMessagesNotificationProps>;
+export const UnreadMessagesSeparator: React.FC<{}>;
 export const MessageRepliesCountButton: React.FC<MessageRepliesCountButtonProps>;
+export const MessageTranslationToggle: React.FC<MessageTranslationProps>;
+export const ReactionsDetailsModal: React.FC<ReactionsDetailsModalProps>;
 export class Modal extends React.PureComponent<ModalProps, any> {}
 export const ModalImage: React.FC<ModalImageProps>;
 
@@ -1355,13 +2208,19 @@ export class SimpleReactionsList extends React.PureComponent<
   any
 > {}
 export const Tooltip: React.FC<TooltipProps>;
+export const VoiceRecorder: React.FC<VoiceRecorderProps>;
+export const Waveform: React.FC<WaveformProps>;
 export const Chat: React.FC<ChatProps>;
 export class Channel extends React.PureComponent<ChannelProps, any> {}
 export class Avatar extends React.PureComponent<AvatarProps, any> {}
 export class Message extends React.PureComponent<MessageComponentProps, any> {}
 export class MessageList extends React.PureComponent<MessageListProps, any> {}
 export const VirtualizedMessageList: React.FC<VirtualizedMessageListProps>;
+export const MessageSearch: React.FC<MessageSearchProps>;
+export const MessageSearchResult: React.FC<MessageSearchResultProps>;
 export const ChannelHeader: React.FC<ChannelHeaderProps>;
+export const PinnedMessageList: React.FC<PinnedMessageListProps>;
+export const PinnedMessage: React.FC<PinnedMessageProps>;
 export class MessageInput extends React.PureComponent<MessageInputProps, any> {}
 export class MessageInputLarge extends React.PureComponent<
   MessageInputProps,
@@ -1394,7 +2253,26 @@ export const ChannelPreviewCompact: React.FC<ChannelPreviewUIComponentProps>;
 export const ChannelPreviewMessenger: React.FC<ChannelPreviewUIComponentProps>;
 export const ChannelPreviewCountOnly: React.FC<ChannelPreviewUIComponentProps>;
 export const ChannelPreviewLastMessage: React.FC<ChannelPreviewUIComponentProps>;
-export const ChannelSearch: React.FC<any>;
+export const ChannelListSection: React.FC<ChannelListSectionProps>;
+export function isFavouriteChannel(channel: Client.Channel): boolean;
+export function matchChannelFilters(
+  channel: Client.Channel,
+  filters: Client.ChannelFilters,
+): boolean | undefined;
+export function setChannelFavourite(
+  channel: Client.Channel,
+  favourite: boolean,
+  doUpdateMemberRequest: UpdateMemberRequest,
+): Promise<void>;
+export const ChannelSearch: React.FC<ChannelSearchProps>;
+export const CreateChannel: React.FC<CreateChannelProps>;
+export const UserPicker: React.FC<UserPickerProps>;
+export const ChannelMembers: React.FC<ChannelMembersProps>;
+export const ChannelSettings: React.FC<ChannelSettingsProps>;
+export const ConfirmationDialog: React.FC<ConfirmationDialogProps>;
+export const defaultMuteDurations: ChannelSettingsMuteDuration[];
+export const SearchResult: React.FC<SearchResultProps>;
+export const SearchResultsList: React.FC<SearchResultsListProps>;
 export const LoadMorePaginator: React.FC<LoadMorePaginatorProps>;
 export const InfiniteScrollPaginator: React.FC<InfiniteScrollPaginatorProps>;
 export const LoadingIndicator: React.FC<LoadingIndicatorProps>;
@@ -1475,6 +2353,9 @@ export interface MessageActionsProps {
   handleFlag?(event?: React.BaseSyntheticEvent): void;
   handleMute?(event?: React.BaseSyntheticEvent): void;
   handlePin?(event?: React.BaseSyntheticEvent): void;
+  handleQuote?(event?: React.BaseSyntheticEvent): void;
+  handleMarkUnread?(event?: React.BaseSyntheticEvent): Promise<void>;
+  handleTranslate?(event?: React.BaseSyntheticEvent): Promise<void>;
   pinPermissions?: PinPermissions;
   mutes?: Client.Mute[];
   getMessageActions(): Array<string>;
@@ -1517,6 +2398,15 @@ export class MessageDeleted extends React.PureComponent<
   any
 > {}
 
+export interface QuotedMessageProps {
+  /** The message replying with a quote */
+  message?: Client.MessageResponse;
+  Avatar?: React.ElementType<AvatarProps>;
+}
+
+export const QuotedMessage: React.FC<QuotedMessageProps>;
+export const QuotedMessagePreview: React.FC<MessageInputQuotedMessageProps>;
+
 /** Custom Message Hooks **/
 export function useActionHandler(
   message: Client.MessageResponse | undefined,
@@ -1570,6 +2460,57 @@ export function useMuteHandler(
   notifications: MessageNotificationArguments,
 ): (event: React.MouseEvent<HTMLElement>) => Promise<void>;
 
+export function useMarkUnreadHandler(
+  message: Client.MessageResponse | undefined,
+  notifications?: MessageNotificationArguments,
+): (event?: React.BaseSyntheticEvent) => Promise<void>;
+
+export function useTranslateHandler(
+  message: Client.MessageResponse | undefined,
+  notifications?: MessageNotificationArguments,
+): (event?: React.BaseSyntheticEvent) => Promise<void>;
+
+export interface MenuKeyboardNavigationOptions {
+  /** Whether the menu is shown, its first item gets the focus when it opens */
+  open: boolean;
+  /** Closes the menu when the Escape key is pressed */
+  onClose?(): void;
+  /** The arrow keys moving the focus between the items, defaults to 'vertical' (up and down) */
+  orientation?: 'horizontal' | 'vertical';
+}
+export function useMenuKeyboardNavigation(
+  options: MenuKeyboardNavigationOptions,
+): {
+  /** To set on the element with the menu role, its items have the menuitem role */
+  menuRef: React.MutableRefObject<HTMLElement | null>;
+  onKeyDown: React.KeyboardEventHandler;
+};
+
+export interface MessageTranslation {
+  /** Whether the message has a translation in the language of the user */
+  hasTranslation: boolean;
+  /** Whether the translation is shown */
+  isTranslated: boolean;
+  /** The language the message was written in, once it has been translated */
+  originalLanguage?: string;
+  /** The text to render */
+  text?: string;
+  /** Switches between the translation and the original text */
+  toggleTranslation(): void;
+}
+
+export function useMessageTranslation(
+  message: Client.MessageResponse | undefined,
+): MessageTranslation;
+
+export interface MessageTranslationProps {
+  message?: Client.MessageResponse;
+}
+
+export function useQuoteHandler(
+  message: Client.MessageResponse | undefined,
+): (event?: React.BaseSyntheticEvent) => void;
+
 export function useOpenThreadHandler(
   message: Client.MessageResponse | undefined,
   customOpenThread?: (
@@ -1694,7 +2635,10 @@ export interface MinimalEmojiInterface
 export function renderText(
   messageText?: string,
   mentioned_users?: Client.UserResponse[],
+  customEmojis?: Array<CustomEmoji | EmojiMartCustomEmoji>,
 ): ReactMarkdown;
+/** Formats a duration in seconds as `m:ss` */
+export function formatDuration(seconds: number): string;
 export function smartRender(
   ElementOrComponentOrLiteral: ElementOrComponentOrLiteral,
   props?: {},
@@ -1720,6 +2664,14 @@ export const MESSAGE_ACTIONS: {
   [key: string]: string;
 };
 
+/** Keys triggering the controls of the message which has the focus in a MessageList */
+export const MESSAGE_SHORTCUTS: {
+  actions: string;
+  edit: string;
+  react: string;
+  reply: string;
+};
+
 /** Context */
 export const ChatContext: React.Context<ChatContextValue>;
 